@@ -1,13 +1,20 @@
-import mysql from "mysql2/promise";
-import dotenv from "dotenv";
+// db.js - Pool de MySQL para el backend DATA_BACKEND=mysql (ver repositories/)
+const mysql = require('mysql2/promise');
+require('dotenv').config();
 
-dotenv.config();
+function createPool() {
+  return mysql.createPool({
+    host: process.env.DB_HOST,
+    port: process.env.DB_PORT ? parseInt(process.env.DB_PORT, 10) : 3306,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_NAME,
+    waitForConnections: true,
+    connectionLimit: 10,
+    // Fechas en UTC de ida y vuelta, igual que timestamptz en Supabase
+    timezone: 'Z',
+    charset: 'utf8mb4'
+  });
+}
 
-export const pool = mysql.createPool({
-  host: process.env.DB_HOST,
-  user: process.env.DB_USER,
-  password: process.env.DB_PASSWORD,
-  database: process.env.DB_NAME,
-  waitForConnections: true,
-  connectionLimit: 10
-});
+module.exports = { createPool };
@@ -0,0 +1,118 @@
+// lib/auth.js - Hash de contraseñas (bcrypt) y tokens JWT de acceso/refresh
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+
+const BCRYPT_ROUNDS = parseInt(process.env.BCRYPT_ROUNDS, 10) || 10;
+
+const ACCESS_TOKEN_TTL = process.env.JWT_ACCESS_TTL || '15m';
+const REFRESH_TOKEN_TTL = process.env.JWT_REFRESH_TTL || '7d';
+
+const TOKEN_ISSUER = 'zonamicroondas-api';
+
+function getSecret(kind) {
+  const secret = kind === 'refresh'
+    ? (process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET)
+    : process.env.JWT_SECRET;
+
+  if (!secret) {
+    throw new Error('JWT_SECRET no está configurado');
+  }
+  return secret;
+}
+
+// ----------------- Contraseñas -----------------
+
+// Los hashes bcrypt tienen la forma $2a$10$..., $2b$12$..., etc.
+function isPasswordHash(value) {
+  return typeof value === 'string' && /^\$2[aby]\$\d{2}\$.{53}$/.test(value);
+}
+
+function hashPassword(password) {
+  return bcrypt.hash(password, BCRYPT_ROUNDS);
+}
+
+// Compara en tiempo constante dos strings (contraseñas heredadas en texto plano, secretos)
+function safeEqual(a, b) {
+  const hashA = crypto.createHash('sha256').update(String(a)).digest();
+  const hashB = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+// Verifica una contraseña contra lo guardado en users.password.
+// Devuelve { valid, needsRehash }: needsRehash indica que la fila todavía
+// tiene la contraseña en texto plano y debe migrarse tras un login correcto.
+async function verifyPassword(password, stored) {
+  if (!stored || typeof password !== 'string') {
+    return { valid: false, needsRehash: false };
+  }
+
+  if (isPasswordHash(stored)) {
+    const valid = await bcrypt.compare(password, stored);
+    return { valid, needsRehash: false };
+  }
+
+  const valid = safeEqual(password, stored);
+  return { valid, needsRehash: valid };
+}
+
+// ----------------- Tokens -----------------
+
+function signAccessToken(user) {
+  return jwt.sign(
+    { sub: String(user.id), role: user.role, email: user.email, type: 'access' },
+    getSecret('access'),
+    { expiresIn: ACCESS_TOKEN_TTL, issuer: TOKEN_ISSUER }
+  );
+}
+
+// El refresh token lleva un jti que se persiste en auth_refresh_tokens,
+// así podemos revocarlo (logout) y rotarlo en cada uso.
+function signRefreshToken(user) {
+  const jti = crypto.randomUUID();
+  const token = jwt.sign(
+    { sub: String(user.id), type: 'refresh' },
+    getSecret('refresh'),
+    { expiresIn: REFRESH_TOKEN_TTL, issuer: TOKEN_ISSUER, jwtid: jti }
+  );
+  const { exp } = jwt.decode(token);
+
+  return { token, jti, expiresAt: new Date(exp * 1000).toISOString() };
+}
+
+function verifyToken(token, kind = 'access') {
+  const payload = jwt.verify(token, getSecret(kind), { issuer: TOKEN_ISSUER });
+  if (payload.type !== kind) {
+    throw new jwt.JsonWebTokenError('Tipo de token inválido');
+  }
+  return payload;
+}
+
+// Extrae el token de un header "Authorization: Bearer <token>"
+function getBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  if (!scheme || scheme.toLowerCase() !== 'bearer' || !token) return null;
+  return token.trim();
+}
+
+// Nunca devolver el hash de la contraseña al cliente
+function toPublicUser(user) {
+  if (!user) return null;
+  const { password, ...rest } = user;
+  return rest;
+}
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_TTL,
+  isPasswordHash,
+  hashPassword,
+  verifyPassword,
+  safeEqual,
+  signAccessToken,
+  signRefreshToken,
+  verifyToken,
+  getBearerToken,
+  toPublicUser
+};
@@ -0,0 +1,287 @@
+// lib/blocks.js - Tipos de news_blocks: reglas de validación, normalización y render a HTML
+//
+// BLOCK_REGISTRY tiene una entrada por tipo con:
+//   fields   reglas de lib/validation.js para content, media_url y alt_text de ese tipo
+//            (lib/schemas.js las usa como variantes del bloque en POST/PUT /api/news)
+//   render   HTML semántico: content pasa por lib/sanitize.js (también al mostrarlo) y solo URLs http(s)
+//
+//   paragraph  <p> (los saltos de línea son <br />)
+//   heading    <h2>
+//   image      <figure><img alt="alt_text"> con content como <figcaption>; media_url y alt_text obligatorios
+//   quote      <blockquote>; alt_text es la atribución (<cite>)
+//   list       una línea de content por elemento; <ol> si todas empiezan con "1." / "2)"
+//   embed      cualquier URL (tweet, post, mapa...); si es de un proveedor conocido se embebe como tal
+//   gallery    una imagen por línea de content ("url" o "url | pie de foto"); media_url va primero
+//   video      <video> si media_url es un archivo de video; YouTube y demás se embeben
+//   youtube, twitter, facebook, instagram
+//              media_url debe ser de ese proveedor; se guarda la URL canónica (lib/embeds.js)
+// Un tipo desconocido (guardado antes de existir el registro) o un bloque mal formado se
+// muestra como texto (o no se muestra), nunca rompe la página.
+
+const { escapeHtml } = require('./html');
+const { ensureAbsoluteUrl } = require('./site');
+const { EMBED_PROVIDERS, parseEmbedUrl } = require('./embeds');
+const { sanitizeHtml, htmlToText } = require('./sanitize');
+
+const VIDEO_FILE = /\.(mp4|webm|ogg|m3u8)(\?.*)?$/i;
+const LIST_BULLET = /^\s*(?:[-*•]\s+)/;
+const LIST_NUMBER = /^\s*\d+[.)]\s+/;
+
+const PROVIDER_NAMES = { youtube: 'YouTube', twitter: 'X/Twitter', facebook: 'Facebook', instagram: 'Instagram' };
+
+// content guardado antes de sanitizar al escribir (o editado directo en la base) se limpia igual
+function inlineHtml(text) {
+  return sanitizeHtml(text, 'inline').html.replace(/\r?\n/g, '<br />');
+}
+
+// URL absoluta solo si es http(s): javascript:, data:, etc. se descartan
+function safeUrl(url) {
+  const text = typeof url === 'string' ? url.trim() : '';
+  if (/^[a-z][a-z0-9+.-]*:/i.test(text) && !/^https?:/i.test(text)) return null;
+  const absolute = ensureAbsoluteUrl(text);
+  return absolute && /^https?:\/\/[^\s"'<>]+$/i.test(absolute) ? absolute : null;
+}
+
+function lines(text) {
+  return String(text || '').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+}
+
+function figure(inner, caption, className = null) {
+  return `<figure${className ? ` class="${className}"` : ''}>${inner}`
+    + (caption ? `<figcaption>${inlineHtml(caption)}</figcaption>` : '')
+    + '</figure>';
+}
+
+function linkFigure(url, caption) {
+  return figure(`<a href="${escapeHtml(url)}" rel="noopener">${escapeHtml(url)}</a>`, caption);
+}
+
+// { provider, id, url } de lib/embeds.js -> HTML que los scripts de cada red convierten en el
+// embed (y que sin JavaScript queda como enlace)
+function renderEmbed(embed, caption) {
+  const url = escapeHtml(embed.url);
+  const link = `<a href="${url}" rel="noopener">${url}</a>`;
+
+  switch (embed.provider) {
+    case 'youtube':
+      return figure(
+        `<iframe src="https://www.youtube-nocookie.com/embed/${escapeHtml(embed.id)}" title="${escapeHtml(htmlToText(caption) || 'Video de YouTube')}"`
+          + ' loading="lazy" allow="accelerometer; encrypted-media; picture-in-picture" allowfullscreen></iframe>',
+        caption,
+        'embed embed-youtube'
+      );
+    case 'twitter':
+      return figure(`<blockquote class="twitter-tweet">${link}</blockquote>`, caption, 'embed embed-twitter');
+    case 'instagram':
+      return figure(`<blockquote class="instagram-media" data-instgrm-permalink="${url}">${link}</blockquote>`, caption, 'embed embed-instagram');
+    default:
+      return figure(`<div class="fb-post" data-href="${url}">${link}</div>`, caption, `embed embed-${embed.provider}`);
+  }
+}
+
+function renderList(block) {
+  const items = lines(block.content);
+  if (items.length === 0) return '';
+
+  const ordered = items.every(item => LIST_NUMBER.test(item));
+  const marker = ordered ? LIST_NUMBER : LIST_BULLET;
+  const tag = ordered ? 'ol' : 'ul';
+
+  return `<${tag}>${items.map(item => `<li>${inlineHtml(item.replace(marker, ''))}</li>`).join('')}</${tag}>`;
+}
+
+function galleryImages(block) {
+  const images = lines(block.content).map(line => {
+    const [url, ...caption] = line.split('|');
+    return { url: safeUrl(url), caption: caption.join('|').trim() };
+  });
+
+  const cover = safeUrl(block.media_url);
+  if (cover && !images.some(image => image.url === cover)) {
+    images.unshift({ url: cover, caption: '' });
+  }
+  return images.filter(image => image.url);
+}
+
+function renderGallery(block) {
+  const items = galleryImages(block)
+    .map(image => `<li>${figure(`<img src="${escapeHtml(image.url)}" alt="${escapeHtml(block.alt_text || htmlToText(image.caption))}" loading="lazy" />`, image.caption)}</li>`);
+
+  return items.length > 0 ? `<ul class="gallery">${items.join('')}</ul>` : '';
+}
+
+function renderText(block) {
+  const content = block.content || '';
+  const mediaUrl = safeUrl(block.media_url);
+
+  if (content) return `<p>${inlineHtml(content)}</p>`;
+  if (mediaUrl) return `<p><a href="${escapeHtml(mediaUrl)}">${escapeHtml(mediaUrl)}</a></p>`;
+  return '';
+}
+
+// ----- Reglas por tipo -----
+
+// html: perfil de lib/sanitize.js con el que se guarda y se muestra content
+const text = { type: 'string', nullable: true, trim: false, html: 'inline' };
+const requiredText = { ...text, required: true };
+const url = { type: 'url', required: true, max: 2000 };
+
+function providerUrl(provider) {
+  return {
+    ...url,
+    check: value => (parseEmbedUrl(value, provider) ? null : `No es una URL de ${PROVIDER_NAMES[provider]} válida`)
+  };
+}
+
+function providerBlock(provider) {
+  return {
+    fields: { media_url: providerUrl(provider) },
+    render: block => {
+      const embed = parseEmbedUrl(block.media_url, provider);
+      return embed ? renderEmbed(embed, block.content) : renderText({ content: block.content });
+    }
+  };
+}
+
+const BLOCK_REGISTRY = {
+  paragraph: {
+    fields: { content: requiredText },
+    render: renderText
+  },
+  heading: {
+    fields: { content: { type: 'string', required: true, max: 300, html: 'inline' } },
+    render: block => (block.content && block.content.trim() ? `<h2>${inlineHtml(block.content.trim())}</h2>` : '')
+  },
+  image: {
+    fields: {
+      media_url: { type: 'string', required: true, max: 2000 },
+      alt_text: { type: 'string', required: true, max: 500 }
+    },
+    render: block => {
+      const mediaUrl = safeUrl(block.media_url);
+      if (!mediaUrl) return '';
+      return figure(`<img src="${escapeHtml(mediaUrl)}" alt="${escapeHtml(block.alt_text || '')}" />`, block.content);
+    }
+  },
+  quote: {
+    fields: { content: requiredText },
+    render: block => {
+      if (!block.content) return '';
+      return `<blockquote><p>${inlineHtml(block.content)}</p>`
+        + (block.alt_text ? `<cite>${escapeHtml(block.alt_text)}</cite>` : '')
+        + '</blockquote>';
+    }
+  },
+  list: {
+    fields: { content: requiredText },
+    render: renderList
+  },
+  embed: {
+    fields: { media_url: url },
+    render: block => {
+      const embed = parseEmbedUrl(block.media_url);
+      if (embed) return renderEmbed(embed, block.content);
+      const mediaUrl = safeUrl(block.media_url);
+      return mediaUrl ? linkFigure(mediaUrl, block.content) : renderText({ content: block.content });
+    }
+  },
+  gallery: {
+    fields: {
+      content: {
+        ...requiredText,
+        html: 'text',
+        check: value => (galleryImages({ content: value }).length > 0 ? null : 'Debe tener al menos una URL de imagen por línea')
+      }
+    },
+    render: renderGallery
+  },
+  video: {
+    fields: { media_url: url },
+    render: block => {
+      const embed = parseEmbedUrl(block.media_url);
+      if (embed) return renderEmbed(embed, block.content);
+      const mediaUrl = safeUrl(block.media_url);
+      if (mediaUrl && VIDEO_FILE.test(mediaUrl)) {
+        return figure(`<video controls preload="metadata" src="${escapeHtml(mediaUrl)}"></video>`, block.content);
+      }
+      return mediaUrl ? linkFigure(mediaUrl, block.content) : '';
+    }
+  },
+  ...Object.fromEntries(EMBED_PROVIDERS.map(provider => [provider, providerBlock(provider)]))
+};
+
+// Tipos de bloque que acepta la API (news_blocks.type)
+const BLOCK_TYPES = Object.keys(BLOCK_REGISTRY);
+
+// Tipos cuyo media_url puede ser un embed (se normaliza al guardar y se describe al leer)
+const EMBED_TYPES = ['embed', 'video', ...EMBED_PROVIDERS];
+
+// Bloque validado -> fila de news_blocks. Las URLs de YouTube, X, Facebook e Instagram
+// se guardan en su forma canónica.
+function normalizeBlock(block) {
+  const row = {
+    type: block.type,
+    content: block.content,
+    media_url: block.media_url,
+    alt_text: block.alt_text
+  };
+
+  if (EMBED_TYPES.includes(block.type)) {
+    const embed = parseEmbedUrl(block.media_url, EMBED_PROVIDERS.includes(block.type) ? block.type : null);
+    if (embed) row.media_url = embed.url;
+  }
+  return row;
+}
+
+// Bloque para la API: los tipos embebibles traen embed { provider, id, url } (o null)
+function describeBlock(block) {
+  if (!EMBED_TYPES.includes(block.type)) return block;
+  return { ...block, embed: parseEmbedUrl(block.media_url, EMBED_PROVIDERS.includes(block.type) ? block.type : null) };
+}
+
+// Video de un bloque para el JSON-LD (VideoObject): YouTube por su id, o el archivo de un
+// bloque video; null si el bloque no es un video
+function blockVideo(block) {
+  if (!EMBED_TYPES.includes(block.type)) return null;
+
+  const embed = parseEmbedUrl(block.media_url, block.type === 'youtube' ? 'youtube' : null);
+  if (embed && embed.provider === 'youtube') {
+    return {
+      url: embed.url,
+      embedUrl: `https://www.youtube.com/embed/${embed.id}`,
+      thumbnailUrl: `https://i.ytimg.com/vi/${embed.id}/hqdefault.jpg`
+    };
+  }
+
+  const mediaUrl = block.type === 'video' ? safeUrl(block.media_url) : null;
+  return mediaUrl && VIDEO_FILE.test(mediaUrl) ? { url: mediaUrl, contentUrl: mediaUrl, thumbnailUrl: null } : null;
+}
+
+function renderBlock(block) {
+  const definition = BLOCK_REGISTRY[block.type];
+  return definition ? definition.render(block) : renderText(block);
+}
+
+function renderBlocks(blocks = []) {
+  return [...blocks]
+    .filter(block => block && typeof block === 'object')
+    .sort((a, b) => (a.position || 0) - (b.position || 0))
+    .map(block => {
+      try {
+        return renderBlock(block);
+      } catch (err) {
+        return '';
+      }
+    })
+    .filter(Boolean)
+    .join('\n');
+}
+
+module.exports = {
+  BLOCK_REGISTRY,
+  BLOCK_TYPES,
+  normalizeBlock,
+  describeBlock,
+  blockVideo,
+  renderBlocks
+};
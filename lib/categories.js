@@ -0,0 +1,105 @@
+// lib/categories.js - Árbol de categorías (parent_id) en memoria
+//
+// Las categorías son pocas (un menú), así que se cargan todas y el árbol se arma aquí:
+// hijos ordenados por position y nombre, migas de pan y detección de ciclos.
+
+function byPosition(a, b) {
+  return (a.position ?? 0) - (b.position ?? 0) || String(a.name).localeCompare(String(b.name));
+}
+
+// [{ id, parent_id, ... }] -> raíces con children anidados. Un parent_id que no existe
+// (fila huérfana) deja a la categoría como raíz para que no desaparezca del menú.
+function buildTree(categories) {
+  const nodes = new Map(categories.map(cat => [cat.id, { ...cat, children: [] }]));
+  const roots = [];
+
+  for (const node of nodes.values()) {
+    const parent = node.parent_id !== null ? nodes.get(node.parent_id) : null;
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  }
+
+  const sortDeep = list => {
+    list.sort(byPosition);
+    for (const node of list) sortDeep(node.children);
+    return list;
+  };
+  return sortDeep(roots);
+}
+
+// Cadena raíz -> categoría. Se corta si encuentra un ciclo ya guardado en la base.
+function getAncestors(categories, categoryId) {
+  const byId = new Map(categories.map(cat => [cat.id, cat]));
+  const chain = [];
+  const seen = new Set();
+
+  let current = byId.get(categoryId);
+  while (current && !seen.has(current.id)) {
+    seen.add(current.id);
+    chain.unshift(current);
+    current = current.parent_id !== null ? byId.get(current.parent_id) : null;
+  }
+  return chain;
+}
+
+// true si poner a categoryId bajo parentId forma un ciclo (parentId es ella misma o un descendiente)
+function createsCycle(categories, categoryId, parentId) {
+  if (parentId === null || parentId === undefined) return false;
+
+  const parentOf = new Map(categories.map(cat => [cat.id, cat.parent_id]));
+  const seen = new Set();
+
+  let current = parentId;
+  while (current !== null && current !== undefined && !seen.has(current)) {
+    if (current === categoryId) return true;
+    seen.add(current);
+    current = parentOf.get(current);
+  }
+  return false;
+}
+
+// Aplica los cambios { id, parent_id, position } sobre la lista actual y revisa que el
+// resultado siga siendo un árbol. Devuelve { categories, errors } con errores por item.
+function applyMoves(categories, moves) {
+  const errors = [];
+  const byId = new Map(categories.map(cat => [cat.id, { ...cat }]));
+  const ids = new Set();
+
+  moves.forEach((move, i) => {
+    if (ids.has(move.id)) {
+      errors.push({ field: `items[${i}].id`, location: 'body', message: 'La categoría aparece más de una vez' });
+    } else if (!byId.has(move.id)) {
+      errors.push({ field: `items[${i}].id`, location: 'body', message: 'La categoría no existe' });
+    } else if (move.parent_id !== undefined && move.parent_id !== null && !byId.has(move.parent_id)) {
+      errors.push({ field: `items[${i}].parent_id`, location: 'body', message: 'parent_id no existe' });
+    }
+    ids.add(move.id);
+  });
+  if (errors.length > 0) return { categories: null, errors };
+
+  for (const move of moves) {
+    const cat = byId.get(move.id);
+    if (move.parent_id !== undefined) cat.parent_id = move.parent_id;
+    if (move.position !== undefined) cat.position = move.position;
+  }
+
+  const result = [...byId.values()];
+  moves.forEach((move, i) => {
+    const cat = byId.get(move.id);
+    if (createsCycle(result, cat.id, cat.parent_id)) {
+      errors.push({ field: `items[${i}].parent_id`, location: 'body', message: 'El movimiento crea un ciclo en el árbol' });
+    }
+  });
+
+  return errors.length > 0 ? { categories: null, errors } : { categories: result, errors };
+}
+
+module.exports = {
+  buildTree,
+  getAncestors,
+  createsCycle,
+  applyMoves
+};
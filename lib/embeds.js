@@ -0,0 +1,149 @@
+// lib/embeds.js - URLs de YouTube, X/Twitter, Facebook e Instagram a su id de embed
+//
+// Los editores pegan lo que copian del navegador o de la app (youtu.be, m.youtube.com/shorts,
+// x.com con ?s=20, instagram.com/reel/...). Aquí se reconoce el proveedor y el id solo con la
+// URL, sin llamadas de red, y se arma una URL canónica estable (sin parámetros de rastreo):
+//   parseEmbedUrl(url) -> { provider, id, url } o null si no es un contenido embebible conocido
+//   isEmbedFrameUrl(src) -> true si un <iframe> pegado apunta al reproductor oficial de una red
+
+const YOUTUBE_ID = /^[A-Za-z0-9_-]{11}$/;
+const NUMERIC_ID = /^\d{1,25}$/;
+const SHORT_CODE = /^[A-Za-z0-9_-]{5,40}$/;
+const TWITTER_USER = /^[A-Za-z0-9_]{1,15}$/;
+
+function parseUrl(text) {
+  if (typeof text !== 'string') return null;
+  try {
+    const url = new URL(text.trim());
+    return ['http:', 'https:'].includes(url.protocol) ? url : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// "www.m.youtube.com" -> "youtube.com"
+function hostOf(url) {
+  return url.hostname.toLowerCase().replace(/^(?:(?:www|m|mobile|web)\.)+/, '');
+}
+
+function segments(url) {
+  return url.pathname.split('/').filter(Boolean);
+}
+
+function youtube(url) {
+  const host = hostOf(url);
+  const parts = segments(url);
+  let id = null;
+
+  if (host === 'youtu.be') {
+    id = parts[0];
+  } else if (['youtube.com', 'youtube-nocookie.com', 'music.youtube.com'].includes(host)) {
+    if (parts[0] === 'watch') {
+      id = url.searchParams.get('v');
+    } else if (['embed', 'shorts', 'live', 'v'].includes(parts[0])) {
+      id = parts[1];
+    }
+  }
+
+  if (!id || !YOUTUBE_ID.test(id)) return null;
+  return { provider: 'youtube', id, url: `https://www.youtube.com/watch?v=${id}` };
+}
+
+function twitter(url) {
+  if (!['twitter.com', 'x.com'].includes(hostOf(url))) return null;
+
+  // /usuario/status/123, /i/status/123, /i/web/status/123
+  const parts = segments(url);
+  const index = parts.findIndex(part => part === 'status' || part === 'statuses');
+  const id = index >= 0 ? parts[index + 1] : null;
+  if (!id || !NUMERIC_ID.test(id)) return null;
+
+  const user = index === 1 && TWITTER_USER.test(parts[0]) && parts[0] !== 'i' ? parts[0] : 'i';
+  return { provider: 'twitter', id, url: `https://twitter.com/${user}/status/${id}` };
+}
+
+function facebook(url) {
+  const host = hostOf(url);
+  if (host === 'fb.watch') {
+    // Enlace corto: el id real solo se conoce siguiendo la redirección
+    const [code] = segments(url);
+    return code && SHORT_CODE.test(code) ? { provider: 'facebook', id: code, url: `https://fb.watch/${code}/` } : null;
+  }
+  if (host !== 'facebook.com') return null;
+
+  const parts = segments(url);
+
+  // /watch/?v=123 y /reel/123
+  if (parts[0] === 'watch' && NUMERIC_ID.test(url.searchParams.get('v') || '')) {
+    const id = url.searchParams.get('v');
+    return { provider: 'facebook', id, url: `https://www.facebook.com/watch/?v=${id}` };
+  }
+  if (parts[0] === 'reel' && NUMERIC_ID.test(parts[1] || '')) {
+    return { provider: 'facebook', id: parts[1], url: `https://www.facebook.com/reel/${parts[1]}` };
+  }
+
+  // /permalink.php?story_fbid=123&id=456 y /story.php?...
+  if (['permalink.php', 'story.php'].includes(parts[0])) {
+    const story = url.searchParams.get('story_fbid');
+    const owner = url.searchParams.get('id');
+    if (!story || !owner || !/^[A-Za-z0-9]+$/.test(story) || !NUMERIC_ID.test(owner)) return null;
+    return { provider: 'facebook', id: story, url: `https://www.facebook.com/permalink.php?story_fbid=${story}&id=${owner}` };
+  }
+
+  // /pagina/posts/123, /pagina/videos/123 (también con el título antes del id)
+  const index = parts.findIndex(part => ['posts', 'videos'].includes(part));
+  if (index === 1) {
+    const id = parts.slice(index + 1).find(part => /^(?:pfbid)?[A-Za-z0-9]+$/.test(part) && /\d/.test(part));
+    if (!id) return null;
+    return { provider: 'facebook', id, url: `https://www.facebook.com/${parts[0]}/${parts[index]}/${id}` };
+  }
+
+  return null;
+}
+
+function instagram(url) {
+  if (hostOf(url) !== 'instagram.com') return null;
+
+  // /p/CODE, /reel/CODE, /tv/CODE (o /usuario/p/CODE)
+  const parts = segments(url);
+  const index = parts.findIndex(part => ['p', 'reel', 'reels', 'tv'].includes(part));
+  const code = index >= 0 ? parts[index + 1] : null;
+  if (!code || !SHORT_CODE.test(code)) return null;
+
+  const kind = parts[index] === 'reels' ? 'reel' : parts[index];
+  return { provider: 'instagram', id: code, url: `https://www.instagram.com/${kind}/${code}/` };
+}
+
+// Reproductores que se aceptan como <iframe> en el HTML de los editores (lib/sanitize.js)
+const EMBED_FRAME_URLS = [
+  /^https:\/\/(?:www\.)?youtube(?:-nocookie)?\.com\/embed\/[A-Za-z0-9_-]{11}(?:[?#]|$)/,
+  /^https:\/\/(?:www\.)?facebook\.com\/plugins\/(?:post|video)\.php\?/,
+  /^https:\/\/(?:www\.)?instagram\.com\/(?:p|reel|tv)\/[A-Za-z0-9_-]{5,40}\/embed\/?(?:[?#]|$)/,
+  /^https:\/\/platform\.twitter\.com\/embed\/Tweet\.html\?/
+];
+
+const PROVIDERS = { youtube, twitter, facebook, instagram };
+const EMBED_PROVIDERS = Object.keys(PROVIDERS);
+
+// provider opcional: solo acepta URLs de ese proveedor
+function parseEmbedUrl(text, provider = null) {
+  const url = parseUrl(text);
+  if (!url) return null;
+
+  const parsers = provider ? [PROVIDERS[provider]].filter(Boolean) : Object.values(PROVIDERS);
+  for (const parse of parsers) {
+    const embed = parse(url);
+    if (embed) return embed;
+  }
+  return null;
+}
+
+function isEmbedFrameUrl(src) {
+  return typeof src === 'string' && EMBED_FRAME_URLS.some(pattern => pattern.test(src.trim()));
+}
+
+module.exports = {
+  EMBED_PROVIDERS,
+  parseEmbedUrl,
+  isEmbedFrameUrl
+};
@@ -0,0 +1,176 @@
+// lib/errors.js - Errores de aplicación con código estable y su traducción a HTTP.
+//
+// Los handlers lanzan estos errores (o dejan pasar los de la base de datos) y el
+// middleware de middleware/errorHandler.js responde siempre con el mismo sobre:
+//   { success: false, error: { code, message, details, request_id } }
+// code es estable (el frontend puede decidir por él); message es texto para mostrar.
+//
+//   400 BAD_REQUEST        petición que no se puede atender (JSON mal formado, regla de negocio)
+//   401 UNAUTHENTICATED    falta el token o no es válido
+//   403 FORBIDDEN          el rol no alcanza para la acción
+//   404 NOT_FOUND          el recurso o la ruta no existen
+//   409 CONFLICT           duplicados o registros que siguen referenciados
+//   422 VALIDATION_ERROR   details = [{ field, location, message }] por cada campo inválido
+//   500 INTERNAL_ERROR     cualquier otra cosa; el detalle solo queda en el log con el request_id
+
+class AppError extends Error {
+  constructor(message, { status = 500, code = 'INTERNAL_ERROR', details = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+class BadRequestError extends AppError {
+  constructor(message = 'Petición inválida', details = null) {
+    super(message, { status: 400, code: 'BAD_REQUEST', details });
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(message = 'No autenticado', details = null) {
+    super(message, { status: 401, code: 'UNAUTHENTICATED', details });
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message = 'No tienes permiso para realizar esta acción', details = null) {
+    super(message, { status: 403, code: 'FORBIDDEN', details });
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message = 'Recurso no encontrado', details = null) {
+    super(message, { status: 404, code: 'NOT_FOUND', details });
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message = 'El recurso entra en conflicto con el estado actual', details = null) {
+    super(message, { status: 409, code: 'CONFLICT', details });
+  }
+}
+
+// details: [{ field, location, message }] como los devuelve lib/validation.js
+class ValidationError extends AppError {
+  constructor(details = [], message = 'Datos inválidos') {
+    super(message, { status: 422, code: 'VALIDATION_ERROR', details });
+  }
+
+  // Error de un solo campo del body (reglas que dependen de la base: parent_id no existe, etc.)
+  static field(field, message, location = 'body') {
+    return new ValidationError([{ field, location, message }]);
+  }
+}
+
+const ERRORS_BY_STATUS = {
+  400: BadRequestError,
+  401: UnauthorizedError,
+  403: ForbiddenError,
+  404: NotFoundError,
+  409: ConflictError
+};
+
+// Para módulos que devuelven { status, error } (lib/workflow.js)
+function errorFromStatus(status, message) {
+  const ErrorClass = ERRORS_BY_STATUS[status];
+  return ErrorClass ? new ErrorClass(message) : new AppError(message, { status });
+}
+
+// Códigos de Postgres (Supabase) y MySQL que no son fallas del servidor sino del dato
+const DATABASE_ERRORS = {
+  // Registro duplicado (índice UNIQUE)
+  23505: 'duplicate',
+  ER_DUP_ENTRY: 'duplicate',
+  // Llave foránea: el registro apunta a algo que no existe o sigue referenciado
+  23503: 'reference',
+  ER_NO_REFERENCED_ROW: 'reference',
+  ER_NO_REFERENCED_ROW_2: 'reference',
+  ER_ROW_IS_REFERENCED: 'reference',
+  ER_ROW_IS_REFERENCED_2: 'reference',
+  // Columna obligatoria vacía / valor con formato o tamaño inválido
+  23502: 'invalid',
+  '22P02': 'invalid',
+  22001: 'invalid',
+  ER_BAD_NULL_ERROR: 'invalid',
+  ER_DATA_TOO_LONG: 'invalid',
+  ER_TRUNCATED_WRONG_VALUE: 'invalid',
+  ER_TRUNCATED_WRONG_VALUE_FOR_FIELD: 'invalid',
+  // PostgREST: .single() sin filas
+  PGRST116: 'not_found'
+};
+
+// Nombre de la restricción sin exponer el mensaje crudo de la base
+function constraintName(error) {
+  const text = `${error.message || ''} ${error.sqlMessage || ''}`;
+  const match = text.match(/constraint "([^"]+)"/) || text.match(/for key '([^']+)'/);
+  return match ? match[1] : null;
+}
+
+// Traduce errores de Supabase/Postgres/MySQL a AppError; devuelve null si no es uno conocido
+function fromDatabaseError(error) {
+  const kind = error && DATABASE_ERRORS[error.code];
+  if (!kind) return null;
+
+  const constraint = constraintName(error);
+  const details = constraint ? { constraint } : null;
+
+  switch (kind) {
+    case 'duplicate':
+      return new ConflictError('Ya existe un registro con esos datos', details);
+    case 'reference':
+      return new ConflictError('La operación no respeta las relaciones entre registros', details);
+    case 'invalid':
+      return new AppError('Algún valor no tiene el formato o tamaño esperado', { status: 422, code: 'VALIDATION_ERROR', details });
+    default:
+      return new NotFoundError();
+  }
+}
+
+const UPLOAD_MESSAGES = {
+  LIMIT_FILE_SIZE: 'El archivo supera el tamaño máximo permitido',
+  LIMIT_FILE_COUNT: 'Se enviaron demasiados archivos',
+  LIMIT_UNEXPECTED_FILE: 'Campo de archivo inesperado'
+};
+
+// Cualquier error -> AppError listo para responder. Lo desconocido es un 500 sin detalles internos.
+function toAppError(error) {
+  if (error instanceof AppError) return error;
+
+  const fromDatabase = fromDatabaseError(error);
+  if (fromDatabase) return fromDatabase;
+
+  // JSON mal formado en el body (express.json)
+  if (error && error.type === 'entity.parse.failed') {
+    return new BadRequestError('El cuerpo de la petición no es JSON válido');
+  }
+  if (error && error.type === 'entity.too.large') {
+    return new AppError('El cuerpo de la petición es demasiado grande', { status: 413, code: 'PAYLOAD_TOO_LARGE' });
+  }
+
+  // Límites de multer (tamaño, cantidad o campo de archivo inesperado)
+  if (error && error.name === 'MulterError') {
+    return new ValidationError([{
+      field: error.field || 'file',
+      location: 'body',
+      message: UPLOAD_MESSAGES[error.code] || 'Archivo inválido'
+    }]);
+  }
+
+  return new AppError('Error interno del servidor');
+}
+
+module.exports = {
+  AppError,
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  ValidationError,
+  errorFromStatus,
+  fromDatabaseError,
+  toAppError
+};
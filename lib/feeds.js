@@ -0,0 +1,134 @@
+// lib/feeds.js - Feeds RSS 2.0 y Atom a partir de noticias publicadas
+
+const { escapeHtml } = require('./html');
+const { renderBlocks } = require('./blocks');
+const { sanitizeHtml, htmlToText } = require('./sanitize');
+const { coverImage } = require('./images');
+const { SITE_NAME, ensureAbsoluteUrl, buildArticleUrl } = require('./site');
+
+const FEED_SIZE = 30;
+
+// escapeHtml produce entidades válidas también en XML (&amp; &lt; &gt; &quot; &#039;)
+const escapeXml = escapeHtml;
+
+function cdata(text) {
+  return `<![CDATA[${String(text || '').replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+function imageMimeType(url) {
+  const ext = (String(url).split('?')[0].match(/\.([a-z0-9]+)$/i) || [])[1];
+  switch ((ext || '').toLowerCase()) {
+    case 'png': return 'image/png';
+    case 'webp': return 'image/webp';
+    case 'gif': return 'image/gif';
+    default: return 'image/jpeg';
+  }
+}
+
+function toDate(value) {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date.getTime()) ? date : null;
+}
+
+// Fila de news con relaciones (authors, categories, news_images, news_blocks, news_tags) -> item de feed
+function toFeedItem(row) {
+  const cover = coverImage(row.news_images || []);
+  const tags = (row.news_tags || []).map(t => t.tags).filter(Boolean);
+  const bodyHtml = renderBlocks(row.news_blocks || []);
+
+  return {
+    id: row.id,
+    title: row.title || '',
+    link: buildArticleUrl(row.canonical_slug, row.categories?.slug),
+    summary: htmlToText(row.summary),
+    contentHtml: bodyHtml || (row.summary ? `<p>${sanitizeHtml(row.summary, 'inline').html}</p>` : ''),
+    published: toDate(row.published_at) || toDate(row.created_at) || new Date(),
+    updated: toDate(row.updated_at) || toDate(row.published_at) || toDate(row.created_at) || new Date(),
+    author: row.authors?.name || SITE_NAME,
+    categories: [row.categories?.name, ...tags.map(t => t.name)].filter(Boolean),
+    enclosure: cover && cover.url
+      ? { url: ensureAbsoluteUrl(cover.url), type: imageMimeType(cover.url) }
+      : null
+  };
+}
+
+// Fecha más reciente del feed (para Last-Modified)
+function getLastModified(items) {
+  if (items.length === 0) return null;
+  return new Date(Math.max(...items.map(i => i.updated.getTime())));
+}
+
+function buildRss({ title, description, link, selfUrl, items }) {
+  const lastBuild = getLastModified(items) || new Date();
+
+  const itemsXml = items.map(item => [
+    '    <item>',
+    `      <title>${escapeXml(item.title)}</title>`,
+    `      <link>${escapeXml(item.link)}</link>`,
+    `      <guid isPermaLink="true">${escapeXml(item.link)}</guid>`,
+    `      <pubDate>${item.published.toUTCString()}</pubDate>`,
+    `      <dc:creator>${escapeXml(item.author)}</dc:creator>`,
+    ...item.categories.map(c => `      <category>${escapeXml(c)}</category>`),
+    `      <description>${escapeXml(item.summary)}</description>`,
+    `      <content:encoded>${cdata(item.contentHtml)}</content:encoded>`,
+    item.enclosure
+      ? `      <enclosure url="${escapeXml(item.enclosure.url)}" type="${item.enclosure.type}" length="0" />`
+      : null,
+    '    </item>'
+  ].filter(Boolean).join('\n')).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escapeXml(title)}</title>
+    <link>${escapeXml(link)}</link>
+    <description>${escapeXml(description)}</description>
+    <language>es-MX</language>
+    <lastBuildDate>${lastBuild.toUTCString()}</lastBuildDate>
+    <atom:link href="${escapeXml(selfUrl)}" rel="self" type="application/rss+xml" />
+${itemsXml}
+  </channel>
+</rss>
+`;
+}
+
+function buildAtom({ title, description, link, selfUrl, items }) {
+  const updated = getLastModified(items) || new Date();
+
+  const entriesXml = items.map(item => [
+    '  <entry>',
+    `    <id>${escapeXml(item.link)}</id>`,
+    `    <title>${escapeXml(item.title)}</title>`,
+    `    <link rel="alternate" type="text/html" href="${escapeXml(item.link)}" />`,
+    item.enclosure
+      ? `    <link rel="enclosure" type="${item.enclosure.type}" href="${escapeXml(item.enclosure.url)}" />`
+      : null,
+    `    <published>${item.published.toISOString()}</published>`,
+    `    <updated>${item.updated.toISOString()}</updated>`,
+    `    <author><name>${escapeXml(item.author)}</name></author>`,
+    ...item.categories.map(c => `    <category term="${escapeXml(c)}" />`),
+    `    <summary>${escapeXml(item.summary)}</summary>`,
+    `    <content type="html">${escapeXml(item.contentHtml)}</content>`,
+    '  </entry>'
+  ].filter(Boolean).join('\n')).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="es-MX">
+  <id>${escapeXml(selfUrl)}</id>
+  <title>${escapeXml(title)}</title>
+  <subtitle>${escapeXml(description)}</subtitle>
+  <updated>${updated.toISOString()}</updated>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(selfUrl)}" />
+  <link rel="alternate" type="text/html" href="${escapeXml(link)}" />
+${entriesXml}
+</feed>
+`;
+}
+
+module.exports = {
+  FEED_SIZE,
+  toFeedItem,
+  getLastModified,
+  buildRss,
+  buildAtom
+};
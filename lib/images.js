@@ -0,0 +1,30 @@
+// lib/images.js - Portada y orden de las imágenes de una noticia (news_images)
+//
+// La portada (imagen social, image_url de los listados, enclosure de los feeds) es la marcada con
+// is_cover; si ninguna lo está, la primera por position.
+
+function byPosition(a, b) {
+  return (a.position || 0) - (b.position || 0);
+}
+
+// is_cover llega como true/false (Supabase, memoria) o 1/0 (MySQL)
+function isCover(image) {
+  return Boolean(Number(image.is_cover));
+}
+
+// Imágenes en orden de position con la portada primero
+function withCoverFirst(images = []) {
+  const sorted = images.filter(image => image && image.url).sort(byPosition);
+  const index = sorted.findIndex(isCover);
+  if (index > 0) sorted.unshift(...sorted.splice(index, 1));
+  return sorted;
+}
+
+function coverImage(images = []) {
+  return withCoverFirst(images)[0] || null;
+}
+
+module.exports = {
+  withCoverFirst,
+  coverImage
+};
@@ -0,0 +1,176 @@
+// lib/jsonld.js - Datos estructurados schema.org de las páginas SSR
+//
+// Todo se arma como objetos y se serializa con JSON.stringify en jsonLdScript: títulos con
+// comillas, barras invertidas, saltos de línea o "</script>" no rompen el JSON ni la página.
+//
+// newsArticleJsonLd devuelve un @graph con el artículo y su BreadcrumbList (categoría y subcategorías).
+// El tipo del artículo sale de news.article_type:
+//   news   NewsArticle; los videos de YouTube o archivos de video del cuerpo van en video (VideoObject)
+//   live   LiveBlogPosting (cobertura en vivo): cada heading del cuerpo abre una actualización
+//   video  VideoObject del primer video del cuerpo (nota de video); sin video se publica como NewsArticle
+
+const { SITE_NAME, SITE_URL, DEFAULT_SOCIAL_IMAGE, ensureAbsoluteUrl, buildCategoryUrl, buildAuthorUrl } = require('./site');
+const { blockVideo } = require('./blocks');
+const { htmlToText } = require('./sanitize');
+const { withCoverFirst } = require('./images');
+
+// news.article_type
+const ARTICLE_TYPES = ['news', 'live', 'video'];
+
+const PUBLISHER = {
+  '@type': 'NewsMediaOrganization',
+  '@id': `${SITE_URL}/#organization`,
+  name: SITE_NAME,
+  url: SITE_URL,
+  logo: { '@type': 'ImageObject', url: DEFAULT_SOCIAL_IMAGE }
+};
+
+// JSON dentro de <script type="application/ld+json">: "<" escapado para que un texto con
+// </script> no cierre la etiqueta
+function jsonLdScript(data) {
+  return `<script type="application/ld+json">
+  ${JSON.stringify(data, null, 2).replace(/</g, '\\u003c').replace(/\n/g, '\n  ')}
+  </script>`;
+}
+
+// Valor de fecha de la base (string o Date) a ISO 8601; null si no es una fecha
+function isoDate(value) {
+  if (!value) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+// ancestors: categorías de la raíz a la actual (lib/categories getAncestors); last: elemento
+// final opcional (el artículo) { name, url }
+function breadcrumbJsonLd(ancestors, last = null) {
+  const items = ancestors.map(category => ({ name: category.name, url: buildCategoryUrl(category.slug) }));
+  if (last) items.push(last);
+
+  return {
+    '@type': 'BreadcrumbList',
+    itemListElement: items.map((item, i) => ({
+      '@type': 'ListItem',
+      position: i + 1,
+      name: item.name,
+      item: item.url
+    }))
+  };
+}
+
+function videoJsonLd(block, video, { name, description, uploadDate, thumbnailUrl }) {
+  return {
+    '@type': 'VideoObject',
+    name: htmlToText(block.content) || name,
+    description: description || name,
+    thumbnailUrl: video.thumbnailUrl || thumbnailUrl,
+    uploadDate,
+    ...(video.embedUrl && { embedUrl: video.embedUrl }),
+    ...(video.contentUrl && { contentUrl: video.contentUrl }),
+    url: video.url
+  };
+}
+
+// Actualizaciones de una cobertura en vivo: cada heading y los bloques de texto que le siguen
+function liveBlogUpdates(blocks, url) {
+  const updates = [];
+  for (const block of blocks) {
+    if (block.type === 'heading') {
+      updates.push({ headline: htmlToText(block.content), body: [] });
+    } else if (updates.length > 0 && ['paragraph', 'quote', 'list'].includes(block.type)) {
+      updates[updates.length - 1].body.push(htmlToText(block.content));
+    }
+  }
+
+  return updates.map((update, i) => ({
+    '@type': 'BlogPosting',
+    '@id': `${url}#update-${i + 1}`,
+    headline: update.headline,
+    ...(update.body.length > 0 && { articleBody: update.body.join(' ') })
+  }));
+}
+
+// news: fila con author_name, author_slug y category_name; options:
+//   url        URL canónica del artículo
+//   images     news_images (todas; la portada va primero)
+//   tags       [{ name }] para keywords
+//   ancestors  cadena de categorías para el BreadcrumbList
+//   blocks     news_blocks (videos y actualizaciones en vivo)
+function newsArticleJsonLd(news, { url, images = [], tags = [], ancestors = [], blocks = [] } = {}) {
+  const headline = news.title || SITE_NAME;
+  const description = htmlToText(news.summary);
+  const datePublished = isoDate(news.published_at) || isoDate(news.created_at);
+  const dateModified = isoDate(news.updated_at) || datePublished;
+
+  const imageUrls = withCoverFirst(images).map(image => ensureAbsoluteUrl(image.url));
+  const image = imageUrls.length > 0 ? imageUrls : [DEFAULT_SOCIAL_IMAGE];
+
+  const sortedBlocks = [...blocks].sort((a, b) => (a.position || 0) - (b.position || 0));
+  const videos = sortedBlocks
+    .map(block => ({ block, video: blockVideo(block) }))
+    .filter(({ video }) => video)
+    .map(({ block, video }) => videoJsonLd(block, video, {
+      name: headline,
+      description,
+      uploadDate: datePublished,
+      thumbnailUrl: image[0]
+    }));
+
+  const author = news.author_name
+    ? {
+      '@type': 'Person',
+      name: news.author_name,
+      ...(news.author_slug && { url: buildAuthorUrl(news.author_slug) })
+    }
+    : { '@type': 'Organization', name: SITE_NAME, url: SITE_URL };
+
+  const common = {
+    '@id': `${url}#article`,
+    url,
+    mainEntityOfPage: { '@type': 'WebPage', '@id': url },
+    inLanguage: 'es-MX',
+    author,
+    publisher: PUBLISHER,
+    datePublished,
+    dateModified
+  };
+
+  let article;
+  if (news.article_type === 'video' && videos.length > 0) {
+    article = {
+      ...videos[0],
+      ...common,
+      name: headline,
+      description: description || headline,
+      uploadDate: datePublished
+    };
+  } else {
+    article = {
+      '@type': news.article_type === 'live' ? 'LiveBlogPosting' : 'NewsArticle',
+      ...common,
+      headline,
+      ...(description && { description }),
+      image,
+      ...(news.category_name && { articleSection: news.category_name }),
+      ...(tags.length > 0 && { keywords: tags.map(tag => tag.name).join(', ') }),
+      ...(videos.length > 0 && { video: videos })
+    };
+
+    if (news.article_type === 'live') {
+      const updates = liveBlogUpdates(sortedBlocks, url);
+      article.coverageStartTime = datePublished;
+      if (updates.length > 0) article.liveBlogUpdate = updates;
+    }
+  }
+
+  return {
+    '@context': 'https://schema.org',
+    '@graph': [article, breadcrumbJsonLd(ancestors, { name: headline, url })]
+  };
+}
+
+module.exports = {
+  ARTICLE_TYPES,
+  jsonLdScript,
+  breadcrumbJsonLd,
+  newsArticleJsonLd
+};
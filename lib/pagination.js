@@ -0,0 +1,143 @@
+// lib/pagination.js - Paginación por cursor (keyset) para listados
+//
+// En vez de OFFSET, cada página pide "las filas que van después (o antes) de esta otra"
+// según el mismo orden del listado. Así no se repiten ni se saltan noticias cuando se
+// publica algo nuevo entre una página y la siguiente, y las páginas profundas no se vuelven lentas.
+//
+// sort: [{ column, ascending }] y siempre termina en una columna única (id) para desempatar.
+// Las columnas que admiten NULL se ordenan con los NULL al final (como publiclyVisibleWhere:
+// una noticia sin published_at va después de todas las fechadas).
+//
+// El cursor es opaco para el cliente: base64url de { d: 'next' | 'prev', s: columnas, v: valores }.
+// Un cursor generado con otro orden (?sort= distinto) se rechaza.
+
+const MAX_PAGE_SIZE = 100;
+
+function sortKey(sort) {
+  return sort.map(({ column, ascending }) => `${ascending ? '' : '-'}${column}`).join(',');
+}
+
+function encodeCursor(direction, row, sort) {
+  const payload = { d: direction, s: sortKey(sort), v: sort.map(({ column }) => row[column] ?? null) };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+// Devuelve { direction, values } o null si el cursor no es válido para este sort
+function decodeCursor(cursor, sort) {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!['next', 'prev'].includes(payload.d) || payload.s !== sortKey(sort)) return null;
+    if (!Array.isArray(payload.v) || payload.v.length !== sort.length) return null;
+    if (payload.v.some(v => v !== null && !['string', 'number'].includes(typeof v))) return null;
+    // La última columna desempata: nunca puede ser NULL
+    if (payload.v[payload.v.length - 1] === null) return null;
+    return { direction: payload.d, values: payload.v };
+  } catch (err) {
+    return null;
+  }
+}
+
+// Mismo sort en sentido contrario (para pedir la página anterior)
+function reverseSort(sort) {
+  return sort.map(key => ({ ...key, ascending: !key.ascending }));
+}
+
+// orderBy de los repositorios: NULL al final en el sentido normal y al inicio en el invertido
+function toOrderBy(sort, reversed = false) {
+  return sort.map(({ column, ascending }) => ({
+    column,
+    ascending: reversed ? !ascending : ascending,
+    nullsFirst: reversed
+  }));
+}
+
+// where con las filas que van estrictamente después de values en el orden de sort.
+// nullsLast indica si los NULL van al final en este sentido (false al recorrer hacia atrás).
+function afterWhere(sort, values, nullsLast = true, index = 0) {
+  const { column, ascending } = sort[index];
+  const value = values[index];
+  const isLast = index === sort.length - 1;
+  const rest = isLast ? null : afterWhere(sort, values, nullsLast, index + 1);
+
+  if (value === null) {
+    // Después de un NULL: con NULL al final solo quedan otros NULL (desempatados por lo que sigue);
+    // con NULL al inicio, además, todas las filas con valor
+    // (decodeCursor garantiza que la última columna no es NULL, así que aquí siempre hay rest)
+    const groups = [{ [column]: null, ...rest }];
+    if (!nullsLast) groups.push({ [column]: { notIn: [] } });
+    return { $or: groups };
+  }
+
+  const groups = [{ [column]: { [ascending ? 'gt' : 'lt']: value } }];
+  if (rest) groups.push({ [column]: value, ...rest });
+  if (nullsLast && !isLast) groups.push({ [column]: null });
+  return { $or: groups };
+}
+
+// Filtro y orden para pedir una página: { where, orderBy, reversed }
+function keysetQuery(sort, cursor) {
+  if (!cursor) {
+    return { where: null, orderBy: toOrderBy(sort), reversed: false };
+  }
+
+  if (cursor.direction === 'prev') {
+    return {
+      where: afterWhere(reverseSort(sort), cursor.values, false),
+      orderBy: toOrderBy(sort, true),
+      reversed: true
+    };
+  }
+
+  return { where: afterWhere(sort, cursor.values), orderBy: toOrderBy(sort), reversed: false };
+}
+
+// rows: resultado de pedir limit + 1 filas con keysetQuery. Devuelve la página en el orden
+// normal y los cursores vecinos (null si no hay más filas en ese sentido).
+function buildPage(rows, { sort, limit, cursor }) {
+  const hasMore = rows.length > limit;
+  let items = rows.slice(0, limit);
+  const reversed = cursor && cursor.direction === 'prev';
+  if (reversed) items = items.reverse();
+
+  const first = items[0];
+  const last = items[items.length - 1];
+
+  // Si vinimos con un cursor, del otro lado de la página sí hay filas
+  const hasNext = reversed ? true : hasMore;
+  const hasPrev = reversed ? hasMore : Boolean(cursor);
+
+  return {
+    items,
+    nextCursor: last && hasNext ? encodeCursor('next', last, sort) : null,
+    prevCursor: first && hasPrev ? encodeCursor('prev', first, sort) : null
+  };
+}
+
+// Link (RFC 8288) con first/prev/next. basePath es la ruta sin query; query, los params
+// vigentes de la petición (se quitan cursor y offset para no mezclar ambos modos).
+function buildLinkHeader(basePath, query, { nextCursor, prevCursor }) {
+  const url = extra => {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries(query)) {
+      if (key === 'cursor' || key === 'offset' || value === undefined || value === null) continue;
+      params.set(key, Array.isArray(value) ? value.join(',') : String(value));
+    }
+    for (const [key, value] of Object.entries(extra)) params.set(key, value);
+    const search = params.toString();
+    return `${basePath}${search ? `?${search}` : ''}`;
+  };
+
+  const links = [`<${url({})}>; rel="first"`];
+  if (prevCursor) links.push(`<${url({ cursor: prevCursor })}>; rel="prev"`);
+  if (nextCursor) links.push(`<${url({ cursor: nextCursor })}>; rel="next"`);
+  return links.join(', ');
+}
+
+module.exports = {
+  MAX_PAGE_SIZE,
+  encodeCursor,
+  decodeCursor,
+  keysetQuery,
+  buildPage,
+  buildLinkHeader
+};
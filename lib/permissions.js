@@ -0,0 +1,51 @@
+// lib/permissions.js - Roles de usuario (users.role) y permisos por acción
+
+const ROLES = ['admin', 'editor', 'reporter', 'contributor'];
+
+// Permiso -> roles que lo tienen
+const PERMISSIONS = {
+  'news:create': ['admin', 'editor', 'reporter', 'contributor'],
+  'news:edit_any': ['admin', 'editor'],
+  'news:edit_own': ['reporter', 'contributor'],
+  'news:publish': ['admin', 'editor'],
+  'news:delete': ['admin', 'editor'],
+  'authors:manage': ['admin', 'editor'],
+  'tags:create': ['admin', 'editor', 'reporter'],
+  'tags:manage': ['admin', 'editor'],
+  'categories:manage': ['admin'],
+  'users:manage': ['admin']
+};
+
+function isValidRole(role) {
+  return ROLES.includes(role);
+}
+
+function can(user, permission) {
+  if (!user || !user.role) return false;
+  const roles = PERMISSIONS[permission];
+  return Array.isArray(roles) && roles.includes(user.role);
+}
+
+// ¿Puede el usuario editar esta noticia?
+// linkedAuthorIds: ids de authors cuyo user_id es el del usuario.
+// Los reporteros editan solo sus noticias; los colaboradores, además, solo mientras siguen en borrador.
+function canEditNews(user, news, linkedAuthorIds = []) {
+  if (can(user, 'news:edit_any')) return true;
+  if (!can(user, 'news:edit_own') || !news) return false;
+
+  const isOwn = news.author_id !== null
+    && news.author_id !== undefined
+    && linkedAuthorIds.includes(Number(news.author_id));
+
+  if (!isOwn) return false;
+  if (user.role === 'contributor') return !news.status || news.status === 'draft';
+  return true;
+}
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  isValidRole,
+  can,
+  canEditNews
+};
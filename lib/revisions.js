@@ -0,0 +1,161 @@
+// lib/revisions.js - Snapshots de noticias y diff entre revisiones
+
+// Campos de la fila news que se guardan en cada revisión
+const NEWS_FIELDS = [
+  'title',
+  'subtitle',
+  'summary',
+  'author_id',
+  'main_category_id',
+  'status',
+  'published_at',
+  'is_featured',
+  'canonical_slug'
+];
+
+// Campos que se restauran. status y published_at quedan fuera: se cambian con /transition.
+const RESTORABLE_FIELDS = NEWS_FIELDS.filter(f => f !== 'status' && f !== 'published_at');
+
+const BLOCK_FIELDS = ['type', 'content', 'media_url', 'alt_text'];
+const IMAGE_FIELDS = ['url', 'caption', 'alt_text', 'credit', 'position'];
+
+function pick(obj, fields) {
+  const out = {};
+  for (const f of fields) out[f] = obj && obj[f] !== undefined ? obj[f] : null;
+  return out;
+}
+
+// Arma el snapshot a partir de lo que devuelve la base
+function buildSnapshot({ news, blocks = [], tags = [], images = [] }) {
+  return {
+    news: pick(news, NEWS_FIELDS),
+    blocks: [...blocks]
+      .sort((a, b) => (a.position || 0) - (b.position || 0))
+      .map(b => pick(b, BLOCK_FIELDS)),
+    tags: tags
+      .filter(Boolean)
+      .map(t => ({ id: t.id, name: t.name, slug: t.slug }))
+      .sort((a, b) => a.id - b.id),
+    images: [...images]
+      .sort((a, b) => (a.position || 0) - (b.position || 0))
+      .map(img => ({ id: img.id, ...pick(img, IMAGE_FIELDS) }))
+  };
+}
+
+// Compara tolerando ids que llegan como "3" o 3 según el origen
+function sameValue(a, b) {
+  const x = a === undefined ? null : a;
+  const y = b === undefined ? null : b;
+  if (x === null || y === null) return x === y;
+  return String(x) === String(y);
+}
+
+function diffFields(from, to, fields) {
+  const changes = [];
+  for (const field of fields) {
+    if (!sameValue(from[field], to[field])) {
+      changes.push({ field, from: from[field], to: to[field] });
+    }
+  }
+  return changes;
+}
+
+function blockKey(block) {
+  return JSON.stringify(BLOCK_FIELDS.map(f => block[f] === undefined ? null : block[f]));
+}
+
+// Diff de bloques por subsecuencia común más larga (LCS) sobre el contenido del bloque.
+// Un bloque quitado seguido de uno agregado en la misma posición se reporta como "changed".
+function diffBlocks(fromBlocks, toBlocks) {
+  const a = fromBlocks.map(blockKey);
+  const b = toBlocks.map(blockKey);
+  const n = a.length;
+  const m = b.length;
+
+  const lcs = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < n || j < m) {
+    if (i < n && j < m && a[i] === b[j]) {
+      ops.push({ op: 'unchanged', from_index: i, to_index: j, block: toBlocks[j] });
+      i++;
+      j++;
+    } else if (j < m && (i === n || lcs[i][j + 1] >= lcs[i + 1][j])) {
+      ops.push({ op: 'added', to_index: j, block: toBlocks[j] });
+      j++;
+    } else {
+      ops.push({ op: 'removed', from_index: i, block: fromBlocks[i] });
+      i++;
+    }
+  }
+
+  // Emparejar corridas removed/added contiguas como cambios de bloque
+  const result = [];
+  for (let k = 0; k < ops.length; k++) {
+    const removed = [];
+    const added = [];
+    while (k < ops.length && (ops[k].op === 'removed' || ops[k].op === 'added')) {
+      (ops[k].op === 'removed' ? removed : added).push(ops[k]);
+      k++;
+    }
+
+    const pairs = Math.min(removed.length, added.length);
+    for (let p = 0; p < pairs; p++) {
+      result.push({
+        op: 'changed',
+        from_index: removed[p].from_index,
+        to_index: added[p].to_index,
+        from: removed[p].block,
+        to: added[p].block,
+        changes: diffFields(removed[p].block, added[p].block, BLOCK_FIELDS)
+      });
+    }
+    result.push(...removed.slice(pairs), ...added.slice(pairs));
+
+    if (k < ops.length) result.push(ops[k]);
+  }
+
+  return result;
+}
+
+function diffById(fromItems, toItems, fields) {
+  const fromMap = new Map(fromItems.map(item => [item.id, item]));
+  const toMap = new Map(toItems.map(item => [item.id, item]));
+
+  return {
+    added: toItems.filter(item => !fromMap.has(item.id)),
+    removed: fromItems.filter(item => !toMap.has(item.id)),
+    changed: toItems
+      .filter(item => fromMap.has(item.id))
+      .map(item => ({ id: item.id, changes: diffFields(fromMap.get(item.id), item, fields) }))
+      .filter(item => item.changes.length > 0)
+  };
+}
+
+// Diff completo entre dos snapshots (from = anterior, to = posterior)
+function diffSnapshots(from, to) {
+  const blocks = diffBlocks(from.blocks || [], to.blocks || []);
+  const tags = diffById(from.tags || [], to.tags || [], []);
+
+  return {
+    fields: diffFields(from.news || {}, to.news || {}, NEWS_FIELDS),
+    blocks: blocks.filter(b => b.op !== 'unchanged'),
+    tags: { added: tags.added, removed: tags.removed },
+    images: diffById(from.images || [], to.images || [], IMAGE_FIELDS),
+    unchanged_blocks: blocks.filter(b => b.op === 'unchanged').length
+  };
+}
+
+module.exports = {
+  NEWS_FIELDS,
+  RESTORABLE_FIELDS,
+  buildSnapshot,
+  diffSnapshots
+};
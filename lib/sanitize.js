@@ -0,0 +1,245 @@
+// lib/sanitize.js - Limpieza de HTML escrito por los editores (lista de permitidos)
+//
+// summary, subtitle, el content de los bloques y la descripción de las categorías pueden traer
+// HTML pegado de otros sitios; el frontend los muestra como HTML. Cada campo tiene un perfil:
+//   text     sin etiquetas (solo el texto)
+//   inline   enlaces, negritas, cursivas, <br>... (bloques de párrafo, resumen)
+//   rich     inline + párrafos, h2-h4, listas, citas y <iframe> de los reproductores de lib/embeds.js
+// Todo lo demás se quita: <script>, <style>, <iframe> de otros sitios (con su contenido),
+// atributos on*, style, class, y URLs que no sean http(s), mailto:, tel: o relativas.
+// Las etiquetas desconocidas se quitan pero su texto se conserva.
+//
+//   sanitizeHtml(html, profile) -> { html, removed } (removed: ['<script>', '<img onerror>', ...])
+//   htmlToText(html)            -> texto plano para meta tags, JSON-LD y feeds
+
+const { escapeHtml } = require('./html');
+const { isEmbedFrameUrl } = require('./embeds');
+
+const INLINE_TAGS = {
+  a: ['href', 'title', 'target', 'rel'],
+  b: [],
+  strong: [],
+  i: [],
+  em: [],
+  u: [],
+  s: [],
+  mark: [],
+  small: [],
+  sub: [],
+  sup: [],
+  code: [],
+  br: []
+};
+
+const BLOCK_TAGS = {
+  p: [],
+  h2: [],
+  h3: [],
+  h4: [],
+  ul: [],
+  ol: [],
+  li: [],
+  blockquote: [],
+  figure: [],
+  figcaption: [],
+  hr: [],
+  iframe: ['src', 'title', 'width', 'height', 'allow', 'allowfullscreen', 'loading']
+};
+
+const PROFILES = {
+  text: {},
+  inline: INLINE_TAGS,
+  rich: { ...INLINE_TAGS, ...BLOCK_TAGS }
+};
+
+const SANITIZE_PROFILES = Object.keys(PROFILES);
+
+const VOID_TAGS = ['br', 'hr'];
+
+// Se quitan junto con todo lo que tengan dentro
+const DROP_WITH_CONTENT = [
+  'script', 'style', 'iframe', 'object', 'embed', 'applet', 'noscript', 'noembed', 'noframes',
+  'template', 'textarea', 'title', 'xmp', 'svg', 'math', 'head', 'frameset', 'frame', 'select'
+];
+
+const URL_ATTRIBUTES = ['href', 'src'];
+const URL_SCHEMES = ['http', 'https', 'mailto', 'tel'];
+
+const COMMENT = /<!--[\s\S]*?(?:-->|$)/y;
+const DECLARATION = /<[!?][^>]*>?/y;
+const TAG_NAME = /<(\/?)([a-zA-Z][a-zA-Z0-9-]*)/y;
+const ATTRIBUTE = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', colon: ':', tab: '\t', newline: '\n' };
+
+function decodeEntities(text) {
+  return text.replace(/&(?:#(\d+)|#x([0-9a-f]+)|([a-z]+));?/gi, (entity, dec, hex, name) => {
+    if (dec || hex) {
+      const code = parseInt(dec || hex, dec ? 10 : 16);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '';
+    }
+    const value = NAMED_ENTITIES[name.toLowerCase()];
+    return value !== undefined ? value : entity;
+  });
+}
+
+// Índice después del ">" que cierra la etiqueta cuyos atributos empiezan en index, o -1 si la
+// entrada se acaba antes. Como en el tokenizador de HTML, las comillas solo abren un valor
+// después de "=" y un ">" entre comillas no cierra. Recorre cada carácter una vez: una regex
+// con alternativas para las comillas retrocede en tiempo cuadrático si una no se cierra.
+function findTagEnd(source, index) {
+  let i = index;
+  while (i < source.length) {
+    const char = source[i++];
+    if (char === '>') return i;
+    if (char !== '=') continue;
+
+    while (i < source.length && /\s/.test(source[i])) i++;
+    if (source[i] === '"' || source[i] === "'") {
+      const close = source.indexOf(source[i], i + 1);
+      if (close === -1) return -1;
+      i = close + 1;
+    }
+  }
+  return -1;
+}
+
+// "java&#x09;script:" y similares: el navegador ignora espacios y controles en el esquema
+function isSafeUrl(value) {
+  const scheme = decodeEntities(value).replace(/[\u0000- \u007f-\u009f]/g, '').match(/^([a-z][a-z0-9+.-]*):/i);
+  return !scheme || URL_SCHEMES.includes(scheme[1].toLowerCase());
+}
+
+function escapeText(text) {
+  return text.replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function parseAttributes(source) {
+  const attributes = [];
+  for (const match of source.matchAll(ATTRIBUTE)) {
+    const value = match[2] ?? match[3] ?? match[4];
+    attributes.push({ name: match[1].toLowerCase(), value: value === undefined ? null : decodeEntities(value) });
+  }
+  return attributes;
+}
+
+function sanitizeHtml(html, profile = 'inline') {
+  const allowed = PROFILES[profile];
+  if (!allowed) throw new Error(`Perfil de sanitización desconocido: ${profile}`);
+
+  const source = html === null || html === undefined ? '' : String(html);
+  const removed = new Set();
+  const open = [];
+  let output = '';
+  let index = 0;
+
+  while (index < source.length) {
+    const next = source.indexOf('<', index);
+    if (next === -1) {
+      output += escapeText(source.slice(index));
+      break;
+    }
+    output += escapeText(source.slice(index, next));
+    index = next;
+
+    COMMENT.lastIndex = DECLARATION.lastIndex = TAG_NAME.lastIndex = index;
+    if (source.startsWith('<!--', index) && COMMENT.exec(source)) {
+      index = COMMENT.lastIndex;
+      continue;
+    }
+    if (/^<[!?]/.test(source.slice(index, index + 2)) && DECLARATION.exec(source)) {
+      index = DECLARATION.lastIndex;
+      continue;
+    }
+
+    const tag = TAG_NAME.exec(source);
+    if (!tag) {
+      // "<" suelto (p. ej. "1 < 2"): es texto
+      output += '&lt;';
+      index += 1;
+      continue;
+    }
+
+    const end = findTagEnd(source, TAG_NAME.lastIndex);
+    if (end === -1) {
+      // Etiqueta sin cerrar hasta el final: lo que queda es texto
+      output += escapeText(source.slice(index));
+      break;
+    }
+    const attributeSource = source.slice(TAG_NAME.lastIndex, end - 1);
+    index = end;
+
+    const closing = tag[1] === '/';
+    const name = tag[2].toLowerCase();
+    const attributes = closing ? [] : parseAttributes(attributeSource);
+    const selfClosing = /\/\s*$/.test(attributeSource);
+
+    if (closing) {
+      const position = open.lastIndexOf(name);
+      if (position !== -1) {
+        output += open.splice(position).reverse().map(openName => `</${openName}>`).join('');
+      }
+      continue;
+    }
+
+    const frameAllowed = name !== 'iframe'
+      || attributes.some(attribute => attribute.name === 'src' && isEmbedFrameUrl(attribute.value));
+
+    if (!Object.hasOwn(allowed, name) || !frameAllowed) {
+      removed.add(`<${name}>`);
+      if (DROP_WITH_CONTENT.includes(name) && !selfClosing) {
+        const end = new RegExp(`</${name}\\s*>`, 'ig');
+        end.lastIndex = index;
+        index = end.exec(source) ? end.lastIndex : source.length;
+      }
+      continue;
+    }
+
+    const kept = [];
+    for (const attribute of attributes) {
+      const safe = allowed[name].includes(attribute.name)
+        && (!URL_ATTRIBUTES.includes(attribute.name) || (attribute.value !== null && isSafeUrl(attribute.value)));
+      if (safe) {
+        kept.push(attribute);
+      } else {
+        removed.add(`<${name} ${attribute.name}>`);
+      }
+    }
+
+    // Enlaces en pestaña nueva: siempre sin acceso a window.opener
+    if (name === 'a' && kept.some(attribute => attribute.name === 'target')) {
+      const rest = kept.filter(attribute => !['target', 'rel'].includes(attribute.name));
+      kept.splice(0, kept.length, ...rest, { name: 'target', value: '_blank' }, { name: 'rel', value: 'noopener noreferrer' });
+    }
+
+    const attributeHtml = kept
+      .map(attribute => (attribute.value === null ? ` ${attribute.name}` : ` ${attribute.name}="${escapeHtml(attribute.value)}"`))
+      .join('');
+
+    if (VOID_TAGS.includes(name)) {
+      output += `<${name}${attributeHtml} />`;
+    } else {
+      output += `<${name}${attributeHtml}>`;
+      if (selfClosing) {
+        output += `</${name}>`;
+      } else {
+        open.push(name);
+      }
+    }
+  }
+
+  output += open.reverse().map(name => `</${name}>`).join('');
+  return { html: output, removed: [...removed] };
+}
+
+// Los saltos de línea y los bloques se vuelven espacios ("uno<br>dos" -> "uno dos")
+function htmlToText(html) {
+  const spaced = String(html ?? '').replace(/<\/?(?:br|p|h[1-6]|li|div|blockquote)\b/gi, ' $&');
+  return decodeEntities(sanitizeHtml(spaced, 'text').html).replace(/\s+/g, ' ').trim();
+}
+
+module.exports = {
+  SANITIZE_PROFILES,
+  sanitizeHtml,
+  htmlToText
+};
@@ -0,0 +1,392 @@
+// lib/schemas.js - Esquemas de validación de cada endpoint de la API (ver lib/validation.js)
+
+const { ROLES } = require('./permissions');
+const { STATUSES } = require('./workflow');
+const { BLOCK_REGISTRY, BLOCK_TYPES } = require('./blocks');
+const { ARTICLE_TYPES } = require('./jsonld');
+
+const id = { type: 'integer', required: true, min: 1 };
+const optionalId = { type: 'integer', nullable: true, min: 1 };
+const idParams = { id };
+
+// Rutas que solo reciben :id
+const byId = { params: idParams };
+
+const pagination = {
+  limit: { type: 'integer', min: 1 },
+  offset: { type: 'integer', min: 0 }
+};
+
+// ----- Noticias -----
+
+// Campos comunes; cada tipo de lib/blocks.js exige los suyos (p. ej. youtube: media_url de YouTube)
+const block = {
+  type: 'object',
+  properties: {
+    type: { type: 'string', required: true, oneOf: BLOCK_TYPES },
+    content: { type: 'string', nullable: true, trim: false, html: 'inline' },
+    media_url: { type: 'string', nullable: true, max: 2000 },
+    alt_text: { type: 'string', nullable: true, max: 500 }
+  },
+  variants: {
+    by: 'type',
+    rules: Object.fromEntries(Object.entries(BLOCK_REGISTRY).map(([type, definition]) => [type, definition.fields]))
+  }
+};
+
+const newsFields = {
+  title: { type: 'string', min: 1, max: 500 },
+  subtitle: { type: 'string', nullable: true, max: 500, html: 'inline' },
+  summary: { type: 'string', nullable: true, html: 'inline' },
+  author_id: optionalId,
+  main_category_id: optionalId,
+  status: { type: 'string', oneOf: STATUSES },
+  published_at: { type: 'datetime', nullable: true },
+  is_featured: { type: 'boolean' },
+  article_type: { type: 'string', oneOf: ARTICLE_TYPES },
+  canonical_slug: { type: 'string', nullable: true, max: 255 },
+  tags: { type: 'array', max: 50, items: { type: 'integer', required: true, min: 1 } },
+  blocks: { type: 'array', max: 500, items: block }
+};
+
+// Orden de GET /api/news (?sort=) y campos que acepta ?fields=
+const NEWS_SORTS = ['newest', 'oldest', 'updated', 'title'];
+const NEWS_LIST_FIELDS = [
+  'id', 'title', 'subtitle', 'summary', 'author_id', 'main_category_id', 'status', 'published_at',
+  'is_featured', 'article_type', 'canonical_slug', 'created_at', 'updated_at',
+  'author_name', 'author_slug', 'category_name', 'category_slug', 'image_url'
+];
+
+const idList = { type: 'list', max: 100, items: { type: 'integer', required: true, min: 1 } };
+
+const listNews = {
+  query: {
+    ...pagination,
+    cursor: { type: 'string', max: 1000 },
+    total: { type: 'string', oneOf: ['exact', 'estimated', 'none'] },
+    status: { type: 'string', oneOf: STATUSES },
+    category_id: { type: 'integer', min: 1 },
+    category: { type: 'slug', max: 100 },
+    author_id: { type: 'integer', min: 1 },
+    author: { type: 'slug', max: 150 },
+    tag_id: { type: 'integer', min: 1 },
+    tag: { type: 'slug', max: 100 },
+    is_featured: { type: 'integer', oneOf: [0, 1] },
+    from: { type: 'datetime' },
+    to: { type: 'datetime' },
+    exclude: idList,
+    sort: { type: 'string', oneOf: NEWS_SORTS },
+    fields: { type: 'list', items: { type: 'string', required: true, oneOf: NEWS_LIST_FIELDS } }
+  }
+};
+
+// Query de listNews sin los filtros que fija la ruta (p. ej. el tag de /api/tags/:slug/news)
+function listNewsQueryWithout(...keys) {
+  return Object.fromEntries(Object.entries(listNews.query).filter(([key]) => !keys.includes(key)));
+}
+
+const getNewsBySlug = {
+  params: { slug: { type: 'string', required: true, max: 255 } }
+};
+
+const createNews = {
+  body: {
+    ...newsFields,
+    title: { ...newsFields.title, required: true }
+  }
+};
+
+const updateNews = {
+  params: idParams,
+  body: {
+    ...newsFields,
+    status_comment: { type: 'string', nullable: true, max: 2000 }
+  }
+};
+
+const transitionNews = {
+  params: idParams,
+  body: {
+    to: { type: 'string', required: true, oneOf: STATUSES },
+    comment: { type: 'string', nullable: true, max: 2000 },
+    published_at: { type: 'datetime', nullable: true }
+  }
+};
+
+const revisionRef = { type: 'string', required: true, pattern: /^(\d+|current)$/, patternMessage: 'Debe ser un id de revisión o "current"' };
+
+const diffRevisions = {
+  params: idParams,
+  query: {
+    from: revisionRef,
+    to: { ...revisionRef, required: false }
+  }
+};
+
+const revisionParams = {
+  params: { id, revId: id }
+};
+
+const searchNews = {
+  query: {
+    ...pagination,
+    q: { type: 'string', required: true, min: 2, max: 200 },
+    category_id: { type: 'integer', min: 1 },
+    author_id: { type: 'integer', min: 1 },
+    from: { type: 'datetime' },
+    to: { type: 'datetime' }
+  }
+};
+
+// ----- Imágenes -----
+
+const imageFields = {
+  caption: { type: 'string', nullable: true, max: 500 },
+  alt_text: { type: 'string', nullable: true, max: 500 },
+  credit: { type: 'string', nullable: true, max: 255 },
+  is_cover: { type: 'boolean' }
+};
+
+const imageParams = { newsId: id, imageId: id };
+
+// multipart: se valida después de multer (el :id se valida con byId antes del upload).
+// Los textos y position valen para todas las imágenes del request (position es la de la primera);
+// is_cover marca como portada la primera.
+const uploadImage = {
+  body: {
+    ...imageFields,
+    position: { type: 'integer', min: 0 }
+  }
+};
+
+const updateImage = {
+  params: imageParams,
+  body: imageFields,
+  atLeastOne: Object.keys(imageFields)
+};
+
+// Todas las imágenes de la noticia en el orden nuevo
+const reorderImages = {
+  params: idParams,
+  body: {
+    ids: { type: 'array', required: true, min: 1, max: 200, items: id }
+  }
+};
+
+const deleteImage = {
+  params: imageParams
+};
+
+// ----- Categorías -----
+
+const categoryFields = {
+  name: { type: 'string', min: 1, max: 100 },
+  slug: { type: 'slug', max: 100 },
+  parent_id: optionalId,
+  position: { type: 'integer', min: 0 },
+  description: { type: 'string', nullable: true, max: 2000, html: 'rich' }
+};
+
+const createCategory = {
+  body: {
+    ...categoryFields,
+    name: { ...categoryFields.name, required: true },
+    slug: { ...categoryFields.slug, required: true }
+  }
+};
+
+const updateCategory = {
+  params: idParams,
+  body: categoryFields,
+  atLeastOne: Object.keys(categoryFields)
+};
+
+const categoryBySlug = {
+  params: { slug: { type: 'string', required: true, max: 100 } }
+};
+
+// Editor de menú: el árbol completo (o parte) con el nuevo padre y posición de cada categoría
+const reorderCategories = {
+  body: {
+    items: {
+      type: 'array',
+      required: true,
+      min: 1,
+      max: 500,
+      items: {
+        type: 'object',
+        properties: {
+          id,
+          parent_id: optionalId,
+          position: { type: 'integer', required: true, min: 0 }
+        }
+      }
+    }
+  }
+};
+
+// ----- Autores -----
+
+// Redes que acepta authors.social_links ({ red: url })
+const SOCIAL_NETWORKS = ['website', 'twitter', 'facebook', 'instagram', 'tiktok', 'youtube', 'linkedin', 'threads'];
+const socialUrl = { type: 'url', nullable: true, max: 2000 };
+
+const authorFields = {
+  name: { type: 'string', min: 1, max: 150 },
+  slug: { type: 'slug', max: 150 },
+  email: { type: 'email', nullable: true, max: 255 },
+  bio: { type: 'string', nullable: true, max: 5000 },
+  avatar_url: { type: 'url', nullable: true, max: 2000 },
+  social_links: {
+    type: 'object',
+    nullable: true,
+    properties: Object.fromEntries(SOCIAL_NETWORKS.map(network => [network, socialUrl])),
+    check: links => {
+      const unknown = Object.keys(links).filter(network => !SOCIAL_NETWORKS.includes(network));
+      return unknown.length > 0 ? `Redes no soportadas: ${unknown.join(', ')}` : null;
+    }
+  },
+  user_id: optionalId
+};
+
+const createAuthor = {
+  body: {
+    name: { ...authorFields.name, required: true },
+    email: authorFields.email,
+    bio: authorFields.bio,
+    avatar_url: authorFields.avatar_url,
+    social_links: authorFields.social_links,
+    user_id: authorFields.user_id
+  }
+};
+
+const updateAuthor = {
+  params: idParams,
+  body: authorFields,
+  atLeastOne: Object.keys(authorFields)
+};
+
+// Perfil público: solo noticias publicadas del autor (sin filtro de estado ni de autor)
+const authorProfile = {
+  params: { slug: { type: 'slug', required: true, max: 150 } },
+  query: listNewsQueryWithout('author', 'author_id', 'status')
+};
+
+// ----- Tags -----
+
+const tagFields = {
+  name: { type: 'string', min: 1, max: 100 },
+  slug: { type: 'slug', max: 100 }
+};
+
+// Sin slug se genera a partir del nombre
+const createTag = {
+  body: {
+    ...tagFields,
+    name: { ...tagFields.name, required: true }
+  }
+};
+
+const updateTag = {
+  params: idParams,
+  body: tagFields,
+  atLeastOne: Object.keys(tagFields)
+};
+
+// Fusión: los tags de source_ids pasan sus noticias al tag :id y se borran
+const mergeTags = {
+  params: idParams,
+  body: {
+    source_ids: { type: 'array', required: true, min: 1, max: 100, items: id }
+  }
+};
+
+const tagAutocomplete = {
+  query: {
+    q: { type: 'string', required: true, min: 1, max: 100 },
+    limit: { type: 'integer', min: 1, max: 50 }
+  }
+};
+
+// Mismo listado que GET /api/news, con el tag fijo en la ruta
+const tagNews = {
+  params: { slug: { type: 'slug', required: true, max: 100 } },
+  query: listNewsQueryWithout('tag', 'tag_id')
+};
+
+// ----- Autenticación y usuarios -----
+
+const password = { type: 'string', min: 8, max: 200, trim: false };
+
+const login = {
+  body: {
+    email: { type: 'string', required: true, max: 255 },
+    password: { type: 'string', required: true, trim: false }
+  }
+};
+
+const register = {
+  body: {
+    email: { type: 'email', required: true, max: 255 },
+    password: { ...password, required: true },
+    name: { type: 'string', nullable: true, max: 150 },
+    role: { type: 'string', oneOf: ROLES }
+  }
+};
+
+const refreshToken = {
+  body: {
+    refresh_token: { type: 'string', required: true }
+  }
+};
+
+const logout = {
+  body: {
+    refresh_token: { type: 'string', required: true },
+    all: { type: 'boolean' }
+  }
+};
+
+const updateUser = {
+  params: idParams,
+  body: {
+    name: { type: 'string', min: 1, max: 150 },
+    role: { type: 'string', oneOf: ROLES },
+    password
+  },
+  atLeastOne: ['name', 'role', 'password']
+};
+
+module.exports = {
+  SOCIAL_NETWORKS,
+  byId,
+  listNews,
+  getNewsBySlug,
+  createNews,
+  updateNews,
+  transitionNews,
+  diffRevisions,
+  revisionParams,
+  searchNews,
+  uploadImage,
+  updateImage,
+  reorderImages,
+  deleteImage,
+  createCategory,
+  updateCategory,
+  categoryBySlug,
+  reorderCategories,
+  createAuthor,
+  updateAuthor,
+  authorProfile,
+  createTag,
+  updateTag,
+  mergeTags,
+  tagAutocomplete,
+  tagNews,
+  login,
+  register,
+  refreshToken,
+  logout,
+  updateUser
+};
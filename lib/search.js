@@ -0,0 +1,414 @@
+// lib/search.js - Búsqueda de noticias insensible a acentos y mayúsculas
+//
+// Cada origen de datos (Supabase, MySQL o memoria) filtra, puntúa, cuenta y pagina en la
+// base sobre todo el archivo, con el mismo puntaje (scoreDocument); aquí se calculan los
+// fragmentos resaltados de la página pedida.
+// subtitle, summary y el content de los bloques son HTML: se busca y se resalta solo en su
+// texto (sin etiquetas ni entidades), así "strong" o "href" no encuentran todas las notas.
+
+const { escapeHtml } = require('./html');
+const { coverImage } = require('./images');
+const { htmlToText } = require('./sanitize');
+
+// Peso de cada campo en el ranking
+const FIELD_WEIGHTS = {
+  title: 8,
+  subtitle: 4,
+  summary: 3,
+  body: 1
+};
+
+const STOPWORDS = new Set([
+  'a', 'al', 'con', 'de', 'del', 'el', 'en', 'es', 'la', 'las', 'lo', 'los',
+  'o', 'para', 'por', 'que', 'se', 'su', 'un', 'una', 'y'
+]);
+
+const MAX_TERMS = 8;
+const SNIPPET_LENGTH = 180;
+
+function foldChar(char) {
+  return char.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+// "Querétaro" -> "queretaro"
+function normalizeText(text) {
+  if (text === null || text === undefined) return '';
+  return String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+// Normaliza conservando, para cada carácter normalizado, su índice en el texto original
+function normalizeWithMap(text) {
+  let normalized = '';
+  const map = [];
+  for (let i = 0; i < text.length; i++) {
+    const folded = foldChar(text[i]);
+    for (let k = 0; k < folded.length; k++) {
+      normalized += folded[k];
+      map.push(i);
+    }
+  }
+  return { normalized, map };
+}
+
+// Términos de búsqueda: normalizados, sin duplicados y sin palabras vacías
+// (salvo que la consulta solo tenga palabras vacías)
+function tokenize(query) {
+  const tokens = normalizeText(query).match(/[a-z0-9]+/g) || [];
+  const unique = [...new Set(tokens)];
+  const meaningful = unique.filter(t => !STOPWORDS.has(t));
+  return (meaningful.length > 0 ? meaningful : unique).slice(0, MAX_TERMS);
+}
+
+function countOccurrences(haystack, term) {
+  let count = 0;
+  let index = haystack.indexOf(term);
+  while (index !== -1) {
+    count++;
+    index = haystack.indexOf(term, index + term.length);
+  }
+  return count;
+}
+
+// Los términos solo traen [a-z0-9] (tokenize): se pueden poner tal cual en la expresión
+function wordPattern(term) {
+  return `(^|[^a-z0-9])${term}($|[^a-z0-9])`;
+}
+
+// Puntaje de un documento: frecuencia ponderada por campo, con bonos si el término aparece
+// como palabra completa y por la frase exacta. Las funciones SQL de cada origen calculan lo
+// mismo (migrations/016_search_ranked.sql y createMysqlSearchSource).
+function scoreDocument(doc, terms, phrase) {
+  let score = 0;
+
+  for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+    const text = normalizeText(doc[field]);
+    if (!text) continue;
+
+    for (const term of terms) {
+      const occurrences = countOccurrences(text, term);
+      if (occurrences === 0) continue;
+
+      const wordBonus = new RegExp(wordPattern(term)).test(text) ? 1.5 : 1;
+      score += weight * wordBonus * (1 + Math.log(occurrences));
+    }
+
+    if (phrase && terms.length > 1 && text.includes(phrase)) {
+      score += weight * 2;
+    }
+  }
+
+  return Math.round(score * 100) / 100;
+}
+
+// Rangos [inicio, fin) en el texto original donde aparece algún término
+function findMatches(text, terms) {
+  const { normalized, map } = normalizeWithMap(text);
+  const ranges = [];
+
+  for (const term of terms) {
+    let index = normalized.indexOf(term);
+    while (index !== -1) {
+      ranges.push([map[index], map[index + term.length - 1] + 1]);
+      index = normalized.indexOf(term, index + term.length);
+    }
+  }
+
+  ranges.sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  for (const range of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push([...range]);
+    }
+  }
+  return merged;
+}
+
+// Fragmento HTML escapado con <mark> en cada coincidencia.
+// Si maxLength se indica, recorta alrededor de la primera coincidencia.
+function highlight(text, terms, { maxLength = null } = {}) {
+  if (!text) return null;
+  const source = String(text);
+  const matches = findMatches(source, terms);
+  if (matches.length === 0) return null;
+
+  let start = 0;
+  let end = source.length;
+  if (maxLength && source.length > maxLength) {
+    start = Math.max(0, matches[0][0] - Math.floor(maxLength / 3));
+    end = Math.min(source.length, start + maxLength);
+    // No cortar palabras a la mitad
+    if (start > 0) {
+      const space = source.indexOf(' ', start);
+      if (space !== -1 && space < matches[0][0]) start = space + 1;
+    }
+    if (end < source.length) {
+      const space = source.lastIndexOf(' ', end);
+      if (space > start) end = space;
+    }
+  }
+
+  let html = '';
+  let cursor = start;
+  for (const [from, to] of matches) {
+    if (to <= start || from >= end) continue;
+    const a = Math.max(from, start);
+    const b = Math.min(to, end);
+    html += escapeHtml(source.slice(cursor, a)) + '<mark>' + escapeHtml(source.slice(a, b)) + '</mark>';
+    cursor = b;
+  }
+  html += escapeHtml(source.slice(cursor, end));
+
+  return `${start > 0 ? '… ' : ''}${html}${end < source.length ? ' …' : ''}`;
+}
+
+// Campos de texto de un candidato tal como se leen (el título ya es texto plano)
+function plainFields(doc) {
+  return {
+    title: doc.title,
+    subtitle: htmlToText(doc.subtitle),
+    summary: htmlToText(doc.summary),
+    body: htmlToText(doc.body)
+  };
+}
+
+function containsAllTerms(fields, terms) {
+  const haystack = normalizeText(Object.values(fields).join(' '));
+  return terms.every(term => haystack.includes(term));
+}
+
+// Fila de un origen -> resultado de la API, con los fragmentos resaltados
+function toResult(row, terms) {
+  const { body, total, ...rest } = row;
+  const text = plainFields(row);
+  return {
+    ...rest,
+    score: Number(row.score),
+    highlights: {
+      title: highlight(text.title, terms),
+      subtitle: highlight(text.subtitle, terms, { maxLength: SNIPPET_LENGTH }),
+      summary: highlight(text.summary, terms, { maxLength: SNIPPET_LENGTH }),
+      body: highlight(text.body, terms, { maxLength: SNIPPET_LENGTH })
+    }
+  };
+}
+
+// ----------------- Orígenes de datos -----------------
+
+// Supabase: la función SQL search_news (migrations/016_search_ranked.sql) filtra con unaccent,
+// puntúa, cuenta (count(*) over ()) y pagina
+function createSupabaseSearchSource(supabase) {
+  return {
+    async search({ terms, phrase, filters = {}, limit, offset }) {
+      const { data, error } = await supabase.rpc('search_news', {
+        terms,
+        p_phrase: phrase,
+        p_category_id: filters.category_id || null,
+        p_author_id: filters.author_id || null,
+        p_from: filters.from || null,
+        p_to: filters.to || null,
+        p_limit: limit,
+        p_offset: offset
+      });
+
+      if (error) throw error;
+      const rows = data || [];
+      return { total: rows.length > 0 ? Number(rows[0].total) : 0, rows };
+    }
+  };
+}
+
+// MySQL no tiene unaccent: minúsculas y se reemplazan a mano las vocales acentuadas, la ü y
+// la ñ (REPLACE compara byte a byte, sin la colación), como hace normalizeText en español
+const MYSQL_FOLDS = [['á', 'a'], ['é', 'e'], ['í', 'i'], ['ó', 'o'], ['ú', 'u'], ['ü', 'u'], ['à', 'a'], ['è', 'e'], ['ì', 'i'], ['ò', 'o'], ['ù', 'u'], ['ñ', 'n']];
+
+function mysqlFold(expression) {
+  return MYSQL_FOLDS.reduce((sql, [from, to]) => `REPLACE(${sql}, '${from}', '${to}')`, `LOWER(${expression})`);
+}
+
+// Texto de un campo HTML como lo deja htmlToText: los bloques separan palabras, el resto de
+// etiquetas se quita y las entidades son un espacio (una entidad numérica de una letra,
+// "&#233;", corta la palabra; htmlToText la decodifica)
+function mysqlPlainText(expression) {
+  // Sin "?" en las expresiones: mysql2 los tomaría como parámetros ({0,1} es lo mismo)
+  const blocks = "REGEXP_REPLACE(%s, '</{0,1}(br|p|h[1-6]|li|div|blockquote)([[:space:]/>][^>]*){0,1}>', ' ', 1, 0, 'i')";
+  const tags = "REGEXP_REPLACE(%s, '<[^>]*>', '')";
+  const entities = "REGEXP_REPLACE(%s, '&(amp|lt|gt|quot|apos|nbsp|colon|tab|newline|#[0-9]+|#x[0-9a-f]+);{0,1}', ' ', 1, 0, 'i')";
+  return mysqlFold([blocks, tags, entities].reduce((sql, step) => step.replace('%s', sql), `COALESCE(${expression}, '')`));
+}
+
+// MySQL 8: mismo filtro y mismo puntaje que search_news, armados por término y campo
+function createMysqlSearchSource(pool) {
+  return {
+    async search({ terms, phrase, filters = {}, limit, offset, now = new Date() }) {
+      const params = [now];
+      const where = ["n.status = 'published'", '(n.published_at IS NULL OR n.published_at <= ?)'];
+
+      if (filters.category_id) {
+        where.push('n.main_category_id = ?');
+        params.push(filters.category_id);
+      }
+      if (filters.author_id) {
+        where.push('n.author_id = ?');
+        params.push(filters.author_id);
+      }
+      if (filters.from) {
+        where.push('n.published_at >= ?');
+        params.push(new Date(filters.from));
+      }
+      if (filters.to) {
+        where.push('n.published_at <= ?');
+        params.push(new Date(filters.to));
+      }
+
+      const fields = Object.entries(FIELD_WEIGHTS);
+      const scoreParams = [];
+      const parts = [];
+      for (const [field, weight] of fields) {
+        const text = `d.t_${field}`;
+        for (const term of terms) {
+          parts.push(`IF(LOCATE(?, ${text}) > 0, ${weight} * IF(REGEXP_LIKE(${text}, ?, 'c'), 1.5, 1)`
+            + ` * (1 + LN((CHAR_LENGTH(${text}) - CHAR_LENGTH(REPLACE(${text}, ?, ''))) / CHAR_LENGTH(?))), 0)`);
+          scoreParams.push(term, wordPattern(term), term, term);
+        }
+        if (terms.length > 1) {
+          parts.push(`IF(LOCATE(?, ${text}) > 0, ${weight * 2}, 0)`);
+          scoreParams.push(phrase);
+        }
+      }
+
+      const matches = terms.map(() => `LOCATE(?, CONCAT_WS(' ', ${fields.map(([field]) => `d.t_${field}`).join(', ')})) > 0`);
+
+      const [rows] = await pool.query(`
+        SELECT d.*, ROUND(${parts.join(' + ')}, 2) AS score, COUNT(*) OVER () AS total
+        FROM (
+          SELECT
+            n.id, n.title, n.subtitle, n.summary, b.body,
+            n.canonical_slug, n.published_at, n.created_at,
+            n.author_id, a.name AS author_name,
+            n.main_category_id, c.name AS category_name, c.slug AS category_slug,
+            (
+              SELECT i.url FROM news_images i
+              WHERE i.news_id = n.id
+              ORDER BY i.is_cover DESC, i.position ASC
+              LIMIT 1
+            ) AS image_url,
+            ${mysqlFold("COALESCE(n.title, '')")} AS t_title,
+            ${mysqlPlainText('n.subtitle')} AS t_subtitle,
+            ${mysqlPlainText('n.summary')} AS t_summary,
+            ${mysqlPlainText('b.body')} AS t_body
+          FROM news n
+          LEFT JOIN authors a ON a.id = n.author_id
+          LEFT JOIN categories c ON c.id = n.main_category_id
+          LEFT JOIN LATERAL (
+            SELECT GROUP_CONCAT(nb.content ORDER BY nb.position SEPARATOR ' ') AS body
+            FROM news_blocks nb
+            WHERE nb.news_id = n.id AND nb.content IS NOT NULL
+          ) b ON TRUE
+          WHERE ${where.join(' AND ')}
+        ) d
+        WHERE ${matches.join(' AND ')}
+        ORDER BY score DESC, d.published_at IS NULL, d.published_at DESC, d.id DESC
+        LIMIT ? OFFSET ?`, [...scoreParams, ...params, ...terms, limit, offset]);
+
+      return {
+        total: rows.length > 0 ? Number(rows[0].total) : 0,
+        rows: rows.map(({ t_title, t_subtitle, t_summary, t_body, ...row }) => ({
+          ...row,
+          body: row.body || '',
+          published_at: row.published_at instanceof Date ? row.published_at.toISOString() : row.published_at,
+          created_at: row.created_at instanceof Date ? row.created_at.toISOString() : row.created_at
+        }))
+      };
+    }
+  };
+}
+
+// En memoria: mismas reglas que las funciones SQL, sobre arreglos de filas
+// ({ news, news_blocks, authors, categories, news_images }). Útil para pruebas y desarrollo local.
+function createMemorySearchSource(tables) {
+  return {
+    async search({ terms, phrase, filters = {}, limit, offset, now = new Date() }) {
+      const {
+        news = [],
+        news_blocks: blocks = [],
+        authors = [],
+        categories = [],
+        news_images: images = []
+      } = tables;
+
+      const ranked = news
+        .filter(n => n.status === 'published')
+        .filter(n => !n.published_at || new Date(n.published_at) <= now)
+        .filter(n => !filters.category_id || Number(n.main_category_id) === Number(filters.category_id))
+        .filter(n => !filters.author_id || Number(n.author_id) === Number(filters.author_id))
+        .filter(n => !filters.from || (n.published_at && new Date(n.published_at) >= new Date(filters.from)))
+        .filter(n => !filters.to || (n.published_at && new Date(n.published_at) <= new Date(filters.to)))
+        .map(n => {
+          const author = authors.find(a => a.id === n.author_id);
+          const category = categories.find(c => c.id === n.main_category_id);
+          const cover = coverImage(images.filter(img => img.news_id === n.id));
+
+          return {
+            id: n.id,
+            title: n.title,
+            subtitle: n.subtitle,
+            summary: n.summary,
+            body: blocks
+              .filter(b => b.news_id === n.id && b.content)
+              .sort((a, b) => (a.position || 0) - (b.position || 0))
+              .map(b => b.content)
+              .join(' '),
+            canonical_slug: n.canonical_slug,
+            published_at: n.published_at,
+            created_at: n.created_at,
+            author_id: n.author_id,
+            author_name: author ? author.name : null,
+            main_category_id: n.main_category_id,
+            category_name: category ? category.name : null,
+            category_slug: category ? category.slug : null,
+            image_url: cover ? cover.url : null
+          };
+        })
+        .map(doc => ({ doc, text: plainFields(doc) }))
+        .filter(({ text }) => containsAllTerms(text, terms))
+        .map(({ doc, text }) => ({ ...doc, score: scoreDocument(text, terms, phrase) }))
+        .sort((a, b) => b.score - a.score
+          || new Date(b.published_at || 0) - new Date(a.published_at || 0)
+          || b.id - a.id);
+
+      return { total: ranked.length, rows: ranked.slice(offset, offset + limit) };
+    }
+  };
+}
+
+// Búsqueda completa: página rankeada del origen + resaltado
+async function searchNews(source, { q, filters = {}, limit = 20, offset = 0 }) {
+  const terms = tokenize(q);
+  if (terms.length === 0) {
+    return { terms, total: 0, results: [] };
+  }
+
+  const phrase = terms.join(' ');
+  let { total, rows } = await source.search({ terms, phrase, filters, limit, offset });
+
+  // Después de la última página el total no viene en ninguna fila
+  if (rows.length === 0 && offset > 0) {
+    ({ total } = await source.search({ terms, phrase, filters, limit: 1, offset: 0 }));
+  }
+
+  return { terms, total, results: rows.map(row => toResult(row, terms)) };
+}
+
+module.exports = {
+  normalizeText,
+  tokenize,
+  scoreDocument,
+  highlight,
+  searchNews,
+  createSupabaseSearchSource,
+  createMysqlSearchSource,
+  createMemorySearchSource
+};
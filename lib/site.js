@@ -0,0 +1,57 @@
+// lib/site.js - Datos del sitio y construcción de URLs públicas
+
+// URL pública de tu app (para construir URLs absolutas de imagenes si son relativas)
+const APP_URL = process.env.APP_URL || 'https://zonamicroondas.com';
+const SITE_URL = APP_URL.replace(/\/$/, '');
+
+const SITE_NAME = 'ZONA MICROONDAS';
+const SITE_DESCRIPTION = 'Noticias de Querétaro';
+
+// Imagen por defecto para fallback
+const DEFAULT_SOCIAL_IMAGE = `${APP_URL}/LOGO_ZM.png`;
+
+// Asegura que la URL sea absoluta usando APP_URL si se guardó relativa
+function ensureAbsoluteUrl(url) {
+  if (!url) return null;
+  if (url.startsWith('http://') || url.startsWith('https://')) return url;
+  return `${SITE_URL}/${url.replace(/^\//, '')}`;
+}
+
+// Ruta canónica de un artículo: /:categorySlug/articulos/:slug, o /news/:slug sin categoría
+function buildArticlePath(slug, categorySlug = null) {
+  return categorySlug
+    ? `/${encodeURIComponent(categorySlug)}/articulos/${encodeURIComponent(slug)}`
+    : `/news/${encodeURIComponent(slug)}`;
+}
+
+function buildArticleUrl(slug, categorySlug = null) {
+  return `${SITE_URL}${buildArticlePath(slug, categorySlug)}`;
+}
+
+// Portada de una categoría: /:categorySlug (también las subcategorías, sin el padre)
+function buildCategoryPath(slug) {
+  return `/${encodeURIComponent(slug)}`;
+}
+
+function buildCategoryUrl(slug) {
+  return `${SITE_URL}${buildCategoryPath(slug)}`;
+}
+
+// Perfil público de un autor: /autores/:slug
+function buildAuthorUrl(slug) {
+  return `${SITE_URL}/autores/${encodeURIComponent(slug)}`;
+}
+
+module.exports = {
+  APP_URL,
+  SITE_URL,
+  SITE_NAME,
+  SITE_DESCRIPTION,
+  DEFAULT_SOCIAL_IMAGE,
+  ensureAbsoluteUrl,
+  buildArticlePath,
+  buildArticleUrl,
+  buildCategoryPath,
+  buildCategoryUrl,
+  buildAuthorUrl
+};
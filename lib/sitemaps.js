@@ -0,0 +1,104 @@
+// lib/sitemaps.js - Sitemaps XML (índice, urlset con imágenes, Google News) y robots.txt
+
+const { escapeHtml } = require('./html');
+const { SITE_URL, SITE_NAME } = require('./site');
+
+// Máximo permitido por el protocolo: 50,000 URLs. Usamos 1000, que además es
+// el límite de filas por consulta de Supabase.
+const SITEMAP_PAGE_SIZE = 1000;
+
+// Google News solo acepta artículos de los últimos 2 días
+const NEWS_SITEMAP_WINDOW_HOURS = 48;
+
+const escapeXml = escapeHtml;
+
+function toW3cDate(value) {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date.getTime()) ? date.toISOString() : null;
+}
+
+// entries: [{ loc, lastmod }]
+function buildSitemapIndex(entries) {
+  const body = entries.map(entry => [
+    '  <sitemap>',
+    `    <loc>${escapeXml(entry.loc)}</loc>`,
+    toW3cDate(entry.lastmod) ? `    <lastmod>${toW3cDate(entry.lastmod)}</lastmod>` : null,
+    '  </sitemap>'
+  ].filter(Boolean).join('\n')).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${body}
+</sitemapindex>
+`;
+}
+
+// urls: [{ loc, lastmod, images: [{ loc, title, caption }] }]
+function buildUrlset(urls) {
+  const body = urls.map(url => [
+    '  <url>',
+    `    <loc>${escapeXml(url.loc)}</loc>`,
+    toW3cDate(url.lastmod) ? `    <lastmod>${toW3cDate(url.lastmod)}</lastmod>` : null,
+    ...(url.images || []).map(img => [
+      '    <image:image>',
+      `      <image:loc>${escapeXml(img.loc)}</image:loc>`,
+      img.title ? `      <image:title>${escapeXml(img.title)}</image:title>` : null,
+      img.caption ? `      <image:caption>${escapeXml(img.caption)}</image:caption>` : null,
+      '    </image:image>'
+    ].filter(Boolean).join('\n')),
+    '  </url>'
+  ].filter(Boolean).join('\n')).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:image="http://www.google.com/schemas/sitemap-image/1.1">
+${body}
+</urlset>
+`;
+}
+
+// items: [{ loc, title, publishedAt, keywords: [] }]
+function buildNewsSitemap(items) {
+  const body = items.map(item => [
+    '  <url>',
+    `    <loc>${escapeXml(item.loc)}</loc>`,
+    '    <news:news>',
+    '      <news:publication>',
+    `        <news:name>${escapeXml(SITE_NAME)}</news:name>`,
+    '        <news:language>es</news:language>',
+    '      </news:publication>',
+    `      <news:publication_date>${toW3cDate(item.publishedAt)}</news:publication_date>`,
+    `      <news:title>${escapeXml(item.title)}</news:title>`,
+    item.keywords && item.keywords.length > 0
+      ? `      <news:keywords>${escapeXml(item.keywords.join(', '))}</news:keywords>`
+      : null,
+    '    </news:news>',
+    '  </url>'
+  ].filter(Boolean).join('\n')).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:news="http://www.google.com/schemas/sitemap-news/0.9">
+${body}
+</urlset>
+`;
+}
+
+function buildRobotsTxt() {
+  return [
+    'User-agent: *',
+    'Allow: /',
+    'Disallow: /api/',
+    '',
+    `Sitemap: ${SITE_URL}/sitemap.xml`,
+    `Sitemap: ${SITE_URL}/news-sitemap.xml`,
+    ''
+  ].join('\n');
+}
+
+module.exports = {
+  SITEMAP_PAGE_SIZE,
+  NEWS_SITEMAP_WINDOW_HOURS,
+  buildSitemapIndex,
+  buildUrlset,
+  buildNewsSitemap,
+  buildRobotsTxt
+};
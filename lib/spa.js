@@ -0,0 +1,75 @@
+// lib/spa.js - index.html de React con los meta tags de cada página SSR
+//
+// Las rutas de artículos, autores y categorías sirven la app real a todos: se toma
+// build/index.html (leído una vez y vuelto a leer solo si cambia en disco) y en su <head>
+// se reemplazan title, description, OpenGraph, Twitter, canonical y JSON-LD por los de la página.
+// Con SSR_CRAWLER_MODE=true los bots (por user-agent) reciben en cambio la página ligera
+// sin JavaScript; sin build/ (desarrollo de la API sola) todos reciben la página ligera.
+
+const fs = require('fs');
+
+// Previews de redes sociales, mensajería y buscadores
+const CRAWLER_USER_AGENT = new RegExp([
+  'facebookexternalhit', 'facebot', 'whatsapp', 'twitterbot', 'linkedinbot', 'slackbot',
+  'telegrambot', 'discordbot', 'pinterest', 'redditbot', 'skypeuripreview', 'embedly',
+  'vkshare', 'googlebot', 'google-inspectiontool', 'bingbot', 'applebot', 'duckduckbot',
+  'yandex', 'baiduspider'
+].join('|'), 'i');
+
+function isCrawler(userAgent) {
+  return Boolean(userAgent) && CRAWLER_USER_AGENT.test(userAgent);
+}
+
+// Caché del template: { load() } devuelve el HTML o null si el archivo no existe
+function createIndexTemplate(filePath) {
+  let cached = null;
+
+  return {
+    filePath,
+
+    async load() {
+      let stats;
+      try {
+        stats = await fs.promises.stat(filePath);
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+        cached = null;
+        return null;
+      }
+
+      if (!cached || cached.mtimeMs !== stats.mtimeMs) {
+        cached = { mtimeMs: stats.mtimeMs, html: await fs.promises.readFile(filePath, 'utf8') };
+      }
+      return cached.html;
+    }
+  };
+}
+
+// Etiquetas genéricas del template que la página reemplaza
+const PAGE_HEAD_TAGS = [
+  /[ \t]*<title\b[^>]*>[\s\S]*?<\/title>\s*/gi,
+  /[ \t]*<meta\s[^>]*(?:name|property)=["'](?:description|author|og:[^"']*|twitter:[^"']*|article:[^"']*)["'][^>]*>\s*/gi,
+  /[ \t]*<link\s[^>]*rel=["'](?:canonical|image_src|prev|next)["'][^>]*>\s*/gi,
+  /[ \t]*<script\s[^>]*type=["']application\/ld\+json["'][^>]*>[\s\S]*?<\/script>\s*/gi
+];
+
+// head: etiquetas de la página (se insertan antes de </head>).
+// root: HTML opcional para <div id="root"> (React lo reemplaza al montar; los bots sin JS lo leen).
+function injectHead(template, head, { root = null } = {}) {
+  const headEnd = template.search(/<\/head>/i);
+  if (headEnd === -1) return template;
+
+  const templateHead = PAGE_HEAD_TAGS.reduce((html, pattern) => html.replace(pattern, ''), template.slice(0, headEnd));
+  const html = `${templateHead}  ${head.trim()}\n${template.slice(headEnd)}`;
+
+  // Función de reemplazo: el contenido puede traer "$&" o "$'" literales
+  return root
+    ? html.replace(/<div id="root">\s*<\/div>/, () => `<div id="root">${root.trim()}</div>`)
+    : html;
+}
+
+module.exports = {
+  isCrawler,
+  createIndexTemplate,
+  injectHead
+};
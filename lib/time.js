@@ -0,0 +1,89 @@
+// lib/time.js - Fechas de publicación con zona horaria explícita
+//
+// La redacción trabaja en hora del centro de México. Las fechas se guardan en UTC;
+// una fecha sin zona ("2026-03-01T08:00", típica de <input type="datetime-local">)
+// se interpreta en APP_TIMEZONE, nunca en la zona del servidor (UTC en Vercel).
+
+const APP_TIMEZONE = process.env.APP_TIMEZONE || 'America/Mexico_City';
+
+const NAIVE_DATETIME = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?)?$/;
+const HAS_OFFSET = /(Z|[+-]\d{2}:?\d{2})$/i;
+
+// Diferencia en minutos entre la hora local de timeZone y UTC en ese instante
+function getTimeZoneOffset(date, timeZone = APP_TIMEZONE) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+
+  const get = type => parseInt(parts.find(p => p.type === type).value, 10);
+  const asUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+// Convierte una fecha de entrada a ISO UTC. Devuelve null si no es una fecha válida.
+function toUtcIso(value, timeZone = APP_TIMEZONE) {
+  if (value === null || value === undefined || value === '') return null;
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value.toISOString();
+
+  const str = String(value).trim();
+
+  if (HAS_OFFSET.test(str)) {
+    const date = new Date(str);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+  }
+
+  const match = str.match(NAIVE_DATETIME);
+  if (!match) return null;
+
+  const [, y, mo, d, h = '00', mi = '00', s = '00', ms = '0'] = match;
+  const wallClock = Date.UTC(+y, +mo - 1, +d, +h, +mi, +s, +ms.padEnd(3, '0'));
+
+  // El offset depende del instante; se recalcula una vez por si hay cambio de horario
+  let offset = getTimeZoneOffset(new Date(wallClock), timeZone);
+  let utc = wallClock - offset * 60000;
+  const corrected = getTimeZoneOffset(new Date(utc), timeZone);
+  if (corrected !== offset) {
+    offset = corrected;
+    utc = wallClock - offset * 60000;
+  }
+
+  const date = new Date(utc);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+// Formatea un instante en la zona de la redacción: "2026-03-01T08:00:00-06:00"
+function toZonedIso(value, timeZone = APP_TIMEZONE) {
+  const date = value instanceof Date ? value : new Date(value);
+  if (isNaN(date.getTime())) return null;
+
+  const offset = getTimeZoneOffset(date, timeZone);
+  const local = new Date(date.getTime() + offset * 60000).toISOString().slice(0, 19);
+  const sign = offset >= 0 ? '+' : '-';
+  const abs = Math.abs(offset);
+  const hh = String(Math.floor(abs / 60)).padStart(2, '0');
+  const mm = String(abs % 60).padStart(2, '0');
+
+  return `${local}${sign}${hh}:${mm}`;
+}
+
+function isFuture(value, now = new Date()) {
+  if (!value) return false;
+  const date = new Date(value);
+  return !isNaN(date.getTime()) && date.getTime() > now.getTime();
+}
+
+module.exports = {
+  APP_TIMEZONE,
+  getTimeZoneOffset,
+  toUtcIso,
+  toZonedIso,
+  isFuture
+};
@@ -0,0 +1,208 @@
+// lib/validation.js - Validación declarativa de params, query y body
+//
+// Un esquema describe cada campo con una regla:
+//   { type, required, nullable, min, max, oneOf, pattern, items, properties, variants, check }
+// type: string | integer | number | boolean | email | slug | url | datetime | array | list | object
+// list es para query strings: "1,2,3" (o ?id=1&id=2) se valida como array con items.
+// min/max son longitud para string/array y valor para integer/number.
+// check(value) puede devolver un mensaje de error adicional.
+// variants: { by, rules } en un object cambia o agrega propiedades según el valor de un campo
+// (p. ej. los bloques de noticia: by: 'type' y las reglas de cada tipo).
+// html: perfil de lib/sanitize.js para campos con HTML; no cambia la validación,
+// lo aplica middleware/sanitize.js después de validate().
+//
+// validateRequest devuelve los valores ya convertidos ("5" -> 5 en params y query)
+// y una lista de errores { field, location, message } para responder 422.
+
+const { toUtcIso, APP_TIMEZONE } = require('./time');
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const SLUG = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const INTEGER = /^-?\d+$/;
+const NUMBER = /^-?\d+(\.\d+)?$/;
+const TRUE_VALUES = [true, 1, 'true', '1'];
+const FALSE_VALUES = [false, 0, 'false', '0'];
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '';
+}
+
+// units: [singular, plural]
+function checkLength(length, rule, [singular, plural]) {
+  const unit = n => (n === 1 ? singular : plural);
+  if (rule.min !== undefined && length < rule.min) return `Debe tener al menos ${rule.min} ${unit(rule.min)}`;
+  if (rule.max !== undefined && length > rule.max) return `Debe tener como máximo ${rule.max} ${unit(rule.max)}`;
+  return null;
+}
+
+function checkRange(value, rule) {
+  if (rule.min !== undefined && value < rule.min) return `Debe ser mayor o igual a ${rule.min}`;
+  if (rule.max !== undefined && value > rule.max) return `Debe ser menor o igual a ${rule.max}`;
+  return null;
+}
+
+// Convierte y valida un valor no vacío. Devuelve { value } o { error }.
+function coerce(value, rule, field, errors, location) {
+  switch (rule.type) {
+    case 'string':
+    case 'email':
+    case 'slug':
+    case 'url': {
+      if (typeof value !== 'string') return { error: 'Debe ser texto' };
+      const text = rule.trim === false ? value : value.trim();
+      if (text === '' && rule.required) return { error: 'Es obligatorio' };
+      if (rule.type === 'email' && !EMAIL.test(text)) return { error: 'No es un email válido' };
+      if (rule.type === 'slug' && !SLUG.test(text)) {
+        return { error: 'Solo puede tener minúsculas sin acentos, números y guiones' };
+      }
+      if (rule.type === 'url' && !/^https?:\/\/[^\s]+$/i.test(text)) return { error: 'No es una URL válida' };
+      const lengthError = checkLength(text.length, rule, ['carácter', 'caracteres']);
+      return lengthError ? { error: lengthError } : { value: text };
+    }
+
+    case 'integer':
+    case 'number': {
+      const pattern = rule.type === 'integer' ? INTEGER : NUMBER;
+      if (typeof value === 'string' ? !pattern.test(value.trim()) : typeof value !== 'number') {
+        return { error: rule.type === 'integer' ? 'Debe ser un número entero' : 'Debe ser un número' };
+      }
+      const number = Number(value);
+      if (!Number.isFinite(number) || (rule.type === 'integer' && !Number.isSafeInteger(number))) {
+        return { error: rule.type === 'integer' ? 'Debe ser un número entero' : 'Debe ser un número' };
+      }
+      const rangeError = checkRange(number, rule);
+      return rangeError ? { error: rangeError } : { value: number };
+    }
+
+    case 'boolean':
+      // Se conserva 0/1 o true/false tal como llegan en JSON; solo se convierten los textos
+      if (TRUE_VALUES.includes(value)) return { value: typeof value === 'string' ? true : value };
+      if (FALSE_VALUES.includes(value)) return { value: typeof value === 'string' ? false : value };
+      return { error: 'Debe ser verdadero o falso' };
+
+    case 'datetime':
+      if (typeof value !== 'string' || !toUtcIso(value)) {
+        return { error: `No es una fecha válida (se interpreta en ${APP_TIMEZONE} si no trae zona)` };
+      }
+      return { value };
+
+    case 'array': {
+      if (!Array.isArray(value)) return { error: 'Debe ser una lista' };
+      const lengthError = checkLength(value.length, rule, ['elemento', 'elementos']);
+      if (lengthError) return { error: lengthError };
+      if (!rule.items) return { value };
+      return { value: value.map((item, i) => validateField(item, rule.items, `${field}[${i}]`, errors, location)) };
+    }
+
+    case 'list': {
+      const parts = (Array.isArray(value) ? value : [value])
+        .flatMap(part => (typeof part === 'string' ? part.split(',') : [part]))
+        .map(part => (typeof part === 'string' ? part.trim() : part))
+        .filter(part => part !== '');
+      return coerce(parts, { ...rule, type: 'array' }, field, errors, location);
+    }
+
+    case 'object': {
+      if (value === null || typeof value !== 'object' || Array.isArray(value)) return { error: 'Debe ser un objeto' };
+      const properties = objectProperties(rule, value);
+      return { value: properties ? validateObject(value, properties, errors, location, `${field}.`) : value };
+    }
+
+    default:
+      return { value };
+  }
+}
+
+// Valida un campo y agrega sus errores a `errors`. Devuelve el valor convertido.
+function validateField(value, rule, field, errors, location) {
+  const push = message => errors.push({ field, location, message });
+
+  if (isEmpty(value)) {
+    if (rule.required) {
+      push('Es obligatorio');
+      return value;
+    }
+    if (value === undefined) return undefined;
+
+    // '' equivale a null salvo en texto libre (inputs y selects vacíos del panel)
+    if (value === null || rule.type !== 'string') {
+      if (!rule.nullable) push('No puede estar vacío');
+      return null;
+    }
+  }
+
+  const { value: converted, error } = coerce(value, rule, field, errors, location);
+  if (error) {
+    push(error);
+    return value;
+  }
+
+  if (rule.oneOf && !rule.oneOf.includes(converted)) {
+    push(`Debe ser uno de: ${rule.oneOf.join(', ')}`);
+    return converted;
+  }
+  if (rule.pattern && typeof converted === 'string' && !rule.pattern.test(converted)) {
+    push(rule.patternMessage || 'No tiene el formato esperado');
+    return converted;
+  }
+  if (rule.check) {
+    const message = rule.check(converted);
+    if (message) push(message);
+  }
+  return converted;
+}
+
+// Propiedades de un object: las de la variante que corresponda sobre las comunes
+function objectProperties(rule, value) {
+  const variant = rule.variants && rule.variants.rules[value[rule.variants.by]];
+  return variant ? { ...rule.properties, ...variant } : rule.properties;
+}
+
+// Valida las propiedades conocidas; las no declaradas se conservan sin tocar
+function validateObject(source, rules, errors, location, prefix = '') {
+  const result = { ...source };
+
+  for (const [name, rule] of Object.entries(rules)) {
+    const value = validateField(source[name], rule, `${prefix}${name}`, errors, location);
+    if (value === undefined) {
+      delete result[name];
+    } else {
+      result[name] = value;
+    }
+  }
+  return result;
+}
+
+// schema: { params, query, body } -> { values: { params, query, body }, errors }
+function validateRequest(schema, req) {
+  const errors = [];
+  const values = {};
+
+  for (const location of ['params', 'query', 'body']) {
+    if (!schema[location]) continue;
+
+    const source = req[location];
+    if (location === 'body' && (source === null || typeof source !== 'object' || Array.isArray(source))) {
+      errors.push({ field: 'body', location, message: 'Debe ser un objeto JSON' });
+      continue;
+    }
+    values[location] = validateObject(source || {}, schema[location], errors, location);
+  }
+
+  if (schema.atLeastOne && values.body) {
+    const present = schema.atLeastOne.some(name => values.body[name] !== undefined);
+    if (!present) {
+      errors.push({ field: 'body', location: 'body', message: 'No hay campos para actualizar' });
+    }
+  }
+
+  return { values, errors };
+}
+
+module.exports = {
+  EMAIL,
+  SLUG,
+  objectProperties,
+  validateField,
+  validateRequest
+};
@@ -0,0 +1,124 @@
+// lib/workflow.js - Flujo editorial de news.status
+//
+// draft → in_review → approved → scheduled → published → archived
+// Un editor puede rechazar (in_review/approved → draft) dejando un comentario.
+
+const { PERMISSIONS } = require('./permissions');
+
+const STATUSES = ['draft', 'in_review', 'approved', 'scheduled', 'published', 'archived'];
+
+const EVERYONE = PERMISSIONS['news:create'];
+const EDITORS = PERMISSIONS['news:publish'];
+
+const TRANSITIONS = [
+  { from: 'draft', to: 'in_review', action: 'submit', roles: EVERYONE },
+  { from: 'in_review', to: 'approved', action: 'approve', roles: EDITORS },
+  { from: 'in_review', to: 'draft', action: 'reject', roles: EDITORS, requiresComment: true },
+  { from: 'approved', to: 'draft', action: 'reject', roles: EDITORS, requiresComment: true },
+  { from: 'approved', to: 'scheduled', action: 'schedule', roles: EDITORS },
+  { from: 'approved', to: 'published', action: 'publish', roles: EDITORS },
+  { from: 'scheduled', to: 'published', action: 'publish', roles: EDITORS },
+  { from: 'scheduled', to: 'approved', action: 'unschedule', roles: EDITORS },
+  { from: 'published', to: 'archived', action: 'archive', roles: EDITORS },
+  { from: 'archived', to: 'draft', action: 'reopen', roles: EDITORS }
+];
+
+// Estados con los que se puede crear una noticia, por rol
+const INITIAL_STATUSES = {
+  admin: STATUSES,
+  editor: STATUSES,
+  reporter: ['draft', 'in_review'],
+  contributor: ['draft', 'in_review']
+};
+
+function isValidStatus(status) {
+  return STATUSES.includes(status);
+}
+
+function findTransition(from, to) {
+  return TRANSITIONS.find(t => t.from === (from || 'draft') && t.to === to) || null;
+}
+
+// Transiciones disponibles para un usuario desde un estado
+function getAllowedTransitions(from, user) {
+  const role = user && user.role;
+  return TRANSITIONS
+    .filter(t => t.from === (from || 'draft') && t.roles.includes(role))
+    .map(({ to, action, requiresComment = false }) => ({ to, action, requires_comment: requiresComment }));
+}
+
+// Valida un cambio de estado. Devuelve { transition } o { error, status } listo para responder.
+function validateTransition({ from, to, user, comment }) {
+  if (!isValidStatus(to)) {
+    return { status: 400, error: `Estado inválido: ${to}. Valores permitidos: ${STATUSES.join(', ')}` };
+  }
+
+  const transition = findTransition(from, to);
+  if (!transition) {
+    return { status: 409, error: `No se puede pasar de "${from || 'draft'}" a "${to}"` };
+  }
+
+  if (!user || !transition.roles.includes(user.role)) {
+    return { status: 403, error: `Tu rol no puede ${transition.action === 'reject' ? 'rechazar' : 'mover'} esta noticia a "${to}"` };
+  }
+
+  if (transition.requiresComment && !(typeof comment === 'string' && comment.trim())) {
+    return { status: 400, error: 'Es obligatorio un comentario para regresar la noticia a borrador' };
+  }
+
+  return { transition };
+}
+
+// Valida el estado con el que se crea una noticia
+function validateInitialStatus(status, user) {
+  if (!isValidStatus(status)) {
+    return { status: 400, error: `Estado inválido: ${status}. Valores permitidos: ${STATUSES.join(', ')}` };
+  }
+
+  const allowed = (user && INITIAL_STATUSES[user.role]) || [];
+  if (!allowed.includes(status)) {
+    return { status: 403, error: `Tu rol no puede crear noticias con estado "${status}"` };
+  }
+
+  return {};
+}
+
+// Reglas de published_at para el estado final de la noticia.
+// Devuelve { publishedAt } (valor a guardar) o { error, status }.
+function checkPublicationDate({ from, to, publishedAt, now = new Date() }) {
+  const isFuture = Boolean(publishedAt) && new Date(publishedAt).getTime() > now.getTime();
+
+  if (to === 'scheduled' && !isFuture) {
+    return { status: 400, error: 'Para programar una noticia, published_at debe ser una fecha futura' };
+  }
+
+  if (to === 'published') {
+    if (!publishedAt) return { publishedAt: now.toISOString() };
+    if (isFuture) {
+      // Publicar ya algo que estaba programado adelanta la fecha
+      if (from === 'scheduled') return { publishedAt: now.toISOString() };
+      return { status: 400, error: 'published_at está en el futuro: usa el estado "scheduled" para programarla' };
+    }
+  }
+
+  return { publishedAt };
+}
+
+// Lo que ve el público: publicada y con published_at ya cumplido
+function isPubliclyVisible(news, now = new Date()) {
+  if (!news || news.status !== 'published') return false;
+  if (!news.published_at) return true;
+  return new Date(news.published_at).getTime() <= now.getTime();
+}
+
+module.exports = {
+  STATUSES,
+  TRANSITIONS,
+  isValidStatus,
+  findTransition,
+  getAllowedTransitions,
+  validateTransition,
+  validateInitialStatus,
+  checkPublicationDate,
+  isPubliclyVisible
+};
@@ -1,2 +1,5 @@
-export const asyncHandler = fn => (req, res, next) =>
+// middleware/asyncHandler.js - Envuelve handlers async para que los errores lleguen a next()
+const asyncHandler = fn => (req, res, next) =>
   Promise.resolve(fn(req, res, next)).catch(next);
+
+module.exports = { asyncHandler };
@@ -0,0 +1,88 @@
+// middleware/auth.js - Autenticación por token Bearer (JWT de acceso) y permisos por rol
+const { getBearerToken, verifyToken, safeEqual } = require('../lib/auth');
+const { can } = require('../lib/permissions');
+const { UnauthorizedError, ForbiddenError } = require('../lib/errors');
+
+function readUser(req) {
+  const token = getBearerToken(req);
+  if (!token) return null;
+
+  const payload = verifyToken(token, 'access');
+  return {
+    id: parseInt(payload.sub, 10),
+    role: payload.role,
+    email: payload.email
+  };
+}
+
+// Exige un token de acceso válido; deja el usuario en req.user
+function authenticate(req, res, next) {
+  let user;
+  try {
+    user = readUser(req);
+  } catch (err) {
+    const expired = err.name === 'TokenExpiredError';
+    return next(new UnauthorizedError(expired ? 'Token expirado' : 'Token inválido'));
+  }
+
+  if (!user) {
+    return next(new UnauthorizedError());
+  }
+
+  req.user = user;
+  next();
+}
+
+// Igual que authenticate pero deja pasar peticiones sin token (req.user = null).
+// Un token presente pero inválido sí se rechaza, para que el cliente lo renueve.
+function optionalAuthenticate(req, res, next) {
+  if (!req.headers.authorization) {
+    req.user = null;
+    return next();
+  }
+  return authenticate(req, res, next);
+}
+
+// Exige un permiso de lib/permissions (usar después de authenticate)
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!can(req.user, permission)) {
+      return next(new ForbiddenError());
+    }
+    next();
+  };
+}
+
+// Para tareas programadas: acepta "Authorization: Bearer <CRON_SECRET>" (lo que envía Vercel Cron)
+// o, para lanzarlas a mano, un usuario autenticado con el permiso indicado.
+function authenticateCron(permission) {
+  return (req, res, next) => {
+    const token = getBearerToken(req);
+    const secret = process.env.CRON_SECRET;
+
+    if (secret && token && safeEqual(token, secret)) {
+      req.user = null;
+      req.isCron = true;
+      return next();
+    }
+
+    authenticate(req, res, err => (err ? next(err) : requirePermission(permission)(req, res, next)));
+  };
+}
+
+// Primer usuario de una instalación sin usuarios: "X-Bootstrap-Token: <BOOTSTRAP_TOKEN>".
+// Sin la variable configurada nadie puede crearlo por la API (así no lo reclama quien llegue
+// antes que el operador).
+function hasBootstrapToken(req) {
+  const secret = process.env.BOOTSTRAP_TOKEN;
+  const token = req.get('x-bootstrap-token');
+  return Boolean(secret && token && safeEqual(token, secret));
+}
+
+module.exports = {
+  authenticate,
+  optionalAuthenticate,
+  authenticateCron,
+  requirePermission,
+  hasBootstrapToken
+};
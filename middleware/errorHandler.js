@@ -0,0 +1,44 @@
+// middleware/errorHandler.js - Id de petición y respuesta única para todos los errores de la API
+const crypto = require('crypto');
+const { NotFoundError, toAppError } = require('../lib/errors');
+
+const REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+// Reutiliza el X-Request-Id del proxy (Vercel, nginx) si es razonable; si no, genera uno
+function requestId(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.setHeader('X-Request-Id', req.id);
+  next();
+}
+
+// Rutas /api que no existen: 404 con el mismo sobre en vez del index.html del frontend
+function apiNotFound(req, res, next) {
+  next(new NotFoundError(`No existe la ruta ${req.method} ${req.baseUrl}${req.path}`));
+}
+
+// { success: false, error: { code, message, details, request_id } }
+// Los 5xx se registran completos en el log, pero al cliente solo llega un mensaje genérico.
+function errorHandler(err, req, res, next) {
+  const error = toAppError(err);
+
+  if (error.status >= 500) {
+    console.error(`${req.method} ${req.originalUrl} error [${req.id}]:`, err);
+  }
+
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  res.status(error.status).json({
+    success: false,
+    error: {
+      code: error.code,
+      message: error.message,
+      details: error.details,
+      request_id: req.id
+    }
+  });
+}
+
+module.exports = { requestId, apiNotFound, errorHandler };
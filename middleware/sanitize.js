@@ -0,0 +1,44 @@
+// middleware/sanitize.js - Limpia el HTML de los campos del body que declaran un perfil
+// (html: 'text' | 'inline' | 'rich' en lib/schemas.js, ver lib/sanitize.js).
+// Va después de validate(); lo que se quitó queda en req.sanitized ([{ field, removed }])
+// para devolverlo al editor.
+const { sanitizeHtml } = require('../lib/sanitize');
+const { objectProperties } = require('../lib/validation');
+
+function sanitizeValue(value, rule, field, report) {
+  if (typeof value === 'string' && rule.html) {
+    const { html, removed } = sanitizeHtml(value, rule.html);
+    if (removed.length > 0) report.push({ field, removed });
+    return html;
+  }
+  if (Array.isArray(value) && rule.items) {
+    return value.map((item, i) => sanitizeValue(item, rule.items, `${field}[${i}]`, report));
+  }
+  if (rule.type === 'object' && value && typeof value === 'object') {
+    return sanitizeObject(value, objectProperties(rule, value) || {}, `${field}.`, report);
+  }
+  return value;
+}
+
+function sanitizeObject(source, rules, prefix, report) {
+  const result = { ...source };
+  for (const [name, rule] of Object.entries(rules)) {
+    if (result[name] !== undefined) {
+      result[name] = sanitizeValue(result[name], rule, `${prefix}${name}`, report);
+    }
+  }
+  return result;
+}
+
+function sanitizeBody(schema) {
+  return (req, res, next) => {
+    const report = [];
+    if (schema.body && req.body) {
+      req.body = sanitizeObject(req.body, schema.body, '', report);
+    }
+    req.sanitized = report;
+    next();
+  };
+}
+
+module.exports = { sanitizeBody };
@@ -0,0 +1,22 @@
+// middleware/validate.js - Valida params/query/body con un esquema de lib/schemas.js.
+// Si hay campos inválidos pasa un ValidationError (422, con la lista en details);
+// si todo es válido deja los valores ya convertidos en req.params, req.query y req.body.
+const { validateRequest } = require('../lib/validation');
+const { ValidationError } = require('../lib/errors');
+
+function validate(schema) {
+  return (req, res, next) => {
+    const { values, errors } = validateRequest(schema, req);
+
+    if (errors.length > 0) {
+      return next(new ValidationError(errors));
+    }
+
+    if (values.params) req.params = values.params;
+    if (values.query) req.query = values.query;
+    if (values.body) req.body = values.body;
+    next();
+  };
+}
+
+module.exports = { validate };
@@ -0,0 +1,17 @@
+-- 001_auth_refresh_tokens.sql
+-- Refresh tokens emitidos por /api/auth/login y /api/auth/refresh.
+-- Cada token se identifica por su jti; logout y la rotación marcan revoked_at.
+
+create table if not exists auth_refresh_tokens (
+  jti uuid primary key,
+  user_id bigint not null references users(id) on delete cascade,
+  expires_at timestamptz not null,
+  revoked_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists auth_refresh_tokens_user_id_idx
+  on auth_refresh_tokens (user_id);
+
+-- Los hashes bcrypt miden 60 caracteres; asegurar que la columna los admite.
+alter table users alter column password type text;
@@ -0,0 +1,14 @@
+-- 002_roles_and_author_users.sql
+-- Roles de usuario y vínculo entre authors y users (los reporteros solo
+-- pueden editar noticias de autores vinculados a su propio usuario).
+
+alter table users alter column role set default 'contributor';
+
+alter table users
+  add constraint users_role_check
+  check (role in ('admin', 'editor', 'reporter', 'contributor')) not valid;
+
+alter table authors
+  add column if not exists user_id bigint references users(id) on delete set null;
+
+create index if not exists authors_user_id_idx on authors (user_id);
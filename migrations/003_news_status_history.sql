@@ -0,0 +1,22 @@
+-- 003_news_status_history.sql
+-- Flujo editorial: estados válidos de news.status e historial de transiciones.
+
+alter table news alter column status set default 'draft';
+
+alter table news
+  add constraint news_status_check
+  check (status in ('draft', 'in_review', 'approved', 'scheduled', 'published', 'archived')) not valid;
+
+create table if not exists news_status_history (
+  id bigserial primary key,
+  news_id bigint not null references news(id) on delete cascade,
+  from_status text,
+  to_status text not null,
+  action text not null,
+  comment text,
+  user_id bigint references users(id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists news_status_history_news_id_idx
+  on news_status_history (news_id, created_at);
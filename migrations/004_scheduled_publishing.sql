@@ -0,0 +1,22 @@
+-- 004_scheduled_publishing.sql
+-- published_at pasa a timestamptz para que "ahora" se compare sin ambigüedad.
+-- Los valores existentes sin zona se interpretan como hora de America/Mexico_City,
+-- que es como los capturaba el panel (<input type="datetime-local">).
+
+do $$
+begin
+  if exists (
+    select 1 from information_schema.columns
+    where table_name = 'news'
+      and column_name = 'published_at'
+      and data_type = 'timestamp without time zone'
+  ) then
+    alter table news
+      alter column published_at type timestamptz
+      using published_at at time zone 'America/Mexico_City';
+  end if;
+end $$;
+
+-- Búsqueda de programadas vencidas (POST /api/cron/publish-due)
+create index if not exists news_status_published_at_idx
+  on news (status, published_at);
@@ -0,0 +1,14 @@
+-- 005_news_revisions.sql
+-- Snapshot completo (fila, bloques, tags, imágenes) de una noticia antes de cada cambio.
+
+create table if not exists news_revisions (
+  id bigserial primary key,
+  news_id bigint not null references news(id) on delete cascade,
+  snapshot jsonb not null,
+  reason text not null default 'update',
+  user_id bigint references users(id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists news_revisions_news_id_idx
+  on news_revisions (news_id, created_at desc);
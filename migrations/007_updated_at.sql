@@ -0,0 +1,39 @@
+-- 007_updated_at.sql
+-- updated_at en news, categories y authors para el <lastmod> de los sitemaps
+-- (y el Last-Modified de los feeds). Lo mantiene un trigger, no la API.
+
+create or replace function set_updated_at()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.updated_at := now();
+  return new;
+end;
+$$;
+
+alter table news add column if not exists updated_at timestamptz not null default now();
+alter table categories add column if not exists updated_at timestamptz not null default now();
+alter table authors add column if not exists updated_at timestamptz not null default now();
+
+-- Las noticias existentes arrancan con su fecha de creación, no con la de la migración
+update news set updated_at = coalesce(created_at, updated_at);
+
+drop trigger if exists news_set_updated_at on news;
+create trigger news_set_updated_at
+  before update on news
+  for each row execute function set_updated_at();
+
+drop trigger if exists categories_set_updated_at on categories;
+create trigger categories_set_updated_at
+  before update on categories
+  for each row execute function set_updated_at();
+
+drop trigger if exists authors_set_updated_at on authors;
+create trigger authors_set_updated_at
+  before update on authors
+  for each row execute function set_updated_at();
+
+-- Páginas de /sitemaps/articles-N.xml (publicadas, ordenadas por id)
+create index if not exists news_status_id_idx
+  on news (status, id);
@@ -0,0 +1,25 @@
+-- 008_slug_history.sql
+-- Slugs anteriores de noticias y categorías. Las URLs viejas (compartidas en
+-- WhatsApp/Facebook) se resuelven con un 301 hacia la URL canónica actual.
+-- Cada slug antiguo apunta a una sola fila; si vuelve a usarse como slug vigente
+-- se borra del historial (el vigente siempre gana).
+
+create table if not exists news_slug_history (
+  id bigserial primary key,
+  news_id bigint not null references news(id) on delete cascade,
+  slug text not null unique,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists news_slug_history_news_id_idx
+  on news_slug_history (news_id);
+
+create table if not exists category_slug_history (
+  id bigserial primary key,
+  category_id bigint not null references categories(id) on delete cascade,
+  slug text not null unique,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists category_slug_history_category_id_idx
+  on category_slug_history (category_id);
@@ -0,0 +1,7 @@
+-- 009_news_keyset_index.sql
+-- Índice para la paginación por cursor de GET /api/news: el listado ordena por
+-- published_at desc (NULL al final), created_at desc, id desc y cada página filtra
+-- "después de" la última fila con esas mismas columnas.
+
+create index if not exists news_keyset_idx
+  on news (published_at desc nulls last, created_at desc, id desc);
@@ -0,0 +1,7 @@
+-- 010_author_profiles.sql
+-- Perfil público de autores (/autores/:slug): foto y redes sociales.
+-- social_links: { "twitter": "https://...", "instagram": "https://...", ... }
+
+alter table authors
+  add column if not exists avatar_url text,
+  add column if not exists social_links jsonb;
@@ -0,0 +1,7 @@
+-- 011_article_type.sql
+-- Tipo de nota para el JSON-LD de la página del artículo (ver lib/jsonld.js):
+-- news (NewsArticle), live (LiveBlogPosting, cobertura en vivo) o video (VideoObject).
+
+alter table news
+  add column if not exists article_type text not null default 'news'
+  check (article_type in ('news', 'live', 'video'));
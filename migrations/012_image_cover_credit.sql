@@ -0,0 +1,86 @@
+-- 012_image_cover_credit.sql
+-- Imágenes de noticias: crédito (fotógrafo/agencia) y portada explícita.
+-- is_cover marca la imagen social y la de los listados; si ninguna lo está se usa la
+-- primera por position. Solo una portada por noticia.
+
+alter table news_images
+  add column if not exists credit text,
+  add column if not exists is_cover boolean not null default false;
+
+create unique index if not exists news_images_one_cover_idx
+  on news_images (news_id) where is_cover;
+
+-- image_url de la búsqueda: la portada primero (ver 006_search_news.sql)
+create or replace function search_news_candidates(
+  terms text[],
+  p_category_id bigint default null,
+  p_author_id bigint default null,
+  p_from timestamptz default null,
+  p_to timestamptz default null,
+  p_limit integer default 500
+)
+returns table (
+  id bigint,
+  title text,
+  subtitle text,
+  summary text,
+  body text,
+  canonical_slug text,
+  published_at timestamptz,
+  created_at timestamptz,
+  author_id bigint,
+  author_name text,
+  main_category_id bigint,
+  category_name text,
+  category_slug text,
+  image_url text
+)
+language sql stable
+as $$
+  with docs as (
+    select
+      n.*,
+      coalesce((
+        select string_agg(b.content, ' ' order by b.position)
+        from news_blocks b
+        where b.news_id = n.id and b.content is not null
+      ), '') as body
+    from news n
+    where n.status = 'published'
+      and (n.published_at is null or n.published_at <= now())
+      and (p_category_id is null or n.main_category_id = p_category_id)
+      and (p_author_id is null or n.author_id = p_author_id)
+      and (p_from is null or n.published_at >= p_from)
+      and (p_to is null or n.published_at <= p_to)
+  )
+  select
+    d.id::bigint,
+    d.title::text,
+    d.subtitle::text,
+    d.summary::text,
+    d.body::text,
+    d.canonical_slug::text,
+    d.published_at::timestamptz,
+    d.created_at::timestamptz,
+    d.author_id::bigint,
+    a.name::text,
+    d.main_category_id::bigint,
+    c.name::text,
+    c.slug::text,
+    (
+      select i.url from news_images i
+      where i.news_id = d.id
+      order by i.is_cover desc, i.position asc
+      limit 1
+    )::text
+  from docs d
+  left join authors a on a.id = d.author_id
+  left join categories c on c.id = d.main_category_id
+  where not exists (
+    select 1 from unnest(terms) as t(term)
+    where immutable_unaccent(lower(concat_ws(' ', d.title, d.subtitle, d.summary, d.body)))
+      not like '%' || t.term || '%'
+  )
+  order by d.published_at desc nulls last, d.id desc
+  limit greatest(p_limit, 1);
+$$;
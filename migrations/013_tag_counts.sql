@@ -0,0 +1,13 @@
+-- 013_tag_counts.sql
+-- news_count de GET /api/tags y filtros por tag con agregados y embeds de PostgREST
+-- (driver de Supabase: countBy usa count() agrupado y $has un embed !inner).
+
+-- Obligatorio para countBy: los agregados de PostgREST (select=tag_id,count()) vienen
+-- desactivados y sin ellos la API responde "Use of aggregate functions is not allowed"
+-- (PGRST123), así que GET /api/tags falla. Si el rol de la API no es authenticator (o el
+-- proyecto no permite alterarlo), habilitar db-aggregates-enabled en la configuración de PostgREST.
+alter role authenticator set pgrst.db_aggregates_enabled = 'true';
+notify pgrst, 'reload config';
+
+-- Noticias de un tag y conteo por tag sin recorrer toda la tabla
+create index if not exists news_tags_tag_id_idx on news_tags (tag_id);
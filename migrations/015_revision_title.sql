@@ -0,0 +1,10 @@
+-- 015_revision_title.sql
+-- Título de la noticia en cada revisión: el listado de GET /api/news/:id/revisions
+-- lo muestra sin leer el snapshot completo (que se pide en el detalle y el diff).
+
+alter table news_revisions
+  add column if not exists title text;
+
+update news_revisions
+  set title = snapshot -> 'news' ->> 'title'
+  where title is null;
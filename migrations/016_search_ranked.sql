@@ -0,0 +1,143 @@
+-- 016_search_ranked.sql
+-- GET /api/search puntúa, cuenta y pagina en la base sobre todo el archivo; antes la API
+-- rankeaba solo los 500 candidatos más recientes de search_news_candidates.
+-- El puntaje es el de scoreDocument en lib/search.js (FIELD_WEIGHTS: título 8, subtítulo 4,
+-- resumen 3, bloques 1): por campo y término, peso × 1.5 si aparece como palabra completa
+-- × (1 + ln(apariciones)), más dos veces el peso del campo si contiene la frase completa.
+
+-- Texto buscable de un campo HTML, como htmlToText en lib/sanitize.js: las etiquetas de bloque
+-- separan palabras, las demás se quitan y las entidades cuentan como un espacio (una entidad
+-- numérica de una letra, "&#233;", corta la palabra); luego minúsculas y sin acentos.
+create or replace function search_plain_text(html text)
+returns text
+language sql immutable parallel safe
+as $$
+  select immutable_unaccent(lower(
+    regexp_replace(
+      regexp_replace(
+        regexp_replace(coalesce(html, ''), '</?(br|p|h[1-6]|li|div|blockquote)([[:space:]/>][^>]*)?>', ' ', 'gi'),
+        '<[^>]*>', '', 'g'
+      ),
+      '&(amp|lt|gt|quot|apos|nbsp|colon|tab|newline|#[0-9]+|#x[0-9a-f]+);?', ' ', 'gi'
+    )
+  ))
+$$;
+
+drop function if exists search_news_candidates(text[], bigint, bigint, timestamptz, timestamptz, integer);
+
+create or replace function search_news(
+  terms text[],
+  p_phrase text default null,
+  p_category_id bigint default null,
+  p_author_id bigint default null,
+  p_from timestamptz default null,
+  p_to timestamptz default null,
+  p_limit integer default 20,
+  p_offset integer default 0
+)
+returns table (
+  id bigint,
+  title text,
+  subtitle text,
+  summary text,
+  body text,
+  canonical_slug text,
+  published_at timestamptz,
+  created_at timestamptz,
+  author_id bigint,
+  author_name text,
+  main_category_id bigint,
+  category_name text,
+  category_slug text,
+  image_url text,
+  score double precision,
+  total bigint
+)
+language sql stable
+as $$
+  with docs as (
+    select
+      n.*,
+      coalesce((
+        select string_agg(b.content, ' ' order by b.position)
+        from news_blocks b
+        where b.news_id = n.id and b.content is not null
+      ), '') as body
+    from news n
+    where n.status = 'published'
+      and (n.published_at is null or n.published_at <= now())
+      and (p_category_id is null or n.main_category_id = p_category_id)
+      and (p_author_id is null or n.author_id = p_author_id)
+      and (p_from is null or n.published_at >= p_from)
+      and (p_to is null or n.published_at <= p_to)
+  ),
+  -- Mismo orden que los pesos de abajo: título, subtítulo, resumen, bloques
+  plain as (
+    select
+      d.*,
+      array[
+        immutable_unaccent(lower(coalesce(d.title, ''))),
+        search_plain_text(d.subtitle),
+        search_plain_text(d.summary),
+        search_plain_text(d.body)
+      ] as texts
+    from docs d
+  ),
+  matches as (
+    select p.*
+    from plain p
+    where not exists (
+      select 1 from unnest(terms) as t(term)
+      where array_to_string(p.texts, ' ') not like '%' || t.term || '%'
+    )
+  ),
+  scored as (
+    select
+      m.*,
+      round((
+        (
+          select coalesce(sum(
+            f.weight
+            * case when f.txt ~ ('(^|[^a-z0-9])' || t.term || '($|[^a-z0-9])') then 1.5 else 1 end
+            * (1 + ln((length(f.txt) - length(replace(f.txt, t.term, ''))) / length(t.term)))
+          ), 0)
+          from unnest(m.texts, array[8, 4, 3, 1]) as f(txt, weight)
+          cross join unnest(terms) as t(term)
+          where strpos(f.txt, t.term) > 0
+        ) + (
+          select coalesce(sum(f.weight * 2), 0)
+          from unnest(m.texts, array[8, 4, 3, 1]) as f(txt, weight)
+          where cardinality(terms) > 1 and strpos(f.txt, p_phrase) > 0
+        )
+      )::numeric, 2)::float8 as rank_score
+    from matches m
+  )
+  select
+    s.id::bigint,
+    s.title::text,
+    s.subtitle::text,
+    s.summary::text,
+    s.body::text,
+    s.canonical_slug::text,
+    s.published_at::timestamptz,
+    s.created_at::timestamptz,
+    s.author_id::bigint,
+    a.name::text,
+    s.main_category_id::bigint,
+    c.name::text,
+    c.slug::text,
+    (
+      select i.url from news_images i
+      where i.news_id = s.id
+      order by i.is_cover desc, i.position asc
+      limit 1
+    )::text,
+    s.rank_score,
+    count(*) over ()::bigint
+  from scored s
+  left join authors a on a.id = s.author_id
+  left join categories c on c.id = s.main_category_id
+  order by s.rank_score desc, s.published_at desc nulls last, s.id desc
+  limit greatest(p_limit, 1)
+  offset greatest(p_offset, 0);
+$$;
@@ -0,0 +1,173 @@
+-- mysql/001_schema.sql
+-- Esquema completo para DATA_BACKEND=mysql (MySQL 8).
+-- Equivale al esquema de Supabase más las migraciones 001-008 de la carpeta superior.
+-- La colación utf8mb4_0900_ai_ci hace que LIKE ignore acentos y mayúsculas,
+-- que es lo que necesita la búsqueda (lib/search.js, createMysqlSearchSource).
+
+SET NAMES utf8mb4;
+
+CREATE TABLE IF NOT EXISTS users (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  email VARCHAR(255) NOT NULL,
+  password TEXT NOT NULL,
+  name VARCHAR(255),
+  role ENUM('admin', 'editor', 'reporter', 'contributor') NOT NULL DEFAULT 'contributor',
+  created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  UNIQUE KEY users_email_key (email)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+CREATE TABLE IF NOT EXISTS auth_refresh_tokens (
+  jti CHAR(36) NOT NULL PRIMARY KEY,
+  user_id BIGINT UNSIGNED NOT NULL,
+  expires_at DATETIME(3) NOT NULL,
+  revoked_at DATETIME(3) NULL,
+  created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  KEY auth_refresh_tokens_user_id_idx (user_id),
+  CONSTRAINT auth_refresh_tokens_user_fk FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+CREATE TABLE IF NOT EXISTS authors (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  slug VARCHAR(255) NOT NULL,
+  email VARCHAR(255) NULL,
+  bio TEXT NULL,
+  user_id BIGINT UNSIGNED NULL,
+  created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  updated_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3) ON UPDATE CURRENT_TIMESTAMP(3),
+  UNIQUE KEY authors_slug_key (slug),
+  KEY authors_user_id_idx (user_id),
+  CONSTRAINT authors_user_fk FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+CREATE TABLE IF NOT EXISTS categories (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  slug VARCHAR(255) NOT NULL,
+  parent_id BIGINT UNSIGNED NULL,
+  position INT NOT NULL DEFAULT 0,
+  description TEXT NULL,
+  created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  updated_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3) ON UPDATE CURRENT_TIMESTAMP(3),
+  UNIQUE KEY categories_slug_key (slug),
+  KEY categories_parent_id_idx (parent_id),
+  CONSTRAINT categories_parent_fk FOREIGN KEY (parent_id) REFERENCES categories (id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+CREATE TABLE IF NOT EXISTS tags (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  slug VARCHAR(255) NOT NULL,
+  created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  UNIQUE KEY tags_slug_key (slug)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+CREATE TABLE IF NOT EXISTS news (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  title VARCHAR(500) NOT NULL,
+  subtitle VARCHAR(500) NULL,
+  summary TEXT NULL,
+  author_id BIGINT UNSIGNED NULL,
+  main_category_id BIGINT UNSIGNED NULL,
+  status ENUM('draft', 'in_review', 'approved', 'scheduled', 'published', 'archived') NOT NULL DEFAULT 'draft',
+  published_at DATETIME(3) NULL,
+  is_featured TINYINT(1) NOT NULL DEFAULT 0,
+  canonical_slug VARCHAR(255) NULL,
+  created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  updated_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3) ON UPDATE CURRENT_TIMESTAMP(3),
+  UNIQUE KEY news_canonical_slug_key (canonical_slug),
+  KEY news_status_published_at_idx (status, published_at),
+  KEY news_status_id_idx (status, id),
+  KEY news_author_id_idx (author_id),
+  KEY news_main_category_id_idx (main_category_id),
+  CONSTRAINT news_author_fk FOREIGN KEY (author_id) REFERENCES authors (id),
+  CONSTRAINT news_category_fk FOREIGN KEY (main_category_id) REFERENCES categories (id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+CREATE TABLE IF NOT EXISTS news_blocks (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  news_id BIGINT UNSIGNED NOT NULL,
+  type VARCHAR(50) NOT NULL,
+  content MEDIUMTEXT NULL,
+  media_url TEXT NULL,
+  alt_text TEXT NULL,
+  position INT NOT NULL DEFAULT 0,
+  KEY news_blocks_news_id_idx (news_id, position),
+  CONSTRAINT news_blocks_news_fk FOREIGN KEY (news_id) REFERENCES news (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+CREATE TABLE IF NOT EXISTS news_images (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  news_id BIGINT UNSIGNED NOT NULL,
+  url TEXT NOT NULL,
+  caption TEXT NULL,
+  alt_text TEXT NULL,
+  position INT NOT NULL DEFAULT 0,
+  created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  KEY news_images_news_id_idx (news_id, position),
+  CONSTRAINT news_images_news_fk FOREIGN KEY (news_id) REFERENCES news (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+CREATE TABLE IF NOT EXISTS news_tags (
+  news_id BIGINT UNSIGNED NOT NULL,
+  tag_id BIGINT UNSIGNED NOT NULL,
+  PRIMARY KEY (news_id, tag_id),
+  KEY news_tags_tag_id_idx (tag_id),
+  CONSTRAINT news_tags_news_fk FOREIGN KEY (news_id) REFERENCES news (id) ON DELETE CASCADE,
+  CONSTRAINT news_tags_tag_fk FOREIGN KEY (tag_id) REFERENCES tags (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+CREATE TABLE IF NOT EXISTS news_related (
+  news_id BIGINT UNSIGNED NOT NULL,
+  related_news_id BIGINT UNSIGNED NOT NULL,
+  relation_type VARCHAR(50) NULL,
+  PRIMARY KEY (news_id, related_news_id),
+  CONSTRAINT news_related_news_fk FOREIGN KEY (news_id) REFERENCES news (id) ON DELETE CASCADE,
+  CONSTRAINT news_related_related_fk FOREIGN KEY (related_news_id) REFERENCES news (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+CREATE TABLE IF NOT EXISTS news_status_history (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  news_id BIGINT UNSIGNED NOT NULL,
+  from_status VARCHAR(20) NULL,
+  to_status VARCHAR(20) NOT NULL,
+  action VARCHAR(20) NOT NULL,
+  comment TEXT NULL,
+  user_id BIGINT UNSIGNED NULL,
+  created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  KEY news_status_history_news_id_idx (news_id, created_at),
+  CONSTRAINT news_status_history_news_fk FOREIGN KEY (news_id) REFERENCES news (id) ON DELETE CASCADE,
+  CONSTRAINT news_status_history_user_fk FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+CREATE TABLE IF NOT EXISTS news_revisions (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  news_id BIGINT UNSIGNED NOT NULL,
+  snapshot JSON NOT NULL,
+  reason VARCHAR(20) NOT NULL DEFAULT 'update',
+  user_id BIGINT UNSIGNED NULL,
+  created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  KEY news_revisions_news_id_idx (news_id, created_at),
+  CONSTRAINT news_revisions_news_fk FOREIGN KEY (news_id) REFERENCES news (id) ON DELETE CASCADE,
+  CONSTRAINT news_revisions_user_fk FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+CREATE TABLE IF NOT EXISTS news_slug_history (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  news_id BIGINT UNSIGNED NOT NULL,
+  slug VARCHAR(255) NOT NULL,
+  created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  UNIQUE KEY news_slug_history_slug_key (slug),
+  KEY news_slug_history_news_id_idx (news_id),
+  CONSTRAINT news_slug_history_news_fk FOREIGN KEY (news_id) REFERENCES news (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+CREATE TABLE IF NOT EXISTS category_slug_history (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  category_id BIGINT UNSIGNED NOT NULL,
+  slug VARCHAR(255) NOT NULL,
+  created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  UNIQUE KEY category_slug_history_slug_key (slug),
+  KEY category_slug_history_category_id_idx (category_id),
+  CONSTRAINT category_slug_history_category_fk FOREIGN KEY (category_id) REFERENCES categories (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
@@ -0,0 +1,5 @@
+-- 002_news_keyset_index.sql
+-- Índice para la paginación por cursor de GET /api/news
+-- (published_at desc, created_at desc, id desc; ver migrations/009_news_keyset_index.sql).
+
+CREATE INDEX news_keyset_idx ON news (published_at DESC, created_at DESC, id DESC);
@@ -0,0 +1,6 @@
+-- 003_author_profiles.sql
+-- Perfil público de autores: foto y redes sociales (ver migrations/010_author_profiles.sql).
+
+ALTER TABLE authors
+  ADD COLUMN avatar_url VARCHAR(2000) NULL AFTER bio,
+  ADD COLUMN social_links JSON NULL AFTER avatar_url;
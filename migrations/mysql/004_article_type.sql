@@ -0,0 +1,5 @@
+-- 004_article_type.sql
+-- Tipo de nota para el JSON-LD del artículo (ver migrations/011_article_type.sql).
+
+ALTER TABLE news
+  ADD COLUMN article_type ENUM('news', 'live', 'video') NOT NULL DEFAULT 'news' AFTER is_featured;
@@ -0,0 +1,7 @@
+-- 005_image_cover_credit.sql
+-- Crédito y portada explícita de las imágenes (ver migrations/012_image_cover_credit.sql).
+-- Sin índices parciales en MySQL: la API garantiza una sola portada por noticia.
+
+ALTER TABLE news_images
+  ADD COLUMN credit VARCHAR(255) NULL AFTER alt_text,
+  ADD COLUMN is_cover TINYINT(1) NOT NULL DEFAULT 0 AFTER position;
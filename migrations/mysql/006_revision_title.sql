@@ -0,0 +1,9 @@
+-- 006_revision_title.sql
+-- Título de la noticia en cada revisión (ver migrations/015_revision_title.sql).
+
+ALTER TABLE news_revisions
+  ADD COLUMN title VARCHAR(500) NULL AFTER reason;
+
+UPDATE news_revisions
+  SET title = JSON_UNQUOTE(JSON_EXTRACT(snapshot, '$.news.title'))
+  WHERE title IS NULL;
@@ -0,0 +1,27 @@
+// repositories/authors.repository.js - AuthorRepository
+
+const { createTableRepository } = require('./table.repository');
+
+function createAuthorRepository(driver) {
+  const base = createTableRepository(driver, 'authors');
+
+  return {
+    ...base,
+
+    list({ columns = '*' } = {}) {
+      return base.find({}, { columns, orderBy: [{ column: 'name', ascending: true }] });
+    },
+
+    findBySlug(slug, { columns = '*' } = {}) {
+      return base.findOne({ slug }, { columns });
+    },
+
+    // Ids de los autores vinculados a un usuario (authors.user_id)
+    async getLinkedIds(userId) {
+      const rows = await base.find({ user_id: userId }, { columns: 'id' });
+      return rows.map(a => a.id);
+    }
+  };
+}
+
+module.exports = { createAuthorRepository };
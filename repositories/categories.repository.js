@@ -0,0 +1,67 @@
+// repositories/categories.repository.js - CategoryRepository
+
+const { createTableRepository } = require('./table.repository');
+const { createSlugHistory } = require('./slug-history');
+const { attachOne } = require('./relations');
+
+function createCategoryRepository(driver) {
+  const base = createTableRepository(driver, 'categories');
+  const slugHistory = createSlugHistory(driver, { table: 'category_slug_history', column: 'category_id' });
+
+  return {
+    ...base,
+
+    // Ordenadas por position y nombre, con parent: { name }
+    async list() {
+      const rows = await base.find({}, {
+        orderBy: [{ column: 'position', ascending: true }, { column: 'name', ascending: true }]
+      });
+      return attachOne(driver, rows, { table: 'categories', foreignKey: 'parent_id', as: 'parent', columns: 'name' });
+    },
+
+    findBySlug(slug, { columns = '*' } = {}) {
+      return base.findOne({ slug }, { columns });
+    },
+
+    // Ids de una categoría y todas sus subcategorías (por parent_id)
+    async getTreeIds(categoryId) {
+      const categories = await base.find({}, { columns: 'id, parent_id' });
+
+      const ids = [categoryId];
+      for (let i = 0; i < ids.length; i++) {
+        for (const cat of categories) {
+          if (cat.parent_id === ids[i] && !ids.includes(cat.id)) ids.push(cat.id);
+        }
+      }
+      return ids;
+    },
+
+    // Reescribe parent_id/position de varias categorías en una transacción. En Supabase
+    // (sin transacciones entre llamadas) repetir el mismo reorden tras un fallo lo termina.
+    reorder(moves) {
+      return driver.transaction(async tx => {
+        for (const move of moves) {
+          const patch = {};
+          if (move.parent_id !== undefined) patch.parent_id = move.parent_id;
+          if (move.position !== undefined) patch.position = move.position;
+          if (Object.keys(patch).length === 0) continue;
+
+          await tx.update('categories', { id: move.id }, patch);
+        }
+      });
+    },
+
+    // Un slug está ocupado si es el vigente de otra categoría o un slug antiguo de otra
+    // categoría (sus URLs viejas redirigen a ella)
+    async isSlugTaken(slug, excludeId = null) {
+      const where = excludeId ? { slug, id: { neq: excludeId } } : { slug };
+      if (await base.exists(where)) return true;
+      return slugHistory.isOldSlugOfAnother(slug, excludeId);
+    },
+
+    findIdByOldSlug: slugHistory.findIdByOldSlug,
+    recordSlugChange: slugHistory.recordChange
+  };
+}
+
+module.exports = { createCategoryRepository };
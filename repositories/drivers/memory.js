@@ -0,0 +1,310 @@
+// repositories/drivers/memory.js - Driver en memoria (DATA_BACKEND=memory).
+// Permite levantar la API completa sin Supabase ni MySQL: desarrollo offline y pruebas.
+// Emula lo que hace la base: ids autoincrementales, defaults, created_at/updated_at,
+// índices únicos (error 23505 como Postgres) y borrados en cascada / SET NULL.
+
+const { getTable, TABLES } = require('../schema');
+const { parseWhere, parseColumns } = require('../filters');
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+function clone(value) {
+  return value === undefined ? undefined : structuredClone(value);
+}
+
+// Como al serializar a JSON/SQL: una propiedad undefined no se escribe
+function definedOnly(data) {
+  return Object.fromEntries(Object.entries(data).filter(([, value]) => value !== undefined));
+}
+
+// Normaliza para comparar: booleanos como 0/1, fechas ISO como milisegundos
+function comparable(value) {
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === 'string' && ISO_DATE.test(value)) {
+    const time = new Date(value).getTime();
+    if (!isNaN(time)) return time;
+  }
+  return value;
+}
+
+// Igualdad "a la SQL": '5' y 5 son el mismo id
+function sameValue(a, b) {
+  if (a === null || a === undefined || b === null || b === undefined) return false;
+  const x = comparable(a);
+  const y = comparable(b);
+  if (typeof x === 'number' || typeof y === 'number') return Number(x) === Number(y);
+  return x === y;
+}
+
+function compare(a, b) {
+  const x = comparable(a);
+  const y = comparable(b);
+  if (typeof x === 'number' || typeof y === 'number') return Number(x) - Number(y);
+  return String(x).localeCompare(String(y));
+}
+
+// % y _ son comodines; con \ delante son literales (como LIKE en Postgres y MySQL)
+function likeToRegExp(pattern) {
+  const source = String(pattern).replace(/\\(.)|(%)|(_)|[.*+?^${}()|[\]\\]/g, (match, escaped, percent, underscore) => {
+    if (escaped !== undefined) return escaped.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    if (percent) return '.*';
+    if (underscore) return '.';
+    return `\\${match}`;
+  });
+  return new RegExp(`^${source}$`, 'i');
+}
+
+// tables: para $has (filas relacionadas de otra tabla)
+function matchCondition(row, condition, tables) {
+  if (condition.or) {
+    return condition.or.some(group => group.every(c => matchCondition(row, c, tables)));
+  }
+  if (condition.has) {
+    const { table, foreignKey, key, conditions } = condition.has;
+    getTable(table);
+    return tables[table].some(related => sameValue(related[foreignKey], row[key]) && matches(related, conditions, tables));
+  }
+
+  const actual = row[condition.column];
+  const { op, value } = condition;
+  const isNull = actual === null || actual === undefined;
+
+  switch (op) {
+    case 'eq': return sameValue(actual, value);
+    case 'neq': return !isNull && !sameValue(actual, value);
+    case 'gt': return !isNull && compare(actual, value) > 0;
+    case 'gte': return !isNull && compare(actual, value) >= 0;
+    case 'lt': return !isNull && compare(actual, value) < 0;
+    case 'lte': return !isNull && compare(actual, value) <= 0;
+    case 'in': return value.some(v => sameValue(actual, v));
+    case 'notIn': return !isNull && !value.some(v => sameValue(actual, v));
+    case 'is': return value === null ? isNull : sameValue(actual, value);
+    case 'ilike': return !isNull && likeToRegExp(value).test(String(actual));
+    default: throw new Error(`Operador de filtro no soportado: ${op}`);
+  }
+}
+
+function matches(row, conditions, tables) {
+  return conditions.every(c => matchCondition(row, c, tables));
+}
+
+function sortRows(rows, orderBy = []) {
+  if (orderBy.length === 0) return rows;
+
+  return [...rows].sort((a, b) => {
+    for (const { column, ascending = true, nullsFirst = ascending ? false : true } of orderBy) {
+      const x = a[column];
+      const y = b[column];
+      const xNull = x === null || x === undefined;
+      const yNull = y === null || y === undefined;
+
+      if (xNull && yNull) continue;
+      if (xNull) return nullsFirst ? -1 : 1;
+      if (yNull) return nullsFirst ? 1 : -1;
+
+      const diff = compare(x, y);
+      if (diff !== 0) return ascending ? diff : -diff;
+    }
+    return 0;
+  });
+}
+
+function project(row, columns) {
+  if (!columns) return clone(row);
+  const result = {};
+  for (const column of columns) {
+    result[column] = clone(row[column] === undefined ? null : row[column]);
+  }
+  return result;
+}
+
+function uniqueViolation(table, columns) {
+  const error = new Error(`duplicate key value violates unique constraint "${table}_${columns.join('_')}_key"`);
+  error.code = '23505';
+  return error;
+}
+
+function createMemoryDriver(seed = {}) {
+  const tables = {};
+  const sequences = {};
+
+  for (const name of Object.keys(TABLES)) {
+    tables[name] = [];
+    sequences[name] = 0;
+  }
+
+  function rowsOf(table) {
+    getTable(table);
+    return tables[table];
+  }
+
+  function checkUnique(table, candidate, ignore = null) {
+    const { unique } = getTable(table);
+
+    for (const columns of unique) {
+      if (columns.some(c => candidate[c] === null || candidate[c] === undefined)) continue;
+
+      const duplicate = tables[table].some(row => row !== ignore
+        && columns.every(c => sameValue(row[c], candidate[c])));
+
+      if (duplicate) throw uniqueViolation(table, columns);
+    }
+  }
+
+  function buildRow(table, data) {
+    const schema = getTable(table);
+    const now = new Date().toISOString();
+    const row = { ...clone(schema.defaults), ...clone(definedOnly(data)) };
+
+    if (schema.primaryKey && schema.autoIncrement) {
+      if (row[schema.primaryKey] === undefined || row[schema.primaryKey] === null) {
+        sequences[table] += 1;
+        row[schema.primaryKey] = sequences[table];
+      } else {
+        sequences[table] = Math.max(sequences[table], Number(row[schema.primaryKey]) || 0);
+      }
+    }
+    for (const column of schema.timestamps) {
+      if (row[column] === undefined || row[column] === null) row[column] = now;
+    }
+    // La llave primaria primero, como la devolvería la base
+    return schema.primaryKey ? { [schema.primaryKey]: row[schema.primaryKey], ...row } : row;
+  }
+
+  // Emula ON DELETE CASCADE y ON DELETE SET NULL de las tablas que apuntan a las filas borradas
+  function cascadeDelete(table, removed) {
+    const { primaryKey } = getTable(table);
+    if (!primaryKey || removed.length === 0) return;
+
+    const ids = removed.map(row => row[primaryKey]);
+
+    for (const child of Object.keys(TABLES)) {
+      const schema = getTable(child);
+
+      for (const [column, parent] of Object.entries(schema.cascade)) {
+        if (parent !== table) continue;
+        const gone = tables[child].filter(row => ids.some(id => sameValue(row[column], id)));
+        if (gone.length === 0) continue;
+        tables[child] = tables[child].filter(row => !gone.includes(row));
+        cascadeDelete(child, gone);
+      }
+
+      for (const [column, parent] of Object.entries(schema.setNull)) {
+        if (parent !== table) continue;
+        for (const row of tables[child]) {
+          if (ids.some(id => sameValue(row[column], id))) row[column] = null;
+        }
+      }
+    }
+  }
+
+  const driver = {
+    backend: 'memory',
+
+    // Acceso directo a los arreglos (búsqueda en memoria y pruebas)
+    tables,
+
+    async select(table, { columns = '*', where = {}, orderBy = [], limit = null, offset = 0 } = {}) {
+      const conditions = parseWhere(where);
+      const found = sortRows(rowsOf(table).filter(row => matches(row, conditions, tables)), orderBy);
+      const page = limit ? found.slice(offset || 0, (offset || 0) + limit) : found;
+      const list = parseColumns(columns);
+      return page.map(row => project(row, list));
+    },
+
+    async count(table, { where = {} } = {}) {
+      const conditions = parseWhere(where);
+      return rowsOf(table).filter(row => matches(row, conditions, tables)).length;
+    },
+
+    // [{ [column]: valor, count }] como SELECT column, COUNT(*) ... GROUP BY column
+    async countBy(table, column, { where = {} } = {}) {
+      const conditions = parseWhere(where);
+      const counts = new Map();
+      for (const row of rowsOf(table).filter(r => matches(r, conditions, tables))) {
+        const value = row[column] === undefined ? null : row[column];
+        counts.set(value, (counts.get(value) || 0) + 1);
+      }
+      return [...counts].map(([value, count]) => ({ [column]: value, count }));
+    },
+
+    async insert(table, data) {
+      const list = Array.isArray(data) ? data : [data];
+      const created = [];
+
+      for (const item of list) {
+        const row = buildRow(table, item);
+        checkUnique(table, row);
+        tables[table].push(row);
+        created.push(row);
+      }
+      return created.map(row => clone(row));
+    },
+
+    async update(table, where, patch) {
+      const schema = getTable(table);
+      const conditions = parseWhere(where);
+      const now = new Date().toISOString();
+      const updated = [];
+
+      for (const row of tables[table].filter(r => matches(r, conditions, tables))) {
+        const next = { ...row, ...clone(definedOnly(patch)) };
+        if (schema.timestamps.includes('updated_at') && patch.updated_at === undefined) {
+          next.updated_at = now;
+        }
+        checkUnique(table, next, row);
+        Object.assign(row, next);
+        updated.push(row);
+      }
+      return updated.map(row => clone(row));
+    },
+
+    async remove(table, where) {
+      const conditions = parseWhere(where);
+      const removed = rowsOf(table).filter(row => matches(row, conditions, tables));
+      tables[table] = tables[table].filter(row => !removed.includes(row));
+      cascadeDelete(table, removed);
+      return removed.length;
+    },
+
+    // Si fn falla, las tablas vuelven a como estaban antes (como un ROLLBACK)
+    async transaction(fn) {
+      const snapshot = { tables: clone(tables), sequences: { ...sequences } };
+      try {
+        return await fn(driver);
+      } catch (err) {
+        for (const name of Object.keys(tables)) tables[name] = snapshot.tables[name];
+        Object.assign(sequences, snapshot.sequences);
+        throw err;
+      }
+    },
+
+    async upsert(table, data, { onConflict }) {
+      const columns = onConflict.split(',').map(c => c.trim());
+      const result = [];
+
+      for (const item of Array.isArray(data) ? data : [data]) {
+        const existing = rowsOf(table).find(row => columns.every(c => sameValue(row[c], item[c])));
+        if (existing) {
+          const where = Object.fromEntries(columns.map(c => [c, item[c]]));
+          result.push(...await driver.update(table, where, item));
+        } else {
+          result.push(...await driver.insert(table, item));
+        }
+      }
+      return result;
+    }
+  };
+
+  // Datos iniciales opcionales: { news: [...], categories: [...], ... }
+  for (const [table, rows] of Object.entries(seed || {})) {
+    for (const row of rows) {
+      tables[table].push(buildRow(table, row));
+    }
+  }
+
+  return driver;
+}
+
+module.exports = { createMemoryDriver };
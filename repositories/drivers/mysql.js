@@ -0,0 +1,229 @@
+// repositories/drivers/mysql.js - Driver sobre mysql2/promise (DATA_BACKEND=mysql).
+// Las fechas viajan como UTC (pool con timezone 'Z') y se devuelven en ISO, igual que Supabase.
+
+const { getTable } = require('../schema');
+const { parseWhere, parseColumns } = require('../filters');
+
+const ISO_DATETIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/;
+
+const SQL_OPERATORS = { eq: '=', neq: '<>', gt: '>', gte: '>=', lt: '<', lte: '<=', ilike: 'LIKE' };
+
+function quoteId(name) {
+  return `\`${String(name).replace(/`/g, '``')}\``;
+}
+
+// Valores de entrada: ISO con zona -> Date (MySQL no acepta la "Z"), objetos -> JSON
+function toDbValue(value) {
+  if (typeof value === 'string' && ISO_DATETIME.test(value)) return new Date(value);
+  if (value !== null && typeof value === 'object' && !(value instanceof Date)) return JSON.stringify(value);
+  return value;
+}
+
+// Columnas con algún valor definido; las undefined se omiten para que apliquen los DEFAULT
+function definedColumns(rows) {
+  return [...new Set(rows.flatMap(row => Object.keys(row).filter(c => row[c] !== undefined)))];
+}
+
+function fromDbRow(row) {
+  const result = {};
+  for (const [key, value] of Object.entries(row)) {
+    result[key] = value instanceof Date ? value.toISOString() : value;
+  }
+  return result;
+}
+
+function buildConditions(conditions, params) {
+  return conditions.map(condition => {
+    if (condition.or) {
+      const groups = condition.or.map(group => {
+        const sql = buildConditions(group, params);
+        return sql.length > 0 ? `(${sql.join(' AND ')})` : '1 = 1';
+      });
+      return `(${groups.join(' OR ')})`;
+    }
+    if (condition.has) {
+      const { table, foreignKey, key, conditions } = condition.has;
+      const sql = buildConditions(conditions, params);
+      const where = sql.length > 0 ? ` WHERE ${sql.join(' AND ')}` : '';
+      return `${quoteId(key)} IN (SELECT ${quoteId(foreignKey)} FROM ${quoteId(table)}${where})`;
+    }
+
+    const column = quoteId(condition.column);
+    const { op, value } = condition;
+
+    switch (op) {
+      case 'in':
+      case 'notIn':
+        if (value.length === 0) return op === 'in' ? '1 = 0' : `${column} IS NOT NULL`;
+        params.push(...value.map(toDbValue));
+        return `${column} ${op === 'in' ? 'IN' : 'NOT IN'} (${value.map(() => '?').join(', ')})`;
+      case 'is':
+        if (value === null) return `${column} IS NULL`;
+        params.push(toDbValue(value));
+        return `${column} = ?`;
+      default:
+        params.push(toDbValue(value));
+        return `${column} ${SQL_OPERATORS[op]} ?`;
+    }
+  });
+}
+
+function buildWhere(where, params) {
+  const sql = buildConditions(parseWhere(where), params);
+  return sql.length > 0 ? ` WHERE ${sql.join(' AND ')}` : '';
+}
+
+// MySQL ordena NULL primero en ASC; se fuerza la misma regla que Postgres (o la pedida)
+function buildOrderBy(orderBy) {
+  if (orderBy.length === 0) return '';
+  const parts = orderBy.map(({ column, ascending = true, nullsFirst = !ascending }) => {
+    const id = quoteId(column);
+    return `${id} IS NULL ${nullsFirst ? 'DESC' : 'ASC'}, ${id} ${ascending ? 'ASC' : 'DESC'}`;
+  });
+  return ` ORDER BY ${parts.join(', ')}`;
+}
+
+// pool: pool de mysql2/promise (o una conexión, dentro de una transacción)
+function createMysqlDriver(pool) {
+  async function query(sql, params = []) {
+    const [result] = await pool.query(sql, params);
+    return result;
+  }
+
+  const driver = {
+    backend: 'mysql',
+    pool,
+
+    async select(table, { columns = '*', where = {}, orderBy = [], limit = null, offset = 0 } = {}) {
+      const params = [];
+      const list = parseColumns(columns);
+      let sql = `SELECT ${list ? list.map(quoteId).join(', ') : '*'} FROM ${quoteId(table)}`;
+      sql += buildWhere(where, params);
+      sql += buildOrderBy(orderBy);
+      if (limit) {
+        sql += ' LIMIT ? OFFSET ?';
+        params.push(Number(limit), Number(offset) || 0);
+      }
+      const rows = await query(sql, params);
+      return rows.map(fromDbRow);
+    },
+
+    async count(table, { where = {} } = {}) {
+      const params = [];
+      const rows = await query(`SELECT COUNT(*) AS total FROM ${quoteId(table)}${buildWhere(where, params)}`, params);
+      return Number(rows[0].total);
+    },
+
+    async countBy(table, column, { where = {} } = {}) {
+      const params = [];
+      const id = quoteId(column);
+      const rows = await query(`SELECT ${id}, COUNT(*) AS total FROM ${quoteId(table)}${buildWhere(where, params)} GROUP BY ${id}`, params);
+      return rows.map(row => ({ [column]: row[column], count: Number(row.total) }));
+    },
+
+    async insert(table, data) {
+      const rows = Array.isArray(data) ? data : [data];
+      if (rows.length === 0) return [];
+
+      const { primaryKey, autoIncrement } = getTable(table);
+      const columns = definedColumns(rows);
+      const params = [];
+      const values = rows.map(row => {
+        params.push(...columns.map(c => toDbValue(row[c] === undefined ? null : row[c])));
+        return `(${columns.map(() => '?').join(', ')})`;
+      });
+
+      const result = await query(
+        `INSERT INTO ${quoteId(table)} (${columns.map(quoteId).join(', ')}) VALUES ${values.join(', ')}`,
+        params
+      );
+
+      if (!primaryKey) return rows;
+
+      // Un INSERT de varias filas recibe ids consecutivos a partir de insertId
+      const ids = autoIncrement
+        ? rows.map((row, i) => row[primaryKey] ?? result.insertId + i)
+        : rows.map(row => row[primaryKey]);
+
+      return driver.select(table, { where: { [primaryKey]: ids }, orderBy: [{ column: primaryKey }] });
+    },
+
+    async update(table, where, patch) {
+      const { primaryKey } = getTable(table);
+      const columns = definedColumns([patch]);
+      if (columns.length === 0) return driver.select(table, { where });
+
+      // Se leen antes las llaves: el patch puede cambiar las columnas del filtro
+      const keys = primaryKey
+        ? (await driver.select(table, { columns: primaryKey, where })).map(row => row[primaryKey])
+        : null;
+      if (keys && keys.length === 0) return [];
+
+      const params = columns.map(c => toDbValue(patch[c]));
+      const set = columns.map(c => `${quoteId(c)} = ?`).join(', ');
+      const scope = keys ? { ...where, [primaryKey]: { in: keys } } : where;
+      const result = await query(`UPDATE ${quoteId(table)} SET ${set}${buildWhere(scope, params)}`, params);
+
+      if (!keys || result.affectedRows === 0) return [];
+      return driver.select(table, { where: { [primaryKey]: keys } });
+    },
+
+    async remove(table, where) {
+      const params = [];
+      const result = await query(`DELETE FROM ${quoteId(table)}${buildWhere(where, params)}`, params);
+      return result.affectedRows;
+    },
+
+    // fn recibe un driver sobre una sola conexión dentro de BEGIN ... COMMIT (ROLLBACK si falla)
+    async transaction(fn) {
+      if (!pool.getConnection) return fn(driver);
+
+      const connection = await pool.getConnection();
+      try {
+        await connection.beginTransaction();
+        const result = await fn(createMysqlDriver(connection));
+        await connection.commit();
+        return result;
+      } catch (err) {
+        await connection.rollback();
+        throw err;
+      } finally {
+        connection.release();
+      }
+    },
+
+    // onConflict debe corresponder a un índice UNIQUE de la tabla
+    async upsert(table, data, { onConflict }) {
+      const rows = Array.isArray(data) ? data : [data];
+      if (rows.length === 0) return [];
+
+      const conflict = onConflict.split(',').map(c => c.trim());
+      const columns = definedColumns(rows);
+      const params = [];
+      const values = rows.map(row => {
+        params.push(...columns.map(c => toDbValue(row[c] === undefined ? null : row[c])));
+        return `(${columns.map(() => '?').join(', ')})`;
+      });
+      const updates = columns
+        .filter(c => !conflict.includes(c))
+        .map(c => `${quoteId(c)} = VALUES(${quoteId(c)})`);
+
+      await query(
+        `INSERT INTO ${quoteId(table)} (${columns.map(quoteId).join(', ')}) VALUES ${values.join(', ')}`
+        + (updates.length > 0 ? ` ON DUPLICATE KEY UPDATE ${updates.join(', ')}` : ''),
+        params
+      );
+
+      const result = [];
+      for (const row of rows) {
+        const where = Object.fromEntries(conflict.map(c => [c, row[c]]));
+        result.push(...await driver.select(table, { where }));
+      }
+      return result;
+    }
+  };
+
+  return driver;
+}
+
+module.exports = { createMysqlDriver };
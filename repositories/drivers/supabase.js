@@ -0,0 +1,167 @@
+// repositories/drivers/supabase.js - Driver sobre @supabase/supabase-js (DATA_BACKEND=supabase)
+
+const { parseWhere } = require('../filters');
+
+// Valores dentro de .or(): PostgREST exige comillas si traen caracteres reservados
+function formatOrValue(value) {
+  if (value === null) return 'null';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[,()"\\\s]/.test(text) ? `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"` : text;
+}
+
+function formatOrList(values) {
+  return `(${values.map(formatOrValue).join(',')})`;
+}
+
+function formatOrCondition(condition) {
+  if (condition.or) {
+    return `or(${condition.or.map(formatOrGroup).join(',')})`;
+  }
+  if (condition.has) {
+    throw new Error('$has no se puede usar dentro de $or');
+  }
+
+  const { column, op, value } = condition;
+  switch (op) {
+    case 'in': return `${column}.in.${formatOrList(value)}`;
+    // notIn: [] es "IS NOT NULL" (igual que en MySQL y memoria)
+    case 'notIn': return value.length === 0 ? `${column}.not.is.null` : `${column}.not.in.${formatOrList(value)}`;
+    case 'is': return `${column}.is.${value === null ? 'null' : value}`;
+    default: return `${column}.${op}.${formatOrValue(value)}`;
+  }
+}
+
+function formatOrGroup(group) {
+  return group.length === 1
+    ? formatOrCondition(group[0])
+    : `and(${group.map(formatOrCondition).join(',')})`;
+}
+
+// $has: cada relación es un embed !inner sin columnas (solo filtra) con alias has_0, has_1...
+function selectWithRelations(columns, conditions) {
+  const embeds = conditions.filter(c => c.has).map((c, i) => `has_${i}:${c.has.table}!inner()`);
+  return [columns, ...embeds].join(', ');
+}
+
+// referencedTable: alias del embed al que se aplican las condiciones (las de un $has)
+function applyConditions(query, conditions, referencedTable = null) {
+  // Varios .or() en la misma consulta no se combinan de forma fiable en PostgREST:
+  // se mandan juntos como or=(and(or(...),or(...)))
+  const alternatives = conditions.filter(c => c.or);
+  let relation = 0;
+
+  for (const condition of conditions) {
+    if (condition.or) {
+      if (condition !== alternatives[0]) continue;
+      const filters = alternatives.length === 1
+        ? condition.or.map(formatOrGroup).join(',')
+        : formatOrGroup(alternatives);
+      query = referencedTable ? query.or(filters, { referencedTable }) : query.or(filters);
+      continue;
+    }
+    if (condition.has) {
+      if (referencedTable) throw new Error('$has no se puede anidar');
+      query = applyConditions(query, condition.has.conditions, `has_${relation++}`);
+      continue;
+    }
+
+    const { op, value } = condition;
+    const column = referencedTable ? `${referencedTable}.${condition.column}` : condition.column;
+    switch (op) {
+      case 'in':
+        query = query.in(column, value);
+        break;
+      case 'notIn':
+        query = value.length === 0 ? query.not(column, 'is', null) : query.not(column, 'in', formatOrList(value));
+        break;
+      case 'is':
+        query = query.is(column, value);
+        break;
+      default:
+        query = query[op](column, value);
+    }
+  }
+  return query;
+}
+
+function applyWhere(query, where) {
+  return applyConditions(query, parseWhere(where));
+}
+
+function unwrap({ data, error }) {
+  if (error) throw error;
+  return data;
+}
+
+function createSupabaseDriver(client) {
+  const driver = {
+    backend: 'supabase',
+    client,
+
+    async select(table, { columns = '*', where = {}, orderBy = [], limit = null, offset = 0 } = {}) {
+      const conditions = parseWhere(where);
+      let query = applyConditions(client.from(table).select(selectWithRelations(columns, conditions)), conditions);
+
+      for (const { column, ascending = true, nullsFirst } of orderBy) {
+        query = query.order(column, nullsFirst === undefined ? { ascending } : { ascending, nullsFirst });
+      }
+      // offset solo tiene efecto junto con limit (igual en todos los drivers)
+      if (limit) {
+        query = query.range(offset || 0, (offset || 0) + limit - 1);
+      }
+
+      return unwrap(await query) || [];
+    },
+
+    // estimated usa las estadísticas de Postgres cuando la tabla es grande (count: 'estimated')
+    async count(table, { where = {}, estimated = false } = {}) {
+      const options = { count: estimated ? 'estimated' : 'exact', head: true };
+      const conditions = parseWhere(where);
+      const query = applyConditions(client.from(table).select(selectWithRelations('*', conditions), options), conditions);
+      const { count, error } = await query;
+      if (error) throw error;
+      return count || 0;
+    },
+
+    // Agregado count() de PostgREST agrupado por column; requiere los agregados habilitados
+    // (migrations/013_tag_counts.sql)
+    async countBy(table, column, { where = {} } = {}) {
+      const conditions = parseWhere(where);
+      const query = applyConditions(client.from(table).select(selectWithRelations(`${column}, count()`, conditions)), conditions);
+      const rows = unwrap(await query) || [];
+      return rows.map(row => ({ [column]: row[column], count: Number(row.count) }));
+    },
+
+    async insert(table, data) {
+      const rows = Array.isArray(data) ? data : [data];
+      return unwrap(await client.from(table).insert(rows).select()) || [];
+    },
+
+    async update(table, where, patch) {
+      const query = applyWhere(client.from(table).update(patch), where);
+      return unwrap(await query.select()) || [];
+    },
+
+    async remove(table, where) {
+      const query = applyWhere(client.from(table).delete({ count: 'exact' }), where);
+      const { count, error } = await query;
+      if (error) throw error;
+      return count || 0;
+    },
+
+    // PostgREST no tiene transacciones entre llamadas: fn corre sobre el mismo driver y quien
+    // la usa ordena sus pasos para que repetir la operación tras un fallo la termine
+    transaction(fn) {
+      return fn(driver);
+    },
+
+    async upsert(table, data, { onConflict }) {
+      const rows = Array.isArray(data) ? data : [data];
+      return unwrap(await client.from(table).upsert(rows, { onConflict }).select()) || [];
+    }
+  };
+
+  return driver;
+}
+
+module.exports = { createSupabaseDriver };
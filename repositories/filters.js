@@ -0,0 +1,76 @@
+// repositories/filters.js - Formato común de filtros (where) para todos los drivers.
+//
+// where es un objeto; cada llave es una columna:
+//   { status: 'published' }                 -> status = 'published'
+//   { published_at: null }                  -> published_at IS NULL
+//   { id: [1, 2, 3] }                       -> id IN (1, 2, 3)
+//   { published_at: { lte: iso, gte: iso } } -> operadores: eq, neq, gt, gte, lt, lte, in, notIn, is, ilike
+//   { $or: [{ published_at: null }, { published_at: { lte: iso } }] } -> alternativas (cada una es un where)
+//   { $and: [where, where] }                -> todas; sirve para combinar varios $or en un mismo filtro
+//   { $has: { table: 'news_tags', foreignKey: 'news_id', where: { tag_id: 5 } } }
+//                                           -> id IN (SELECT news_id FROM news_tags WHERE tag_id = 5)
+//      key es la columna de esta tabla (id por defecto); puede ser un arreglo de relaciones.
+//      Solo en consultas (select, count, countBy) y fuera de $or: en Supabase es un embed
+//      !inner, así que table debe tener una llave foránea hacia la tabla consultada (o al revés).
+// Todas las condiciones de un mismo objeto se combinan con AND.
+
+const OPERATORS = ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'in', 'notIn', 'is', 'ilike'];
+
+function isPlainObject(value) {
+  return value !== null
+    && typeof value === 'object'
+    && !Array.isArray(value)
+    && !(value instanceof Date);
+}
+
+// where -> lista de condiciones { column, op, value } | { or: [lista, lista, ...] }
+//          | { has: { table, foreignKey, key, conditions } }
+function parseWhere(where = {}) {
+  const conditions = [];
+
+  for (const [key, value] of Object.entries(where || {})) {
+    if (value === undefined) continue;
+
+    if (key === '$or') {
+      conditions.push({ or: value.map(parseWhere) });
+      continue;
+    }
+    if (key === '$and') {
+      conditions.push(...value.flatMap(parseWhere));
+      continue;
+    }
+    if (key === '$has') {
+      for (const { table, foreignKey, key: column = 'id', where: related = {} } of [].concat(value)) {
+        conditions.push({ has: { table, foreignKey, key: column, conditions: parseWhere(related) } });
+      }
+      continue;
+    }
+
+    if (value === null) {
+      conditions.push({ column: key, op: 'is', value: null });
+    } else if (Array.isArray(value)) {
+      conditions.push({ column: key, op: 'in', value });
+    } else if (isPlainObject(value)) {
+      for (const [op, operand] of Object.entries(value)) {
+        if (!OPERATORS.includes(op)) {
+          throw new Error(`Operador de filtro no soportado: ${op}`);
+        }
+        if (operand === undefined) continue;
+        conditions.push({ column: key, op, value: operand });
+      }
+    } else {
+      conditions.push({ column: key, op: 'eq', value });
+    }
+  }
+
+  return conditions;
+}
+
+// "id, title" -> ['id', 'title']; '*' -> null (todas las columnas)
+function parseColumns(columns = '*') {
+  if (Array.isArray(columns)) return columns;
+  const list = String(columns).split(',').map(c => c.trim()).filter(Boolean);
+  return list.length === 0 || list.includes('*') ? null : list;
+}
+
+module.exports = { OPERATORS, parseWhere, parseColumns };
@@ -0,0 +1,45 @@
+// repositories/images.repository.js - ImageRepository (news_images)
+
+const { createTableRepository } = require('./table.repository');
+
+function createImageRepository(driver) {
+  const base = createTableRepository(driver, 'news_images');
+
+  return {
+    ...base,
+
+    listByNews(newsId) {
+      return base.find({ news_id: newsId }, { orderBy: [{ column: 'position', ascending: true }] });
+    },
+
+    // Imagen solo si pertenece a la noticia
+    findInNews(newsId, imageId) {
+      if (!/^\d+$/.test(String(imageId))) return Promise.resolve(null);
+      return base.findOne({ id: imageId, news_id: newsId });
+    },
+
+    // La imagen queda como portada y ninguna otra de la noticia lo es, en una transacción para
+    // que la noticia no se quede sin portada ni con dos (en Supabase, repetir la llamada lo arregla)
+    setCover(newsId, imageId) {
+      return driver.transaction(async tx => {
+        await tx.update('news_images', { news_id: newsId, is_cover: true }, { is_cover: false });
+        await tx.update('news_images', { id: imageId, news_id: newsId }, { is_cover: true });
+      });
+    },
+
+    // ids (todas las imágenes de la noticia) en el orden nuevo: position 0, 1, 2...
+    reorder(newsId, ids) {
+      return driver.transaction(async tx => {
+        const previous = await tx.select('news_images', { columns: 'id, position', where: { news_id: newsId } });
+        const before = new Map(previous.map(row => [row.id, row.position]));
+
+        for (const [position, id] of ids.entries()) {
+          if (before.get(id) === position) continue;
+          await tx.update('news_images', { id, news_id: newsId }, { position });
+        }
+      });
+    }
+  };
+}
+
+module.exports = { createImageRepository };
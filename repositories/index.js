@@ -0,0 +1,82 @@
+// repositories/index.js - Capa de acceso a datos.
+//
+// Todas las rutas usan estos repositorios; el backend se elige con DATA_BACKEND:
+//   supabase (por defecto)  SUPABASE_URL + SUPABASE_ANON_KEY
+//   mysql                   DB_HOST, DB_PORT, DB_USER, DB_PASSWORD, DB_NAME (ver db.js)
+//   memory                  sin base de datos; MEMORY_SEED_FILE (JSON { tabla: [filas] }) opcional
+//
+// Los tres drivers exponen la misma interfaz (select/count/countBy/insert/update/remove/upsert
+// y transaction, con los filtros de repositories/filters.js) y los repositorios no saben cuál usan.
+
+const fs = require('fs');
+const path = require('path');
+
+const { createSupabaseDriver } = require('./drivers/supabase');
+const { createMysqlDriver } = require('./drivers/mysql');
+const { createMemoryDriver } = require('./drivers/memory');
+const { createNewsRepository } = require('./news.repository');
+const { createCategoryRepository } = require('./categories.repository');
+const { createAuthorRepository } = require('./authors.repository');
+const { createTagRepository } = require('./tags.repository');
+const { createImageRepository } = require('./images.repository');
+const { createUserRepository } = require('./users.repository');
+const {
+  createSupabaseSearchSource,
+  createMysqlSearchSource,
+  createMemorySearchSource
+} = require('../lib/search');
+
+const BACKENDS = ['supabase', 'mysql', 'memory'];
+
+function loadSeed(file) {
+  if (!file) return {};
+  return JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+}
+
+function createDriver(backend, options) {
+  switch (backend) {
+    case 'supabase': {
+      const client = options.supabase || require('@supabase/supabase-js').createClient(
+        process.env.SUPABASE_URL,
+        process.env.SUPABASE_ANON_KEY
+      );
+      return createSupabaseDriver(client);
+    }
+    case 'mysql': {
+      const pool = options.pool || require('../db').createPool();
+      return createMysqlDriver(pool);
+    }
+    case 'memory':
+      return createMemoryDriver(options.seed || loadSeed(process.env.MEMORY_SEED_FILE));
+    default:
+      throw new Error(`DATA_BACKEND inválido: ${backend} (usa ${BACKENDS.join(', ')})`);
+  }
+}
+
+function createSearchSource(driver) {
+  switch (driver.backend) {
+    case 'supabase': return createSupabaseSearchSource(driver.client);
+    case 'mysql': return createMysqlSearchSource(driver.pool);
+    default: return createMemorySearchSource(driver.tables);
+  }
+}
+
+// options: { backend, supabase (cliente), pool (mysql2), seed (memoria) }
+function createRepositories(options = {}) {
+  const backend = options.backend || process.env.DATA_BACKEND || 'supabase';
+  const driver = createDriver(backend, options);
+
+  return {
+    backend,
+    driver,
+    news: createNewsRepository(driver),
+    categories: createCategoryRepository(driver),
+    authors: createAuthorRepository(driver),
+    tags: createTagRepository(driver),
+    images: createImageRepository(driver),
+    users: createUserRepository(driver),
+    search: createSearchSource(driver)
+  };
+}
+
+module.exports = { BACKENDS, createRepositories };
@@ -0,0 +1,198 @@
+// repositories/news.repository.js - NewsRepository: noticias y todo lo que cuelga de ellas
+// (bloques, tags, relacionadas, historial editorial, revisiones e historial de slugs).
+
+const { createTableRepository } = require('./table.repository');
+const { createSlugHistory } = require('./slug-history');
+const { pick, attachOne, attachMany } = require('./relations');
+const { parseColumns } = require('./filters');
+
+const BY_POSITION = [{ column: 'position', ascending: true }];
+
+// Filtro de noticias visibles al público: publicadas y con published_at ya cumplido
+function publiclyVisibleWhere(now = new Date()) {
+  return {
+    status: 'published',
+    $or: [{ published_at: null }, { published_at: { lte: now.toISOString() } }]
+  };
+}
+
+function createNewsRepository(driver) {
+  const base = createTableRepository(driver, 'news');
+  const slugHistory = createSlugHistory(driver, { table: 'news_slug_history', column: 'news_id' });
+
+  // Relaciones disponibles en include, con la misma forma que los embeds de Supabase
+  const relations = {
+    authors: (rows, columns) => attachOne(driver, rows, {
+      table: 'authors', foreignKey: 'author_id', as: 'authors', columns
+    }),
+    categories: (rows, columns) => attachOne(driver, rows, {
+      table: 'categories', foreignKey: 'main_category_id', as: 'categories', columns
+    }),
+    news_images: (rows, columns) => attachMany(driver, rows, {
+      table: 'news_images', foreignKey: 'news_id', as: 'news_images', columns, orderBy: BY_POSITION
+    }),
+    news_blocks: (rows, columns) => attachMany(driver, rows, {
+      table: 'news_blocks', foreignKey: 'news_id', as: 'news_blocks', columns, orderBy: BY_POSITION
+    }),
+    // news_tags: [{ tags: { ... } }]
+    news_tags: async (rows, columns) => {
+      const links = await attachMany(driver, rows.map(row => ({ id: row.id })), {
+        table: 'news_tags', foreignKey: 'news_id', as: 'links', columns: 'tag_id'
+      });
+      const tagIds = [...new Set(links.flatMap(l => l.links.map(link => link.tag_id)))];
+      const list = parseColumns(columns);
+      const tags = tagIds.length > 0
+        ? await driver.select('tags', { columns: list ? [...new Set([...list, 'id'])] : '*', where: { id: tagIds } })
+        : [];
+      const byId = new Map(tags.map(t => [String(t.id), t]));
+
+      rows.forEach((row, i) => {
+        row.news_tags = links[i].links
+          .map(link => byId.get(String(link.tag_id)))
+          .filter(Boolean)
+          .map(tag => ({ tags: pick(tag, list) }));
+      });
+      return rows;
+    }
+  };
+
+  // include: { authors: 'name', categories: 'name, slug', news_images: 'url, position', ... }
+  async function withRelations(rows, include = {}) {
+    for (const [name, columns] of Object.entries(include || {})) {
+      if (!relations[name]) throw new Error(`Relación desconocida en news: ${name}`);
+      await relations[name](rows, columns);
+    }
+    return rows;
+  }
+
+  return {
+    ...base,
+
+    publiclyVisibleWhere,
+
+    async list({ where = {}, columns = '*', include = {}, orderBy = [], limit = null, offset = 0 } = {}) {
+      const rows = await base.find(where, { columns, orderBy, limit, offset });
+      return withRelations(rows, include);
+    },
+
+    async findById(id, { columns = '*', include = {} } = {}) {
+      const row = await base.findById(id, { columns });
+      return row ? (await withRelations([row], include))[0] : null;
+    },
+
+    async findBySlug(slug, { columns = '*', include = {} } = {}) {
+      const row = await base.findOne({ canonical_slug: slug }, { columns });
+      return row ? (await withRelations([row], include))[0] : null;
+    },
+
+    // Un slug está ocupado si es el vigente de otra noticia o un slug antiguo de otra noticia
+    async isSlugTaken(slug, excludeId = null) {
+      const where = excludeId ? { canonical_slug: slug, id: { neq: excludeId } } : { canonical_slug: slug };
+      if (await base.exists(where)) return true;
+      return slugHistory.isOldSlugOfAnother(slug, excludeId);
+    },
+
+    findIdByOldSlug: slugHistory.findIdByOldSlug,
+    recordSlugChange: slugHistory.recordChange,
+
+    // ----- Bloques -----
+
+    getBlocks(newsId) {
+      return driver.select('news_blocks', { where: { news_id: newsId }, orderBy: BY_POSITION });
+    },
+
+    // Reemplaza todos los bloques; la posición es el orden del arreglo
+    async replaceBlocks(newsId, blocks) {
+      await driver.remove('news_blocks', { news_id: newsId });
+      if (blocks.length === 0) return [];
+      return driver.insert('news_blocks', blocks.map((block, i) => ({ ...block, news_id: newsId, position: i })));
+    },
+
+    // ----- Tags -----
+
+    async getTags(newsId) {
+      const links = await driver.select('news_tags', { columns: 'tag_id', where: { news_id: newsId } });
+      if (links.length === 0) return [];
+      const tags = await driver.select('tags', { where: { id: links.map(l => l.tag_id) } });
+      const byId = new Map(tags.map(t => [String(t.id), t]));
+      return links.map(l => byId.get(String(l.tag_id))).filter(Boolean);
+    },
+
+    async replaceTags(newsId, tagIds) {
+      await driver.remove('news_tags', { news_id: newsId });
+      if (tagIds.length === 0) return [];
+      return driver.insert('news_tags', tagIds.map(tagId => ({ news_id: newsId, tag_id: tagId })));
+    },
+
+    // Filtro de noticias con ese tag (join con news_tags en la base, no una lista de ids)
+    taggedWhere(tagId) {
+      return { $has: { table: 'news_tags', foreignKey: 'news_id', where: { tag_id: tagId } } };
+    },
+
+    // ----- Relacionadas -----
+
+    // [{ news: { ... }, relation_type }]
+    async getRelated(newsId) {
+      const links = await driver.select('news_related', { where: { news_id: newsId } });
+      await attachOne(driver, links, { table: 'news', foreignKey: 'related_news_id', as: 'news' });
+      return links.map(link => ({ news: link.news, relation_type: link.relation_type }));
+    },
+
+    // ----- Historial editorial -----
+
+    async addStatusChange({ newsId, from, to, action, userId = null, comment = null }) {
+      const [row] = await driver.insert('news_status_history', [{
+        news_id: newsId,
+        from_status: from,
+        to_status: to,
+        action,
+        user_id: userId,
+        comment: comment || null
+      }]);
+      return row;
+    },
+
+    // Con users: { name } de quien hizo el cambio
+    async getStatusHistory(newsId) {
+      const rows = await driver.select('news_status_history', {
+        where: { news_id: newsId },
+        orderBy: [{ column: 'created_at', ascending: true }, { column: 'id', ascending: true }]
+      });
+      return attachOne(driver, rows, { table: 'users', foreignKey: 'user_id', as: 'users', columns: 'name' });
+    },
+
+    // ----- Revisiones -----
+
+    // title se copia del snapshot para listar sin leerlo
+    async createRevision({ newsId, snapshot, reason = 'update', userId = null }) {
+      const [row] = await driver.insert('news_revisions', [{
+        news_id: newsId,
+        snapshot,
+        reason,
+        title: snapshot?.news?.title ?? null,
+        user_id: userId
+      }]);
+      return { id: row.id, created_at: row.created_at };
+    },
+
+    // Sin el snapshot completo: solo el título que tenía la noticia
+    async listRevisions(newsId) {
+      const rows = await driver.select('news_revisions', {
+        columns: 'id, news_id, reason, title, user_id, created_at',
+        where: { news_id: newsId },
+        orderBy: [{ column: 'created_at', ascending: false }, { column: 'id', ascending: false }]
+      });
+      return attachOne(driver, rows, { table: 'users', foreignKey: 'user_id', as: 'users', columns: 'name' });
+    },
+
+    async findRevision(newsId, revisionId) {
+      if (!/^\d+$/.test(String(revisionId))) return null;
+      const [row] = await driver.select('news_revisions', { where: { id: revisionId, news_id: newsId }, limit: 1 });
+      if (!row) return null;
+      const [withUser] = await attachOne(driver, [row], { table: 'users', foreignKey: 'user_id', as: 'users', columns: 'name' });
+      return withUser;
+    }
+  };
+}
+
+module.exports = { createNewsRepository, publiclyVisibleWhere };
@@ -0,0 +1,58 @@
+// repositories/relations.js - Relaciones cargadas con una consulta por tabla (sin joins),
+// para que los tres drivers devuelvan la misma forma que los embeds de Supabase
+// (news.authors = { name }, news.news_images = [...], etc.).
+
+const { parseColumns } = require('./filters');
+
+function pick(row, columns) {
+  if (!row || !columns) return row;
+  return Object.fromEntries(columns.map(c => [c, row[c] === undefined ? null : row[c]]));
+}
+
+function withKey(columns, key) {
+  return columns ? [...new Set([...columns, key])] : null;
+}
+
+function uniqueValues(rows, column) {
+  return [...new Set(rows.map(row => row[column]).filter(v => v !== null && v !== undefined))];
+}
+
+// Relación muchos-a-uno: rows[foreignKey] -> table.id, guardada en row[as]
+async function attachOne(driver, rows, { table, foreignKey, as, columns = '*', key = 'id' }) {
+  const list = parseColumns(columns);
+  const ids = uniqueValues(rows, foreignKey);
+  const related = ids.length > 0
+    ? await driver.select(table, { columns: withKey(list, key), where: { [key]: ids } })
+    : [];
+
+  const byKey = new Map(related.map(r => [String(r[key]), r]));
+  for (const row of rows) {
+    const match = row[foreignKey] === null || row[foreignKey] === undefined
+      ? null
+      : byKey.get(String(row[foreignKey]));
+    row[as] = match ? pick(match, list) : null;
+  }
+  return rows;
+}
+
+// Relación uno-a-muchos: table[foreignKey] -> rows.id, guardada en row[as]
+async function attachMany(driver, rows, { table, foreignKey, as, columns = '*', key = 'id', orderBy = [] }) {
+  const list = parseColumns(columns);
+  const ids = uniqueValues(rows, key);
+  const related = ids.length > 0
+    ? await driver.select(table, { columns: withKey(list, foreignKey), where: { [foreignKey]: ids }, orderBy })
+    : [];
+
+  const groups = new Map();
+  for (const r of related) {
+    const group = String(r[foreignKey]);
+    if (!groups.has(group)) groups.set(group, []);
+    groups.get(group).push(pick(r, list));
+  }
+  for (const row of rows) {
+    row[as] = groups.get(String(row[key])) || [];
+  }
+  return rows;
+}
+
+module.exports = { pick, attachOne, attachMany };
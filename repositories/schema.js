@@ -0,0 +1,120 @@
+// repositories/schema.js - Descripción mínima de las tablas que usan los drivers.
+// Supabase y MySQL ya conocen su esquema; el driver en memoria lo necesita para
+// emular ids autoincrementales, valores por defecto, únicos y borrados en cascada.
+// El driver MySQL lo usa para saber la llave primaria al devolver filas insertadas.
+
+const TABLES = {
+  users: {
+    primaryKey: 'id',
+    unique: [['email']],
+    timestamps: ['created_at'],
+    defaults: { role: 'contributor' }
+  },
+  auth_refresh_tokens: {
+    primaryKey: 'jti',
+    autoIncrement: false,
+    timestamps: ['created_at'],
+    defaults: { revoked_at: null },
+    cascade: { user_id: 'users' }
+  },
+  authors: {
+    primaryKey: 'id',
+    unique: [['slug']],
+    timestamps: ['created_at', 'updated_at'],
+    defaults: { email: null, bio: null, user_id: null },
+    setNull: { user_id: 'users' }
+  },
+  categories: {
+    primaryKey: 'id',
+    unique: [['slug']],
+    timestamps: ['created_at', 'updated_at'],
+    defaults: { parent_id: null, position: 0, description: null }
+  },
+  tags: {
+    primaryKey: 'id',
+    unique: [['slug']],
+    timestamps: ['created_at']
+  },
+  news: {
+    primaryKey: 'id',
+    unique: [['canonical_slug']],
+    timestamps: ['created_at', 'updated_at'],
+    defaults: {
+      subtitle: null,
+      summary: null,
+      author_id: null,
+      main_category_id: null,
+      status: 'draft',
+      published_at: null,
+      is_featured: 0,
+      article_type: 'news',
+      canonical_slug: null
+    }
+  },
+  news_blocks: {
+    primaryKey: 'id',
+    defaults: { content: null, media_url: null, alt_text: null, position: 0 },
+    cascade: { news_id: 'news' }
+  },
+  news_images: {
+    primaryKey: 'id',
+    timestamps: ['created_at'],
+    defaults: { caption: null, alt_text: null, credit: null, position: 0, is_cover: false },
+    cascade: { news_id: 'news' }
+  },
+  news_tags: {
+    primaryKey: null,
+    unique: [['news_id', 'tag_id']],
+    cascade: { news_id: 'news', tag_id: 'tags' }
+  },
+  news_related: {
+    primaryKey: null,
+    unique: [['news_id', 'related_news_id']],
+    defaults: { relation_type: null },
+    cascade: { news_id: 'news', related_news_id: 'news' }
+  },
+  news_status_history: {
+    primaryKey: 'id',
+    timestamps: ['created_at'],
+    defaults: { from_status: null, comment: null, user_id: null },
+    cascade: { news_id: 'news' },
+    setNull: { user_id: 'users' }
+  },
+  news_revisions: {
+    primaryKey: 'id',
+    timestamps: ['created_at'],
+    defaults: { reason: 'update', user_id: null, title: null },
+    cascade: { news_id: 'news' },
+    setNull: { user_id: 'users' }
+  },
+  news_slug_history: {
+    primaryKey: 'id',
+    unique: [['slug']],
+    timestamps: ['created_at'],
+    cascade: { news_id: 'news' }
+  },
+  category_slug_history: {
+    primaryKey: 'id',
+    unique: [['slug']],
+    timestamps: ['created_at'],
+    cascade: { category_id: 'categories' }
+  }
+};
+
+function getTable(name) {
+  const table = TABLES[name];
+  if (!table) {
+    throw new Error(`Tabla desconocida: ${name}`);
+  }
+  return {
+    autoIncrement: true,
+    unique: [],
+    timestamps: [],
+    defaults: {},
+    cascade: {},
+    setNull: {},
+    ...table
+  };
+}
+
+module.exports = { TABLES, getTable };
@@ -0,0 +1,37 @@
+// repositories/slug-history.js - Slugs anteriores de una tabla (news_slug_history, category_slug_history).
+// Cada slug antiguo apunta a una sola fila; el slug vigente nunca queda en el historial.
+
+function createSlugHistory(driver, { table, column }) {
+  return {
+    // Id de la fila a la que perteneció un slug antiguo, o null
+    async findIdByOldSlug(slug) {
+      const [row] = await driver.select(table, { columns: column, where: { slug }, limit: 1 });
+      return row ? row[column] : null;
+    },
+
+    // ¿El slug es historial de otra fila? (sus URLs viejas redirigen a ella)
+    async isOldSlugOfAnother(slug, excludeId = null) {
+      const where = excludeId ? { slug, [column]: { neq: excludeId } } : { slug };
+      const rows = await driver.select(table, { columns: column, where, limit: 1 });
+      return rows.length > 0;
+    },
+
+    // Guarda el slug anterior para redirigir sus URLs viejas
+    async recordChange(id, oldSlug, newSlug) {
+      // p. ej. al volver a un slug anterior: deja de ser historial
+      if (newSlug) {
+        await driver.remove(table, { slug: newSlug });
+      }
+
+      if (!oldSlug || oldSlug === newSlug) return;
+
+      await driver.upsert(
+        table,
+        [{ slug: oldSlug, [column]: id, created_at: new Date().toISOString() }],
+        { onConflict: 'slug' }
+      );
+    }
+  };
+}
+
+module.exports = { createSlugHistory };
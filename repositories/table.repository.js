@@ -0,0 +1,68 @@
+// repositories/table.repository.js - Operaciones genéricas sobre una tabla.
+// Los repositorios de dominio parten de aquí y agregan sus propios métodos.
+
+function createTableRepository(driver, table, { primaryKey = 'id' } = {}) {
+  const repository = {
+    table,
+
+    find(where = {}, { columns = '*', orderBy = [], limit = null, offset = 0 } = {}) {
+      return driver.select(table, { columns, where, orderBy, limit, offset });
+    },
+
+    async findOne(where = {}, { columns = '*', orderBy = [] } = {}) {
+      const rows = await driver.select(table, { columns, where, orderBy, limit: 1 });
+      return rows[0] || null;
+    },
+
+    findById(id, options = {}) {
+      if (id === undefined || id === null || id === '') return Promise.resolve(null);
+      // Los ids numéricos mal formados ("abc") son un 404, no un error de la base
+      if (primaryKey === 'id' && !/^\d+$/.test(String(id))) return Promise.resolve(null);
+      return repository.findOne({ [primaryKey]: id }, options);
+    },
+
+    // { estimated: true } permite un conteo aproximado en Supabase; MySQL y memoria cuentan exacto
+    count(where = {}, { estimated = false } = {}) {
+      return driver.count(table, { where, estimated });
+    },
+
+    async exists(where = {}) {
+      const rows = await driver.select(table, { columns: primaryKey || '*', where, limit: 1 });
+      return rows.length > 0;
+    },
+
+    async create(data) {
+      const [row] = await driver.insert(table, data);
+      return row || null;
+    },
+
+    createMany(rows) {
+      return rows.length > 0 ? driver.insert(table, rows) : Promise.resolve([]);
+    },
+
+    update(where, patch) {
+      return driver.update(table, where, patch);
+    },
+
+    async updateById(id, patch) {
+      const [row] = await driver.update(table, { [primaryKey]: id }, patch);
+      return row || null;
+    },
+
+    remove(where) {
+      return driver.remove(table, where);
+    },
+
+    removeById(id) {
+      return driver.remove(table, { [primaryKey]: id });
+    },
+
+    upsert(rows, options) {
+      return driver.upsert(table, rows, options);
+    }
+  };
+
+  return repository;
+}
+
+module.exports = { createTableRepository };
@@ -0,0 +1,86 @@
+// repositories/tags.repository.js - TagRepository
+
+const { createTableRepository } = require('./table.repository');
+
+function createTagRepository(driver) {
+  const base = createTableRepository(driver, 'tags');
+
+  return {
+    ...base,
+
+    list() {
+      return base.find({}, { orderBy: [{ column: 'name', ascending: true }] });
+    },
+
+    findBySlug(slug, { columns = '*' } = {}) {
+      return base.findOne({ slug }, { columns });
+    },
+
+    findByIds(ids, { columns = '*' } = {}) {
+      return ids.length > 0 ? base.find({ id: ids }, { columns }) : Promise.resolve([]);
+    },
+
+    // Autocompletado: nombre o slug que empiezan con el prefijo (sin distinguir mayúsculas)
+    searchByPrefix({ name, slug }, { limit = 10 } = {}) {
+      const like = text => `${text.replace(/[\\%_]/g, '\\$&')}%`;
+      const alternatives = [{ name: { ilike: like(name) } }];
+      if (slug) alternatives.push({ slug: { ilike: like(slug) } });
+
+      return base.find({ $or: alternatives }, {
+        columns: 'id, name, slug',
+        orderBy: [{ column: 'name', ascending: true }],
+        limit
+      });
+    },
+
+    // { tag_id: número de noticias } contando solo las noticias que cumplan newsWhere
+    // (un COUNT agrupado por tag_id en la base)
+    async countNews(tagIds, newsWhere = {}) {
+      const counts = Object.fromEntries(tagIds.map(id => [id, 0]));
+      if (tagIds.length === 0) return counts;
+
+      const rows = await driver.countBy('news_tags', 'tag_id', {
+        where: {
+          tag_id: tagIds,
+          $has: { table: 'news', foreignKey: 'id', key: 'news_id', where: newsWhere }
+        }
+      });
+      for (const row of rows) counts[row.tag_id] = row.count;
+      return counts;
+    },
+
+    // Las relaciones se borran antes que el tag: no todas las bases tienen ON DELETE CASCADE en news_tags
+    removeById(id) {
+      return driver.transaction(async tx => {
+        await tx.remove('news_tags', { tag_id: id });
+        return tx.remove('tags', { id });
+      });
+    },
+
+    // Fusiona sourceIds en targetId: las noticias de los tags duplicados quedan con el
+    // sobreviviente (sin repetir la relación) y los duplicados se borran. En una transacción
+    // donde el driver la tiene; en Supabase los pasos van en un orden que se puede repetir
+    // (primero se copian las relaciones, al final se borran los duplicados).
+    merge(targetId, sourceIds) {
+      const sources = sourceIds.filter(id => id !== targetId);
+      if (sources.length === 0) return Promise.resolve({ moved: 0, removed: 0 });
+
+      return driver.transaction(async tx => {
+        const links = await tx.select('news_tags', { columns: 'news_id', where: { tag_id: [targetId, ...sources] } });
+        const current = await tx.select('news_tags', { columns: 'news_id', where: { tag_id: targetId } });
+        const alreadyTagged = new Set(current.map(l => l.news_id));
+        const toMove = [...new Set(links.map(l => l.news_id))].filter(id => !alreadyTagged.has(id));
+
+        if (toMove.length > 0) {
+          await tx.insert('news_tags', toMove.map(newsId => ({ news_id: newsId, tag_id: targetId })));
+        }
+        await tx.remove('news_tags', { tag_id: sources });
+        const removed = await tx.remove('tags', { id: sources });
+
+        return { moved: toMove.length, removed };
+      });
+    }
+  };
+}
+
+module.exports = { createTagRepository };
@@ -0,0 +1,46 @@
+// repositories/users.repository.js - UserRepository: usuarios y sus refresh tokens
+
+const { createTableRepository } = require('./table.repository');
+
+// Columnas seguras para responder (nunca password)
+const PUBLIC_COLUMNS = 'id, email, name, role, created_at';
+
+function createUserRepository(driver) {
+  const base = createTableRepository(driver, 'users');
+  const tokens = createTableRepository(driver, 'auth_refresh_tokens', { primaryKey: 'jti' });
+
+  return {
+    ...base,
+
+    PUBLIC_COLUMNS,
+
+    list() {
+      return base.find({}, { columns: PUBLIC_COLUMNS, orderBy: [{ column: 'name', ascending: true }] });
+    },
+
+    findByEmail(email) {
+      return base.findOne({ email });
+    },
+
+    // ----- Refresh tokens -----
+
+    createRefreshToken({ jti, userId, expiresAt }) {
+      return tokens.create({ jti, user_id: userId, expires_at: expiresAt });
+    },
+
+    findRefreshToken(jti) {
+      return tokens.findById(jti);
+    },
+
+    revokeRefreshToken(jti) {
+      return tokens.update({ jti, revoked_at: null }, { revoked_at: new Date().toISOString() });
+    },
+
+    // Cierra todas las sesiones abiertas del usuario
+    revokeAllRefreshTokens(userId) {
+      return tokens.update({ user_id: userId, revoked_at: null }, { revoked_at: new Date().toISOString() });
+    }
+  };
+}
+
+module.exports = { createUserRepository, PUBLIC_COLUMNS };
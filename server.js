@@ -1,14 +1,101 @@
-// server.js (Migrado a Supabase) - con slugs automáticos al pedir por id + meta tags para bots optimizados para WhatsApp
+// server.js - API de noticias (Supabase, MySQL o memoria vía repositories/) - con slugs automáticos al pedir por id + meta tags para bots optimizados para WhatsApp
 const express = require('express');
-const { createClient } = require('@supabase/supabase-js');
 const cors = require('cors');
 const multer = require('multer');
 const path = require('path');
+const crypto = require('crypto');
 require('dotenv').config();
 
 const cloudinary = require('cloudinary').v2;
 const { CloudinaryStorage } = require('multer-storage-cloudinary');
 
+const {
+  ACCESS_TOKEN_TTL,
+  hashPassword,
+  verifyPassword,
+  signAccessToken,
+  signRefreshToken,
+  verifyToken,
+  toPublicUser
+} = require('./lib/auth');
+const {
+  authenticate,
+  optionalAuthenticate,
+  authenticateCron,
+  requirePermission,
+  hasBootstrapToken
+} = require('./middleware/auth');
+const { validate } = require('./middleware/validate');
+const { sanitizeBody } = require('./middleware/sanitize');
+const { SLUG } = require('./lib/validation');
+const { asyncHandler } = require('./middleware/asyncHandler');
+const { requestId, apiNotFound, errorHandler } = require('./middleware/errorHandler');
+const {
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  ValidationError,
+  errorFromStatus
+} = require('./lib/errors');
+const schemas = require('./lib/schemas');
+const { can, canEditNews } = require('./lib/permissions');
+const {
+  getAllowedTransitions,
+  validateTransition,
+  validateInitialStatus,
+  checkPublicationDate,
+  isPubliclyVisible
+} = require('./lib/workflow');
+const { APP_TIMEZONE, toUtcIso, toZonedIso } = require('./lib/time');
+const { RESTORABLE_FIELDS, buildSnapshot, diffSnapshots } = require('./lib/revisions');
+const { escapeHtml } = require('./lib/html');
+const { sanitizeHtml, htmlToText } = require('./lib/sanitize');
+const { normalizeBlock, describeBlock, renderBlocks } = require('./lib/blocks');
+const { withCoverFirst, coverImage } = require('./lib/images');
+const { isCrawler, createIndexTemplate, injectHead } = require('./lib/spa');
+const {
+  APP_URL,
+  SITE_URL,
+  SITE_NAME,
+  SITE_DESCRIPTION,
+  DEFAULT_SOCIAL_IMAGE,
+  ensureAbsoluteUrl,
+  buildArticlePath,
+  buildArticleUrl,
+  buildCategoryPath,
+  buildCategoryUrl,
+  buildAuthorUrl
+} = require('./lib/site');
+const { jsonLdScript, breadcrumbJsonLd, newsArticleJsonLd } = require('./lib/jsonld');
+const { searchNews } = require('./lib/search');
+const { buildTree, getAncestors, createsCycle, applyMoves } = require('./lib/categories');
+const { createRepositories } = require('./repositories');
+const {
+  MAX_PAGE_SIZE,
+  encodeCursor,
+  decodeCursor,
+  keysetQuery,
+  buildPage,
+  buildLinkHeader
+} = require('./lib/pagination');
+const {
+  FEED_SIZE,
+  toFeedItem,
+  getLastModified,
+  buildRss,
+  buildAtom
+} = require('./lib/feeds');
+const {
+  SITEMAP_PAGE_SIZE,
+  NEWS_SITEMAP_WINDOW_HOURS,
+  buildSitemapIndex,
+  buildUrlset,
+  buildNewsSitemap,
+  buildRobotsTxt
+} = require('./lib/sitemaps');
+
 const app = express();
 
 // Configurar Cloudinary desde .env
@@ -18,20 +105,13 @@ cloudinary.config({
   api_secret: process.env.CLOUDINARY_API_SECRET
 });
 
-// Inicializar Supabase (manteniendo tu forma original)
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_ANON_KEY
-);
-
-// URL pública de tu app (para construir URLs absolutas de imagenes si son relativas)
-const APP_URL = process.env.APP_URL || 'https://zonamicroondas.com';
-
-// Imagen por defecto para fallback
-const DEFAULT_SOCIAL_IMAGE = `${APP_URL}/LOGO_ZM.png`;
+// Acceso a datos: Supabase (por defecto), MySQL o memoria según DATA_BACKEND
+const repos = createRepositories();
+app.locals.repos = repos;
 
 // Middleware
-app.use(cors());
+app.use(requestId);
+app.use(cors({ exposedHeaders: ['X-Request-Id'] }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -63,7 +143,7 @@ const fileFilter = (req, file, cb) => {
   const mimetypeOk = allowed.test(file.mimetype);
   const extOk = allowed.test(ext);
   if (mimetypeOk && extOk) return cb(null, true);
-  cb(new Error('Solo se permiten imágenes (jpg, png, webp, gif)'));
+  cb(ValidationError.field(file.fieldname, 'Solo se permiten imágenes (jpg, png, webp, gif)'));
 };
 
 const upload = multer({
@@ -72,6 +152,24 @@ const upload = multer({
   fileFilter
 });
 
+// Imágenes por request en POST /api/news/:id/images (campo images; image sigue aceptando una)
+const MAX_IMAGES_PER_UPLOAD = 20;
+
+// Manejador de errores para rutas con upload: multer ya subió los archivos a Cloudinary,
+// así que si la validación o el insert fallan se borran para no dejarlos huérfanos.
+// (Los errores dentro de multer ya los limpia la propia storage con _removeFile.)
+async function discardUploadsOnError(err, req, res, next) {
+  const files = Object.values(req.files || {}).flat();
+  for (const file of files) {
+    try {
+      await cloudinary.uploader.destroy(file.filename, { resource_type: 'image' });
+    } catch (destroyError) {
+      console.error('Error al eliminar imagen huérfana en Cloudinary:', destroyError);
+    }
+  }
+  next(err);
+}
+
 // Helper: generar slug "limpio"
 function generateSlug(text) {
   return text
@@ -94,50 +192,116 @@ async function ensureUniqueSlug(baseSlug, excludeId = null) {
   let counter = 0;
 
   while (true) {
-    let query = supabase
-      .from('news')
-      .select('id');
-
-    query = query.eq('canonical_slug', slug);
+    // Un slug antiguo de otra noticia tampoco está libre: sus URLs viejas redirigen a ella
+    const taken = await repos.news.isSlugTaken(slug, excludeId);
 
-    if (excludeId) {
-      query = query.neq('id', excludeId);
+    if (!taken) {
+      return slug;
     }
 
-    // Ejecutar la consulta
-    const { data: rows, error } = await query.limit(1);
+    counter += 1;
+    slug = `${baseSlug}-${counter}`;
+  }
+}
+
+// ----------------- Helpers de permisos -----------------
 
-    if (error) {
-      throw error;
+// Ids de los autores vinculados a un usuario (authors.user_id)
+function getLinkedAuthorIds(userId) {
+  return repos.authors.getLinkedIds(userId);
+}
+
+// Middleware: carga la noticia de req.params[param] y verifica que req.user pueda editarla.
+// Deja la noticia en req.news y los autores vinculados en req.linkedAuthorIds.
+function requireNewsEditAccess(param = 'id') {
+  return asyncHandler(async (req, res, next) => {
+    const news = await repos.news.findById(req.params[param], {
+      columns: 'id, author_id, status, published_at, canonical_slug'
+    });
+
+    if (!news) {
+      throw new NotFoundError('Noticia no encontrada');
     }
 
-    if (!rows || rows.length === 0) {
-      return slug;
+    const linkedAuthorIds = can(req.user, 'news:edit_any')
+      ? []
+      : await getLinkedAuthorIds(req.user.id);
+
+    if (!canEditNews(req.user, news, linkedAuthorIds)) {
+      throw new ForbiddenError('No tienes permiso para editar esta noticia');
     }
 
-    counter += 1;
-    slug = `${baseSlug}-${counter}`;
-  }
+    req.news = news;
+    req.linkedAuthorIds = linkedAuthorIds;
+    next();
+  });
 }
 
-// ----------------- Helpers nuevos para OG/SSR -----------------
-function escapeHtml(text) {
-  if (text === null || text === undefined) return '';
-  return String(text)
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&#039;');
+// ----------------- Helpers de flujo editorial -----------------
+
+// Normaliza published_at de la petición a ISO UTC (undefined = no se envió, null = quitar fecha).
+// El esquema ya validó la fecha; las que no traen zona horaria se interpretan en APP_TIMEZONE.
+function normalizePublishedAt(value) {
+  if (value === undefined || value === null) return value;
+  return toUtcIso(value);
+}
+
+// Registra un cambio de estado en news_status_history
+async function recordStatusChange({ newsId, from, to, action, userId = null, comment = null }) {
+  await repos.news.addStatusChange({ newsId, from, to, action, userId, comment });
+}
+
+// ----------------- Helpers de revisiones -----------------
+
+// Estado actual de una noticia (fila, bloques, tags e imágenes) como snapshot
+async function loadNewsSnapshot(newsId) {
+  const news = await repos.news.findById(newsId);
+  if (!news) return null;
+
+  return buildSnapshot({
+    news,
+    blocks: await repos.news.getBlocks(newsId),
+    tags: await repos.news.getTags(newsId),
+    images: await repos.images.listByNews(newsId)
+  });
 }
 
-// Asegura que la URL sea absoluta usando APP_URL si se guardó relativa
-function ensureAbsoluteUrl(url) {
-  if (!url) return null;
-  if (url.startsWith('http://') || url.startsWith('https://')) return url;
-  return `${APP_URL.replace(/\/$/, '')}/${url.replace(/^\//, '')}`;
+// Guarda el estado actual de la noticia como revisión (antes de modificarla)
+async function saveRevision({ newsId, userId = null, reason = 'update' }) {
+  const snapshot = await loadNewsSnapshot(newsId);
+  if (!snapshot) return null;
+
+  return repos.news.createRevision({ newsId, snapshot, reason, userId });
+}
+
+// ----------------- Helpers de historial de slugs -----------------
+
+// Noticia por slug vigente o, si no existe, por un slug antiguo.
+// redirected = true indica que el slug pedido ya no es el canónico.
+async function findNewsBySlug(slug, options = {}) {
+  const news = await repos.news.findBySlug(slug, options);
+  if (news) return { news, redirected: false };
+
+  const newsId = await repos.news.findIdByOldSlug(slug);
+  if (!newsId) return { news: null, redirected: false };
+
+  const current = await repos.news.findById(newsId, options);
+  return { news: current, redirected: Boolean(current) };
+}
+
+// Categoría por slug vigente o antiguo (mismo contrato que findNewsBySlug)
+async function findCategoryBySlug(slug, columns = '*') {
+  const category = await repos.categories.findBySlug(slug, { columns });
+  if (category) return { category, redirected: false };
+
+  const categoryId = await repos.categories.findIdByOldSlug(slug);
+  if (!categoryId) return { category: null, redirected: false };
+
+  const current = await repos.categories.findById(categoryId, { columns });
+  return { category: current, redirected: Boolean(current) };
 }
 
+// ----------------- Helpers nuevos para OG/SSR -----------------
 // FUNCIÓN NUEVA: Optimizar URLs de Cloudinary para WhatsApp/Redes Sociales
 function optimizeCloudinaryUrlForSocial(originalUrl) {
   if (!originalUrl || !originalUrl.includes('cloudinary.com')) {
@@ -200,17 +364,39 @@ function getPublicIdFromCloudinaryUrl(url) {
   }
 }
 
-// Función para generar HTML con meta tags dinámicos (para bots) - OPTIMIZADA
-function generateNewsHTML(newsData, categorySlug) {
+// Página ligera completa ({ head, body } de las funciones *PageParts): es lo que reciben
+// los bots con SSR_CRAWLER_MODE o todos cuando no hay build/index.html de React
+function htmlDocument({ head, body }) {
+  return `<!DOCTYPE html>
+<html lang="es">
+<head>
+  <meta charset="utf-8" />
+  <link rel="icon" href="/favicon.ico" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <meta name="theme-color" content="#b1121a" />
+  ${head.trim()}
+</head>
+<body>
+  <noscript>Necesitas habilitar JavaScript para ejecutar esta aplicación.</noscript>
+  <div id="root">
+    ${body.trim()}
+  </div>
+</body>
+</html>`;
+}
+
+// Meta tags dinámicos de un artículo ({ head, body }) - OPTIMIZADA para WhatsApp
+function newsPageParts(newsData, categorySlug) {
   const title = newsData.title || 'ZONA MICROONDAS';
-  const description = (newsData.summary || 'Noticias de Querétaro').substring(0, 160);
+  const description = (htmlToText(newsData.summary) || 'Noticias de Querétaro').substring(0, 160);
   
   // Determinar imagen OPTIMIZADA para redes sociales
   let imageUrl = DEFAULT_SOCIAL_IMAGE;
   let originalImageUrl = null;
   
-  if (newsData.images && newsData.images.length > 0 && newsData.images[0].url) {
-    originalImageUrl = newsData.images[0].url;
+  const cover = coverImage(newsData.images || []);
+  if (cover) {
+    originalImageUrl = cover.url;
     imageUrl = optimizeCloudinaryUrlForSocial(originalImageUrl);
   } else if (newsData.image_url) {
     originalImageUrl = ensureAbsoluteUrl(newsData.image_url);
@@ -220,11 +406,10 @@ function generateNewsHTML(newsData, categorySlug) {
   // Usar la original como fallback si la optimizada falla
   const fallbackImageUrl = originalImageUrl || DEFAULT_SOCIAL_IMAGE;
   
-  const articleUrl = categorySlug
-    ? `${APP_URL.replace(/\/$/, '')}/${encodeURIComponent(categorySlug)}/articulos/${encodeURIComponent(newsData.canonical_slug)}`
-    : `${APP_URL.replace(/\/$/, '')}/news/${encodeURIComponent(newsData.canonical_slug)}`;
+  const articleUrl = buildArticleUrl(newsData.canonical_slug, categorySlug);
   
   const publishedDate = newsData.published_at || newsData.created_at || new Date().toISOString();
+  const modifiedDate = newsData.updated_at || publishedDate;
   const authorName = newsData.author_name || 'Zona Microondas';
   const categoryName = newsData.category_name || 'Noticias';
   
@@ -236,13 +421,7 @@ function generateNewsHTML(newsData, categorySlug) {
   const safeFallbackImage = escapeHtml(fallbackImageUrl);
   const safeArticleUrl = escapeHtml(articleUrl);
   
-  return `<!DOCTYPE html>
-<html lang="es">
-<head>
-  <meta charset="utf-8" />
-  <link rel="icon" href="/favicon.ico" />
-  <meta name="viewport" content="width=device-width, initial-scale=1" />
-  <meta name="theme-color" content="#b1121a" />
+  const head = `
   <title>${safeTitle} | ZONA MICROONDAS</title>
   <meta name="description" content="${safeDescription}" />
   <meta name="author" content="${safeAuthor}" />
@@ -262,6 +441,7 @@ function generateNewsHTML(newsData, categorySlug) {
   <meta property="og:site_name" content="ZONA MICROONDAS" />
   <meta property="og:locale" content="es_MX" />
   <meta property="article:published_time" content="${publishedDate}" />
+  <meta property="article:modified_time" content="${modifiedDate}" />
   <meta property="article:author" content="${safeAuthor}" />
   <meta property="article:section" content="${safeCategory}" />
   
@@ -282,1231 +462,2330 @@ function generateNewsHTML(newsData, categorySlug) {
   <link rel="canonical" href="${safeArticleUrl}" />
   
   <!-- Schema.org markup para Google -->
-  <script type="application/ld+json">
-  {
-    "@context": "https://schema.org",
-    "@type": "NewsArticle",
-    "headline": "${safeTitle}",
-    "description": "${safeDescription}",
-    "image": "${safeImage}",
-    "datePublished": "${publishedDate}",
-    "dateModified": "${publishedDate}",
-    "author": {
-      "@type": "Person",
-      "name": "${safeAuthor}"
-    },
-    "publisher": {
-      "@type": "Organization",
-      "name": "ZONA MICROONDAS",
-      "logo": {
-        "@type": "ImageObject",
-        "url": "${APP_URL}/LOGO_ZM.png"
-      }
-    },
-    "mainEntityOfPage": {
-      "@type": "WebPage",
-      "@id": "${safeArticleUrl}"
-    }
-  }
-  </script>
-</head>
-<body>
-  <noscript>Necesitas habilitar JavaScript para ejecutar esta aplicación.</noscript>
-  <div id="root">
+  ${jsonLdScript(newsArticleJsonLd(newsData, {
+    url: articleUrl,
+    images: newsData.images,
+    tags: newsData.tags,
+    ancestors: newsData.ancestors,
+    blocks: newsData.blocks
+  }))}
+`;
+
+  const body = `
     <article style="max-width: 800px; margin: 50px auto; padding: 20px; font-family: Arial, sans-serif;">
       <h1>${safeTitle}</h1>
-      ${imageUrl ? `<img src="${imageUrl}" alt="${safeTitle}" style="width:100%;max-width:800px;height:auto;margin:20px 0;" />` : ''}
-      <p style="color:#666; margin: 20px 0; font-size:16px; line-height:1.6;">${safeDescription}</p>
+      ${imageUrl ? `<img src="${safeImage}" alt="${safeTitle}" style="width:100%;max-width:800px;height:auto;margin:20px 0;" />` : ''}
+      <p style="color:#666; margin: 20px 0; font-size:16px; line-height:1.6;">${newsData.summary ? sanitizeHtml(newsData.summary, 'inline').html : safeDescription}</p>
+      ${renderBlocks(newsData.blocks || [])}
       <div style="text-align:center; margin:40px 0;">
         <a href="${safeArticleUrl}" style="background-color:#b1121a;color:white;padding:12px 24px;text-decoration:none;border-radius:4px;font-weight:bold;">
           Leer artículo completo en ZONA MICROONDAS
         </a>
       </div>
     </article>
-  </div>
-</body>
-</html>`;
+`;
+
+  return { head, body };
 }
 
-// ==================== NOTICIAS (tus endpoints originales, sin tocar) ====================
+// Perfil de autor (/autores/:slug): OpenGraph tipo profile y JSON-LD ProfilePage
+// con la Person y sus últimas noticias
+function authorPageParts(author, articles = []) {
+  const profileUrl = buildAuthorUrl(author.slug);
+  const description = (author.bio || `Noticias de ${author.name} en ${SITE_NAME}`).substring(0, 160);
+  const imageUrl = author.avatar_url ? ensureAbsoluteUrl(author.avatar_url) : DEFAULT_SOCIAL_IMAGE;
+  const sameAs = Object.values(author.social_links || {}).filter(Boolean);
 
-// GET /api/news - Obtener todas las noticias (con filtros opcionales)
-app.get('/api/news', async (req, res) => {
-  try {
-    const { status, category_id, author_id, is_featured, limit = 50, offset = 0 } = req.query;
-
-    let query = supabase
-      .from('news')
-      .select(`
-        *,
-        authors(name),
-        categories(name, slug),
-        news_images(url, position)
-      `);
-
-    if (status) {
-      query = query.eq('status', status);
-    }
-    if (category_id) {
-      query = query.eq('main_category_id', parseInt(category_id, 10));
-    }
-    if (author_id) {
-      query = query.eq('author_id', parseInt(author_id, 10));
-    }
-    if (typeof is_featured !== 'undefined') {
-      query = query.eq('is_featured', parseInt(is_featured, 10));
-    }
+  const safeName = escapeHtml(author.name);
+  const safeDescription = escapeHtml(description);
+  const safeImage = escapeHtml(imageUrl);
+  const safeProfileUrl = escapeHtml(profileUrl);
+
+  const person = {
+    '@type': 'Person',
+    '@id': `${profileUrl}#person`,
+    name: author.name,
+    url: profileUrl,
+    ...(author.avatar_url && { image: imageUrl }),
+    ...(author.bio && { description: author.bio }),
+    ...(sameAs.length > 0 && { sameAs }),
+    worksFor: { '@type': 'NewsMediaOrganization', name: SITE_NAME, url: SITE_URL }
+  };
+
+  const articleLinks = articles.map(article => ({
+    url: buildArticleUrl(article.canonical_slug, article.categories?.slug),
+    title: article.title,
+    publishedAt: article.published_at
+  }));
+
+  const jsonLd = {
+    '@context': 'https://schema.org',
+    '@type': 'ProfilePage',
+    url: profileUrl,
+    name: `${author.name} | ${SITE_NAME}`,
+    mainEntity: person,
+    ...(articleLinks.length > 0 && {
+      hasPart: articleLinks.map(link => ({
+        '@type': 'NewsArticle',
+        headline: link.title,
+        url: link.url,
+        ...(link.publishedAt && { datePublished: link.publishedAt }),
+        author: { '@id': person['@id'] }
+      }))
+    })
+  };
+
+  const articleList = articleLinks
+    .map(link => `<li><a href="${escapeHtml(link.url)}">${escapeHtml(link.title)}</a></li>`)
+    .join('\n        ');
+
+  const head = `
+  <title>${safeName} | ${SITE_NAME}</title>
+  <meta name="description" content="${safeDescription}" />
 
-    const lim = parseInt(limit, 10) || 50;
-    const off = parseInt(offset, 10) || 0;
+  <!-- Open Graph -->
+  <meta property="og:type" content="profile" />
+  <meta property="og:url" content="${safeProfileUrl}" />
+  <meta property="og:title" content="${safeName}" />
+  <meta property="og:description" content="${safeDescription}" />
+  <meta property="og:image" content="${safeImage}" />
+  <meta property="og:image:alt" content="${safeName}" />
+  <meta property="og:site_name" content="${SITE_NAME}" />
+  <meta property="og:locale" content="es_MX" />
 
-    query = query
-      .order('published_at', { ascending: false, nullsFirst: false })
-      .order('created_at', { ascending: false })
-      .range(off, off + lim - 1);
+  <!-- Twitter Card -->
+  <meta name="twitter:card" content="summary" />
+  <meta name="twitter:site" content="@ZONAMICROONDAS" />
+  <meta name="twitter:title" content="${safeName}" />
+  <meta name="twitter:description" content="${safeDescription}" />
+  <meta name="twitter:image" content="${safeImage}" />
 
-    const { data, error } = await query;
+  <link rel="canonical" href="${safeProfileUrl}" />
 
-    if (error) throw error;
+  <!-- Schema.org markup para Google -->
+  ${jsonLdScript(jsonLd)}
+`;
+
+  const body = `
+    <section style="max-width: 800px; margin: 50px auto; padding: 20px; font-family: Arial, sans-serif;">
+      ${author.avatar_url ? `<img src="${safeImage}" alt="${safeName}" style="width:120px;height:120px;border-radius:50%;object-fit:cover;" />` : ''}
+      <h1>${safeName}</h1>
+      ${author.bio ? `<p style="color:#666; font-size:16px; line-height:1.6;">${escapeHtml(author.bio)}</p>` : ''}
+      ${articleList ? `<ul>
+        ${articleList}
+      </ul>` : ''}
+    </section>
+`;
+
+  return { head, body };
+}
 
-    const mappedData = data.map(item => ({
-      ...item,
-      author_name: item.authors?.name,
-      category_name: item.categories?.name,
-      category_slug: item.categories?.slug,
-      image_url: item.news_images?.[0]?.url,
-      canonical_slug: item.canonical_slug // aseguramos enviarlo al frontend
-    }));
+// Portada de categoría (/:categorySlug): OpenGraph con nombre y descripción,
+// JSON-LD CollectionPage con ItemList de las noticias y BreadcrumbList, y links rel=prev/next.
+// articles ya vienen con categories (slug) y news_images (url, position, is_cover) del include.
+function categoryPageParts(category, { articles = [], ancestors = [], page = 1, hasNext = false } = {}) {
+  const categoryUrl = buildCategoryUrl(category.slug);
+  const pageUrl = n => (n > 1 ? `${categoryUrl}?page=${n}` : categoryUrl);
+  const currentUrl = pageUrl(page);
 
-    res.json({ success: true, data: mappedData, count: mappedData.length });
-  } catch (error) {
-    console.error('GET /api/news error:', error);
-    res.status(500).json({ success: false, error: error.message });
-  }
-});
+  const title = page > 1 ? `${category.name} - Página ${page}` : category.name;
+  const description = (htmlToText(category.description) || `Noticias de ${category.name} en ${SITE_NAME}`).substring(0, 160);
 
-// GET /api/news/:id - Obtener una noticia específica con todas sus relaciones (por id)
-// Si la noticia no tiene canonical_slug, lo generamos, lo guardamos y lo devolvemos.
-app.get('/api/news/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
+  const coverUrl = articles.map(article => coverImage(article.news_images || [])?.url).find(Boolean);
+  const imageUrl = coverUrl ? optimizeCloudinaryUrlForSocial(ensureAbsoluteUrl(coverUrl)) : DEFAULT_SOCIAL_IMAGE;
 
-    const { data: news, error } = await supabase
-      .from('news')
-      .select(`
-        * ,
-        authors(name, email),
-        categories(name, slug)
-      `)
-      .eq('id', id)
-      .single();
-
-    if (error || !news) {
-      return res.status(404).json({ success: false, error: 'Noticia no encontrada' });
+  const safeTitle = escapeHtml(title);
+  const safeDescription = escapeHtml(description);
+  const safeImage = escapeHtml(imageUrl);
+  const safeCurrentUrl = escapeHtml(currentUrl);
+
+  const items = articles.map(article => ({
+    url: buildArticleUrl(article.canonical_slug, article.categories?.slug),
+    title: article.title,
+    summary: htmlToText(article.summary)
+  }));
+
+  const jsonLd = {
+    '@context': 'https://schema.org',
+    '@type': 'CollectionPage',
+    url: currentUrl,
+    name: `${title} | ${SITE_NAME}`,
+    description,
+    isPartOf: { '@type': 'WebSite', name: SITE_NAME, url: SITE_URL },
+    breadcrumb: breadcrumbJsonLd(ancestors),
+    mainEntity: {
+      '@type': 'ItemList',
+      itemListElement: items.map((item, i) => ({
+        '@type': 'ListItem',
+        position: (page - 1) * CATEGORY_PAGE_SIZE + i + 1,
+        url: item.url,
+        name: item.title
+      }))
     }
+  };
+
+  const paginationLinks = [
+    page > 1 ? `<link rel="prev" href="${escapeHtml(pageUrl(page - 1))}" />` : '',
+    hasNext ? `<link rel="next" href="${escapeHtml(pageUrl(page + 1))}" />` : ''
+  ].filter(Boolean).join('\n  ');
+
+  const articleList = items
+    .map(item => `<li>
+          <a href="${escapeHtml(item.url)}">${escapeHtml(item.title)}</a>
+          ${item.summary ? `<p>${escapeHtml(item.summary)}</p>` : ''}
+        </li>`)
+    .join('\n        ');
+
+  const pageNav = [
+    page > 1 ? `<a href="${escapeHtml(pageUrl(page - 1))}" rel="prev">Anteriores</a>` : '',
+    hasNext ? `<a href="${escapeHtml(pageUrl(page + 1))}" rel="next">Siguientes</a>` : ''
+  ].filter(Boolean).join(' ');
+
+  const head = `
+  <title>${safeTitle} | ${SITE_NAME}</title>
+  <meta name="description" content="${safeDescription}" />
 
-    // Si no tiene canonical_slug, generarlo y actualizar la fila
-    if (!news.canonical_slug) {
-      try {
-        const base = generateSlug(news.title || `news-${news.id}`);
-        const final = await ensureUniqueSlug(base, parseInt(id, 10));
-        const { error: upErr } = await supabase
-          .from('news')
-          .update({ canonical_slug: final })
-          .eq('id', id);
-
-        if (!upErr) {
-          news.canonical_slug = final;
-        } else {
-          console.error('Error al actualizar canonical_slug para id', id, upErr);
-        }
-      } catch (slugErr) {
-        console.error('Error generando slug para noticia id', id, slugErr);
-        // No abortamos: seguimos devolviendo la noticia aunque no se haya guardado el slug
-      }
-    }
+  <!-- Open Graph -->
+  <meta property="og:type" content="website" />
+  <meta property="og:url" content="${safeCurrentUrl}" />
+  <meta property="og:title" content="${safeTitle}" />
+  <meta property="og:description" content="${safeDescription}" />
+  <meta property="og:image" content="${safeImage}" />
+  <meta property="og:image:width" content="1200" />
+  <meta property="og:image:height" content="630" />
+  <meta property="og:image:alt" content="${safeTitle}" />
+  <meta property="og:site_name" content="${SITE_NAME}" />
+  <meta property="og:locale" content="es_MX" />
 
-    const { data: images } = await supabase
-      .from('news_images')
-      .select('*')
-      .eq('news_id', id)
-      .order('position', { ascending: true });
-
-    const { data: blocks } = await supabase
-      .from('news_blocks')
-      .select('*')
-      .eq('news_id', id)
-      .order('position', { ascending: true });
-
-    const { data: tags } = await supabase
-      .from('news_tags')
-      .select('tags(*)')
-      .eq('news_id', id);
-
-    const { data: related } = await supabase
-      .from('news_related')
-      .select('news(*), relation_type')
-      .eq('news_id', id);
-
-    res.json({
-      success: true,
-      data: {
-        ...news,
-        author_name: news.authors?.name,
-        author_email: news.authors?.email,
-        category_name: news.categories?.name,
-        category_slug: news.categories?.slug,
-        images: images || [],
-        blocks: blocks || [],
-        tags: tags?.map(t => t.tags) || [],
-        related: related || []
-      }
-    });
-  } catch (error) {
-    console.error('GET /api/news/:id error:', error);
-    res.status(500).json({ success: false, error: error.message });
+  <!-- Twitter Card -->
+  <meta name="twitter:card" content="summary_large_image" />
+  <meta name="twitter:site" content="@ZONAMICROONDAS" />
+  <meta name="twitter:title" content="${safeTitle}" />
+  <meta name="twitter:description" content="${safeDescription}" />
+  <meta name="twitter:image" content="${safeImage}" />
+
+  <link rel="canonical" href="${safeCurrentUrl}" />
+  ${paginationLinks}
+
+  <!-- Schema.org markup para Google -->
+  ${jsonLdScript(jsonLd)}
+`;
+
+  const body = `
+    <section style="max-width: 800px; margin: 50px auto; padding: 20px; font-family: Arial, sans-serif;">
+      <h1>${escapeHtml(category.name)}</h1>
+      ${category.description ? `<div style="color:#666; font-size:16px; line-height:1.6;">${sanitizeHtml(category.description, 'rich').html}</div>` : ''}
+      <ul>
+        ${articleList}
+      </ul>
+      ${pageNav ? `<nav>${pageNav}</nav>` : ''}
+    </section>
+`;
+
+  return { head, body };
+}
+
+// ==================== NOTICIAS (tus endpoints originales, sin tocar) ====================
+
+// Órdenes de GET /api/news (?sort=). Todos terminan en id para desempatar y paginar por cursor.
+const NEWS_SORT_ORDERS = {
+  newest: [
+    { column: 'published_at', ascending: false },
+    { column: 'created_at', ascending: false },
+    { column: 'id', ascending: false }
+  ],
+  oldest: [
+    { column: 'published_at', ascending: true },
+    { column: 'created_at', ascending: true },
+    { column: 'id', ascending: true }
+  ],
+  updated: [
+    { column: 'updated_at', ascending: false },
+    { column: 'id', ascending: false }
+  ],
+  title: [
+    { column: 'title', ascending: true },
+    { column: 'id', ascending: true }
+  ]
+};
+
+// Campos calculados de ?fields= y la relación (con su llave foránea) que necesita cada uno
+const NEWS_VIRTUAL_FIELDS = {
+  author_name: { relation: 'authors', foreignKey: 'author_id' },
+  author_slug: { relation: 'authors', foreignKey: 'author_id' },
+  category_name: { relation: 'categories', foreignKey: 'main_category_id' },
+  category_slug: { relation: 'categories', foreignKey: 'main_category_id' },
+  image_url: { relation: 'news_images', foreignKey: 'id' }
+};
+
+const NEWS_LIST_INCLUDE = {
+  authors: 'name, slug',
+  categories: 'name, slug',
+  news_images: 'url, position, is_cover'
+};
+
+// Filtro de GET /api/news a partir de la query ya validada.
+// Devuelve null si algún filtro por slug no existe: el listado queda vacío sin consultar.
+async function buildNewsListWhere(query, user) {
+  const status = user ? query.status : 'published';
+
+  // "published" nunca incluye lo programado a futuro (published_at > ahora)
+  const where = status === 'published' ? repos.news.publiclyVisibleWhere() : {};
+  if (status && status !== 'published') {
+    where.status = status;
+  }
+  if (query.category_id) {
+    where.main_category_id = query.category_id;
+  }
+  if (query.author_id) {
+    where.author_id = query.author_id;
+  }
+  if (typeof query.is_featured !== 'undefined') {
+    where.is_featured = query.is_featured;
   }
-});
 
-// GET /api/news/slug/:slug - Obtener noticia por slug
-app.get('/api/news/slug/:slug', async (req, res) => {
-  try {
-    const { slug } = req.params;
-    const { data: news, error } = await supabase
-      .from('news')
-      .select(`
-        *,
-        authors(name, email),
-        categories(name, slug)
-      `)
-      .eq('canonical_slug', slug)
-      .single();
-
-    if (error || !news) {
-      return res.status(404).json({ success: false, error: 'Noticia no encontrada' });
-    }
+  // Categoría por slug: incluye todas sus subcategorías
+  if (query.category) {
+    const { category } = await findCategoryBySlug(query.category, 'id');
+    if (!category) return null;
+    const treeIds = await repos.categories.getTreeIds(category.id);
+    where.main_category_id = query.category_id
+      ? treeIds.filter(id => id === query.category_id)
+      : treeIds;
+  }
 
-    const { data: images } = await supabase
-      .from('news_images')
-      .select('*')
-      .eq('news_id', news.id)
-      .order('position', { ascending: true });
-
-    const { data: blocks } = await supabase
-      .from('news_blocks')
-      .select('*')
-      .eq('news_id', news.id)
-      .order('position', { ascending: true });
-
-    const { data: tags } = await supabase
-      .from('news_tags')
-      .select('tags(*)')
-      .eq('news_id', news.id);
-
-    const { data: related } = await supabase
-      .from('news_related')
-      .select('news(*), relation_type')
-      .eq('news_id', news.id);
-
-    res.json({
-      success: true,
-      data: {
-        ...news,
-        author_name: news.authors?.name,
-        author_email: news.authors?.email,
-        category_name: news.categories?.name,
-        category_slug: news.categories?.slug,
-        images: images || [],
-        blocks: blocks || [],
-        tags: tags?.map(t => t.tags) || [],
-        related: related || []
-      }
-    });
-  } catch (error) {
-    console.error('GET /api/news/slug/:slug error:', error);
-    res.status(500).json({ success: false, error: error.message });
+  if (query.author) {
+    const author = await repos.authors.findBySlug(query.author, { columns: 'id' });
+    if (!author || (query.author_id && query.author_id !== author.id)) return null;
+    where.author_id = author.id;
   }
-});
 
-// POST /api/news - Crear nueva noticia (genera canonical_slug si no llega)
-app.post('/api/news', async (req, res) => {
-  try {
-    const {
-      title,
-      subtitle,
-      summary,
-      author_id,
-      main_category_id,
-      status = 'draft',
-      published_at,
-      is_featured = 0,
-      canonical_slug,
-      tags = [],
-      blocks = []
-    } = req.body;
-
-    // Determinar slug final
-    let finalSlug = canonical_slug;
-    if (finalSlug) {
-      finalSlug = generateSlug(finalSlug);
-      finalSlug = await ensureUniqueSlug(finalSlug);
-    } else if (title) {
-      const base = generateSlug(title);
-      finalSlug = await ensureUniqueSlug(base);
-    }
+  const ids = {};
+  if (query.tag_id || query.tag) {
+    const tag = query.tag
+      ? await repos.tags.findBySlug(query.tag, { columns: 'id' })
+      : { id: query.tag_id };
+    if (!tag || (query.tag_id && query.tag_id !== tag.id)) return null;
+    Object.assign(where, repos.news.taggedWhere(tag.id));
+  }
+  if (query.exclude && query.exclude.length > 0) {
+    ids.notIn = query.exclude;
+  }
+  if (Object.keys(ids).length > 0) {
+    where.id = ids;
+  }
 
-    const { data: newsData, error: newsError } = await supabase
-      .from('news')
-      .insert([{
-        title,
-        subtitle,
-        summary,
-        author_id,
-        main_category_id,
-        status,
-        published_at,
-        is_featured,
-        canonical_slug: finalSlug
-      }])
-      .select()
-      .single();
-
-    if (newsError) throw newsError;
-
-    const newsId = newsData.id;
-
-    if (tags.length > 0) {
-      const tagValues = tags.map(tagId => ({ news_id: newsId, tag_id: tagId }));
-      const { error: tagsError } = await supabase
-        .from('news_tags')
-        .insert(tagValues);
-      if (tagsError) throw tagsError;
-    }
+  // Rango de published_at; una fecha sola en "to" incluye todo ese día
+  if (query.from || query.to) {
+    const to = query.to && /^\d{4}-\d{2}-\d{2}$/.test(query.to) ? `${query.to}T23:59:59.999` : query.to;
+    where.published_at = {
+      ...(where.published_at || {}),
+      gte: query.from ? toUtcIso(query.from) : undefined,
+      lte: to ? toUtcIso(to) : undefined
+    };
+  }
 
-    if (blocks.length > 0) {
-      const blockValues = blocks.map((block, i) => ({
-        news_id: newsId,
-        type: block.type,
-        content: block.content,
-        media_url: block.media_url,
-        alt_text: block.alt_text,
-        position: i
-      }));
-      const { error: blocksError } = await supabase
-        .from('news_blocks')
-        .insert(blockValues);
-      if (blocksError) throw blocksError;
-    }
+  return where;
+}
 
-    res.status(201).json({
-      success: true,
-      data: { id: newsId, canonical_slug: finalSlug, message: 'Noticia creada exitosamente' }
-    });
-  } catch (error) {
-    console.error('POST /api/news error:', error);
-    res.status(500).json({ success: false, error: error.message });
+// Columnas e include para ?fields=: las pedidas, más las del orden (cursor) y las llaves
+// foráneas de los campos calculados. Sin fields se devuelve la fila completa.
+function newsListProjection(fields, sort) {
+  if (!fields || fields.length === 0) {
+    return { columns: '*', include: NEWS_LIST_INCLUDE };
   }
-});
 
-// PUT /api/news/:id - Actualizar noticia existente (maneja canonical_slug único)
-app.put('/api/news/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
-    const {
-      title,
-      subtitle,
-      summary,
-      author_id,
-      main_category_id,
-      status,
-      published_at,
-      is_featured,
-      canonical_slug,
-      tags,
-      blocks
-    } = req.body;
-
-    const updateData = {};
-    if (title !== undefined) updateData.title = title;
-    if (subtitle !== undefined) updateData.subtitle = subtitle;
-    if (summary !== undefined) updateData.summary = summary;
-    if (author_id !== undefined) updateData.author_id = author_id;
-    if (main_category_id !== undefined) updateData.main_category_id = main_category_id;
-    if (status !== undefined) updateData.status = status;
-    if (published_at !== undefined) updateData.published_at = published_at;
-    if (is_featured !== undefined) updateData.is_featured = is_featured;
-
-    // Si se envía canonical_slug, procesarlo (slugify + asegurar unicidad, excluyendo este id)
-    if (canonical_slug !== undefined) {
-      let finalSlug = canonical_slug ? generateSlug(canonical_slug) : null;
-      if (finalSlug) {
-        finalSlug = await ensureUniqueSlug(finalSlug, parseInt(id, 10));
-      }
-      updateData.canonical_slug = finalSlug;
+  const columns = new Set(sort.map(({ column }) => column));
+  const include = {};
+
+  for (const field of fields) {
+    const virtual = NEWS_VIRTUAL_FIELDS[field];
+    if (virtual) {
+      columns.add(virtual.foreignKey);
+      include[virtual.relation] = NEWS_LIST_INCLUDE[virtual.relation];
+    } else {
+      columns.add(field);
     }
+  }
 
-    if (Object.keys(updateData).length > 0) {
-      const { error: updateError } = await supabase
-        .from('news')
-        .update(updateData)
-        .eq('id', id);
+  return { columns: [...columns].join(', '), include };
+}
 
-      if (updateError) throw updateError;
-    }
+function mapNewsListItem(item, fields) {
+  const mapped = {
+    ...item,
+    author_name: item.authors?.name,
+    author_slug: item.authors?.slug,
+    category_name: item.categories?.name,
+    category_slug: item.categories?.slug,
+    image_url: coverImage(item.news_images || [])?.url,
+    canonical_slug: item.canonical_slug // aseguramos enviarlo al frontend
+  };
+
+  if (!fields || fields.length === 0) return mapped;
+  return Object.fromEntries(fields.map(field => [field, mapped[field] ?? null]));
+}
 
-    if (tags !== undefined) {
-      await supabase
-        .from('news_tags')
-        .delete()
-        .eq('news_id', id);
-
-      if (tags.length > 0) {
-        const tagValues = tags.map(tagId => ({ news_id: id, tag_id: tagId }));
-        const { error: tagsError } = await supabase
-          .from('news_tags')
-          .insert(tagValues);
-        if (tagsError) throw tagsError;
-      }
-    }
+// GET /api/news - Obtener todas las noticias (con filtros opcionales)
+// Sin sesión solo se listan noticias publicadas cuyo published_at ya pasó.
+// Filtros: category_id, category (slug, con subcategorías), author_id, author (slug),
+// tag_id, tag (slug), is_featured, from/to (published_at), exclude=1,2,3 y status (con sesión).
+// ?sort=newest|oldest|updated|title y ?fields=id,title,image_url para traer solo esos campos.
+// Paginación: ?limit= (máx. MAX_PAGE_SIZE) y ?cursor= con next_cursor/prev_cursor de la
+// respuesta (también en el header Link); ?total=exact|estimated|none controla el conteo.
+app.get('/api/news', optionalAuthenticate, validate(schemas.listNews), asyncHandler(async (req, res) => {
+  await sendNewsList(req, res);
+}));
+
+// Responde un listado de noticias con la query ya validada (listNews). filters se suma a la
+// query sin aparecer en los links de paginación (p. ej. el tag de /api/tags/:slug/news);
+// extra se agrega al cuerpo de la respuesta.
+async function sendNewsList(req, res, { filters = {}, extra = {} } = {}) {
+  const { offset = 0, total: totalMode = 'exact', fields } = req.query;
+  const limit = Math.min(req.query.limit || 50, MAX_PAGE_SIZE);
+  const sort = NEWS_SORT_ORDERS[req.query.sort || 'newest'];
+
+  const cursor = req.query.cursor ? decodeCursor(req.query.cursor, sort) : null;
+  if (req.query.cursor && !cursor) {
+    throw ValidationError.field('cursor', 'Cursor inválido', 'query');
+  }
 
-    if (blocks !== undefined) {
-      await supabase
-        .from('news_blocks')
-        .delete()
-        .eq('news_id', id);
-
-      if (blocks.length > 0) {
-        const blockValues = blocks.map((block, i) => ({
-          news_id: id,
-          type: block.type,
-          content: block.content,
-          media_url: block.media_url,
-          alt_text: block.alt_text,
-          position: i
-        }));
-        const { error: blocksError } = await supabase
-          .from('news_blocks')
-          .insert(blockValues);
-        if (blocksError) throw blocksError;
-      }
+  const where = await buildNewsListWhere({ ...req.query, ...filters }, req.user);
+  const { columns, include } = newsListProjection(fields, sort);
+
+  // Con cursor se pagina por keyset; offset queda para clientes antiguos (sin cursor)
+  const keyset = keysetQuery(sort, cursor);
+  const rows = where === null ? [] : await repos.news.list({
+    where: keyset.where ? { $and: [where, keyset.where] } : where,
+    columns,
+    include,
+    orderBy: keyset.orderBy,
+    limit: limit + 1,
+    offset: cursor ? 0 : offset
+  });
+
+  const page = buildPage(rows, { sort, limit, cursor });
+
+  let total = null;
+  if (totalMode !== 'none') {
+    total = where === null ? 0 : await repos.news.count(where, { estimated: totalMode === 'estimated' });
+  }
+
+  // Sin cursor pero con offset > 0 también hay página anterior
+  const prevCursor = page.prevCursor
+    || (!cursor && offset > 0 && page.items[0] ? encodeCursor('prev', page.items[0], sort) : null);
+
+  res.setHeader('Link', buildLinkHeader(req.baseUrl + req.path, req.query, { nextCursor: page.nextCursor, prevCursor }));
+
+  const mappedData = page.items.map(item => mapNewsListItem(item, fields));
+
+  res.json({
+    success: true,
+    ...extra,
+    data: mappedData,
+    count: mappedData.length,
+    total,
+    pagination: {
+      limit,
+      total,
+      total_is_estimate: totalMode === 'estimated',
+      next_cursor: page.nextCursor,
+      prev_cursor: prevCursor,
+      has_more: Boolean(page.nextCursor)
     }
+  });
+}
 
-    res.json({ success: true, message: 'Noticia actualizada exitosamente' });
-  } catch (error) {
-    console.error('PUT /api/news/:id error:', error);
-    res.status(500).json({ success: false, error: error.message });
-  }
-});
+// GET /api/news/:id - Obtener una noticia específica con todas sus relaciones (por id)
+// Si la noticia no tiene canonical_slug, lo generamos, lo guardamos y lo devolvemos.
+app.get('/api/news/:id', optionalAuthenticate, validate(schemas.byId), asyncHandler(async (req, res) => {
+  const { id } = req.params;
 
-// DELETE /api/news/:id - Eliminar noticia
-app.delete('/api/news/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { error } = await supabase
-      .from('news')
-      .delete()
-      .eq('id', id);
+  const news = await repos.news.findById(id, {
+    include: { authors: 'name, slug', categories: 'name, slug' }
+  });
 
-    if (error) throw error;
+  if (!news || (!req.user && !isPubliclyVisible(news))) {
+    throw new NotFoundError('Noticia no encontrada');
+  }
 
-    res.json({ success: true, message: 'Noticia eliminada exitosamente' });
-  } catch (error) {
-    console.error('DELETE /api/news/:id error:', error);
-    res.status(500).json({ success: false, error: error.message });
+  // Si no tiene canonical_slug, generarlo y actualizar la fila
+  if (!news.canonical_slug) {
+    try {
+      const base = generateSlug(news.title || `news-${news.id}`);
+      const final = await ensureUniqueSlug(base, id);
+      await repos.news.updateById(news.id, { canonical_slug: final });
+      news.canonical_slug = final;
+    } catch (slugErr) {
+      console.error('Error generando slug para noticia id', id, slugErr);
+      // No abortamos: seguimos devolviendo la noticia aunque no se haya guardado el slug
+    }
   }
-});
 
-// ==================== IMÁGENES DE NOTICIAS ====================
+  const images = await repos.images.listByNews(news.id);
+  const blocks = await repos.news.getBlocks(news.id);
+  const tags = await repos.news.getTags(news.id);
+  const related = await repos.news.getRelated(news.id);
 
-// POST /api/news/:id/images - Subir imagen a una noticia (Cloudinary)
-app.post('/api/news/:id/images', upload.single('image'), async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { caption, alt_text, position = 0 } = req.body;
+  // Historial editorial: quién movió la noticia de estado y por qué (solo con sesión)
+  const statusHistory = req.user ? await repos.news.getStatusHistory(news.id) : [];
 
-    if (!req.file) {
-      return res.status(400).json({ success: false, error: 'No se proporcionó imagen' });
+  res.json({
+    success: true,
+    data: {
+      ...news,
+      author_name: news.authors?.name,
+      author_slug: news.authors?.slug,
+      category_name: news.categories?.name,
+      category_slug: news.categories?.slug,
+      images,
+      blocks: blocks.map(describeBlock),
+      tags,
+      related,
+      status_history: statusHistory.map(h => ({
+        ...h,
+        user_name: h.users?.name
+      }))
     }
+  });
+}));
 
-    const imageUrl = req.file.path;
-
-    const { data: imageData, error } = await supabase
-      .from('news_images')
-      .insert([{
-        news_id: parseInt(id, 10),
-        url: imageUrl,
-        caption,
-        alt_text,
-        position: parseInt(position, 10)
-      }])
-      .select()
-      .single();
-
-    if (error) throw error;
-
-    res.status(201).json({
-      success: true,
-      data: {
-        id: imageData.id,
-        url: imageUrl,
-        message: 'Imagen subida exitosamente'
-      }
-    });
-  } catch (error) {
-    console.error('POST /api/news/:id/images error:', error);
-    res.status(500).json({ success: false, error: error.message });
+// GET /api/news/slug/:slug - Obtener noticia por slug
+app.get('/api/news/slug/:slug', optionalAuthenticate, validate(schemas.getNewsBySlug), asyncHandler(async (req, res) => {
+  const { slug } = req.params;
+  const { news, redirected } = await findNewsBySlug(slug, {
+    include: { authors: 'name, slug', categories: 'name, slug' }
+  });
+
+  if (!news || (redirected && !news.canonical_slug) || (!req.user && !isPubliclyVisible(news))) {
+    throw new NotFoundError('Noticia no encontrada');
   }
-});
 
-// GET /api/news/:id/images - Obtener todas las imágenes de una noticia
-app.get('/api/news/:id/images', async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { data: images, error } = await supabase
-      .from('news_images')
-      .select('*')
-      .eq('news_id', id)
-      .order('position', { ascending: true });
+  const images = await repos.images.listByNews(news.id);
+  const blocks = await repos.news.getBlocks(news.id);
+  const tags = await repos.news.getTags(news.id);
+  const related = await repos.news.getRelated(news.id);
 
-    if (error) throw error;
+  res.json({
+    success: true,
+    data: {
+      ...news,
+      author_name: news.authors?.name,
+      author_slug: news.authors?.slug,
+      category_name: news.categories?.name,
+      category_slug: news.categories?.slug,
+      images,
+      blocks: blocks.map(describeBlock),
+      tags,
+      related
+    },
+    // Slug antiguo: el frontend debe reemplazar la URL por la canónica
+    ...(redirected && { redirect_to: buildArticlePath(news.canonical_slug, news.categories?.slug) })
+  });
+}));
 
-    res.json({ success: true, data: images || [] });
-  } catch (error) {
-    console.error('GET /api/news/:id/images error:', error);
-    res.status(500).json({ success: false, error: error.message });
+// POST /api/news - Crear nueva noticia (genera canonical_slug si no llega)
+app.post('/api/news', authenticate, requirePermission('news:create'), validate(schemas.createNews), sanitizeBody(schemas.createNews), asyncHandler(async (req, res) => {
+  const {
+    title,
+    subtitle,
+    summary,
+    main_category_id,
+    status = 'draft',
+    published_at,
+    is_featured = 0,
+    article_type = 'news',
+    canonical_slug,
+    tags = [],
+    blocks = []
+  } = req.body;
+  let { author_id } = req.body;
+
+  const statusCheck = validateInitialStatus(status, req.user);
+  if (statusCheck.error) {
+    throw errorFromStatus(statusCheck.status, statusCheck.error);
   }
-});
-
-// DELETE /api/news/:newsId/images/:imageId - Eliminar imagen específica
-app.delete('/api/news/:newsId/images/:imageId', async (req, res) => {
-  try {
-    const { newsId, imageId } = req.params;
 
-    const { data: imageData, error: selectError } = await supabase
-      .from('news_images')
-      .select('*')
-      .eq('id', imageId)
-      .eq('news_id', newsId)
-      .single();
+  const dateCheck = checkPublicationDate({ from: null, to: status, publishedAt: normalizePublishedAt(published_at) });
+  if (dateCheck.error) {
+    throw errorFromStatus(dateCheck.status, dateCheck.error);
+  }
 
-    if (selectError || !imageData) {
-      return res.status(404).json({ success: false, error: 'Imagen no encontrada' });
+  // Reporteros y colaboradores solo crean noticias a nombre de un autor vinculado a su usuario
+  if (!can(req.user, 'news:edit_any')) {
+    const linkedAuthorIds = await getLinkedAuthorIds(req.user.id);
+    if (author_id === undefined || author_id === null || author_id === '') {
+      author_id = linkedAuthorIds[0];
     }
-
-    const publicId = getPublicIdFromCloudinaryUrl(imageData.url);
-    if (publicId) {
-      try {
-        await cloudinary.uploader.destroy(publicId, { resource_type: 'image' });
-      } catch (err) {
-        console.error('Error al eliminar imagen en Cloudinary:', err);
-      }
+    if (!linkedAuthorIds.includes(Number(author_id))) {
+      throw new ForbiddenError('Solo puedes crear noticias a nombre de tu propio autor');
     }
+  }
 
-    const { error: deleteError } = await supabase
-      .from('news_images')
-      .delete()
-      .eq('id', imageId);
-
-    if (deleteError) throw deleteError;
-
-    res.json({ success: true, message: 'Imagen eliminada exitosamente' });
-  } catch (error) {
-    console.error('DELETE /api/news/:newsId/images/:imageId error:', error);
-    res.status(500).json({ success: false, error: error.message });
+  // Determinar slug final
+  let finalSlug = canonical_slug;
+  if (finalSlug) {
+    finalSlug = generateSlug(finalSlug);
+    finalSlug = await ensureUniqueSlug(finalSlug);
+  } else if (title) {
+    const base = generateSlug(title);
+    finalSlug = await ensureUniqueSlug(base);
   }
-});
 
-// ==================== CATEGORÍAS ====================
+  const newsData = await repos.news.create({
+    title,
+    subtitle,
+    summary,
+    author_id,
+    main_category_id,
+    status,
+    published_at: dateCheck.publishedAt,
+    is_featured,
+    article_type,
+    canonical_slug: finalSlug
+  });
+
+  const newsId = newsData.id;
+
+  await recordStatusChange({
+    newsId,
+    from: null,
+    to: status,
+    action: 'create',
+    userId: req.user.id
+  });
+
+  if (tags.length > 0) {
+    await repos.news.replaceTags(newsId, tags);
+  }
 
-// GET /api/categories
-app.get('/api/categories', async (req, res) => {
-  try {
-    const { data: categories, error } = await supabase
-      .from('categories')
-      .select(`
-        *,
-        parent:parent_id(name)
-      `)
-      .order('position', { ascending: true })
-      .order('name', { ascending: true });
-
-    if (error) throw error;
-
-    const mappedData = categories.map(cat => ({
-      ...cat,
-      parent_name: cat.parent?.name
-    }));
-
-    res.json({ success: true, data: mappedData });
-  } catch (error) {
-    console.error('GET /api/categories error:', error);
-    res.status(500).json({ success: false, error: error.message });
+  if (blocks.length > 0) {
+    await repos.news.replaceBlocks(newsId, blocks.map(normalizeBlock));
   }
-});
 
-// POST /api/categories
-app.post('/api/categories', async (req, res) => {
-  try {
-    const { name, slug, parent_id = null, position = 0, description = null } = req.body;
+  res.status(201).json({
+    success: true,
+    data: { id: newsId, canonical_slug: finalSlug, message: 'Noticia creada exitosamente' },
+    // HTML que se quitó de summary, subtitle o bloques (para avisar al editor)
+    ...(req.sanitized.length > 0 && { sanitized: req.sanitized })
+  });
+}));
 
-    if (!name || !slug) {
-      return res.status(400).json({ success: false, error: 'name y slug son obligatorios' });
+// PUT /api/news/:id - Actualizar noticia existente (maneja canonical_slug único)
+app.put('/api/news/:id', authenticate, validate(schemas.updateNews), sanitizeBody(schemas.updateNews), requireNewsEditAccess('id'), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const {
+    title,
+    subtitle,
+    summary,
+    author_id,
+    main_category_id,
+    status,
+    published_at,
+    is_featured,
+    article_type,
+    canonical_slug,
+    tags,
+    blocks
+  } = req.body;
+
+  // Un cambio de status por PUT pasa por las mismas reglas que /transition
+  let statusTransition = null;
+  if (status !== undefined && status !== req.news.status) {
+    const check = validateTransition({
+      from: req.news.status,
+      to: status,
+      user: req.user,
+      comment: req.body.status_comment
+    });
+    if (check.error) {
+      throw errorFromStatus(check.status, check.error);
     }
+    statusTransition = check.transition;
+  }
 
-    if (parent_id !== null && parent_id !== '' && parent_id !== undefined) {
-      const { data: parentData } = await supabase
-        .from('categories')
-        .select('id')
-        .eq('id', parent_id)
-        .single();
+  if (author_id !== undefined && !can(req.user, 'news:edit_any')
+    && !req.linkedAuthorIds.includes(Number(author_id))) {
+    throw new ForbiddenError('No puedes asignar la noticia a otro autor');
+  }
 
-      if (!parentData) {
-        return res.status(400).json({ success: false, error: 'parent_id no existe' });
-      }
-    }
+  const publishedAt = normalizePublishedAt(published_at);
 
-    const { data: categoryData, error } = await supabase
-      .from('categories')
-      .insert([{
-        name,
-        slug,
-        parent_id: parent_id || null,
-        position,
-        description
-      }])
-      .select()
-      .single();
-
-    if (error) throw error;
-
-    res.status(201).json({
-      success: true,
-      data: { id: categoryData.id, message: 'Categoría creada exitosamente' }
+  let dateCheck = { publishedAt };
+  if (statusTransition || publishedAt !== undefined) {
+    dateCheck = checkPublicationDate({
+      from: req.news.status,
+      to: statusTransition ? status : req.news.status,
+      publishedAt: publishedAt !== undefined ? publishedAt : req.news.published_at
     });
-  } catch (error) {
-    console.error('POST /api/categories error:', error);
-    res.status(500).json({ success: false, error: error.message });
+    if (dateCheck.error) {
+      throw errorFromStatus(dateCheck.status, dateCheck.error);
+    }
   }
+
+  const updateData = {};
+  if (title !== undefined) updateData.title = title;
+  if (subtitle !== undefined) updateData.subtitle = subtitle;
+  if (summary !== undefined) updateData.summary = summary;
+  if (author_id !== undefined) updateData.author_id = author_id;
+  if (main_category_id !== undefined) updateData.main_category_id = main_category_id;
+  if (statusTransition) updateData.status = status;
+  if (dateCheck.publishedAt !== undefined && dateCheck.publishedAt !== req.news.published_at) {
+    updateData.published_at = dateCheck.publishedAt;
+  }
+  if (is_featured !== undefined) updateData.is_featured = is_featured;
+  if (article_type !== undefined) updateData.article_type = article_type;
+
+  // Si se envía canonical_slug, procesarlo (slugify + asegurar unicidad, excluyendo este id)
+  if (canonical_slug !== undefined) {
+    let finalSlug = canonical_slug ? generateSlug(canonical_slug) : null;
+    if (finalSlug) {
+      finalSlug = await ensureUniqueSlug(finalSlug, id);
+    }
+    updateData.canonical_slug = finalSlug;
+  }
+
+  // Guardar el estado previo como revisión: este PUT puede reemplazar bloques y tags completos
+  const revision = await saveRevision({ newsId: req.news.id, userId: req.user.id });
+
+  if (Object.keys(updateData).length > 0) {
+    await repos.news.updateById(req.news.id, updateData);
+  }
+
+  if (updateData.canonical_slug !== undefined) {
+    await repos.news.recordSlugChange(req.news.id, req.news.canonical_slug, updateData.canonical_slug);
+  }
+
+  if (statusTransition) {
+    await recordStatusChange({
+      newsId: req.news.id,
+      from: req.news.status,
+      to: status,
+      action: statusTransition.action,
+      userId: req.user.id,
+      comment: req.body.status_comment
+    });
+  }
+
+  if (tags !== undefined) {
+    await repos.news.replaceTags(req.news.id, tags);
+  }
+
+  if (blocks !== undefined) {
+    await repos.news.replaceBlocks(req.news.id, blocks.map(normalizeBlock));
+  }
+
+  res.json({
+    success: true,
+    message: 'Noticia actualizada exitosamente',
+    data: { revision_id: revision ? revision.id : null },
+    ...(req.sanitized.length > 0 && { sanitized: req.sanitized })
+  });
+}));
+
+// GET /api/news/:id/transitions - Transiciones que el usuario puede aplicar a la noticia
+app.get('/api/news/:id/transitions', authenticate, validate(schemas.byId), requireNewsEditAccess('id'), (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      status: req.news.status,
+      transitions: getAllowedTransitions(req.news.status, req.user)
+    }
+  });
 });
 
-// PUT /api/categories/:id
-app.put('/api/categories/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { name, slug, parent_id, position, description } = req.body;
+// POST /api/news/:id/transition - Cambiar el estado editorial { to, comment, published_at }
+app.post('/api/news/:id/transition', authenticate, validate(schemas.transitionNews), requireNewsEditAccess('id'), asyncHandler(async (req, res) => {
+  const { to, comment, published_at } = req.body;
+  const news = req.news;
+
+  const check = validateTransition({ from: news.status, to, user: req.user, comment });
+  if (check.error) {
+    throw errorFromStatus(check.status, check.error);
+  }
+
+  const publishedAt = normalizePublishedAt(published_at);
+  const dateCheck = checkPublicationDate({
+    from: news.status,
+    to,
+    publishedAt: publishedAt !== undefined ? publishedAt : news.published_at
+  });
+  if (dateCheck.error) {
+    throw errorFromStatus(dateCheck.status, dateCheck.error);
+  }
 
-    const { data: existing } = await supabase
-      .from('categories')
-      .select('*')
-      .eq('id', id)
-      .single();
+  const updateData = { status: to };
+  if (dateCheck.publishedAt !== undefined && dateCheck.publishedAt !== news.published_at) {
+    updateData.published_at = dateCheck.publishedAt;
+  }
 
-    if (!existing) {
-      return res.status(404).json({ success: false, error: 'Categoría no encontrada' });
+  await repos.news.updateById(news.id, updateData);
+
+  await recordStatusChange({
+    newsId: news.id,
+    from: news.status,
+    to,
+    action: check.transition.action,
+    userId: req.user.id,
+    comment
+  });
+
+  res.json({
+    success: true,
+    data: {
+      id: news.id,
+      from: news.status,
+      status: to,
+      action: check.transition.action,
+      published_at: updateData.published_at || news.published_at,
+      transitions: getAllowedTransitions(to, req.user)
     }
+  });
+}));
+
+// ==================== REVISIONES DE NOTICIAS ====================
+
+// Obtiene una revisión de la noticia, o el estado actual si revId es "current"
+async function getRevisionSnapshot(newsId, revId) {
+  if (revId === 'current') {
+    return loadNewsSnapshot(newsId);
+  }
 
-    if (parent_id && parseInt(parent_id, 10) === parseInt(id, 10)) {
-      return res.status(400).json({ success: false, error: 'parent_id no puede ser igual al id de la categoría' });
+  const revision = await repos.news.findRevision(newsId, revId);
+  return revision ? revision.snapshot : null;
+}
+
+// GET /api/news/:id/revisions - Listar revisiones (sin el snapshot completo)
+app.get('/api/news/:id/revisions', authenticate, validate(schemas.byId), requireNewsEditAccess('id'), asyncHandler(async (req, res) => {
+  const revisions = await repos.news.listRevisions(req.news.id);
+
+  res.json({
+    success: true,
+    data: revisions.map(r => ({
+      ...r,
+      user_name: r.users?.name
+    }))
+  });
+}));
+
+// GET /api/news/:id/revisions/diff?from=<revId>&to=<revId|current> - Diff de campos y bloques
+app.get('/api/news/:id/revisions/diff', authenticate, validate(schemas.diffRevisions), requireNewsEditAccess('id'), asyncHandler(async (req, res) => {
+  const { from, to = 'current' } = req.query;
+
+  const fromSnapshot = await getRevisionSnapshot(req.news.id, from);
+  const toSnapshot = await getRevisionSnapshot(req.news.id, to);
+
+  if (!fromSnapshot || !toSnapshot) {
+    throw new NotFoundError('Revisión no encontrada');
+  }
+
+  res.json({
+    success: true,
+    data: {
+      from,
+      to,
+      diff: diffSnapshots(fromSnapshot, toSnapshot)
     }
+  });
+}));
+
+// GET /api/news/:id/revisions/:revId - Revisión completa
+app.get('/api/news/:id/revisions/:revId', authenticate, validate(schemas.revisionParams), requireNewsEditAccess('id'), asyncHandler(async (req, res) => {
+  const revision = await repos.news.findRevision(req.news.id, req.params.revId);
+
+  if (!revision) {
+    throw new NotFoundError('Revisión no encontrada');
+  }
+
+  res.json({
+    success: true,
+    data: { ...revision, user_name: revision.users?.name }
+  });
+}));
+
+// POST /api/news/:id/revisions/:revId/restore - Restaurar contenido de una revisión.
+// Antes se guarda el estado actual como revisión, así la restauración también se puede deshacer.
+// status/published_at no se tocan (van por /transition). Las imágenes borradas de Cloudinary
+// no se pueden recuperar: solo se restauran caption/alt/posición de las que siguen existiendo.
+app.post('/api/news/:id/revisions/:revId/restore', authenticate, validate(schemas.revisionParams), requireNewsEditAccess('id'), asyncHandler(async (req, res) => {
+  const newsId = req.news.id;
+  const { revId } = req.params;
+
+  const revision = await repos.news.findRevision(newsId, revId);
+
+  if (!revision) {
+    throw new NotFoundError('Revisión no encontrada');
+  }
+
+  const target = revision.snapshot;
+  const backup = await saveRevision({ newsId, userId: req.user.id, reason: 'pre_restore' });
+
+  const updateData = {};
+  for (const field of RESTORABLE_FIELDS) {
+    updateData[field] = target.news[field];
+  }
+  // Revisiones de antes de que la noticia tuviera slug: se conserva el vigente (con null la
+  // URL publicada daría 404 y no habría a dónde redirigir)
+  if (updateData.canonical_slug) {
+    updateData.canonical_slug = await ensureUniqueSlug(updateData.canonical_slug, newsId);
+  } else {
+    delete updateData.canonical_slug;
+  }
+  if (!can(req.user, 'news:edit_any') && !req.linkedAuthorIds.includes(Number(updateData.author_id))) {
+    delete updateData.author_id;
+  }
 
-    if (parent_id !== null && parent_id !== '' && parent_id !== undefined) {
-      const { data: parentData } = await supabase
-        .from('categories')
-        .select('id')
-        .eq('id', parent_id)
-        .single();
+  await repos.news.updateById(newsId, updateData);
+
+  if (updateData.canonical_slug) {
+    await repos.news.recordSlugChange(newsId, req.news.canonical_slug, updateData.canonical_slug);
+  }
+
+  // Bloques: se reemplazan completos por los de la revisión
+  await repos.news.replaceBlocks(newsId, target.blocks);
+
+  // Tags: solo los que todavía existen
+  const existingTags = await repos.tags.findByIds(target.tags.map(t => t.id), { columns: 'id' });
+  const existingTagIds = existingTags.map(t => t.id);
+
+  await repos.news.replaceTags(newsId, existingTagIds);
+
+  // Imágenes: restaurar metadatos de las que siguen existiendo
+  const currentImages = await repos.images.listByNews(newsId);
+
+  const currentImageIds = new Set(currentImages.map(img => img.id));
+  const skippedImages = [];
+
+  for (const img of target.images) {
+    if (!currentImageIds.has(img.id)) {
+      skippedImages.push(img);
+      continue;
+    }
+    await repos.images.update(
+      { id: img.id, news_id: newsId },
+      { caption: img.caption, alt_text: img.alt_text, credit: img.credit, position: img.position }
+    );
+  }
 
-      if (!parentData) {
-        return res.status(400).json({ success: false, error: 'parent_id no existe' });
+  res.json({
+    success: true,
+    message: 'Revisión restaurada exitosamente',
+    data: {
+      restored_revision_id: revision.id,
+      backup_revision_id: backup ? backup.id : null,
+      skipped: {
+        tags: target.tags.filter(t => !existingTagIds.includes(t.id)),
+        images: skippedImages
       }
     }
+  });
+}));
 
-    const updateData = {};
-    if (name !== undefined) updateData.name = name;
-    if (slug !== undefined) updateData.slug = slug;
-    if (parent_id !== undefined) updateData.parent_id = parent_id || null;
-    if (position !== undefined) updateData.position = position;
-    if (description !== undefined) updateData.description = description;
+// DELETE /api/news/:id - Eliminar noticia
+app.delete('/api/news/:id', authenticate, requirePermission('news:delete'), validate(schemas.byId), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  await repos.news.removeById(id);
+
+  res.json({ success: true, message: 'Noticia eliminada exitosamente' });
+}));
+
+// ==================== BÚSQUEDA ====================
+
+// GET /api/search?q=&category_id=&author_id=&from=&to=&limit=&offset=
+// Busca en título, subtítulo, resumen y bloques de noticias publicadas; ordena por relevancia
+// sobre todo el archivo y total es el número exacto de coincidencias.
+// from/to filtran por published_at; sin zona horaria se interpretan en APP_TIMEZONE.
+app.get('/api/search', validate(schemas.searchNews), asyncHandler(async (req, res) => {
+  const { q, category_id, author_id, from, to, limit = 20, offset = 0 } = req.query;
+
+  const fromIso = from ? toUtcIso(from) : null;
+  // Una fecha sola en "to" incluye todo ese día
+  const toIso = to ? toUtcIso(/^\d{4}-\d{2}-\d{2}$/.test(to) ? `${to}T23:59:59.999` : to) : null;
+
+  const result = await searchNews(repos.search, {
+    q,
+    filters: {
+      category_id: category_id || null,
+      author_id: author_id || null,
+      from: fromIso,
+      to: toIso
+    },
+    limit: Math.min(limit, 50),
+    offset
+  });
+
+  res.json({
+    success: true,
+    data: result.results,
+    count: result.results.length,
+    total: result.total,
+    query: { q, terms: result.terms }
+  });
+}));
+
+// ==================== IMÁGENES DE NOTICIAS ====================
+
+// POST /api/news/:id/images - Subir una o varias imágenes a una noticia (Cloudinary)
+// (los permisos se validan antes de multer para no subir nada a Cloudinary si se rechaza)
+// Sin position, las imágenes van después de las que ya tiene la noticia.
+app.post('/api/news/:id/images', authenticate, validate(schemas.byId), requireNewsEditAccess('id'), upload.fields([
+  { name: 'image', maxCount: 1 },
+  { name: 'images', maxCount: MAX_IMAGES_PER_UPLOAD }
+]), validate(schemas.uploadImage), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { caption, alt_text, credit, position, is_cover = false } = req.body;
+
+  const files = [...(req.files?.image || []), ...(req.files?.images || [])];
+  if (files.length === 0) {
+    throw ValidationError.field('image', 'No se proporcionó imagen');
+  }
+
+  let firstPosition = position;
+  if (firstPosition === undefined) {
+    const existing = await repos.images.listByNews(id);
+    firstPosition = existing.reduce((next, img) => Math.max(next, (img.position || 0) + 1), 0);
+  }
 
-    if (Object.keys(updateData).length === 0) {
-      return res.status(400).json({ success: false, error: 'No hay campos para actualizar' });
+  // Un solo insert: si falla no queda ninguna fila apuntando a las imágenes que se borran
+  const images = await repos.images.createMany(files.map((file, i) => ({
+    news_id: id,
+    url: file.path,
+    caption,
+    alt_text,
+    credit,
+    position: firstPosition + i
+  })));
+
+  if (is_cover) {
+    try {
+      await repos.images.setCover(id, images[0].id);
+    } catch (error) {
+      await repos.images.remove({ id: images.map(img => img.id) }).catch(() => {});
+      throw error;
     }
+    images[0].is_cover = true;
+  }
 
-    const { error } = await supabase
-      .from('categories')
-      .update(updateData)
-      .eq('id', id);
+  res.status(201).json({
+    success: true,
+    data: {
+      // id y url de la primera, para los clientes que suben una sola
+      id: images[0].id,
+      url: images[0].url,
+      images,
+      message: images.length > 1 ? 'Imágenes subidas exitosamente' : 'Imagen subida exitosamente'
+    }
+  });
+}), discardUploadsOnError);
 
-    if (error) throw error;
+// GET /api/news/:id/images - Obtener todas las imágenes de una noticia
+app.get('/api/news/:id/images', validate(schemas.byId), asyncHandler(async (req, res) => {
+  const { id } = req.params;
 
-    res.json({ success: true, message: 'Categoría actualizada exitosamente' });
-  } catch (error) {
-    console.error('PUT /api/categories/:id error:', error);
-    res.status(500).json({ success: false, error: error.message });
+  if (!await repos.news.exists({ id })) {
+    throw new NotFoundError('Noticia no encontrada');
   }
-});
+
+  const images = await repos.images.listByNews(id);
+
+  res.json({ success: true, data: images });
+}));
+
+// POST /api/news/:id/images/reorder - { ids } con todas las imágenes de la noticia en el orden nuevo.
+// Se valida la lista completa antes de escribir nada.
+app.post('/api/news/:id/images/reorder', authenticate, validate(schemas.reorderImages), requireNewsEditAccess('id'), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { ids } = req.body;
+
+  const current = await repos.images.listByNews(id);
+  const currentIds = current.map(img => img.id);
+
+  const errors = [];
+  ids.forEach((imageId, i) => {
+    if (!currentIds.includes(imageId)) {
+      errors.push({ field: `ids[${i}]`, location: 'body', message: 'La imagen no pertenece a esta noticia' });
+    } else if (ids.indexOf(imageId) !== i) {
+      errors.push({ field: `ids[${i}]`, location: 'body', message: 'Imagen repetida' });
+    }
+  });
+
+  const missing = currentIds.filter(imageId => !ids.includes(imageId));
+  if (missing.length > 0) {
+    errors.push({ field: 'ids', location: 'body', message: `Faltan imágenes de la noticia: ${missing.join(', ')}` });
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError(errors);
+  }
+
+  await repos.images.reorder(id, ids);
+
+  res.json({ success: true, message: 'Orden de imágenes actualizado', data: await repos.images.listByNews(id) });
+}));
+
+// PATCH /api/news/:newsId/images/:imageId - Pie de foto, texto alternativo, crédito o portada
+app.patch('/api/news/:newsId/images/:imageId', authenticate, validate(schemas.updateImage), requireNewsEditAccess('newsId'), asyncHandler(async (req, res) => {
+  const { newsId, imageId } = req.params;
+  const { caption, alt_text, credit, is_cover } = req.body;
+
+  const imageData = await repos.images.findInNews(newsId, imageId);
+
+  if (!imageData) {
+    throw new NotFoundError('Imagen no encontrada');
+  }
+
+  const updateData = {};
+  if (caption !== undefined) updateData.caption = caption;
+  if (alt_text !== undefined) updateData.alt_text = alt_text;
+  if (credit !== undefined) updateData.credit = credit;
+  if (is_cover !== undefined && !is_cover) updateData.is_cover = false;
+
+  if (Object.keys(updateData).length > 0) {
+    await repos.images.updateById(imageData.id, updateData);
+  }
+
+  // Solo una portada por noticia: la anterior deja de serlo
+  if (is_cover) {
+    await repos.images.setCover(newsId, imageData.id);
+  }
+
+  res.json({
+    success: true,
+    message: 'Imagen actualizada exitosamente',
+    data: await repos.images.findById(imageData.id)
+  });
+}));
+
+// DELETE /api/news/:newsId/images/:imageId - Eliminar imagen específica
+app.delete('/api/news/:newsId/images/:imageId', authenticate, validate(schemas.deleteImage), requireNewsEditAccess('newsId'), asyncHandler(async (req, res) => {
+  const { newsId, imageId } = req.params;
+
+  const imageData = await repos.images.findInNews(newsId, imageId);
+
+  if (!imageData) {
+    throw new NotFoundError('Imagen no encontrada');
+  }
+
+  const publicId = getPublicIdFromCloudinaryUrl(imageData.url);
+  if (publicId) {
+    try {
+      await cloudinary.uploader.destroy(publicId, { resource_type: 'image' });
+    } catch (err) {
+      console.error('Error al eliminar imagen en Cloudinary:', err);
+    }
+  }
+
+  await repos.images.removeById(imageData.id);
+
+  res.json({ success: true, message: 'Imagen eliminada exitosamente' });
+}));
+
+// ==================== CATEGORÍAS ====================
+
+// GET /api/categories
+app.get('/api/categories', asyncHandler(async (req, res) => {
+  const categories = await repos.categories.list();
+
+  const mappedData = categories.map(cat => ({
+    ...cat,
+    parent_name: cat.parent?.name
+  }));
+
+  res.json({ success: true, data: mappedData });
+}));
+
+const CATEGORY_TREE_COLUMNS = 'id, name, slug, parent_id, position, description';
+
+// GET /api/categories/tree - Categorías anidadas (children) ordenadas por position
+app.get('/api/categories/tree', asyncHandler(async (req, res) => {
+  const categories = await repos.categories.find({}, { columns: CATEGORY_TREE_COLUMNS });
+
+  res.json({ success: true, data: buildTree(categories) });
+}));
+
+// Migas de pan de una categoría: de la raíz a ella misma
+async function sendBreadcrumbs(res, category) {
+  if (!category) {
+    throw new NotFoundError('Categoría no encontrada');
+  }
+
+  const categories = await repos.categories.find({}, { columns: 'id, name, slug, parent_id' });
+  const breadcrumbs = getAncestors(categories, category.id).map(({ id, name, slug }) => ({
+    id,
+    name,
+    slug,
+    url: buildCategoryUrl(slug)
+  }));
+
+  res.json({ success: true, data: breadcrumbs });
+}
+
+// GET /api/categories/:id/breadcrumbs
+app.get('/api/categories/:id/breadcrumbs', validate(schemas.byId), asyncHandler(async (req, res) => {
+  await sendBreadcrumbs(res, await repos.categories.findById(req.params.id, { columns: 'id' }));
+}));
+
+// GET /api/categories/slug/:slug/breadcrumbs - También acepta slugs antiguos
+app.get('/api/categories/slug/:slug/breadcrumbs', validate(schemas.categoryBySlug), asyncHandler(async (req, res) => {
+  const { category } = await findCategoryBySlug(req.params.slug, 'id');
+  await sendBreadcrumbs(res, category);
+}));
+
+// POST /api/categories/reorder - { items: [{ id, parent_id, position }] } del editor de menú.
+// Se valida el árbol resultante completo (padres existentes, sin ciclos) antes de escribir nada.
+app.post('/api/categories/reorder', authenticate, requirePermission('categories:manage'), validate(schemas.reorderCategories), asyncHandler(async (req, res) => {
+  const { items } = req.body;
+
+  const current = await repos.categories.find({}, { columns: CATEGORY_TREE_COLUMNS });
+  const { categories, errors } = applyMoves(current, items);
+
+  if (errors.length > 0) {
+    throw new ValidationError(errors);
+  }
+
+  await repos.categories.reorder(items);
+
+  res.json({ success: true, message: 'Orden de categorías actualizado', data: buildTree(categories) });
+}));
+
+// POST /api/categories
+app.post('/api/categories', authenticate, requirePermission('categories:manage'), validate(schemas.createCategory), sanitizeBody(schemas.createCategory), asyncHandler(async (req, res) => {
+  const { name, slug, parent_id = null, position = 0, description = null } = req.body;
+
+  if (parent_id !== null) {
+    const parentData = await repos.categories.findById(parent_id, { columns: 'id' });
+
+    if (!parentData) {
+      throw ValidationError.field('parent_id', 'parent_id no existe');
+    }
+  }
+
+  if (await repos.categories.isSlugTaken(slug)) {
+    throw new ConflictError('Ya existe una categoría con ese slug');
+  }
+
+  const categoryData = await repos.categories.create({
+    name,
+    slug,
+    parent_id,
+    position,
+    description
+  });
+
+  res.status(201).json({
+    success: true,
+    data: { id: categoryData.id, message: 'Categoría creada exitosamente' },
+    ...(req.sanitized.length > 0 && { sanitized: req.sanitized })
+  });
+}));
+
+// PUT /api/categories/:id
+app.put('/api/categories/:id', authenticate, requirePermission('categories:manage'), validate(schemas.updateCategory), sanitizeBody(schemas.updateCategory), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { name, slug, parent_id, position, description } = req.body;
+
+  const existing = await repos.categories.findById(id);
+
+  if (!existing) {
+    throw new NotFoundError('Categoría no encontrada');
+  }
+
+  if (parent_id === existing.id) {
+    throw ValidationError.field('parent_id', 'parent_id no puede ser igual al id de la categoría');
+  }
+
+  if (parent_id !== null && parent_id !== undefined) {
+    const categories = await repos.categories.find({}, { columns: 'id, parent_id' });
+
+    if (!categories.some(cat => cat.id === parent_id)) {
+      throw ValidationError.field('parent_id', 'parent_id no existe');
+    }
+
+    // Mover una categoría debajo de uno de sus descendientes la dejaría fuera del árbol
+    if (createsCycle(categories, existing.id, parent_id)) {
+      throw ValidationError.field('parent_id', 'parent_id no puede ser una subcategoría de esta categoría');
+    }
+  }
+
+  // Tampoco un slug antiguo de otra categoría: el 301 de sus URLs viejas sería ambiguo
+  if (slug !== undefined && slug !== existing.slug && await repos.categories.isSlugTaken(slug, existing.id)) {
+    throw new ConflictError('Ya existe otra categoría con ese slug');
+  }
+
+  const updateData = {};
+  if (name !== undefined) updateData.name = name;
+  if (slug !== undefined) updateData.slug = slug;
+  if (parent_id !== undefined) updateData.parent_id = parent_id;
+  if (position !== undefined) updateData.position = position;
+  if (description !== undefined) updateData.description = description;
+
+  await repos.categories.updateById(existing.id, updateData);
+
+  if (updateData.slug !== undefined) {
+    await repos.categories.recordSlugChange(existing.id, existing.slug, updateData.slug);
+  }
+
+  res.json({
+    success: true,
+    message: 'Categoría actualizada exitosamente',
+    ...(req.sanitized.length > 0 && { sanitized: req.sanitized })
+  });
+}));
 
 // DELETE /api/categories/:id
-app.delete('/api/categories/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
+app.delete('/api/categories/:id', authenticate, requirePermission('categories:manage'), validate(schemas.byId), asyncHandler(async (req, res) => {
+  const { id } = req.params;
 
-    const { data: existing } = await supabase
-      .from('categories')
-      .select('id')
-      .eq('id', id)
-      .single();
+  const existing = await repos.categories.findById(id, { columns: 'id' });
 
-    if (!existing) {
-      return res.status(404).json({ success: false, error: 'Categoría no encontrada' });
+  if (!existing) {
+    throw new NotFoundError('Categoría no encontrada');
+  }
+
+  if (await repos.categories.exists({ parent_id: existing.id })) {
+    throw new ConflictError('No se puede eliminar: la categoría tiene subcategorías');
+  }
+
+  if (await repos.news.exists({ main_category_id: existing.id })) {
+    throw new ConflictError('No se puede eliminar: la categoría está asociada a noticias');
+  }
+
+  await repos.categories.removeById(existing.id);
+
+  res.json({ success: true, message: 'Categoría eliminada exitosamente' });
+}));
+
+// ==================== AUTORES ====================
+
+// Columnas que se pueden mostrar a cualquiera: email y user_id solo los ve quien administra autores
+const AUTHOR_PUBLIC_COLUMNS = 'id, name, slug, bio, avatar_url, social_links';
+
+function authorColumnsFor(user) {
+  return can(user, 'authors:manage') ? '*' : AUTHOR_PUBLIC_COLUMNS;
+}
+
+// social_links sin redes vacías; {} se guarda como null
+function normalizeSocialLinks(links) {
+  if (!links) return null;
+  const entries = Object.entries(links).filter(([, url]) => url);
+  return entries.length > 0 ? Object.fromEntries(entries) : null;
+}
+
+// GET /api/authors - Obtener todos los autores
+app.get('/api/authors', optionalAuthenticate, asyncHandler(async (req, res) => {
+  const authors = await repos.authors.list({ columns: authorColumnsFor(req.user) });
+
+  res.json({ success: true, data: authors });
+}));
+
+// GET /api/authors/slug/:slug - Perfil público: datos del autor, news_count y sus noticias
+// publicadas con los mismos filtros y paginación que /api/news
+app.get('/api/authors/slug/:slug', validate(schemas.authorProfile), asyncHandler(async (req, res) => {
+  const author = await repos.authors.findBySlug(req.params.slug, { columns: AUTHOR_PUBLIC_COLUMNS });
+
+  if (!author) {
+    throw new NotFoundError('Autor no encontrado');
+  }
+
+  const newsCount = await repos.news.count({ ...repos.news.publiclyVisibleWhere(), author_id: author.id });
+
+  await sendNewsList(req, res, {
+    filters: { author_id: author.id },
+    extra: { author: { ...author, news_count: newsCount } }
+  });
+}));
+
+// GET /api/authors/:id - Obtener un autor específico
+app.get('/api/authors/:id', optionalAuthenticate, validate(schemas.byId), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const author = await repos.authors.findById(id, { columns: authorColumnsFor(req.user) });
+
+  if (!author) {
+    throw new NotFoundError('Autor no encontrado');
+  }
+
+  res.json({ success: true, data: author });
+}));
+
+// POST /api/authors - Crear nuevo autor
+app.post('/api/authors', authenticate, requirePermission('authors:manage'), validate(schemas.createAuthor), asyncHandler(async (req, res) => {
+  const { name, email = null, bio = null, avatar_url = null, social_links = null, user_id = null } = req.body;
+
+  if (user_id !== null) {
+    const userData = await repos.users.findById(user_id, { columns: 'id' });
+
+    if (!userData) {
+      throw ValidationError.field('user_id', 'user_id no existe');
+    }
+  }
+
+  const slug = generateSlug(name);
+
+  let finalSlug = slug;
+  if (await repos.authors.exists({ slug })) {
+    finalSlug = `${slug}-${Date.now()}`;
+  }
+
+  if (email) {
+    if (await repos.authors.exists({ email })) {
+      throw new ConflictError('Ya existe un autor con ese email');
+    }
+  }
+
+  const authorData = await repos.authors.create({
+    name,
+    slug: finalSlug,
+    email,
+    bio,
+    avatar_url,
+    social_links: normalizeSocialLinks(social_links),
+    user_id
+  });
+
+  res.status(201).json({
+    success: true,
+    data: { id: authorData.id, slug: finalSlug, message: 'Autor creado exitosamente' }
+  });
+}));
+
+// PUT /api/authors/:id - Actualizar autor existente
+app.put('/api/authors/:id', authenticate, requirePermission('authors:manage'), validate(schemas.updateAuthor), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { name, slug, email, bio, avatar_url, social_links, user_id } = req.body;
+
+  const existing = await repos.authors.findById(id);
+
+  if (!existing) {
+    throw new NotFoundError('Autor no encontrado');
+  }
+
+  if (slug !== undefined && slug !== existing.slug) {
+    if (await repos.authors.exists({ slug, id: { neq: existing.id } })) {
+      throw new ConflictError('Ya existe otro autor con ese slug');
     }
+  }
 
-    const { data: children } = await supabase
-      .from('categories')
-      .select('id')
-      .eq('parent_id', id);
+  if (email) {
+    if (await repos.authors.exists({ email, id: { neq: existing.id } })) {
+      throw new ConflictError('Ya existe otro autor con ese email');
+    }
+  }
 
-    if (children && children.length > 0) {
-      return res.status(400).json({ success: false, error: 'No se puede eliminar: la categoría tiene subcategorías' });
+  if (user_id !== undefined && user_id !== null) {
+    const userData = await repos.users.findById(user_id, { columns: 'id' });
+
+    if (!userData) {
+      throw ValidationError.field('user_id', 'user_id no existe');
     }
+  }
+
+  const updateData = {};
+  if (name !== undefined) updateData.name = name;
+  if (slug !== undefined) updateData.slug = slug;
+  if (email !== undefined) updateData.email = email;
+  if (bio !== undefined) updateData.bio = bio;
+  if (avatar_url !== undefined) updateData.avatar_url = avatar_url;
+  if (social_links !== undefined) updateData.social_links = normalizeSocialLinks(social_links);
+  if (user_id !== undefined) updateData.user_id = user_id;
+
+  await repos.authors.updateById(existing.id, updateData);
+
+  res.json({ success: true, message: 'Autor actualizado exitosamente' });
+}));
+
+// DELETE /api/authors/:id - Eliminar autor
+app.delete('/api/authors/:id', authenticate, requirePermission('authors:manage'), validate(schemas.byId), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const existing = await repos.authors.findById(id, { columns: 'id' });
+
+  if (!existing) {
+    throw new NotFoundError('Autor no encontrado');
+  }
+
+  if (await repos.news.exists({ author_id: existing.id })) {
+    throw new ConflictError('No se puede eliminar: el autor tiene noticias asociadas');
+  }
+
+  await repos.authors.removeById(existing.id);
+
+  res.json({ success: true, message: 'Autor eliminado exitosamente' });
+}));
+
+// ==================== TAGS ====================
+
+// GET /api/tags - Todos los tags con news_count (noticias publicadas y visibles de cada uno)
+app.get('/api/tags', asyncHandler(async (req, res) => {
+  const tags = await repos.tags.list();
+  const counts = await repos.tags.countNews(tags.map(t => t.id), repos.news.publiclyVisibleWhere());
+
+  res.json({ success: true, data: tags.map(tag => ({ ...tag, news_count: counts[tag.id] })) });
+}));
+
+// GET /api/tags/autocomplete?q=amlo - Tags cuyo nombre o slug empieza con q (editor de noticias)
+app.get('/api/tags/autocomplete', validate(schemas.tagAutocomplete), asyncHandler(async (req, res) => {
+  const { q, limit = 10 } = req.query;
+
+  const tags = await repos.tags.searchByPrefix({ name: q, slug: generateSlug(q) }, { limit });
+
+  res.json({ success: true, data: tags });
+}));
+
+// GET /api/tags/:slug/news - Noticias de un tag, con los mismos filtros y paginación que /api/news
+app.get('/api/tags/:slug/news', optionalAuthenticate, validate(schemas.tagNews), asyncHandler(async (req, res) => {
+  const tag = await repos.tags.findBySlug(req.params.slug, { columns: 'id, name, slug' });
+
+  if (!tag) {
+    throw new NotFoundError('Tag no encontrado');
+  }
+
+  await sendNewsList(req, res, { filters: { tag_id: tag.id }, extra: { tag } });
+}));
+
+// Si el slug ya es de otro tag: 409 con ese tag en details para que el editor lo use
+async function assertTagSlugAvailable(slug, exceptId = null) {
+  const where = exceptId ? { slug, id: { neq: exceptId } } : { slug };
+  const existing = await repos.tags.findOne(where, { columns: 'id, name, slug' });
+
+  if (existing) {
+    throw new ConflictError('Ya existe un tag con ese slug', { tag: existing });
+  }
+}
+
+app.post('/api/tags', authenticate, requirePermission('tags:create'), validate(schemas.createTag), asyncHandler(async (req, res) => {
+  const { name } = req.body;
+  const slug = req.body.slug || generateSlug(name);
+
+  if (!slug) {
+    throw ValidationError.field('name', 'El nombre no genera un slug válido');
+  }
+  await assertTagSlugAvailable(slug);
+
+  const tagData = await repos.tags.create({ name, slug });
+
+  res.status(201).json({
+    success: true,
+    data: { id: tagData.id, slug, message: 'Tag creado exitosamente' }
+  });
+}));
+
+// PUT /api/tags/:id - Renombrar un tag. El slug solo cambia si se envía (los links /tags/:slug siguen vivos).
+app.put('/api/tags/:id', authenticate, requirePermission('tags:manage'), validate(schemas.updateTag), asyncHandler(async (req, res) => {
+  const { name, slug } = req.body;
+
+  const existing = await repos.tags.findById(req.params.id, { columns: 'id, slug' });
+
+  if (!existing) {
+    throw new NotFoundError('Tag no encontrado');
+  }
+
+  if (slug !== undefined && slug !== existing.slug) {
+    await assertTagSlugAvailable(slug, existing.id);
+  }
+
+  const updateData = {};
+  if (name !== undefined) updateData.name = name;
+  if (slug !== undefined) updateData.slug = slug;
+
+  const tag = await repos.tags.updateById(existing.id, updateData);
+
+  res.json({ success: true, data: tag, message: 'Tag actualizado exitosamente' });
+}));
+
+// DELETE /api/tags/:id - Eliminar tag (las noticias solo pierden la relación)
+app.delete('/api/tags/:id', authenticate, requirePermission('tags:manage'), validate(schemas.byId), asyncHandler(async (req, res) => {
+  const existing = await repos.tags.findById(req.params.id, { columns: 'id' });
+
+  if (!existing) {
+    throw new NotFoundError('Tag no encontrado');
+  }
+
+  await repos.tags.removeById(existing.id);
+
+  res.json({ success: true, message: 'Tag eliminado exitosamente' });
+}));
+
+// POST /api/tags/:id/merge - Fusionar duplicados ("AMLO", "amlo", "López Obrador") en el tag :id
+app.post('/api/tags/:id/merge', authenticate, requirePermission('tags:manage'), validate(schemas.mergeTags), asyncHandler(async (req, res) => {
+  const sourceIds = [...new Set(req.body.source_ids)];
+
+  const target = await repos.tags.findById(req.params.id, { columns: 'id, name, slug' });
+
+  if (!target) {
+    throw new NotFoundError('Tag no encontrado');
+  }
+
+  if (sourceIds.includes(target.id)) {
+    throw ValidationError.field('source_ids', 'No puede incluir al tag que se conserva');
+  }
+
+  const sources = await repos.tags.findByIds(sourceIds, { columns: 'id' });
+  const found = new Set(sources.map(t => t.id));
+  const missing = sourceIds.filter(tagId => !found.has(tagId));
+
+  if (missing.length > 0) {
+    throw ValidationError.field('source_ids', `Tags inexistentes: ${missing.join(', ')}`);
+  }
+
+  const { moved, removed } = await repos.tags.merge(target.id, sourceIds);
+
+  res.json({
+    success: true,
+    data: { tag: target, merged_ids: sourceIds, news_moved: moved, tags_removed: removed },
+    message: 'Tags fusionados exitosamente'
+  });
+}));
+
+// ==================== AUTENTICACIÓN ====================
+
+// Crea un par de tokens (acceso + refresh) y registra el refresh en la base
+async function issueSession(user) {
+  const accessToken = signAccessToken(user);
+  const refresh = signRefreshToken(user);
+
+  await repos.users.createRefreshToken({
+    jti: refresh.jti,
+    userId: user.id,
+    expiresAt: refresh.expiresAt
+  });
+
+  return {
+    access_token: accessToken,
+    refresh_token: refresh.token,
+    token_type: 'Bearer',
+    expires_in: ACCESS_TOKEN_TTL
+  };
+}
+
+// POST /api/auth/login - Iniciar sesión
+app.post('/api/auth/login', validate(schemas.login), asyncHandler(async (req, res) => {
+  const { email, password } = req.body;
+
+  // Buscar usuario por email
+  const user = await repos.users.findByEmail(email);
+
+  if (!user) {
+    throw new UnauthorizedError('Credenciales inválidas');
+  }
+
+  const { valid, needsRehash } = await verifyPassword(password, user.password);
+  if (!valid) {
+    throw new UnauthorizedError('Credenciales inválidas');
+  }
+
+  // Migración: filas antiguas con contraseña en texto plano se hashean al primer login correcto
+  if (needsRehash) {
+    const hashed = await hashPassword(password);
+    try {
+      await repos.users.updateById(user.id, { password: hashed });
+    } catch (rehashError) {
+      console.error('Error al migrar contraseña del usuario', user.id, rehashError);
+    }
+  }
+
+  const session = await issueSession(user);
+
+  res.json({
+    success: true,
+    data: {
+      user: toPublicUser(user),
+      ...session,
+      message: 'Login exitoso'
+    }
+  });
+}));
+
+// POST /api/auth/register - Registrar nuevo usuario (solo administradores).
+// Excepción: si todavía no hay usuarios, el primero se crea como admin con el header
+// X-Bootstrap-Token igual a BOOTSTRAP_TOKEN (sin esa variable no hay registro inicial).
+app.post('/api/auth/register', optionalAuthenticate, validate(schemas.register), asyncHandler(async (req, res) => {
+  const { email, password, name, role = 'contributor' } = req.body;
+
+  const usersCount = await repos.users.count();
+
+  const isBootstrap = usersCount === 0;
+  if (isBootstrap && !hasBootstrapToken(req)) {
+    throw new UnauthorizedError('El primer usuario requiere el token de instalación (BOOTSTRAP_TOKEN)');
+  }
+  if (!isBootstrap && !can(req.user, 'users:manage')) {
+    throw req.user ? new ForbiddenError('Solo administradores pueden crear usuarios') : new UnauthorizedError();
+  }
+
+  // Verificar si el email ya existe
+  const existingUser = await repos.users.findByEmail(email);
+
+  if (existingUser) {
+    throw new ConflictError('El email ya está registrado');
+  }
+
+  const newUser = await repos.users.create({
+    email,
+    password: await hashPassword(password),
+    name: name || email.split('@')[0],
+    role: isBootstrap ? 'admin' : role
+  });
+
+  res.status(201).json({
+    success: true,
+    data: {
+      user: toPublicUser(newUser),
+      message: 'Usuario registrado exitosamente'
+    }
+  });
+}));
+
+// POST /api/auth/refresh - Cambiar un refresh token por un par nuevo (rotación)
+app.post('/api/auth/refresh', validate(schemas.refreshToken), asyncHandler(async (req, res) => {
+  const { refresh_token } = req.body;
+
+  let payload;
+  try {
+    payload = verifyToken(refresh_token, 'refresh');
+  } catch (err) {
+    throw new UnauthorizedError('Refresh token inválido o expirado');
+  }
+
+  const stored = await repos.users.findRefreshToken(payload.jti);
+
+  if (!stored) {
+    throw new UnauthorizedError('Refresh token inválido o expirado');
+  }
+
+  // Un refresh token ya revocado que vuelve a usarse indica robo: cerramos todas las sesiones
+  if (stored.revoked_at) {
+    await repos.users.revokeAllRefreshTokens(stored.user_id);
+
+    throw new UnauthorizedError('Refresh token revocado');
+  }
+
+  const user = await repos.users.findById(stored.user_id, { columns: repos.users.PUBLIC_COLUMNS });
+
+  if (!user) {
+    throw new UnauthorizedError('Usuario no encontrado');
+  }
+
+  await repos.users.revokeRefreshToken(stored.jti);
+
+  const session = await issueSession(user);
+
+  res.json({ success: true, data: { user, ...session } });
+}));
+
+// POST /api/auth/logout - Revocar el refresh token (o todas las sesiones con all=true)
+app.post('/api/auth/logout', validate(schemas.logout), asyncHandler(async (req, res) => {
+  const { refresh_token, all = false } = req.body;
+
+  let payload;
+  try {
+    payload = verifyToken(refresh_token, 'refresh');
+  } catch (err) {
+    // Un token expirado o inválido ya no sirve para nada: el logout es idempotente
+    return res.json({ success: true, message: 'Sesión cerrada' });
+  }
+
+  if (all) {
+    await repos.users.revokeAllRefreshTokens(parseInt(payload.sub, 10));
+  } else {
+    await repos.users.revokeRefreshToken(payload.jti);
+  }
+
+  res.json({ success: true, message: all ? 'Todas las sesiones fueron cerradas' : 'Sesión cerrada' });
+}));
+
+// GET /api/auth/verify - Verificar sesión a partir del token de acceso
+app.get('/api/auth/verify', authenticate, asyncHandler(async (req, res) => {
+  const user = await repos.users.findById(req.user.id, { columns: repos.users.PUBLIC_COLUMNS });
+
+  if (!user) {
+    throw new UnauthorizedError('Usuario no encontrado');
+  }
+
+  res.json({
+    success: true,
+    data: { user }
+  });
+}));
+
+// ==================== USUARIOS (solo administradores) ====================
 
-    const { data: newsRows } = await supabase
-      .from('news')
-      .select('id')
-      .eq('main_category_id', id)
-      .limit(1);
+// GET /api/users - Listar usuarios
+app.get('/api/users', authenticate, requirePermission('users:manage'), asyncHandler(async (req, res) => {
+  const users = await repos.users.list();
 
-    if (newsRows && newsRows.length > 0) {
-      return res.status(400).json({ success: false, error: 'No se puede eliminar: la categoría está asociada a noticias' });
-    }
+  res.json({ success: true, data: users });
+}));
 
-    const { error } = await supabase
-      .from('categories')
-      .delete()
-      .eq('id', id);
+// PUT /api/users/:id - Cambiar nombre, rol o contraseña de un usuario
+app.put('/api/users/:id', authenticate, requirePermission('users:manage'), validate(schemas.updateUser), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { name, role, password } = req.body;
 
-    if (error) throw error;
+  const existing = await repos.users.findById(id, { columns: 'id, role' });
 
-    res.json({ success: true, message: 'Categoría eliminada exitosamente' });
-  } catch (error) {
-    console.error('DELETE /api/categories/:id error:', error);
-    res.status(500).json({ success: false, error: error.message });
+  if (!existing) {
+    throw new NotFoundError('Usuario no encontrado');
   }
-});
 
-// ==================== AUTORES ====================
+  // Evitar que un administrador se quite a sí mismo el acceso
+  if (role !== undefined && role !== 'admin' && existing.id === req.user.id) {
+    throw new BadRequestError('No puedes quitarte el rol de administrador');
+  }
 
-// GET /api/authors - Obtener todos los autores
-app.get('/api/authors', async (req, res) => {
-  try {
-    const { data: authors, error } = await supabase
-      .from('authors')
-      .select('*')
-      .order('name', { ascending: true });
+  const updateData = {};
+  if (name !== undefined) updateData.name = name;
+  if (role !== undefined) updateData.role = role;
+  if (password !== undefined) updateData.password = await hashPassword(password);
 
-    if (error) throw error;
+  await repos.users.updateById(existing.id, updateData);
 
-    res.json({ success: true, data: authors || [] });
-  } catch (error) {
-    console.error('GET /api/authors error:', error);
-    res.status(500).json({ success: false, error: error.message });
+  // Un cambio de contraseña cierra las sesiones abiertas de ese usuario
+  if (password !== undefined) {
+    await repos.users.revokeAllRefreshTokens(existing.id);
   }
-});
-
-// GET /api/authors/:id - Obtener un autor específico
-app.get('/api/authors/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
 
-    const { data: author, error } = await supabase
-      .from('authors')
-      .select('*')
-      .eq('id', id)
-      .single();
+  res.json({ success: true, message: 'Usuario actualizado exitosamente' });
+}));
 
-    if (error || !author) {
-      return res.status(404).json({ success: false, error: 'Autor no encontrado' });
-    }
+// DELETE /api/users/:id - Eliminar usuario
+app.delete('/api/users/:id', authenticate, requirePermission('users:manage'), validate(schemas.byId), asyncHandler(async (req, res) => {
+  const { id } = req.params;
 
-    res.json({ success: true, data: author });
-  } catch (error) {
-    console.error('GET /api/authors/:id error:', error);
-    res.status(500).json({ success: false, error: error.message });
+  if (id === req.user.id) {
+    throw new BadRequestError('No puedes eliminar tu propio usuario');
   }
-});
 
-// POST /api/authors - Crear nuevo autor
-app.post('/api/authors', async (req, res) => {
-  try {
-    const { name, email = null, bio = null } = req.body;
-
-    if (!name) {
-      return res.status(400).json({ success: false, error: 'name es obligatorio' });
-    }
+  const existing = await repos.users.findById(id, { columns: 'id' });
 
-    const slug = generateSlug(name);
+  if (!existing) {
+    throw new NotFoundError('Usuario no encontrado');
+  }
 
-    const { data: existingSlug } = await supabase
-      .from('authors')
-      .select('id')
-      .eq('slug', slug)
-      .limit(1);
+  await repos.users.removeById(existing.id);
 
-    let finalSlug = slug;
-    if (existingSlug && existingSlug.length > 0) {
-      finalSlug = `${slug}-${Date.now()}`;
-    }
+  res.json({ success: true, message: 'Usuario eliminado exitosamente' });
+}));
 
-    if (email) {
-      const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-      if (!emailRegex.test(email)) {
-        return res.status(400).json({ success: false, error: 'El email no tiene un formato válido' });
-      }
+// ==================== TAREAS PROGRAMADAS (CRON) ====================
 
-      const { data: existingEmail } = await supabase
-        .from('authors')
-        .select('id')
-        .eq('email', email)
-        .limit(1);
+// Publica las noticias "scheduled" cuyo published_at ya se cumplió y reporta qué cambió
+async function publishDueHandler(req, res) {
+  const now = new Date();
+  const nowIso = now.toISOString();
 
-      if (existingEmail && existingEmail.length > 0) {
-        return res.status(400).json({ success: false, error: 'Ya existe un autor con ese email' });
-      }
+  const due = await repos.news.find(
+    { status: 'scheduled', published_at: { lte: nowIso } },
+    {
+      columns: 'id, title, canonical_slug, published_at',
+      orderBy: [{ column: 'published_at', ascending: true }]
     }
+  );
+
+  const published = [];
+  const failed = [];
+
+  for (const item of due) {
+    // El filtro por status evita publicar dos veces si otra ejecución se adelantó
+    let updated;
+    try {
+      updated = await repos.news.update({ id: item.id, status: 'scheduled' }, { status: 'published' });
+    } catch (updateError) {
+      console.error('Error publicando noticia programada', item.id, updateError);
+      failed.push({ id: item.id, error: updateError.message });
+      continue;
+    }
+    if (updated.length === 0) continue;
+
+    await recordStatusChange({
+      newsId: item.id,
+      from: 'scheduled',
+      to: 'published',
+      action: 'publish',
+      userId: req.user ? req.user.id : null,
+      comment: 'Publicación programada'
+    });
 
-    const { data: authorData, error } = await supabase
-      .from('authors')
-      .insert([{
-        name,
-        slug: finalSlug,
-        email,
-        bio
-      }])
-      .select()
-      .single();
-
-    if (error) throw error;
-
-    res.status(201).json({
-      success: true,
-      data: { id: authorData.id, slug: finalSlug, message: 'Autor creado exitosamente' }
+    published.push({
+      id: item.id,
+      title: item.title,
+      canonical_slug: item.canonical_slug,
+      published_at: item.published_at,
+      published_at_local: toZonedIso(item.published_at)
     });
-  } catch (error) {
-    console.error('POST /api/authors error:', error);
-    res.status(500).json({ success: false, error: error.message });
   }
-});
 
-// PUT /api/authors/:id - Actualizar autor existente
-app.put('/api/authors/:id', async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      timezone: APP_TIMEZONE,
+      checked_at: nowIso,
+      checked_at_local: toZonedIso(now),
+      count: published.length,
+      published,
+      failed
+    }
+  });
+}
+
+// Vercel Cron invoca la ruta con GET; POST sirve para lanzarla a mano desde el panel
+app.get('/api/cron/publish-due', authenticateCron('news:publish'), asyncHandler(publishDueHandler));
+app.post('/api/cron/publish-due', authenticateCron('news:publish'), asyncHandler(publishDueHandler));
+
+// Cualquier otra ruta /api responde 404 en JSON (no el index.html del catch-all)
+app.use('/api', apiNotFound);
+
+// ==================== RUTA DE REDIRECCIÓN (opcional) ====================
+// Redirige de /news/by-id/:id a /:categorySlug/articulos/:slug o /news/:slug, 
+// generando slug si hace falta (y actualizando la fila)
+app.get('/news/by-id/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, slug, email, bio } = req.body;
-
-    const { data: existing } = await supabase
-      .from('authors')
-      .select('*')
-      .eq('id', id)
-      .single();
+    // obtener noticia (sin relaciones pesadas)
+    const newsRow = await repos.news.findById(id, {
+      columns: 'id, title, canonical_slug, main_category_id, status, published_at'
+    });
 
-    if (!existing) {
-      return res.status(404).json({ success: false, error: 'Autor no encontrado' });
+    if (!newsRow || !isPubliclyVisible(newsRow)) {
+      return res.status(404).send('Noticia no encontrada');
     }
 
-    if (slug !== undefined && slug !== existing.slug) {
-      const { data: slugExists } = await supabase
-        .from('authors')
-        .select('id')
-        .eq('slug', slug)
-        .neq('id', id)
-        .limit(1);
+    let slug = newsRow.canonical_slug;
 
-      if (slugExists && slugExists.length > 0) {
-        return res.status(400).json({ success: false, error: 'Ya existe otro autor con ese slug' });
+    // si no tiene slug, generarlo y actualizar
+    if (!slug) {
+      try {
+        const base = generateSlug(newsRow.title || `news-${newsRow.id}`);
+        const final = await ensureUniqueSlug(base, newsRow.id);
+        await repos.news.updateById(newsRow.id, { canonical_slug: final });
+        slug = final;
+      } catch (err) {
+        console.error('Error generando slug (by-id):', err);
       }
     }
 
-    if (email !== undefined && email !== null && email !== '') {
-      const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-      if (!emailRegex.test(email)) {
-        return res.status(400).json({ success: false, error: 'El email no tiene un formato válido' });
-      }
-
-      const { data: emailExists } = await supabase
-        .from('authors')
-        .select('id')
-        .eq('email', email)
-        .neq('id', id)
-        .limit(1);
-
-      if (emailExists && emailExists.length > 0) {
-        return res.status(400).json({ success: false, error: 'Ya existe otro autor con ese email' });
-      }
+    // intentar obtener slug de categoría para construir ruta bonita
+    let categorySlug = null;
+    if (newsRow.main_category_id) {
+      const cat = await repos.categories.findById(newsRow.main_category_id, { columns: 'slug' });
+      if (cat) categorySlug = cat.slug;
     }
 
-    const updateData = {};
-    if (name !== undefined) updateData.name = name;
-    if (slug !== undefined) updateData.slug = slug;
-    if (email !== undefined) updateData.email = email || null;
-    if (bio !== undefined) updateData.bio = bio;
+    if (!slug) {
+      return res.status(404).send('Noticia no encontrada');
+    }
 
-    if (Object.keys(updateData).length === 0) {
-      return res.status(400).json({ success: false, error: 'No hay campos para actualizar' });
+    if (categorySlug) {
+      return res.redirect(301, `/${encodeURIComponent(categorySlug)}/articulos/${encodeURIComponent(slug)}`);
+    } else {
+      return res.redirect(301, `/news/${encodeURIComponent(slug)}`);
     }
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Error interno');
+  }
+});
 
-    const { error } = await supabase
-      .from('authors')
-      .update(updateData)
-      .eq('id', id);
+// ==================== FEEDS RSS / ATOM ====================
+// /feed.xml (RSS 2.0) y /atom.xml (Atom) para el sitio, cada categoría, autor y tag.
 
-    if (error) throw error;
+// Envía XML con ETag/Last-Modified y responde 304 si el cliente ya tiene esa versión
+function sendCacheableXml(req, res, xml, { contentType, lastModified = null }) {
+  const etag = `"${crypto.createHash('sha1').update(xml).digest('base64url')}"`;
 
-    res.json({ success: true, message: 'Autor actualizado exitosamente' });
-  } catch (error) {
-    console.error('PUT /api/authors/:id error:', error);
-    res.status(500).json({ success: false, error: error.message });
+  res.setHeader('Content-Type', `${contentType}; charset=utf-8`);
+  res.setHeader('Cache-Control', 'public, max-age=600, s-maxage=600');
+  res.setHeader('ETag', etag);
+  if (lastModified) {
+    res.setHeader('Last-Modified', lastModified.toUTCString());
   }
-});
-
-// DELETE /api/authors/:id - Eliminar autor
-app.delete('/api/authors/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
 
-    const { data: existing } = await supabase
-      .from('authors')
-      .select('id')
-      .eq('id', id)
-      .single();
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+  res.send(xml);
+}
 
-    if (!existing) {
-      return res.status(404).json({ success: false, error: 'Autor no encontrado' });
-    }
+// Últimas noticias publicadas con todo lo que necesita un item de feed
+// (sin canonical_slug no hay URL del artículo: esas filas se quedan fuera del feed)
+async function getFeedItems(where = {}) {
+  const rows = await repos.news.list({
+    where: { ...repos.news.publiclyVisibleWhere(), canonical_slug: { notIn: [] }, ...where },
+    include: {
+      authors: 'name',
+      categories: 'name, slug',
+      news_images: 'url, position, is_cover',
+      news_blocks: 'type, content, media_url, alt_text, position',
+      news_tags: 'name, slug'
+    },
+    orderBy: [{ column: 'published_at', ascending: false, nullsFirst: false }],
+    limit: FEED_SIZE
+  });
 
-    const { data: newsRows } = await supabase
-      .from('news')
-      .select('id')
-      .eq('author_id', id)
-      .limit(1);
+  return rows.map(toFeedItem);
+}
 
-    if (newsRows && newsRows.length > 0) {
-      return res.status(400).json({ success: false, error: 'No se puede eliminar: el autor tiene noticias asociadas' });
-    }
+function sendFeed(req, res, { title, description, link, items }) {
+  const isAtom = req.path.endsWith('/atom.xml');
+  const feed = { title, description, link, selfUrl: `${SITE_URL}${req.path}`, items };
 
-    const { error } = await supabase
-      .from('authors')
-      .delete()
-      .eq('id', id);
+  sendCacheableXml(req, res, isAtom ? buildAtom(feed) : buildRss(feed), {
+    contentType: isAtom ? 'application/atom+xml' : 'application/rss+xml',
+    lastModified: getLastModified(items)
+  });
+}
 
-    if (error) throw error;
+// GET /feed.xml, /atom.xml - Últimas noticias del sitio
+app.get(['/feed.xml', '/atom.xml'], async (req, res) => {
+  try {
+    const items = await getFeedItems();
 
-    res.json({ success: true, message: 'Autor eliminado exitosamente' });
+    sendFeed(req, res, {
+      title: SITE_NAME,
+      description: SITE_DESCRIPTION,
+      link: SITE_URL,
+      items
+    });
   } catch (error) {
-    console.error('DELETE /api/authors/:id error:', error);
-    res.status(500).json({ success: false, error: error.message });
+    console.error('Error en feed del sitio:', error);
+    res.status(500).send('Error interno');
   }
 });
 
-// ==================== TAGS ====================
-
-app.get('/api/tags', async (req, res) => {
+// GET /autores/:slug/feed.xml, /autores/:slug/atom.xml
+app.get(['/autores/:slug/feed.xml', '/autores/:slug/atom.xml'], async (req, res) => {
   try {
-    const { data: tags, error } = await supabase
-      .from('tags')
-      .select('*')
-      .order('name', { ascending: true });
+    const author = await repos.authors.findBySlug(req.params.slug, { columns: 'id, name, slug, bio' });
+
+    if (!author) {
+      return res.status(404).send('Autor no encontrado');
+    }
 
-    if (error) throw error;
+    const items = await getFeedItems({ author_id: author.id });
 
-    res.json({ success: true, data: tags || [] });
+    sendFeed(req, res, {
+      title: `${author.name} | ${SITE_NAME}`,
+      description: author.bio || `Noticias de ${author.name} en ${SITE_NAME}`,
+      link: buildAuthorUrl(author.slug),
+      items
+    });
   } catch (error) {
-    console.error('GET /api/tags error:', error);
-    res.status(500).json({ success: false, error: error.message });
+    console.error('Error en feed de autor:', error);
+    res.status(500).send('Error interno');
   }
 });
 
-app.post('/api/tags', async (req, res) => {
+// GET /tags/:slug/feed.xml, /tags/:slug/atom.xml
+app.get(['/tags/:slug/feed.xml', '/tags/:slug/atom.xml'], async (req, res) => {
   try {
-    const { name, slug } = req.body;
+    const tag = await repos.tags.findBySlug(req.params.slug, { columns: 'id, name, slug' });
 
-    const { data: tagData, error } = await supabase
-      .from('tags')
-      .insert([{ name, slug }])
-      .select()
-      .single();
+    if (!tag) {
+      return res.status(404).send('Tag no encontrado');
+    }
 
-    if (error) throw error;
+    const items = await getFeedItems(repos.news.taggedWhere(tag.id));
 
-    res.status(201).json({
-      success: true,
-      data: { id: tagData.id, message: 'Tag creado exitosamente' }
+    sendFeed(req, res, {
+      title: `${tag.name} | ${SITE_NAME}`,
+      description: `Noticias sobre ${tag.name} en ${SITE_NAME}`,
+      link: `${SITE_URL}/tags/${encodeURIComponent(tag.slug)}`,
+      items
     });
   } catch (error) {
-    console.error('POST /api/tags error:', error);
-    res.status(500).json({ success: false, error: error.message });
+    console.error('Error en feed de tag:', error);
+    res.status(500).send('Error interno');
   }
 });
 
-// ==================== AUTENTICACIÓN ====================
-
-// POST /api/auth/login - Iniciar sesión
-app.post('/api/auth/login', async (req, res) => {
+// GET /:categorySlug/feed.xml, /:categorySlug/atom.xml - Incluye subcategorías
+app.get(['/:categorySlug/feed.xml', '/:categorySlug/atom.xml'], async (req, res) => {
   try {
-    const { email, password } = req.body;
-
-    if (!email || !password) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Email y contraseña son obligatorios' 
-      });
-    }
+    const { category, redirected } = await findCategoryBySlug(req.params.categorySlug, 'id, name, slug, description');
 
-    // Buscar usuario por email
-    const { data: user, error } = await supabase
-      .from('users')
-      .select('*')
-      .eq('email', email)
-      .single();
-
-    if (error || !user) {
-      return res.status(401).json({ 
-        success: false, 
-        error: 'Credenciales inválidas' 
-      });
+    if (!category) {
+      return res.status(404).send('Categoría no encontrada');
     }
 
-    // Verificar contraseña (en texto plano - SOLO PARA DESARROLLO)
-    // IMPORTANTE: En producción debes usar bcrypt para hashear contraseñas
-    if (user.password !== password) {
-      return res.status(401).json({ 
-        success: false, 
-        error: 'Credenciales inválidas' 
-      });
+    if (redirected) {
+      const feedFile = req.path.endsWith('/atom.xml') ? 'atom.xml' : 'feed.xml';
+      return res.redirect(301, `/${encodeURIComponent(category.slug)}/${feedFile}`);
     }
 
-    // Login exitoso - NO devolver la contraseña
-    const { password: _, ...userWithoutPassword } = user;
+    const categoryIds = await repos.categories.getTreeIds(category.id);
+    const items = await getFeedItems({ main_category_id: categoryIds });
 
-    res.json({ 
-      success: true, 
-      data: {
-        user: userWithoutPassword,
-        message: 'Login exitoso'
-      }
+    sendFeed(req, res, {
+      title: `${category.name} | ${SITE_NAME}`,
+      description: htmlToText(category.description) || `Noticias de ${category.name} en ${SITE_NAME}`,
+      link: buildCategoryUrl(category.slug),
+      items
     });
-
   } catch (error) {
-    console.error('POST /api/auth/login error:', error);
-    res.status(500).json({ success: false, error: error.message });
+    console.error('Error en feed de categoría:', error);
+    res.status(500).send('Error interno');
   }
 });
 
-// POST /api/auth/register - Registrar nuevo usuario (opcional)
-app.post('/api/auth/register', async (req, res) => {
+// ==================== SITEMAPS Y ROBOTS.TXT ====================
+// /sitemap.xml es un índice: artículos paginados, categorías y autores.
+// /news-sitemap.xml sigue el esquema de Google News (últimas 48 horas).
+
+// Noticias visibles al público; las páginas se ordenan por id para que las
+// antiguas no cambien cada vez que se publica algo nuevo
+function listPublishedNewsPage(page, { columns, include = {} }) {
+  return repos.news.list({
+    where: repos.news.publiclyVisibleWhere(),
+    columns,
+    include,
+    orderBy: [{ column: 'id', ascending: true }],
+    limit: SITEMAP_PAGE_SIZE,
+    offset: (page - 1) * SITEMAP_PAGE_SIZE
+  });
+}
+
+function maxDate(values) {
+  const times = values
+    .map(value => (value ? new Date(value).getTime() : NaN))
+    .filter(time => !isNaN(time));
+  return times.length > 0 ? new Date(Math.max(...times)) : null;
+}
+
+function newsLastModified(row) {
+  return row.updated_at || row.published_at || row.created_at;
+}
+
+// GET /sitemap.xml
+app.get('/sitemap.xml', async (req, res) => {
   try {
-    const { email, password, name } = req.body;
+    const count = await repos.news.count(repos.news.publiclyVisibleWhere());
 
-    if (!email || !password) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Email y contraseña son obligatorios' 
-      });
-    }
+    const pages = Math.max(1, Math.ceil(count / SITEMAP_PAGE_SIZE));
+    const entries = [];
 
-    // Validar formato de email
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Email inválido' 
-      });
-    }
+    for (let page = 1; page <= pages; page++) {
+      const rows = await listPublishedNewsPage(page, { columns: 'id, updated_at, published_at, created_at' });
 
-    // Verificar si el email ya existe
-    const { data: existingUser } = await supabase
-      .from('users')
-      .select('id')
-      .eq('email', email)
-      .single();
-
-    if (existingUser) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'El email ya está registrado' 
+      entries.push({
+        loc: `${SITE_URL}/sitemaps/articles-${page}.xml`,
+        lastmod: maxDate(rows.map(newsLastModified))
       });
     }
 
-    // Crear nuevo usuario
-    // IMPORTANTE: En producción, hashea la contraseña con bcrypt
-    const { data: newUser, error } = await supabase
-      .from('users')
-      .insert([{
-        email,
-        password, // INSEGURO: hashear en producción
-        name: name || email.split('@')[0],
-        role: 'admin'
-      }])
-      .select()
-      .single();
-
-    if (error) throw error;
-
-    const { password: _, ...userWithoutPassword } = newUser;
-
-    res.status(201).json({ 
-      success: true, 
-      data: {
-        user: userWithoutPassword,
-        message: 'Usuario registrado exitosamente'
-      }
-    });
+    const [categories, authors] = await Promise.all([
+      repos.categories.find({}, { columns: 'updated_at' }),
+      repos.authors.find({}, { columns: 'updated_at' })
+    ]);
+
+    entries.push(
+      { loc: `${SITE_URL}/sitemaps/categories.xml`, lastmod: maxDate(categories.map(c => c.updated_at)) },
+      { loc: `${SITE_URL}/sitemaps/authors.xml`, lastmod: maxDate(authors.map(a => a.updated_at)) }
+    );
 
+    sendCacheableXml(req, res, buildSitemapIndex(entries), {
+      contentType: 'application/xml',
+      lastModified: maxDate(entries.map(e => e.lastmod))
+    });
   } catch (error) {
-    console.error('POST /api/auth/register error:', error);
-    res.status(500).json({ success: false, error: error.message });
+    console.error('Error en sitemap index:', error);
+    res.status(500).send('Error interno');
   }
 });
 
-// GET /api/auth/verify - Verificar sesión (opcional)
-app.get('/api/auth/verify', async (req, res) => {
+// GET /sitemaps/articles-:page.xml - Artículos con sus imágenes
+app.get('/sitemaps/articles-:page(\\d+).xml', async (req, res) => {
   try {
-    const { user_id } = req.query;
-
-    if (!user_id) {
-      return res.status(401).json({ 
-        success: false, 
-        error: 'No autenticado' 
-      });
+    const page = parseInt(req.params.page, 10);
+    if (page < 1) {
+      return res.status(404).send('Sitemap no encontrado');
     }
 
-    const { data: user, error } = await supabase
-      .from('users')
-      .select('id, email, name, role, created_at')
-      .eq('id', user_id)
-      .single();
+    const rows = await listPublishedNewsPage(page, {
+      columns: 'id, title, canonical_slug, main_category_id, updated_at, published_at, created_at',
+      include: { categories: 'slug', news_images: 'url, caption, alt_text, position, is_cover' }
+    });
 
-    if (error || !user) {
-      return res.status(401).json({ 
-        success: false, 
-        error: 'Usuario no encontrado' 
-      });
+    // La página 1 siempre existe (aunque esté vacía) porque el índice la anuncia
+    if (rows.length === 0 && page > 1) {
+      return res.status(404).send('Sitemap no encontrado');
     }
 
-    res.json({ 
-      success: true, 
-      data: { user }
-    });
+    const urls = rows
+      .filter(row => row.canonical_slug)
+      .map(row => ({
+        loc: buildArticleUrl(row.canonical_slug, row.categories?.slug),
+        lastmod: newsLastModified(row),
+        images: withCoverFirst(row.news_images || [])
+          .map(img => ({
+            loc: ensureAbsoluteUrl(img.url),
+            title: img.alt_text || row.title,
+            caption: img.caption
+          }))
+      }));
 
+    sendCacheableXml(req, res, buildUrlset(urls), {
+      contentType: 'application/xml',
+      lastModified: maxDate(urls.map(u => u.lastmod))
+    });
   } catch (error) {
-    console.error('GET /api/auth/verify error:', error);
-    res.status(500).json({ success: false, error: error.message });
+    console.error('Error en sitemap de artículos:', error);
+    res.status(500).send('Error interno');
   }
 });
 
-// ==================== RUTA DE REDIRECCIÓN (opcional) ====================
-// Redirige de /news/by-id/:id a /:categorySlug/articulos/:slug o /news/:slug, 
-// generando slug si hace falta (y actualizando la fila)
-app.get('/news/by-id/:id', async (req, res) => {
+// GET /sitemaps/categories.xml
+app.get('/sitemaps/categories.xml', async (req, res) => {
   try {
-    const { id } = req.params;
-    // obtener noticia (sin relaciones pesadas)
-    const { data: newsRow, error: fetchErr } = await supabase
-      .from('news')
-      .select('id, title, canonical_slug, main_category_id')
-      .eq('id', parseInt(id, 10))
-      .single();
+    const categories = await repos.categories.find({}, {
+      columns: 'slug, updated_at',
+      orderBy: [{ column: 'id', ascending: true }]
+    });
 
-    if (fetchErr || !newsRow) {
-      return res.status(404).send('Noticia no encontrada');
-    }
+    const urls = categories
+      .filter(cat => cat.slug)
+      .map(cat => ({
+        loc: buildCategoryUrl(cat.slug),
+        lastmod: cat.updated_at
+      }));
 
-    let slug = newsRow.canonical_slug;
+    sendCacheableXml(req, res, buildUrlset(urls), {
+      contentType: 'application/xml',
+      lastModified: maxDate(urls.map(u => u.lastmod))
+    });
+  } catch (error) {
+    console.error('Error en sitemap de categorías:', error);
+    res.status(500).send('Error interno');
+  }
+});
 
-    // si no tiene slug, generarlo y actualizar
-    if (!slug) {
-      try {
-        const base = generateSlug(newsRow.title || `news-${newsRow.id}`);
-        const final = await ensureUniqueSlug(base, parseInt(id, 10));
-        const { error: upErr } = await supabase
-          .from('news')
-          .update({ canonical_slug: final })
-          .eq('id', id);
-
-        if (!upErr) {
-          slug = final;
-        } else {
-          console.error('Error actualizando canonical_slug (by-id):', upErr);
-        }
-      } catch (err) {
-        console.error('Error generando slug (by-id):', err);
-      }
-    }
+// GET /sitemaps/authors.xml
+app.get('/sitemaps/authors.xml', async (req, res) => {
+  try {
+    const authors = await repos.authors.find({}, {
+      columns: 'slug, updated_at',
+      orderBy: [{ column: 'id', ascending: true }]
+    });
 
-    // intentar obtener slug de categoría para construir ruta bonita
-    let categorySlug = null;
-    if (newsRow.main_category_id) {
-      const { data: cat, error: catErr } = await supabase
-        .from('categories')
-        .select('slug')
-        .eq('id', newsRow.main_category_id)
-        .single();
+    const urls = authors
+      .filter(author => author.slug)
+      .map(author => ({
+        loc: buildAuthorUrl(author.slug),
+        lastmod: author.updated_at
+      }));
 
-      if (!catErr && cat) categorySlug = cat.slug;
-    }
+    sendCacheableXml(req, res, buildUrlset(urls), {
+      contentType: 'application/xml',
+      lastModified: maxDate(urls.map(u => u.lastmod))
+    });
+  } catch (error) {
+    console.error('Error en sitemap de autores:', error);
+    res.status(500).send('Error interno');
+  }
+});
 
-    if (!slug) {
-      return res.status(404).send('Noticia no encontrada');
-    }
+// GET /news-sitemap.xml - Google News: solo lo publicado en las últimas 48 horas
+app.get('/news-sitemap.xml', async (req, res) => {
+  try {
+    const since = new Date(Date.now() - NEWS_SITEMAP_WINDOW_HOURS * 60 * 60 * 1000).toISOString();
+
+    const rows = await repos.news.list({
+      where: { ...repos.news.publiclyVisibleWhere(), published_at: { gte: since } },
+      columns: 'id, title, canonical_slug, main_category_id, updated_at, published_at, created_at',
+      include: { categories: 'slug', news_tags: 'name' },
+      orderBy: [{ column: 'published_at', ascending: false }],
+      limit: SITEMAP_PAGE_SIZE
+    });
 
-    if (categorySlug) {
-      return res.redirect(301, `/${encodeURIComponent(categorySlug)}/articulos/${encodeURIComponent(slug)}`);
-    } else {
-      return res.redirect(301, `/news/${encodeURIComponent(slug)}`);
-    }
-  } catch (err) {
-    console.error(err);
+    const items = rows
+      .filter(row => row.canonical_slug)
+      .map(row => ({
+        loc: buildArticleUrl(row.canonical_slug, row.categories?.slug),
+        title: row.title || '',
+        publishedAt: row.published_at,
+        keywords: (row.news_tags || []).map(nt => nt.tags?.name).filter(Boolean)
+      }));
+
+    sendCacheableXml(req, res, buildNewsSitemap(items), {
+      contentType: 'application/xml',
+      lastModified: maxDate(rows.map(newsLastModified))
+    });
+  } catch (error) {
+    console.error('Error en news sitemap:', error);
     res.status(500).send('Error interno');
   }
 });
 
+// GET /robots.txt
+app.get('/robots.txt', (req, res) => {
+  res.setHeader('Cache-Control', 'public, max-age=3600');
+  res.type('text/plain').send(buildRobotsTxt());
+});
+
 // ==================== RUTAS DINÁMICAS PARA META TAGS (SSR ligero para bots) ====================
 // Estas rutas devuelven HTML con meta tags dinámicos para que bots de Facebook/WhatsApp/Twitter lean correctamente.
 // No afectan las rutas /api que tu frontend consume.
+
+// index.html de React (ver lib/spa.js); las pruebas pueden cambiar template y crawlerMode
+app.locals.ssr = {
+  template: createIndexTemplate(path.join(__dirname, 'build', 'index.html')),
+  crawlerMode: process.env.SSR_CRAWLER_MODE === 'true'
+};
+
+// HTML de una página SSR: la app de React con los meta tags de parts.head (y parts.body dentro
+// de #root si crawlableBody: cuerpo de artículos y listados de links) o la página ligera completa para
+// bots en modo crawler o cuando no hay build/
+async function renderSsrPage(req, parts, { crawlableBody = false } = {}) {
+  const { template, crawlerMode } = app.locals.ssr;
+  const indexHtml = crawlerMode && isCrawler(req.get('user-agent')) ? null : await template.load();
+
+  if (!indexHtml) return htmlDocument(parts);
+  return injectHead(indexHtml, parts.head, { root: crawlableBody ? parts.body : null });
+}
+
+// Datos de newsPageParts: la noticia (con authors y categories del include), sus imágenes,
+// bloques y tags, y la cadena de categorías para el BreadcrumbList
+async function loadArticlePageData(news) {
+  const images = await repos.images.listByNews(news.id);
+  const blocks = await repos.news.getBlocks(news.id);
+  const tags = await repos.news.getTags(news.id);
+
+  let ancestors = [];
+  if (news.main_category_id) {
+    const categories = await repos.categories.find({}, { columns: 'id, name, slug, parent_id' });
+    ancestors = getAncestors(categories, news.main_category_id);
+  }
+
+  return {
+    ...news,
+    author_name: news.authors?.name,
+    author_slug: news.authors?.slug,
+    category_name: news.categories?.name,
+    category_slug: news.categories?.slug,
+    images,
+    blocks,
+    tags,
+    ancestors
+  };
+}
+
 app.get('/:categorySlug/articulos/:slug', async (req, res) => {
   try {
     const { slug, categorySlug } = req.params;
 
-    const { data: news, error } = await supabase
-      .from('news')
-      .select(`
-        *,
-        authors(name, email),
-        categories(name, slug)
-      `)
-      .eq('canonical_slug', slug)
-      .single();
-
-    if (error || !news) {
+    const { news, redirected } = await findNewsBySlug(slug, {
+      include: { authors: 'name, slug', categories: 'name, slug' }
+    });
+
+    if (!news || !news.canonical_slug || !isPubliclyVisible(news)) {
       // Si no existe, devolvemos 404 simple (no romper la API)
       return res.status(404).send('Noticia no encontrada');
     }
 
-    const { data: images } = await supabase
-      .from('news_images')
-      .select('*')
-      .eq('news_id', news.id)
-      .order('position', { ascending: true });
-
-    const newsData = {
-      ...news,
-      author_name: news.authors?.name,
-      author_email: news.authors?.email,
-      category_name: news.categories?.name,
-      category_slug: news.categories?.slug,
-      images: images || []
-    };
+    // Slug antiguo o categoría que ya no corresponde: 301 a la URL canónica
+    if (redirected || categorySlug !== (news.categories?.slug || null)) {
+      return res.redirect(301, buildArticlePath(news.canonical_slug, news.categories?.slug));
+    }
 
-    const html = generateNewsHTML(newsData, categorySlug);
+    const html = await renderSsrPage(req, newsPageParts(await loadArticlePageData(news), categorySlug), { crawlableBody: true });
     
     // Headers para control de cache (importante para WhatsApp)
     res.setHeader('Content-Type', 'text/html; charset=utf-8');
@@ -1520,39 +2799,54 @@ app.get('/:categorySlug/articulos/:slug', async (req, res) => {
   }
 });
 
+// GET /autores/:slug - Perfil de autor con sus últimas noticias publicadas
+app.get('/autores/:slug', async (req, res) => {
+  try {
+    const author = await repos.authors.findBySlug(req.params.slug, { columns: AUTHOR_PUBLIC_COLUMNS });
+
+    if (!author) {
+      return res.status(404).send('Autor no encontrado');
+    }
+
+    const articles = await repos.news.list({
+      where: { ...repos.news.publiclyVisibleWhere(), author_id: author.id },
+      columns: 'id, title, canonical_slug, main_category_id, published_at',
+      include: { categories: 'slug' },
+      orderBy: keysetQuery(NEWS_SORT_ORDERS.newest, null).orderBy,
+      limit: 20
+    });
+
+    const parts = authorPageParts(author, articles.filter(article => article.canonical_slug));
+    const html = await renderSsrPage(req, parts, { crawlableBody: true });
+
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.setHeader('Cache-Control', 'public, max-age=3600, s-maxage=3600');
+    res.setHeader('Vary', 'User-Agent');
+
+    res.send(html);
+  } catch (error) {
+    console.error('Error en /autores/:slug:', error);
+    res.status(500).send('Error interno');
+  }
+});
+
 app.get('/news/:slug', async (req, res) => {
   try {
     const { slug } = req.params;
 
-    const { data: news, error } = await supabase
-      .from('news')
-      .select(`
-        *,
-        authors(name, email),
-        categories(name, slug)
-      `)
-      .eq('canonical_slug', slug)
-      .single();
-
-    if (error || !news) {
+    const { news, redirected } = await findNewsBySlug(slug, {
+      include: { authors: 'name, slug', categories: 'name, slug' }
+    });
+
+    if (!news || !news.canonical_slug || !isPubliclyVisible(news)) {
       return res.status(404).send('Noticia no encontrada');
     }
 
-    const { data: images } = await supabase
-      .from('news_images')
-      .select('*')
-      .eq('news_id', news.id)
-      .order('position', { ascending: true });
-
-    const newsData = {
-      ...news,
-      author_name: news.authors?.name,
-      category_name: news.categories?.name,
-      category_slug: news.categories?.slug,
-      images: images || []
-    };
+    if (redirected) {
+      return res.redirect(301, buildArticlePath(news.canonical_slug, news.categories?.slug));
+    }
 
-    const html = generateNewsHTML(newsData, null);
+    const html = await renderSsrPage(req, newsPageParts(await loadArticlePageData(news), null), { crawlableBody: true });
     
     // Headers para control de cache
     res.setHeader('Content-Type', 'text/html; charset=utf-8');
@@ -1568,21 +2862,100 @@ app.get('/news/:slug', async (req, res) => {
 
 // ----------------------- IMPORTANTE: servir estáticos DESPUÉS de las rutas dinámicas -----------------------
 // Servir archivos estáticos (CSS, JS, imágenes) de React (colocado AFTER las rutas dinámicas para no interceptarlas)
+// Solo las portadas de categoría van después: así los archivos de build no consultan la base.
 app.use(express.static(path.join(__dirname, 'build')));
 
+// GET /:categorySlug y /:parentSlug/:categorySlug - Portada de categoría (incluye noticias de
+// sus subcategorías) paginada con ?page=. Lo que no es una categoría sigue a React.
+const CATEGORY_PAGE_SIZE = 20;
+
+// Primeros segmentos que nunca son categorías (rutas del servidor y la carpeta static/ de
+// React): se descartan sin consultar la base
+const NON_CATEGORY_PREFIXES = new Set(['api', 'news', 'autores', 'tags', 'static']);
+
+app.get(['/:categorySlug', '/:parentSlug/:categorySlug'], async (req, res, next) => {
+  const { parentSlug, categorySlug } = req.params;
+  if (!SLUG.test(categorySlug) || (parentSlug !== undefined && !SLUG.test(parentSlug))) {
+    return next();
+  }
+  if (NON_CATEGORY_PREFIXES.has(parentSlug ?? categorySlug)) return next();
+
+  try {
+    const { category, redirected } = await findCategoryBySlug(categorySlug, CATEGORY_TREE_COLUMNS);
+    if (!category) return next();
+
+    const categories = await repos.categories.find({}, { columns: 'id, name, slug, parent_id' });
+    const ancestors = getAncestors(categories, category.id);
+
+    // /padre/hija solo si padre es el padre real; si no, no es una ruta de categoría
+    if (!redirected && parentSlug !== undefined && ancestors[ancestors.length - 2]?.slug !== parentSlug) {
+      return next();
+    }
+
+    const page = /^\d+$/.test(req.query.page || '') ? parseInt(req.query.page, 10) : 1;
+    if (page < 1) return next();
+
+    // Slug antiguo: 301 a la portada vigente (conservando la página)
+    if (redirected) {
+      const target = buildCategoryPath(category.slug);
+      return res.redirect(301, page > 1 ? `${target}?page=${page}` : target);
+    }
+
+    const treeIds = await repos.categories.getTreeIds(category.id);
+    const rows = await repos.news.list({
+      where: { ...repos.news.publiclyVisibleWhere(), main_category_id: treeIds },
+      columns: 'id, title, summary, canonical_slug, main_category_id, published_at, created_at',
+      include: { categories: 'slug', news_images: 'url, position, is_cover' },
+      orderBy: keysetQuery(NEWS_SORT_ORDERS.newest, null).orderBy,
+      limit: CATEGORY_PAGE_SIZE + 1,
+      offset: (page - 1) * CATEGORY_PAGE_SIZE
+    });
+
+    // Páginas después de la última no existen (la primera sí, aunque esté vacía)
+    if (page > 1 && rows.length === 0) {
+      return res.status(404).send('Página no encontrada');
+    }
+
+    const parts = categoryPageParts(category, {
+      articles: rows.slice(0, CATEGORY_PAGE_SIZE).filter(article => article.canonical_slug),
+      ancestors,
+      page,
+      hasNext: rows.length > CATEGORY_PAGE_SIZE
+    });
+    const html = await renderSsrPage(req, parts, { crawlableBody: true });
+
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.setHeader('Cache-Control', 'public, max-age=600, s-maxage=600');
+    res.setHeader('Vary', 'User-Agent');
+
+    res.send(html);
+  } catch (error) {
+    console.error('Error en portada de categoría:', error);
+    res.status(500).send('Error interno');
+  }
+});
+
+
 // Catch-all: cualquier otra ruta sirve index.html de React (DEBE IR AL FINAL)
 app.get('*', (req, res) => {
   res.sendFile(path.join(__dirname, 'build', 'index.html'));
 });
 
+// Errores de la API: { success: false, error: { code, message, details, request_id } }
+app.use(errorHandler);
+
 // ==================== SERVIDOR ====================
 
 const PORT = process.env.PORT || 3001;
 
-app.listen(PORT, () => {
-  console.log(`🚀 Servidor corriendo en puerto ${PORT}`);
-  console.log(`📡 API disponible en http://localhost:${PORT}/api`);
-});
+// Solo escucha al ejecutarse directamente (node server.js); Vercel (api/index.js)
+// y las pruebas importan la app sin abrir un puerto
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`🚀 Servidor corriendo en puerto ${PORT}`);
+    console.log(`📡 API disponible en http://localhost:${PORT}/api`);
+  });
+}
 
 process.on('unhandledRejection', (err) => {
   console.error('Error no manejado:', err);
@@ -0,0 +1,198 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startServer, ADMIN } = require('./helpers/server');
+
+let ctx;
+let admin;
+
+before(async () => {
+  ctx = await startServer();
+});
+
+after(() => ctx.close());
+
+test('el primer usuario registrado es admin; los siguientes requieren un admin', async () => {
+  // Sin usuarios todavía: sin el token de instalación (o con otro) nadie reclama el admin
+  for (const headers of [{}, { 'x-bootstrap-token': 'adivinado' }]) {
+    const early = await ctx.request('POST', '/api/auth/register', {
+      headers,
+      body: { email: 'madrugador@example.com', password: 'password123' }
+    });
+    assert.equal(early.status, 401);
+  }
+  assert.equal(await ctx.app.locals.repos.users.count(), 0);
+
+  admin = await ctx.bootstrapAdmin();
+  assert.equal(admin.user.role, 'admin');
+  assert.equal(admin.user.password, undefined);
+
+  const anonymous = await ctx.request('POST', '/api/auth/register', {
+    body: { email: 'intruso@example.com', password: 'password123' }
+  });
+  assert.equal(anonymous.status, 401);
+
+  // Un rol en el cuerpo no abre la puerta: sin token sigue siendo 401 y no crea el usuario
+  const escalation = await ctx.request('POST', '/api/auth/register', {
+    body: { email: 'intruso@example.com', password: 'password123', role: 'admin' }
+  });
+  assert.equal(escalation.status, 401);
+  assert.equal(await ctx.app.locals.repos.users.findByEmail('intruso@example.com'), null);
+
+  const editor = await ctx.createUser(admin.token, { email: 'editor-registro@example.com', role: 'editor' });
+  const byEditor = await ctx.request('POST', '/api/auth/register', {
+    token: editor.token,
+    body: { email: 'otro@example.com', password: 'password123', role: 'admin' }
+  });
+  assert.equal(byEditor.status, 403);
+
+  const duplicated = await ctx.request('POST', '/api/auth/register', {
+    token: admin.token,
+    body: { email: ADMIN.email, password: 'password123' }
+  });
+  assert.equal(duplicated.status, 409);
+  assert.equal(duplicated.body.error.code, 'CONFLICT');
+  assert.equal(duplicated.body.error.message, 'El email ya está registrado');
+});
+
+test('register valida email, contraseña y rol', async () => {
+  const cases = [
+    [{ email: 'sin-arroba', password: 'password123' }, 'email', 'No es un email válido'],
+    [{ email: 'corta@example.com', password: '123' }, 'password', 'Debe tener al menos 8 caracteres'],
+    [{ email: 'rol@example.com', password: 'password123', role: 'superuser' }, 'role', 'Debe ser uno de: admin, editor, reporter, contributor']
+  ];
+
+  for (const [body, field, message] of cases) {
+    const res = await ctx.request('POST', '/api/auth/register', { token: admin.token, body });
+    assert.equal(res.status, 422);
+    assert.equal(res.body.error.code, 'VALIDATION_ERROR');
+    assert.deepEqual(res.body.error.details, [{ field, location: 'body', message }]);
+  }
+});
+
+test('login rechaza credenciales inválidas', async () => {
+  const wrongPassword = await ctx.request('POST', '/api/auth/login', {
+    body: { email: ADMIN.email, password: 'otra-cosa' }
+  });
+  assert.equal(wrongPassword.status, 401);
+
+  const unknown = await ctx.request('POST', '/api/auth/login', {
+    body: { email: 'nadie@example.com', password: 'otra-cosa' }
+  });
+  assert.equal(unknown.status, 401);
+
+  const missing = await ctx.request('POST', '/api/auth/login', { body: { email: ADMIN.email } });
+  assert.equal(missing.status, 422);
+  assert.deepEqual(missing.body.error.details, [{ field: 'password', location: 'body', message: 'Es obligatorio' }]);
+});
+
+test('las contraseñas en texto plano se hashean en el primer login', async () => {
+  const repos = ctx.app.locals.repos;
+  const legacy = await repos.users.create({
+    email: 'legacy@example.com',
+    password: 'texto-plano',
+    name: 'Legacy',
+    role: 'reporter'
+  });
+
+  await ctx.login('legacy@example.com', 'texto-plano');
+
+  const stored = await repos.users.findById(legacy.id);
+  assert.match(stored.password, /^\$2[aby]\$/);
+  await ctx.login('legacy@example.com', 'texto-plano');
+});
+
+test('verify devuelve el usuario del token de acceso', async () => {
+  const res = await ctx.request('GET', '/api/auth/verify', { token: admin.token });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.data.user.email, ADMIN.email);
+
+  const noToken = await ctx.request('GET', '/api/auth/verify');
+  assert.equal(noToken.status, 401);
+
+  const badToken = await ctx.request('GET', '/api/auth/verify', { token: 'no-es-un-jwt' });
+  assert.equal(badToken.status, 401);
+});
+
+test('refresh rota el token y reusar uno revocado cierra todas las sesiones', async () => {
+  const first = await ctx.login(ADMIN.email, ADMIN.password);
+  const other = await ctx.login(ADMIN.email, ADMIN.password);
+
+  const rotated = await ctx.request('POST', '/api/auth/refresh', { body: { refresh_token: first.refresh_token } });
+  assert.equal(rotated.status, 200);
+  assert.ok(rotated.body.data.access_token);
+  assert.notEqual(rotated.body.data.refresh_token, first.refresh_token);
+
+  const reused = await ctx.request('POST', '/api/auth/refresh', { body: { refresh_token: first.refresh_token } });
+  assert.equal(reused.status, 401);
+  assert.equal(reused.body.error.message, 'Refresh token revocado');
+
+  // El reuso revocó también las demás sesiones del usuario
+  for (const token of [rotated.body.data.refresh_token, other.refresh_token]) {
+    const res = await ctx.request('POST', '/api/auth/refresh', { body: { refresh_token: token } });
+    assert.equal(res.status, 401);
+  }
+
+  const accessAsRefresh = await ctx.request('POST', '/api/auth/refresh', { body: { refresh_token: first.access_token } });
+  assert.equal(accessAsRefresh.status, 401);
+});
+
+test('logout revoca el refresh token (o todos con all=true)', async () => {
+  const session = await ctx.login(ADMIN.email, ADMIN.password);
+  const logout = await ctx.request('POST', '/api/auth/logout', { body: { refresh_token: session.refresh_token } });
+  assert.equal(logout.status, 200);
+
+  const refresh = await ctx.request('POST', '/api/auth/refresh', { body: { refresh_token: session.refresh_token } });
+  assert.equal(refresh.status, 401);
+
+  const a = await ctx.login(ADMIN.email, ADMIN.password);
+  const b = await ctx.login(ADMIN.email, ADMIN.password);
+  await ctx.request('POST', '/api/auth/logout', { body: { refresh_token: a.refresh_token, all: true } });
+  const afterAll = await ctx.request('POST', '/api/auth/refresh', { body: { refresh_token: b.refresh_token } });
+  assert.equal(afterAll.status, 401);
+
+  const invalid = await ctx.request('POST', '/api/auth/logout', { body: { refresh_token: 'basura' } });
+  assert.equal(invalid.status, 200);
+});
+
+test('administración de usuarios', async () => {
+  const reporter = await ctx.createUser(admin.token, { email: 'reportero@example.com', role: 'reporter' });
+
+  const forbidden = await ctx.request('GET', '/api/users', { token: reporter.token });
+  assert.equal(forbidden.status, 403);
+
+  const list = await ctx.request('GET', '/api/users', { token: admin.token });
+  assert.equal(list.status, 200);
+  assert.ok(list.body.data.every(user => user.password === undefined));
+
+  const promote = await ctx.request('PUT', `/api/users/${reporter.user.id}`, {
+    token: admin.token,
+    body: { role: 'editor' }
+  });
+  assert.equal(promote.status, 200);
+
+  const selfDemote = await ctx.request('PUT', `/api/users/${admin.user.id}`, {
+    token: admin.token,
+    body: { role: 'editor' }
+  });
+  assert.equal(selfDemote.status, 400);
+
+  // Cambiar la contraseña cierra las sesiones abiertas de ese usuario
+  const session = await ctx.login('reportero@example.com', 'user-password');
+  await ctx.request('PUT', `/api/users/${reporter.user.id}`, {
+    token: admin.token,
+    body: { password: 'nueva-contraseña' }
+  });
+  const refresh = await ctx.request('POST', '/api/auth/refresh', { body: { refresh_token: session.refresh_token } });
+  assert.equal(refresh.status, 401);
+  await ctx.login('reportero@example.com', 'nueva-contraseña');
+
+  const selfDelete = await ctx.request('DELETE', `/api/users/${admin.user.id}`, { token: admin.token });
+  assert.equal(selfDelete.status, 400);
+
+  const remove = await ctx.request('DELETE', `/api/users/${reporter.user.id}`, { token: admin.token });
+  assert.equal(remove.status, 200);
+
+  const missing = await ctx.request('DELETE', `/api/users/${reporter.user.id}`, { token: admin.token });
+  assert.equal(missing.status, 404);
+});
@@ -0,0 +1,353 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startServer } = require('./helpers/server');
+
+let ctx;
+let admin;
+
+before(async () => {
+  ctx = await startServer();
+  admin = await ctx.bootstrapAdmin();
+});
+
+after(() => ctx.close());
+
+test('categorías: validación de parent_id y borrado protegido', async () => {
+  const missingFields = await ctx.request('POST', '/api/categories', { token: admin.token, body: { name: 'Sin slug' } });
+  assert.equal(missingFields.status, 422);
+  assert.deepEqual(missingFields.body.error.details, [{ field: 'slug', location: 'body', message: 'Es obligatorio' }]);
+
+  const badParent = await ctx.request('POST', '/api/categories', {
+    token: admin.token,
+    body: { name: 'Huérfana', slug: 'huerfana', parent_id: 999 }
+  });
+  assert.equal(badParent.status, 422);
+  assert.deepEqual(badParent.body.error.details, [{ field: 'parent_id', location: 'body', message: 'parent_id no existe' }]);
+
+  const parent = await ctx.request('POST', '/api/categories', {
+    token: admin.token,
+    body: { name: 'Deportes', slug: 'deportes' }
+  });
+  const parentId = parent.body.data.id;
+
+  const child = await ctx.request('POST', '/api/categories', {
+    token: admin.token,
+    body: { name: 'Fútbol', slug: 'futbol', parent_id: parentId }
+  });
+  assert.equal(child.status, 201);
+  const childId = child.body.data.id;
+
+  const selfParent = await ctx.request('PUT', `/api/categories/${parentId}`, {
+    token: admin.token,
+    body: { parent_id: parentId }
+  });
+  assert.equal(selfParent.status, 422);
+
+  const list = await ctx.request('GET', '/api/categories');
+  assert.equal(list.body.data.find(c => c.id === childId).parent_name, 'Deportes');
+
+  const withChildren = await ctx.request('DELETE', `/api/categories/${parentId}`, { token: admin.token });
+  assert.equal(withChildren.status, 409);
+
+  const news = await ctx.request('POST', '/api/news', {
+    token: admin.token,
+    body: { title: 'Nota de fútbol', main_category_id: childId }
+  });
+  const withNews = await ctx.request('DELETE', `/api/categories/${childId}`, { token: admin.token });
+  assert.equal(withNews.status, 409);
+
+  await ctx.request('DELETE', `/api/news/${news.body.data.id}`, { token: admin.token });
+  assert.equal((await ctx.request('DELETE', `/api/categories/${childId}`, { token: admin.token })).status, 200);
+  assert.equal((await ctx.request('DELETE', `/api/categories/${parentId}`, { token: admin.token })).status, 200);
+  assert.equal((await ctx.request('DELETE', `/api/categories/${parentId}`, { token: admin.token })).status, 404);
+});
+
+test('categorías: árbol, migas de pan, reordenamiento y detección de ciclos', async () => {
+  const create = async (name, slug, body = {}) => {
+    const res = await ctx.request('POST', '/api/categories', { token: admin.token, body: { name, slug, ...body } });
+    assert.equal(res.status, 201);
+    return res.body.data.id;
+  };
+
+  const noticias = await create('Noticias', 'noticias', { position: 1 });
+  const local = await create('Local', 'local', { parent_id: noticias, position: 2 });
+  const policia = await create('Policía', 'policia', { parent_id: local, position: 0 });
+  const estatal = await create('Estatal', 'estatal', { parent_id: noticias, position: 1 });
+
+  const tree = await ctx.request('GET', '/api/categories/tree');
+  const noticiasNode = tree.body.data.find(c => c.id === noticias);
+  assert.deepEqual(noticiasNode.children.map(c => c.slug), ['estatal', 'local']);
+  assert.deepEqual(noticiasNode.children[1].children.map(c => c.slug), ['policia']);
+
+  const crumbs = await ctx.request('GET', `/api/categories/${policia}/breadcrumbs`);
+  assert.deepEqual(crumbs.body.data.map(c => c.slug), ['noticias', 'local', 'policia']);
+  assert.match(crumbs.body.data[0].url, /\/noticias$/);
+  const bySlug = await ctx.request('GET', '/api/categories/slug/policia/breadcrumbs');
+  assert.deepEqual(bySlug.body.data, crumbs.body.data);
+  assert.equal((await ctx.request('GET', '/api/categories/slug/no-existe/breadcrumbs')).status, 404);
+
+  // A -> B -> A: mover "Noticias" debajo de su nieta
+  const cycle = await ctx.request('PUT', `/api/categories/${noticias}`, { token: admin.token, body: { parent_id: policia } });
+  assert.equal(cycle.status, 422);
+  assert.equal(cycle.body.error.details[0].field, 'parent_id');
+
+  const badReorder = await ctx.request('POST', '/api/categories/reorder', {
+    token: admin.token,
+    body: {
+      items: [
+        { id: estatal, parent_id: null, position: 5 },
+        { id: local, parent_id: policia, position: 0 },
+        { id: noticias, parent_id: 99999, position: 0 }
+      ]
+    }
+  });
+  assert.equal(badReorder.status, 422);
+  assert.deepEqual(badReorder.body.error.details.map(e => e.field), ['items[2].parent_id']);
+
+  const cyclicReorder = await ctx.request('POST', '/api/categories/reorder', {
+    token: admin.token,
+    body: { items: [{ id: estatal, parent_id: null, position: 5 }, { id: local, parent_id: policia, position: 0 }] }
+  });
+  assert.equal(cyclicReorder.status, 422);
+  assert.deepEqual(cyclicReorder.body.error.details.map(e => e.field), ['items[1].parent_id']);
+
+  // Nada se escribió: el árbol sigue igual
+  const unchanged = await ctx.request('GET', `/api/categories/${policia}/breadcrumbs`);
+  assert.deepEqual(unchanged.body.data.map(c => c.slug), ['noticias', 'local', 'policia']);
+
+  const reorder = await ctx.request('POST', '/api/categories/reorder', {
+    token: admin.token,
+    body: {
+      items: [
+        { id: policia, parent_id: noticias, position: 0 },
+        { id: local, parent_id: noticias, position: 1 },
+        { id: estatal, parent_id: local, position: 0 }
+      ]
+    }
+  });
+  assert.equal(reorder.status, 200);
+  const reordered = reorder.body.data.find(c => c.id === noticias);
+  assert.deepEqual(reordered.children.map(c => c.slug), ['policia', 'local']);
+  assert.deepEqual(reordered.children[1].children.map(c => c.slug), ['estatal']);
+
+  const forbidden = await ctx.request('POST', '/api/categories/reorder', {
+    token: (await ctx.createUser(admin.token, { email: 'menu@example.com', role: 'reporter' })).token,
+    body: { items: [{ id: local, parent_id: null, position: 0 }] }
+  });
+  assert.equal(forbidden.status, 403);
+});
+
+test('categorías: solo administradores', async () => {
+  const editor = await ctx.createUser(admin.token, { email: 'editor@example.com', role: 'editor' });
+  const res = await ctx.request('POST', '/api/categories', {
+    token: editor.token,
+    body: { name: 'Política', slug: 'politica' }
+  });
+  assert.equal(res.status, 403);
+});
+
+test('autores: slug generado y conflictos de slug y email', async () => {
+  const first = await ctx.request('POST', '/api/authors', {
+    token: admin.token,
+    body: { name: 'José Núñez', email: 'jose@example.com' }
+  });
+  assert.equal(first.status, 201);
+  assert.equal(first.body.data.slug, 'jose-nunez');
+
+  const sameName = await ctx.request('POST', '/api/authors', { token: admin.token, body: { name: 'José Núñez' } });
+  assert.equal(sameName.status, 201);
+  assert.match(sameName.body.data.slug, /^jose-nunez-\d+$/);
+
+  const sameEmail = await ctx.request('POST', '/api/authors', {
+    token: admin.token,
+    body: { name: 'Otro', email: 'jose@example.com' }
+  });
+  assert.equal(sameEmail.status, 409);
+  assert.equal(sameEmail.body.error.message, 'Ya existe un autor con ese email');
+
+  const badEmail = await ctx.request('POST', '/api/authors', { token: admin.token, body: { name: 'Otro', email: 'x' } });
+  assert.equal(badEmail.status, 422);
+  assert.equal(badEmail.body.error.details[0].field, 'email');
+
+  const badUser = await ctx.request('POST', '/api/authors', { token: admin.token, body: { name: 'Otro', user_id: 999 } });
+  assert.equal(badUser.status, 422);
+
+  const second = await ctx.request('POST', '/api/authors', {
+    token: admin.token,
+    body: { name: 'María', email: 'maria@example.com' }
+  });
+  const secondId = second.body.data.id;
+
+  const slugTaken = await ctx.request('PUT', `/api/authors/${secondId}`, {
+    token: admin.token,
+    body: { slug: 'jose-nunez' }
+  });
+  assert.equal(slugTaken.status, 409);
+  assert.equal(slugTaken.body.error.message, 'Ya existe otro autor con ese slug');
+
+  const emailTaken = await ctx.request('PUT', `/api/authors/${secondId}`, {
+    token: admin.token,
+    body: { email: 'jose@example.com' }
+  });
+  assert.equal(emailTaken.status, 409);
+  assert.equal(emailTaken.body.error.message, 'Ya existe otro autor con ese email');
+
+  // Su propio email no es un conflicto
+  const ownEmail = await ctx.request('PUT', `/api/authors/${secondId}`, {
+    token: admin.token,
+    body: { email: 'maria@example.com', bio: 'Reportera' }
+  });
+  assert.equal(ownEmail.status, 200);
+
+  const read = await ctx.request('GET', `/api/authors/${secondId}`);
+  assert.equal(read.body.data.bio, 'Reportera');
+
+  const news = await ctx.request('POST', '/api/news', {
+    token: admin.token,
+    body: { title: 'Nota de María', author_id: secondId }
+  });
+  assert.equal((await ctx.request('DELETE', `/api/authors/${secondId}`, { token: admin.token })).status, 409);
+
+  await ctx.request('DELETE', `/api/news/${news.body.data.id}`, { token: admin.token });
+  assert.equal((await ctx.request('DELETE', `/api/authors/${secondId}`, { token: admin.token })).status, 200);
+  assert.equal((await ctx.request('GET', `/api/authors/${secondId}`)).status, 404);
+
+  const names = (await ctx.request('GET', '/api/authors')).body.data.map(a => a.name);
+  assert.deepEqual(names, [...names].sort((a, b) => a.localeCompare(b)));
+});
+
+test('autores: perfil público por slug con noticias publicadas y sin email', async () => {
+  const created = await ctx.request('POST', '/api/authors', {
+    token: admin.token,
+    body: {
+      name: 'Rosa Méndez',
+      email: 'rosa@example.com',
+      avatar_url: 'https://cdn.example.com/rosa.jpg',
+      social_links: { twitter: 'https://twitter.com/rosa', website: null }
+    }
+  });
+  assert.equal(created.status, 201);
+  const { id, slug } = created.body.data;
+
+  const badLinks = await ctx.request('PUT', `/api/authors/${id}`, {
+    token: admin.token,
+    body: { social_links: { myspace: 'https://myspace.com/rosa', twitter: 'rosa' } }
+  });
+  assert.equal(badLinks.status, 422);
+  assert.deepEqual(badLinks.body.error.details.map(e => e.field), ['social_links.twitter', 'social_links']);
+
+  for (const title of ['Primera', 'Segunda', 'Tercera']) {
+    await ctx.request('POST', '/api/news', { token: admin.token, body: { title, author_id: id, status: 'published' } });
+  }
+  await ctx.request('POST', '/api/news', { token: admin.token, body: { title: 'Pendiente', author_id: id } });
+
+  const profile = await ctx.request('GET', `/api/authors/slug/${slug}?limit=2&sort=title`);
+  assert.equal(profile.status, 200);
+  assert.deepEqual(profile.body.author, {
+    id,
+    name: 'Rosa Méndez',
+    slug,
+    bio: null,
+    avatar_url: 'https://cdn.example.com/rosa.jpg',
+    social_links: { twitter: 'https://twitter.com/rosa' },
+    news_count: 3
+  });
+  assert.deepEqual(profile.body.data.map(n => n.title), ['Primera', 'Segunda']);
+  assert.equal(profile.body.pagination.has_more, true);
+
+  // Con sesión tampoco aparecen borradores en el perfil público
+  const asAdmin = await ctx.request('GET', `/api/authors/slug/${slug}`, { token: admin.token });
+  assert.equal(asAdmin.body.total, 3);
+  assert.equal((await ctx.request('GET', '/api/authors/slug/no-existe')).status, 404);
+
+  const publicList = await ctx.request('GET', '/api/authors');
+  assert.ok(publicList.body.data.every(a => !('email' in a)));
+  assert.equal((await ctx.request('GET', `/api/authors/${id}`)).body.data.email, undefined);
+  assert.equal((await ctx.request('GET', `/api/authors/${id}`, { token: admin.token })).body.data.email, 'rosa@example.com');
+
+  const news = await ctx.request('GET', `/api/news/${profile.body.data[0].id}`);
+  assert.equal(news.body.data.author_slug, slug);
+  assert.doesNotMatch(JSON.stringify(news.body), /rosa@example\.com/);
+});
+
+test('tags: crear y listar', async () => {
+  const contributor = await ctx.createUser(admin.token, { email: 'colab@example.com', role: 'contributor' });
+  const forbidden = await ctx.request('POST', '/api/tags', {
+    token: contributor.token,
+    body: { name: 'Clima', slug: 'clima' }
+  });
+  assert.equal(forbidden.status, 403);
+
+  const created = await ctx.request('POST', '/api/tags', { token: admin.token, body: { name: 'Clima', slug: 'clima' } });
+  assert.equal(created.status, 201);
+
+  const list = await ctx.request('GET', '/api/tags');
+  assert.deepEqual(list.body.data.map(t => t.slug), ['clima']);
+});
+
+test('tags: slug automático, edición, fusión, conteos, noticias por tag y autocompletado', async () => {
+  const tag = async name => (await ctx.request('POST', '/api/tags', { token: admin.token, body: { name } })).body.data;
+
+  const amlo = await tag('AMLO');
+  assert.equal(amlo.slug, 'amlo');
+  const lopez = await tag('López Obrador');
+  assert.equal(lopez.slug, 'lopez-obrador');
+
+  const duplicate = await ctx.request('POST', '/api/tags', { token: admin.token, body: { name: 'amlo' } });
+  assert.equal(duplicate.status, 409);
+  assert.equal(duplicate.body.error.details.tag.id, amlo.id);
+
+  const other = await tag('Morena');
+  const renamed = await ctx.request('PUT', `/api/tags/${other.id}`, { token: admin.token, body: { name: 'Amlo 2', slug: 'amlo-2' } });
+  assert.equal(renamed.status, 200);
+  assert.equal(renamed.body.data.slug, 'amlo-2');
+  const taken = await ctx.request('PUT', `/api/tags/${other.id}`, { token: admin.token, body: { slug: 'amlo' } });
+  assert.equal(taken.status, 409);
+
+  const createNews = body => ctx.request('POST', '/api/news', { token: admin.token, body: { status: 'published', ...body } });
+  const mananera = await createNews({ title: 'Mañanera', tags: [amlo.id, lopez.id] });
+  await createNews({ title: 'Gira', tags: [lopez.id] });
+  await createNews({ title: 'Consulta', tags: [other.id] });
+  await createNews({ title: 'Borrador', status: 'draft', tags: [amlo.id] });
+
+  const counts = tags => Object.fromEntries(tags.map(t => [t.slug, t.news_count]));
+  const before = (await ctx.request('GET', '/api/tags')).body.data;
+  assert.deepEqual(counts(before), { amlo: 1, 'amlo-2': 1, clima: 0, 'lopez-obrador': 2 });
+
+  const suggest = await ctx.request('GET', '/api/tags/autocomplete?q=Am');
+  assert.deepEqual(suggest.body.data.map(t => t.slug), ['amlo', 'amlo-2']);
+  const byAccent = await ctx.request('GET', '/api/tags/autocomplete?q=lópez');
+  assert.deepEqual(byAccent.body.data.map(t => t.slug), ['lopez-obrador']);
+  assert.deepEqual((await ctx.request('GET', '/api/tags/autocomplete?q=%25')).body.data, []);
+
+  const withTarget = await ctx.request('POST', `/api/tags/${amlo.id}/merge`, { token: admin.token, body: { source_ids: [amlo.id] } });
+  assert.equal(withTarget.status, 422);
+  const missing = await ctx.request('POST', `/api/tags/${amlo.id}/merge`, { token: admin.token, body: { source_ids: [999] } });
+  assert.equal(missing.status, 422);
+
+  const merged = await ctx.request('POST', `/api/tags/${amlo.id}/merge`, {
+    token: admin.token,
+    body: { source_ids: [lopez.id, other.id] }
+  });
+  assert.equal(merged.status, 200);
+  assert.equal(merged.body.data.news_moved, 2);
+  assert.equal(merged.body.data.tags_removed, 2);
+
+  const after = (await ctx.request('GET', '/api/tags')).body.data;
+  assert.deepEqual(counts(after), { amlo: 3, clima: 0 });
+
+  const news = await ctx.request('GET', '/api/tags/amlo/news?sort=title&limit=2');
+  assert.equal(news.status, 200);
+  assert.deepEqual(news.body.tag, { id: amlo.id, name: 'AMLO', slug: 'amlo' });
+  assert.deepEqual(news.body.data.map(n => n.title), ['Consulta', 'Gira']);
+  assert.equal(news.body.total, 3);
+  assert.match(news.headers.get('link'), /^<\/api\/tags\/amlo\/news\?sort=title&limit=2>; rel="first"/);
+  assert.equal((await ctx.request('GET', '/api/tags/lopez-obrador/news')).status, 404);
+
+  const removed = await ctx.request('DELETE', `/api/tags/${amlo.id}`, { token: admin.token });
+  assert.equal(removed.status, 200);
+  assert.equal((await ctx.request('GET', '/api/tags/amlo/news')).status, 404);
+  const detail = await ctx.request('GET', `/api/news/${mananera.body.data.id}`);
+  assert.deepEqual(detail.body.data.tags, []);
+});
@@ -0,0 +1,95 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startServer } = require('./helpers/server');
+const { toAppError, NotFoundError } = require('../lib/errors');
+
+let ctx;
+let admin;
+
+before(async () => {
+  ctx = await startServer();
+  admin = await ctx.bootstrapAdmin();
+});
+
+after(() => ctx.close());
+
+test('toAppError traduce códigos de Postgres y MySQL sin exponer el mensaje de la base', () => {
+  const pg = toAppError({ code: '23505', message: 'duplicate key value violates unique constraint "tags_slug_key"' });
+  assert.equal(pg.status, 409);
+  assert.equal(pg.code, 'CONFLICT');
+  assert.deepEqual(pg.details, { constraint: 'tags_slug_key' });
+
+  const mysql = toAppError(Object.assign(new Error("Duplicate entry 'x' for key 'tags.slug'"), { code: 'ER_DUP_ENTRY', errno: 1062 }));
+  assert.equal(mysql.status, 409);
+  assert.deepEqual(mysql.details, { constraint: 'tags.slug' });
+
+  assert.equal(toAppError({ code: 'ER_NO_REFERENCED_ROW_2' }).status, 409);
+  assert.equal(toAppError({ code: '23502' }).code, 'VALIDATION_ERROR');
+  assert.equal(toAppError({ code: 'PGRST116' }).status, 404);
+
+  const unknown = toAppError(new Error('connect ECONNREFUSED 10.0.0.5:5432'));
+  assert.equal(unknown.status, 500);
+  assert.equal(unknown.message, 'Error interno del servidor');
+
+  const own = new NotFoundError('Noticia no encontrada');
+  assert.equal(toAppError(own), own);
+});
+
+test('un slug de tag duplicado responde 409 con el sobre de error', async () => {
+  await ctx.request('POST', '/api/tags', { token: admin.token, body: { name: 'Clima', slug: 'clima' } });
+  const res = await ctx.request('POST', '/api/tags', { token: admin.token, body: { name: 'Clima 2', slug: 'clima' } });
+
+  assert.equal(res.status, 409);
+  assert.equal(res.body.success, false);
+  assert.equal(res.body.error.code, 'CONFLICT');
+  assert.equal(res.body.error.message, 'Ya existe un tag con ese slug');
+  assert.equal(res.body.error.request_id, res.headers.get('x-request-id'));
+  assert.doesNotMatch(JSON.stringify(res.body), /duplicate key/);
+});
+
+test('los errores inesperados responden 500 genérico con el id de la petición', async () => {
+  const repos = ctx.app.locals.repos;
+  const original = repos.tags.list;
+  repos.tags.list = async () => {
+    throw new Error('relation "tags" does not exist');
+  };
+
+  const originalConsoleError = console.error;
+  const logged = [];
+  console.error = (...args) => logged.push(args);
+
+  try {
+    const res = await ctx.request('GET', '/api/tags', { headers: { 'X-Request-Id': 'req-123' } });
+
+    assert.equal(res.status, 500);
+    assert.deepEqual(res.body, {
+      success: false,
+      error: { code: 'INTERNAL_ERROR', message: 'Error interno del servidor', details: null, request_id: 'req-123' }
+    });
+    assert.equal(res.headers.get('x-request-id'), 'req-123');
+    assert.match(String(logged[0][0]), /GET \/api\/tags error \[req-123\]/);
+  } finally {
+    repos.tags.list = original;
+    console.error = originalConsoleError;
+  }
+});
+
+test('rutas /api inexistentes, JSON inválido y errores de autenticación usan el mismo sobre', async () => {
+  const missing = await ctx.request('GET', '/api/no-existe');
+  assert.equal(missing.status, 404);
+  assert.equal(missing.body.error.code, 'NOT_FOUND');
+
+  // form manda el cuerpo tal cual: aquí un JSON cortado
+  const badJson = await ctx.request('POST', '/api/auth/login', {
+    headers: { 'content-type': 'application/json' },
+    form: '{"email": '
+  });
+  assert.equal(badJson.status, 400);
+  assert.equal(badJson.body.error.code, 'BAD_REQUEST');
+
+  const anonymous = await ctx.request('POST', '/api/tags', { body: { name: 'X', slug: 'x' } });
+  assert.equal(anonymous.status, 401);
+  assert.equal(anonymous.body.error.code, 'UNAUTHENTICATED');
+  assert.ok(anonymous.body.error.request_id);
+});
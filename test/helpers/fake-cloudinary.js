@@ -0,0 +1,40 @@
+// test/helpers/fake-cloudinary.js - Reemplaza las llamadas de red de Cloudinary.
+// multer-storage-cloudinary sube con uploader.upload_stream y server.js borra con uploader.destroy;
+// aquí ambas quedan registradas en memoria.
+
+const { Writable } = require('stream');
+const cloudinary = require('cloudinary').v2;
+
+function installFakeCloudinary() {
+  const state = { uploads: [], destroyed: [] };
+
+  cloudinary.uploader.upload_stream = (options, callback) => {
+    let bytes = 0;
+
+    return new Writable({
+      write(chunk, encoding, next) {
+        bytes += chunk.length;
+        next();
+      },
+      final(done) {
+        const publicId = [options.folder, options.public_id].filter(Boolean).join('/');
+        state.uploads.push({ public_id: publicId, bytes, options });
+        callback(null, {
+          public_id: publicId,
+          bytes,
+          secure_url: `https://res.cloudinary.com/test-cloud/image/upload/v1700000000/${publicId}.jpg`
+        });
+        done();
+      }
+    });
+  };
+
+  cloudinary.uploader.destroy = async (publicId) => {
+    state.destroyed.push(publicId);
+    return { result: 'ok' };
+  };
+
+  return state;
+}
+
+module.exports = { installFakeCloudinary };
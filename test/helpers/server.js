@@ -0,0 +1,90 @@
+// test/helpers/server.js - Levanta la app de server.js para las pruebas:
+// backend en memoria (DATA_BACKEND=memory), Cloudinary falso y un puerto efímero.
+// Cada archivo de prueba corre en su propio proceso, así que cada uno empieza con la base vacía.
+
+process.env.DATA_BACKEND = 'memory';
+process.env.JWT_SECRET = 'test-secret';
+process.env.BCRYPT_ROUNDS = '4';
+process.env.CRON_SECRET = 'test-cron-secret';
+process.env.BOOTSTRAP_TOKEN = 'test-bootstrap-token';
+delete process.env.MEMORY_SEED_FILE;
+
+const { installFakeCloudinary } = require('./fake-cloudinary');
+
+const cloudinary = installFakeCloudinary();
+const app = require('../../server');
+
+const ADMIN = { email: 'admin@example.com', password: 'admin-password', name: 'Admin' };
+
+async function startServer() {
+  const server = await new Promise(resolve => {
+    const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // { status, headers, text, body } — body es el JSON ya parseado cuando la respuesta lo es
+  async function request(method, path, { token, body, form, headers = {} } = {}) {
+    const init = { method, headers: { ...headers }, redirect: 'manual' };
+
+    if (token) init.headers.authorization = `Bearer ${token}`;
+    if (form) {
+      init.body = form;
+    } else if (body !== undefined) {
+      init.headers['content-type'] = 'application/json';
+      init.body = JSON.stringify(body);
+    }
+
+    const res = await fetch(`${baseUrl}${path}`, init);
+    const text = await res.text();
+    const isJson = (res.headers.get('content-type') || '').includes('application/json');
+
+    return { status: res.status, headers: res.headers, text, body: isJson && text ? JSON.parse(text) : null };
+  }
+
+  async function login(email, password) {
+    const res = await request('POST', '/api/auth/login', { body: { email, password } });
+    if (res.status !== 200) throw new Error(`login ${email}: ${res.status} ${res.text}`);
+    return res.body.data;
+  }
+
+  // El primer registro (sin usuarios, con el token de instalación) crea al administrador
+  async function bootstrapAdmin() {
+    await request('POST', '/api/auth/register', { body: ADMIN, headers: { 'x-bootstrap-token': process.env.BOOTSTRAP_TOKEN } });
+    const session = await login(ADMIN.email, ADMIN.password);
+    return { token: session.access_token, user: session.user };
+  }
+
+  // Crea un usuario con el rol dado (y opcionalmente su autor vinculado) y devuelve su token
+  async function createUser(adminToken, { email, role, password = 'user-password', authorName = null }) {
+    const res = await request('POST', '/api/auth/register', {
+      token: adminToken,
+      body: { email, password, name: email.split('@')[0], role }
+    });
+    if (res.status !== 201) throw new Error(`register ${email}: ${res.status} ${res.text}`);
+
+    let authorId = null;
+    if (authorName) {
+      const author = await request('POST', '/api/authors', {
+        token: adminToken,
+        body: { name: authorName, user_id: res.body.data.user.id }
+      });
+      authorId = author.body.data.id;
+    }
+
+    const session = await login(email, password);
+    return { token: session.access_token, user: session.user, authorId };
+  }
+
+  return {
+    app,
+    baseUrl,
+    cloudinary,
+    request,
+    login,
+    bootstrapAdmin,
+    createUser,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+module.exports = { startServer, ADMIN };
@@ -0,0 +1,226 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startServer } = require('./helpers/server');
+
+let ctx;
+let admin;
+let newsId;
+
+// Un PNG de 1x1 basta: multer solo revisa extensión y mimetype
+const PNG = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=',
+  'base64'
+);
+
+function imageForm(fields = {}, { filename = 'Foto Portada.png', type = 'image/png' } = {}) {
+  const form = new FormData();
+  form.append('image', new Blob([PNG], { type }), filename);
+  for (const [key, value] of Object.entries(fields)) form.append(key, String(value));
+  return form;
+}
+
+before(async () => {
+  ctx = await startServer();
+  admin = await ctx.bootstrapAdmin();
+
+  const news = await ctx.request('POST', '/api/news', { token: admin.token, body: { title: 'Nota con fotos' } });
+  newsId = news.body.data.id;
+});
+
+after(() => ctx.close());
+
+test('subir, listar y borrar imágenes de una noticia', async () => {
+  const upload = await ctx.request('POST', `/api/news/${newsId}/images`, {
+    token: admin.token,
+    form: imageForm({ caption: 'Portada', alt_text: 'Estadio', position: 0 })
+  });
+  assert.equal(upload.status, 201);
+  assert.match(upload.body.data.url, /^https:\/\/res\.cloudinary\.com\/test-cloud\/image\/upload\/v\d+\/news\/news-\d+-foto-portada\.jpg$/);
+  assert.equal(ctx.cloudinary.uploads.length, 1);
+  assert.equal(ctx.cloudinary.uploads[0].bytes, PNG.length);
+
+  await ctx.request('POST', `/api/news/${newsId}/images`, {
+    token: admin.token,
+    form: imageForm({ position: 1 }, { filename: 'segunda.png' })
+  });
+
+  const list = await ctx.request('GET', `/api/news/${newsId}/images`);
+  assert.equal(list.status, 200);
+  assert.deepEqual(list.body.data.map(img => img.position), [0, 1]);
+  assert.equal(list.body.data[0].caption, 'Portada');
+
+  const imageId = upload.body.data.id;
+  const removed = await ctx.request('DELETE', `/api/news/${newsId}/images/${imageId}`, { token: admin.token });
+  assert.equal(removed.status, 200);
+  assert.deepEqual(ctx.cloudinary.destroyed, [ctx.cloudinary.uploads[0].public_id]);
+
+  const again = await ctx.request('DELETE', `/api/news/${newsId}/images/${imageId}`, { token: admin.token });
+  assert.equal(again.status, 404);
+
+  const remaining = await ctx.request('GET', `/api/news/${newsId}/images`);
+  assert.equal(remaining.body.data.length, 1);
+});
+
+test('las imágenes de otra noticia no se pueden borrar por esta ruta', async () => {
+  const other = await ctx.request('POST', '/api/news', { token: admin.token, body: { title: 'Otra nota' } });
+  const upload = await ctx.request('POST', `/api/news/${other.body.data.id}/images`, {
+    token: admin.token,
+    form: imageForm()
+  });
+
+  const res = await ctx.request('DELETE', `/api/news/${newsId}/images/${upload.body.data.id}`, { token: admin.token });
+  assert.equal(res.status, 404);
+});
+
+test('sin archivo, sin sesión o sin permiso no se sube nada', async () => {
+  const before = ctx.cloudinary.uploads.length;
+
+  const noFile = await ctx.request('POST', `/api/news/${newsId}/images`, { token: admin.token, form: new FormData() });
+  assert.equal(noFile.status, 422);
+
+  const anonymous = await ctx.request('POST', `/api/news/${newsId}/images`, { form: imageForm() });
+  assert.equal(anonymous.status, 401);
+
+  const reporter = await ctx.createUser(admin.token, { email: 'rep@example.com', role: 'reporter', authorName: 'Rep' });
+  const notOwn = await ctx.request('POST', `/api/news/${newsId}/images`, { token: reporter.token, form: imageForm() });
+  assert.equal(notOwn.status, 403);
+
+  const missingNews = await ctx.request('POST', '/api/news/9999/images', { token: admin.token, form: imageForm() });
+  assert.equal(missingNews.status, 404);
+
+  assert.equal(ctx.cloudinary.uploads.length, before);
+});
+
+test('si la validación o el insert fallan se borran de Cloudinary las imágenes ya subidas', async () => {
+  const twoImages = (fields = {}) => {
+    const form = new FormData();
+    for (const name of ['huerfana-uno.png', 'huerfana-dos.png']) {
+      form.append('images', new Blob([PNG], { type: 'image/png' }), name);
+    }
+    for (const [key, value] of Object.entries(fields)) form.append(key, String(value));
+    return form;
+  };
+  const newUploads = (before) => ctx.cloudinary.uploads.slice(before).map(u => u.public_id);
+
+  let before = ctx.cloudinary.uploads.length;
+  const invalid = await ctx.request('POST', `/api/news/${newsId}/images`, {
+    token: admin.token,
+    form: twoImages({ position: -1 })
+  });
+  assert.equal(invalid.status, 422);
+  assert.equal(newUploads(before).length, 2);
+  assert.deepEqual(ctx.cloudinary.destroyed.slice(-2), newUploads(before));
+
+  const { images } = ctx.app.locals.repos;
+  const createMany = images.createMany;
+  images.createMany = async () => { throw new Error('insert caído'); };
+  try {
+    before = ctx.cloudinary.uploads.length;
+    const failed = await ctx.request('POST', `/api/news/${newsId}/images`, { token: admin.token, form: twoImages() });
+    assert.equal(failed.status, 500);
+    assert.deepEqual(ctx.cloudinary.destroyed.slice(-2), newUploads(before));
+  } finally {
+    images.createMany = createMany;
+  }
+
+  const list = await ctx.request('GET', `/api/news/${newsId}/images`);
+  assert.ok(list.body.data.every(img => !img.url.includes('huerfana')));
+});
+
+test('subida múltiple, edición de pie/crédito, portada y reorden', async () => {
+  const news = await ctx.request('POST', '/api/news', {
+    token: admin.token,
+    body: { title: 'Galería del clásico', status: 'published' }
+  });
+  const id = news.body.data.id;
+
+  const form = new FormData();
+  for (const name of ['uno.png', 'dos.png', 'tres.png']) {
+    form.append('images', new Blob([PNG], { type: 'image/png' }), name);
+  }
+  form.append('credit', 'Foto: ZM');
+  const upload = await ctx.request('POST', `/api/news/${id}/images`, { token: admin.token, form });
+  assert.equal(upload.status, 201);
+  assert.equal(upload.body.data.images.length, 3);
+  const [uno, dos, tres] = upload.body.data.images.map(img => img.id);
+
+  // Sin position se agregan al final
+  const more = await ctx.request('POST', `/api/news/${id}/images`, {
+    token: admin.token,
+    form: imageForm({ is_cover: 'true' }, { filename: 'cuatro.png' })
+  });
+  const cuatro = more.body.data.id;
+
+  let list = await ctx.request('GET', `/api/news/${id}/images`);
+  assert.deepEqual(list.body.data.map(img => [img.id, img.position, img.credit]), [
+    [uno, 0, 'Foto: ZM'], [dos, 1, 'Foto: ZM'], [tres, 2, 'Foto: ZM'], [cuatro, 3, null]
+  ]);
+  assert.deepEqual(list.body.data.filter(img => img.is_cover).map(img => img.id), [cuatro]);
+
+  // La portada explícita es la imagen de los listados y de la página del artículo
+  const listing = await ctx.request('GET', `/api/news?fields=id,image_url`);
+  assert.equal(listing.body.data.find(item => item.id === id).image_url, more.body.data.url);
+
+  const patched = await ctx.request('PATCH', `/api/news/${id}/images/${dos}`, {
+    token: admin.token,
+    body: { caption: 'Festejo', credit: 'Foto: Ana', is_cover: true }
+  });
+  assert.equal(patched.status, 200);
+  assert.equal(patched.body.data.caption, 'Festejo');
+  assert.equal(patched.body.data.credit, 'Foto: Ana');
+
+  list = await ctx.request('GET', `/api/news/${id}/images`);
+  assert.deepEqual(list.body.data.filter(img => img.is_cover).map(img => img.id), [dos]);
+
+  const page = await ctx.request('GET', `/news/${news.body.data.canonical_slug}`);
+  const dosUrl = list.body.data.find(img => img.id === dos).url;
+  assert.ok(page.text.includes(`<meta property="og:image:url" content="${dosUrl}" />`));
+
+  const empty = await ctx.request('PATCH', `/api/news/${id}/images/${dos}`, { token: admin.token, body: {} });
+  assert.equal(empty.status, 422);
+
+  // Reorden: la lista debe tener exactamente las imágenes de la noticia
+  const incomplete = await ctx.request('POST', `/api/news/${id}/images/reorder`, {
+    token: admin.token,
+    body: { ids: [tres, tres, uno] }
+  });
+  assert.equal(incomplete.status, 422);
+  assert.deepEqual(incomplete.body.error.details.map(d => d.field), ['ids[1]', 'ids']);
+
+  const reordered = await ctx.request('POST', `/api/news/${id}/images/reorder`, {
+    token: admin.token,
+    body: { ids: [cuatro, tres, dos, uno] }
+  });
+  assert.equal(reordered.status, 200);
+  assert.deepEqual(reordered.body.data.map(img => [img.id, img.position]), [[cuatro, 0], [tres, 1], [dos, 2], [uno, 3]]);
+});
+
+test('editar o reordenar solo con imágenes de la misma noticia', async () => {
+  const other = await ctx.request('POST', '/api/news', { token: admin.token, body: { title: 'Otra más' } });
+  const foreign = await ctx.request('POST', `/api/news/${other.body.data.id}/images`, {
+    token: admin.token,
+    form: imageForm()
+  });
+  const foreignId = foreign.body.data.id;
+
+  const patch = await ctx.request('PATCH', `/api/news/${newsId}/images/${foreignId}`, {
+    token: admin.token,
+    body: { caption: 'Ajena' }
+  });
+  assert.equal(patch.status, 404);
+
+  const own = await ctx.request('GET', `/api/news/${newsId}/images`);
+  const reorder = await ctx.request('POST', `/api/news/${newsId}/images/reorder`, {
+    token: admin.token,
+    body: { ids: [...own.body.data.map(img => img.id), foreignId] }
+  });
+  assert.equal(reorder.status, 422);
+  assert.equal(reorder.body.error.details[0].message, 'La imagen no pertenece a esta noticia');
+
+  const stored = await ctx.app.locals.repos.images.findById(foreignId);
+  assert.equal(stored.caption, null);
+  assert.equal(stored.position, 0);
+
+  assert.equal((await ctx.request('GET', '/api/news/9999/images')).status, 404);
+});
@@ -0,0 +1,502 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startServer } = require('./helpers/server');
+
+let ctx;
+let admin;
+let categoryId;
+let authorId;
+let tagId;
+
+before(async () => {
+  ctx = await startServer();
+  admin = await ctx.bootstrapAdmin();
+
+  const category = await ctx.request('POST', '/api/categories', {
+    token: admin.token,
+    body: { name: 'Deportes', slug: 'deportes' }
+  });
+  categoryId = category.body.data.id;
+
+  const author = await ctx.request('POST', '/api/authors', { token: admin.token, body: { name: 'Ana Pérez' } });
+  authorId = author.body.data.id;
+
+  const tag = await ctx.request('POST', '/api/tags', { token: admin.token, body: { name: 'Fútbol', slug: 'futbol' } });
+  tagId = tag.body.data.id;
+});
+
+after(() => ctx.close());
+
+function createNews(body, token = admin.token) {
+  return ctx.request('POST', '/api/news', {
+    token,
+    body: { author_id: authorId, main_category_id: categoryId, ...body }
+  });
+}
+
+test('crear, leer, actualizar y borrar una noticia', async () => {
+  const created = await createNews({
+    title: 'Querétaro gana el clásico',
+    summary: 'Resumen del partido',
+    status: 'published',
+    tags: [tagId],
+    blocks: [
+      { type: 'paragraph', content: 'Primer párrafo' },
+      { type: 'image', media_url: 'https://example.com/foto.jpg', alt_text: 'Foto' }
+    ]
+  });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.data.canonical_slug, 'queretaro-gana-el-clasico');
+
+  const id = created.body.data.id;
+  const read = await ctx.request('GET', `/api/news/${id}`);
+  assert.equal(read.status, 200);
+  assert.equal(read.body.data.title, 'Querétaro gana el clásico');
+  assert.equal(read.body.data.author_name, 'Ana Pérez');
+  assert.equal(read.body.data.category_slug, 'deportes');
+  assert.deepEqual(read.body.data.tags.map(t => t.slug), ['futbol']);
+  assert.deepEqual(read.body.data.blocks.map(b => [b.type, b.position]), [['paragraph', 0], ['image', 1]]);
+
+  const bySlug = await ctx.request('GET', '/api/news/slug/queretaro-gana-el-clasico');
+  assert.equal(bySlug.status, 200);
+  assert.equal(bySlug.body.data.id, id);
+
+  const updated = await ctx.request('PUT', `/api/news/${id}`, {
+    token: admin.token,
+    body: { summary: 'Resumen corregido', tags: [], blocks: [{ type: 'paragraph', content: 'Único párrafo' }] }
+  });
+  assert.equal(updated.status, 200);
+
+  const reread = await ctx.request('GET', `/api/news/${id}`);
+  assert.equal(reread.body.data.summary, 'Resumen corregido');
+  assert.deepEqual(reread.body.data.tags, []);
+  assert.equal(reread.body.data.blocks.length, 1);
+
+  const removed = await ctx.request('DELETE', `/api/news/${id}`, { token: admin.token });
+  assert.equal(removed.status, 200);
+
+  const gone = await ctx.request('GET', `/api/news/${id}`);
+  assert.equal(gone.status, 404);
+  assert.equal(ctx.app.locals.repos.driver.tables.news_blocks.filter(b => b.news_id === id).length, 0);
+});
+
+test('el HTML de summary, subtitle y bloques se limpia al guardar y se informa qué se quitó', async () => {
+  const created = await createNews({
+    title: 'Nota con HTML pegado',
+    subtitle: 'Sub <i>título</i>',
+    summary: 'Resumen <b>importante</b><script>alert(1)</script>',
+    blocks: [
+      { type: 'paragraph', content: 'Ver <a href="javascript:alert(1)" onclick="x()">aquí</a> y <a href="https://zm.mx" target="_top">acá</a>' },
+      { type: 'heading', content: 'Título <img src=x onerror=alert(1)>' }
+    ]
+  });
+  assert.equal(created.status, 201);
+  assert.deepEqual(created.body.sanitized, [
+    { field: 'summary', removed: ['<script>'] },
+    { field: 'blocks[0].content', removed: ['<a href>', '<a onclick>'] },
+    { field: 'blocks[1].content', removed: ['<img>'] }
+  ]);
+
+  const read = await ctx.request('GET', `/api/news/${created.body.data.id}`, { token: admin.token });
+  assert.equal(read.body.data.subtitle, 'Sub <i>título</i>');
+  assert.equal(read.body.data.summary, 'Resumen <b>importante</b>');
+  assert.deepEqual(read.body.data.blocks.map(b => b.content), [
+    'Ver <a>aquí</a> y <a href="https://zm.mx" target="_blank" rel="noopener noreferrer">acá</a>',
+    'Título '
+  ]);
+
+  const updated = await ctx.request('PUT', `/api/news/${created.body.data.id}`, {
+    token: admin.token,
+    body: { summary: 'Sin HTML peligroso' }
+  });
+  assert.equal(updated.status, 200);
+  assert.equal(updated.body.sanitized, undefined);
+
+  const category = await ctx.request('POST', '/api/categories', {
+    token: admin.token,
+    body: { name: 'Cultura', slug: 'cultura-html', description: '<h2>Agenda</h2><iframe src="https://evil.example.com"></iframe><p style="color:red">Eventos</p>' }
+  });
+  assert.deepEqual(category.body.sanitized, [{ field: 'description', removed: ['<iframe>', '<p style>'] }]);
+  const stored = await ctx.app.locals.repos.categories.findById(category.body.data.id);
+  assert.equal(stored.description, '<h2>Agenda</h2><p>Eventos</p>');
+});
+
+test('ensureUniqueSlug agrega sufijos y respeta los slugs antiguos de otras noticias', async () => {
+  const first = await createNews({ title: 'Mismo título' });
+  const second = await createNews({ title: 'Mismo título' });
+  const third = await createNews({ title: 'Otro', canonical_slug: 'Mismo Título' });
+
+  assert.equal(first.body.data.canonical_slug, 'mismo-titulo');
+  assert.equal(second.body.data.canonical_slug, 'mismo-titulo-1');
+  assert.equal(third.body.data.canonical_slug, 'mismo-titulo-2');
+
+  // La primera cambia de slug: el viejo queda reservado para redirigir a ella
+  await ctx.request('PUT', `/api/news/${first.body.data.id}`, {
+    token: admin.token,
+    body: { canonical_slug: 'titulo-nuevo' }
+  });
+  const fourth = await createNews({ title: 'Mismo título' });
+  assert.equal(fourth.body.data.canonical_slug, 'mismo-titulo-3');
+
+  // Guardar una noticia con su propio slug no le agrega sufijo
+  const same = await ctx.request('PUT', `/api/news/${second.body.data.id}`, {
+    token: admin.token,
+    body: { canonical_slug: 'mismo-titulo-1' }
+  });
+  assert.equal(same.status, 200);
+  const reread = await ctx.request('GET', `/api/news/${second.body.data.id}`, { token: admin.token });
+  assert.equal(reread.body.data.canonical_slug, 'mismo-titulo-1');
+});
+
+test('un slug antiguo responde con redirect_to a la URL canónica', async () => {
+  const created = await createNews({ title: 'Nota con slug viejo', status: 'published' });
+  await ctx.request('PUT', `/api/news/${created.body.data.id}`, {
+    token: admin.token,
+    body: { canonical_slug: 'nota-con-slug-nuevo' }
+  });
+
+  const res = await ctx.request('GET', '/api/news/slug/nota-con-slug-viejo');
+  assert.equal(res.status, 200);
+  assert.equal(res.body.data.canonical_slug, 'nota-con-slug-nuevo');
+  assert.equal(res.body.redirect_to, '/deportes/articulos/nota-con-slug-nuevo');
+});
+
+test('sin sesión solo se ven noticias publicadas y ya vigentes', async () => {
+  const draft = await createNews({ title: 'Borrador secreto' });
+  const future = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+  const scheduled = await createNews({ title: 'Programada', status: 'scheduled', published_at: future });
+  const published = await createNews({ title: 'Visible', status: 'published' });
+
+  const list = await ctx.request('GET', '/api/news');
+  const ids = list.body.data.map(n => n.id);
+  assert.ok(ids.includes(published.body.data.id));
+  assert.ok(!ids.includes(draft.body.data.id));
+  assert.ok(!ids.includes(scheduled.body.data.id));
+
+  assert.equal((await ctx.request('GET', `/api/news/${draft.body.data.id}`)).status, 404);
+  assert.equal((await ctx.request('GET', `/api/news/${scheduled.body.data.id}`)).status, 404);
+  assert.equal((await ctx.request('GET', `/api/news/${draft.body.data.id}`, { token: admin.token })).status, 200);
+
+  const drafts = await ctx.request('GET', '/api/news?status=draft', { token: admin.token });
+  assert.ok(drafts.body.data.every(n => n.status === 'draft'));
+
+  const malformed = await ctx.request('GET', '/api/news/no-es-un-id');
+  assert.equal(malformed.status, 422);
+});
+
+test('paginación por cursor: sin duplicados, cursores en ambos sentidos, total y Link', async () => {
+  const author = await ctx.request('POST', '/api/authors', { token: admin.token, body: { name: 'Paginada' } });
+  const pagedAuthorId = author.body.data.id;
+
+  // Dos noticias con el mismo published_at: el orden lo desempatan created_at e id
+  const dates = ['2026-01-05T10:00:00Z', '2026-01-04T10:00:00Z', '2026-01-04T10:00:00Z', '2026-01-03T10:00:00Z', '2026-01-02T10:00:00Z'];
+  for (const [i, publishedAt] of dates.entries()) {
+    const res = await createNews({ title: `Paginada ${i}`, author_id: pagedAuthorId, status: 'published', published_at: publishedAt });
+    assert.equal(res.status, 201);
+  }
+
+  const all = await ctx.request('GET', `/api/news?author_id=${pagedAuthorId}&limit=100`);
+  const expected = all.body.data.map(n => n.title);
+  assert.equal(expected.length, 5);
+  assert.equal(all.body.total, 5);
+  assert.equal(all.body.pagination.next_cursor, null);
+
+  const seen = [];
+  const pages = [];
+  let url = `/api/news?author_id=${pagedAuthorId}&limit=2`;
+  while (url) {
+    const page = await ctx.request('GET', url);
+    assert.equal(page.status, 200);
+    assert.equal(page.body.total, 5);
+    seen.push(...page.body.data.map(n => n.title));
+    pages.push(page);
+
+    const next = page.body.pagination.next_cursor;
+    url = next ? `/api/news?author_id=${pagedAuthorId}&limit=2&cursor=${next}` : null;
+  }
+  assert.deepEqual(seen, expected);
+  assert.equal(pages.length, 3);
+
+  // Link: first siempre, next/prev cuando existen; sin cursor no hay prev
+  const firstLink = pages[0].headers.get('link');
+  assert.match(firstLink, /rel="first"/);
+  assert.match(firstLink, /rel="next"/);
+  assert.doesNotMatch(firstLink, /rel="prev"/);
+  assert.match(firstLink, new RegExp(`</api/news\\?author_id=${pagedAuthorId}&limit=2&cursor=`));
+
+  // prev_cursor de la última página devuelve exactamente la página anterior
+  const back = await ctx.request('GET', `/api/news?author_id=${pagedAuthorId}&limit=2&cursor=${pages[2].body.pagination.prev_cursor}`);
+  assert.deepEqual(back.body.data.map(n => n.title), pages[1].body.data.map(n => n.title));
+  assert.ok(back.body.pagination.prev_cursor);
+  assert.ok(back.body.pagination.next_cursor);
+
+  // Una noticia publicada entre páginas no desplaza la siguiente página
+  await createNews({ title: 'Paginada nueva', author_id: pagedAuthorId, status: 'published', published_at: '2026-01-06T10:00:00Z' });
+  const second = await ctx.request('GET', `/api/news?author_id=${pagedAuthorId}&limit=2&cursor=${pages[0].body.pagination.next_cursor}`);
+  assert.deepEqual(second.body.data.map(n => n.title), pages[1].body.data.map(n => n.title));
+
+  const capped = await ctx.request('GET', `/api/news?author_id=${pagedAuthorId}&limit=1000&total=none`);
+  assert.equal(capped.body.pagination.limit, 100);
+  assert.equal(capped.body.total, null);
+
+  const badCursor = await ctx.request('GET', '/api/news?cursor=no-es-un-cursor');
+  assert.equal(badCursor.status, 422);
+  assert.equal(badCursor.body.error.details[0].field, 'cursor');
+});
+
+test('filtros del listado: categoría con subcategorías, tag, autor, fechas, exclude, orden y fields', async () => {
+  const parent = await ctx.request('POST', '/api/categories', { token: admin.token, body: { name: 'Cultura', slug: 'cultura' } });
+  const child = await ctx.request('POST', '/api/categories', {
+    token: admin.token,
+    body: { name: 'Cine', slug: 'cine', parent_id: parent.body.data.id }
+  });
+  const author = await ctx.request('POST', '/api/authors', { token: admin.token, body: { name: 'Beatriz Luna' } });
+  const tag = await ctx.request('POST', '/api/tags', { token: admin.token, body: { name: 'Estrenos', slug: 'estrenos' } });
+
+  const publish = (title, body) => createNews({ title, status: 'published', author_id: author.body.data.id, ...body });
+  const enCultura = await publish('Feria del libro', { main_category_id: parent.body.data.id, published_at: '2026-02-01T12:00:00Z' });
+  const enCine = await publish('Abre el festival', {
+    main_category_id: child.body.data.id,
+    published_at: '2026-02-10T12:00:00Z',
+    tags: [tag.body.data.id]
+  });
+  await publish('Cartelera semanal', { main_category_id: child.body.data.id, published_at: '2026-02-20T12:00:00Z' });
+
+  const titles = async query => {
+    const res = await ctx.request('GET', `/api/news?${query}`);
+    assert.equal(res.status, 200, query);
+    return res.body.data.map(n => n.title);
+  };
+
+  assert.deepEqual(await titles('category=cultura'), ['Cartelera semanal', 'Abre el festival', 'Feria del libro']);
+  assert.deepEqual(await titles('category=cine'), ['Cartelera semanal', 'Abre el festival']);
+  assert.deepEqual(await titles('tag=estrenos'), ['Abre el festival']);
+  assert.deepEqual(await titles(`tag_id=${tag.body.data.id}`), ['Abre el festival']);
+  assert.deepEqual(await titles('author=beatriz-luna&from=2026-02-05&to=2026-02-10'), ['Abre el festival']);
+  assert.deepEqual(await titles(`category=cultura&exclude=${enCultura.body.data.id},${enCine.body.data.id}`), ['Cartelera semanal']);
+  assert.deepEqual(await titles('category=cultura&sort=oldest'), ['Feria del libro', 'Abre el festival', 'Cartelera semanal']);
+  assert.deepEqual(await titles('category=cultura&sort=title'), ['Abre el festival', 'Cartelera semanal', 'Feria del libro']);
+
+  // Un slug que no existe deja el listado vacío
+  const unknown = await ctx.request('GET', '/api/news?category=no-existe');
+  assert.deepEqual(unknown.body.data, []);
+  assert.equal(unknown.body.total, 0);
+
+  const projected = await ctx.request('GET', '/api/news?tag=estrenos&fields=id,title,category_slug,author_name');
+  assert.deepEqual(projected.body.data, [
+    { id: enCine.body.data.id, title: 'Abre el festival', category_slug: 'cine', author_name: 'Beatriz Luna' }
+  ]);
+
+  // El cursor depende del orden: uno de sort=title no sirve con el orden por defecto
+  const byTitle = await ctx.request('GET', '/api/news?category=cultura&sort=title&limit=1&fields=id');
+  assert.equal(byTitle.body.data.length, 1);
+  const next = await ctx.request('GET', `/api/news?category=cultura&sort=title&limit=1&fields=id&cursor=${byTitle.body.pagination.next_cursor}`);
+  assert.equal(next.status, 200);
+  assert.notEqual(next.body.data[0].id, byTitle.body.data[0].id);
+  const mismatch = await ctx.request('GET', `/api/news?category=cultura&cursor=${byTitle.body.pagination.next_cursor}`);
+  assert.equal(mismatch.status, 422);
+
+  const invalid = await ctx.request('GET', '/api/news?sort=random&fields=id,password&exclude=1,x');
+  assert.equal(invalid.status, 422);
+  assert.deepEqual(invalid.body.error.details.map(e => e.field), ['exclude[1]', 'sort', 'fields[1]']);
+});
+
+test('flujo editorial: transiciones, historial y permisos por rol', async () => {
+  const contributor = await ctx.createUser(admin.token, {
+    email: 'colaborador@example.com',
+    role: 'contributor',
+    authorName: 'Colaborador'
+  });
+
+  const cannotPublish = await createNews({ title: 'Intento', status: 'published', author_id: contributor.authorId }, contributor.token);
+  assert.equal(cannotPublish.status, 403);
+
+  const otherAuthor = await createNews({ title: 'Ajena', author_id: authorId }, contributor.token);
+  assert.equal(otherAuthor.status, 403);
+
+  const created = await ctx.request('POST', '/api/news', {
+    token: contributor.token,
+    body: { title: 'Nota del colaborador', main_category_id: categoryId }
+  });
+  assert.equal(created.status, 201);
+  const id = created.body.data.id;
+
+  const submit = await ctx.request('POST', `/api/news/${id}/transition`, {
+    token: contributor.token,
+    body: { to: 'in_review' }
+  });
+  assert.equal(submit.status, 200);
+
+  // Fuera de borrador el colaborador ya no puede editarla
+  const edit = await ctx.request('PUT', `/api/news/${id}`, { token: contributor.token, body: { title: 'Cambio' } });
+  assert.equal(edit.status, 403);
+
+  const rejectWithoutComment = await ctx.request('POST', `/api/news/${id}/transition`, {
+    token: admin.token,
+    body: { to: 'draft' }
+  });
+  assert.equal(rejectWithoutComment.status, 400);
+
+  const invalid = await ctx.request('POST', `/api/news/${id}/transition`, {
+    token: admin.token,
+    body: { to: 'archived' }
+  });
+  assert.equal(invalid.status, 409);
+
+  await ctx.request('POST', `/api/news/${id}/transition`, { token: admin.token, body: { to: 'approved' } });
+  const publish = await ctx.request('POST', `/api/news/${id}/transition`, { token: admin.token, body: { to: 'published' } });
+  assert.equal(publish.status, 200);
+  assert.ok(publish.body.data.published_at);
+
+  const read = await ctx.request('GET', `/api/news/${id}`, { token: admin.token });
+  assert.deepEqual(read.body.data.status_history.map(h => h.action), ['create', 'submit', 'approve', 'publish']);
+  assert.equal(read.body.data.status_history[1].user_name, 'colaborador');
+
+  const transitions = await ctx.request('GET', `/api/news/${id}/transitions`, { token: admin.token });
+  assert.deepEqual(transitions.body.data.transitions.map(t => t.to), ['archived']);
+
+  const cannotDelete = await ctx.request('DELETE', `/api/news/${id}`, { token: contributor.token });
+  assert.equal(cannotDelete.status, 403);
+});
+
+test('cron publish-due publica lo programado cuya fecha ya pasó', async () => {
+  const created = await createNews({
+    title: 'Programada para ya',
+    status: 'scheduled',
+    published_at: new Date(Date.now() + 60 * 1000).toISOString()
+  });
+  const id = created.body.data.id;
+
+  // Se simula que llegó la hora moviendo published_at directo en la base
+  await ctx.app.locals.repos.news.updateById(id, { published_at: new Date(Date.now() - 1000).toISOString() });
+
+  const unauthorized = await ctx.request('POST', '/api/cron/publish-due');
+  assert.equal(unauthorized.status, 401);
+
+  const res = await ctx.request('GET', '/api/cron/publish-due', { token: 'test-cron-secret' });
+  assert.equal(res.status, 200);
+  assert.ok(res.body.data.published.some(item => item.id === id));
+
+  const again = await ctx.request('GET', '/api/cron/publish-due', { token: 'test-cron-secret' });
+  assert.ok(!again.body.data.published.some(item => item.id === id));
+
+  const read = await ctx.request('GET', `/api/news/${id}`);
+  assert.equal(read.body.data.status, 'published');
+});
+
+test('revisiones: listar, ver, comparar y restaurar', async () => {
+  const created = await createNews({
+    title: 'Versión uno',
+    blocks: [{ type: 'paragraph', content: 'Texto original' }],
+    tags: [tagId]
+  });
+  const id = created.body.data.id;
+
+  await ctx.request('PUT', `/api/news/${id}`, {
+    token: admin.token,
+    body: { title: 'Versión dos', blocks: [{ type: 'paragraph', content: 'Texto nuevo' }], tags: [] }
+  });
+
+  const list = await ctx.request('GET', `/api/news/${id}/revisions`, { token: admin.token });
+  assert.equal(list.status, 200);
+  assert.equal(list.body.data.length, 1);
+  assert.equal(list.body.data[0].title, 'Versión uno');
+  assert.equal(list.body.data[0].snapshot, undefined);
+  const revId = list.body.data[0].id;
+
+  const revision = await ctx.request('GET', `/api/news/${id}/revisions/${revId}`, { token: admin.token });
+  assert.equal(revision.body.data.snapshot.news.title, 'Versión uno');
+
+  const diff = await ctx.request('GET', `/api/news/${id}/revisions/diff?from=${revId}`, { token: admin.token });
+  assert.equal(diff.status, 200);
+
+  const restore = await ctx.request('POST', `/api/news/${id}/revisions/${revId}/restore`, { token: admin.token });
+  assert.equal(restore.status, 200);
+
+  const read = await ctx.request('GET', `/api/news/${id}`, { token: admin.token });
+  assert.equal(read.body.data.title, 'Versión uno');
+  assert.deepEqual(read.body.data.blocks.map(b => b.content), ['Texto original']);
+  assert.deepEqual(read.body.data.tags.map(t => t.id), [tagId]);
+
+  const missing = await ctx.request('GET', `/api/news/${id}/revisions/9999`, { token: admin.token });
+  assert.equal(missing.status, 404);
+
+  // Revisión de antes de que la noticia tuviera slug: se conserva el vigente
+  const { snapshot } = revision.body.data;
+  const legacy = await ctx.app.locals.repos.news.createRevision({
+    newsId: id,
+    snapshot: { ...snapshot, news: { ...snapshot.news, title: 'Versión sin slug', canonical_slug: null } }
+  });
+  const slug = read.body.data.canonical_slug;
+  const legacyRestore = await ctx.request('POST', `/api/news/${id}/revisions/${legacy.id}/restore`, { token: admin.token });
+  assert.equal(legacyRestore.status, 200);
+
+  const afterLegacy = await ctx.request('GET', `/api/news/${id}`, { token: admin.token });
+  assert.equal(afterLegacy.body.data.title, 'Versión sin slug');
+  assert.equal(afterLegacy.body.data.canonical_slug, slug);
+  assert.equal(await ctx.app.locals.repos.news.findIdByOldSlug(slug), null);
+});
+
+test('búsqueda sin acentos ni mayúsculas', async () => {
+  await createNews({
+    title: 'Inauguran estación del tren',
+    status: 'published',
+    blocks: [{ type: 'paragraph', content: 'La obra costó millones' }]
+  });
+
+  const res = await ctx.request('GET', '/api/search?q=ESTACION');
+  assert.equal(res.status, 200);
+  assert.ok(res.body.data.some(n => n.title === 'Inauguran estación del tren'));
+
+  const body = await ctx.request('GET', '/api/search?q=obra%20costo');
+  assert.ok(body.body.data.some(n => n.title === 'Inauguran estación del tren'));
+});
+
+test('búsqueda en el texto de los bloques HTML, sin etiquetas ni entidades', async () => {
+  await createNews({
+    title: 'Cierran la avenida',
+    status: 'published',
+    summary: 'Obras en <strong>Constituyentes</strong>',
+    blocks: [{ type: 'paragraph', content: 'Ver el <a href="https://example.com/mapa">mapa de desvíos</a> &amp; horarios' }]
+  });
+
+  const markup = await ctx.request('GET', '/api/search?q=strong%20href');
+  assert.equal(markup.body.total, 0);
+  assert.equal((await ctx.request('GET', '/api/search?q=amp')).body.total, 0);
+
+  const res = await ctx.request('GET', '/api/search?q=desvios%20constituyentes');
+  const [hit] = res.body.data;
+  assert.equal(hit.title, 'Cierran la avenida');
+  assert.equal(hit.highlights.summary, 'Obras en <mark>Constituyentes</mark>');
+  assert.equal(hit.highlights.body, 'Ver el mapa de <mark>desvíos</mark> &amp; horarios');
+});
+
+test('búsqueda: relevancia sobre todo el archivo, total exacto y páginas en la base', async () => {
+  const old = await createNews({
+    title: 'Acueducto de Querétaro: historia del acueducto',
+    status: 'published',
+    published_at: '2015-03-01T12:00:00Z'
+  });
+  for (let i = 1; i <= 3; i++) {
+    await createNews({
+      title: `Obras de la semana ${i}`,
+      status: 'published',
+      blocks: [{ type: 'paragraph', content: `Cierre cerca del acueducto, tramo ${i}` }]
+    });
+  }
+
+  // La nota de 2015 con el término en el título va primero aunque sea la más antigua
+  const first = await ctx.request('GET', '/api/search?q=acueducto&limit=2');
+  assert.equal(first.body.total, 4);
+  assert.equal(first.body.data[0].id, old.body.data.id);
+  assert.ok(first.body.data[0].score > first.body.data[1].score);
+
+  const last = await ctx.request('GET', '/api/search?q=acueducto&limit=2&offset=2');
+  assert.equal(last.body.count, 2);
+  assert.equal(last.body.total, 4);
+
+  const beyond = await ctx.request('GET', '/api/search?q=acueducto&limit=2&offset=10');
+  assert.deepEqual(beyond.body.data, []);
+  assert.equal(beyond.body.total, 4);
+});
@@ -0,0 +1,333 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createRepositories } = require('../repositories');
+const { createMemoryDriver } = require('../repositories/drivers/memory');
+const { createSupabaseDriver } = require('../repositories/drivers/supabase');
+const { createMysqlDriver } = require('../repositories/drivers/mysql');
+const { createCategoryRepository } = require('../repositories/categories.repository');
+const { createImageRepository } = require('../repositories/images.repository');
+const { searchNews, createSupabaseSearchSource, createMysqlSearchSource } = require('../lib/search');
+
+// Cliente de Supabase falso: registra la cadena de llamadas y resuelve con `response`
+function createFakeSupabase(response = { data: [], error: null }) {
+  const calls = [];
+
+  function builder(chain) {
+    const proxy = new Proxy({}, {
+      get(target, method) {
+        if (method === 'then') {
+          calls.push(chain);
+          return (resolve, reject) => Promise.resolve(response).then(resolve, reject);
+        }
+        return (...args) => builder([...chain, [method, ...args]]);
+      }
+    });
+    return proxy;
+  }
+
+  return { calls, from: table => builder([['from', table]]) };
+}
+
+test('driver Supabase: traduce filtros, orden y paginación a la API de PostgREST', async () => {
+  const client = createFakeSupabase();
+  const driver = createSupabaseDriver(client);
+
+  await driver.select('news', {
+    columns: 'id, title',
+    where: {
+      status: 'published',
+      id: [1, 2],
+      author_id: { notIn: [3] },
+      summary: null,
+      $or: [{ published_at: null }, { published_at: { lte: '2026-01-01T00:00:00.000Z' }, title: { ilike: '%a, b%' } }]
+    },
+    orderBy: [{ column: 'published_at', ascending: false, nullsFirst: false }],
+    limit: 10,
+    offset: 20
+  });
+
+  assert.deepEqual(client.calls[0], [
+    ['from', 'news'],
+    ['select', 'id, title'],
+    ['eq', 'status', 'published'],
+    ['in', 'id', [1, 2]],
+    ['not', 'author_id', 'in', '(3)'],
+    ['is', 'summary', null],
+    ['or', 'published_at.is.null,and(published_at.lte.2026-01-01T00:00:00.000Z,title.ilike."%a, b%")'],
+    ['order', 'published_at', { ascending: false, nullsFirst: false }],
+    ['range', 20, 29]
+  ]);
+});
+
+test('driver Supabase: varios $or se combinan en un solo or=(and(...))', async () => {
+  const client = createFakeSupabase();
+  const driver = createSupabaseDriver(client);
+
+  await driver.select('news', {
+    where: {
+      $and: [
+        { status: 'published', $or: [{ published_at: null }, { published_at: { lte: '2026-01-01T00:00:00.000Z' } }] },
+        { $or: [{ id: { lt: 5 } }, { id: 5, title: { notIn: [] } }] }
+      ]
+    }
+  });
+
+  assert.deepEqual(client.calls[0].slice(2), [
+    ['eq', 'status', 'published'],
+    ['or', 'and(or(published_at.is.null,published_at.lte.2026-01-01T00:00:00.000Z),or(id.lt.5,and(id.eq.5,title.not.is.null)))']
+  ]);
+});
+
+test('driver Supabase: $has como embed !inner y countBy con count() agrupado', async () => {
+  const client = createFakeSupabase({ data: [{ tag_id: 3, count: 2 }], error: null });
+  const driver = createSupabaseDriver(client);
+
+  await driver.select('news', {
+    columns: 'id',
+    where: { status: 'published', $has: { table: 'news_tags', foreignKey: 'news_id', where: { tag_id: 3 } } }
+  });
+  assert.deepEqual(client.calls[0], [
+    ['from', 'news'],
+    ['select', 'id, has_0:news_tags!inner()'],
+    ['eq', 'status', 'published'],
+    ['eq', 'has_0.tag_id', 3]
+  ]);
+
+  const counts = await driver.countBy('news_tags', 'tag_id', {
+    where: {
+      tag_id: [3, 4],
+      $has: { table: 'news', foreignKey: 'id', key: 'news_id', where: { status: 'published', $or: [{ published_at: null }, { published_at: { lte: '2026-01-01T00:00:00.000Z' } }] } }
+    }
+  });
+  assert.deepEqual(counts, [{ tag_id: 3, count: 2 }]);
+  assert.deepEqual(client.calls[1], [
+    ['from', 'news_tags'],
+    ['select', 'tag_id, count(), has_0:news!inner()'],
+    ['in', 'tag_id', [3, 4]],
+    ['eq', 'has_0.status', 'published'],
+    ['or', 'published_at.is.null,published_at.lte.2026-01-01T00:00:00.000Z', { referencedTable: 'has_0' }]
+  ]);
+
+  await assert.rejects(driver.select('news', { where: { $or: [{ $has: { table: 'news_tags', foreignKey: 'news_id' } }, { id: 1 }] } }), /\$has/);
+});
+
+test('driver Supabase: escrituras devuelven filas y los errores se lanzan', async () => {
+  const ok = createFakeSupabase({ data: [{ id: 7 }], error: null });
+  const driver = createSupabaseDriver(ok);
+
+  assert.deepEqual(await driver.update('news', { id: 7, status: 'scheduled' }, { status: 'published' }), [{ id: 7 }]);
+  assert.deepEqual(ok.calls[0], [
+    ['from', 'news'],
+    ['update', { status: 'published' }],
+    ['eq', 'id', 7],
+    ['eq', 'status', 'scheduled'],
+    ['select']
+  ]);
+
+  const failing = createSupabaseDriver(createFakeSupabase({ data: null, error: { message: 'boom', code: '23505' } }));
+  await assert.rejects(failing.insert('tags', { slug: 'x' }), { code: '23505' });
+});
+
+test('búsqueda en SQL: puntaje, total y página los calcula la base', async () => {
+  const calls = [];
+  const supabase = createSupabaseSearchSource({
+    rpc: async (name, params) => {
+      calls.push([name, params]);
+      return { data: [{ id: 7, title: 'Acueducto', body: '', score: 12, total: 31 }], error: null };
+    }
+  });
+  const result = await searchNews(supabase, { q: 'el acueducto de Querétaro', filters: { category_id: 2 }, limit: 10, offset: 20 });
+  assert.deepEqual(calls, [['search_news', {
+    terms: ['acueducto', 'queretaro'],
+    p_phrase: 'acueducto queretaro',
+    p_category_id: 2,
+    p_author_id: null,
+    p_from: null,
+    p_to: null,
+    p_limit: 10,
+    p_offset: 20
+  }]]);
+  assert.equal(result.total, 31);
+  assert.equal(result.results[0].total, undefined);
+  assert.equal(result.results[0].highlights.title, '<mark>Acueducto</mark>');
+
+  const queries = [];
+  const mysql = createMysqlSearchSource({
+    query: async (sql, params) => {
+      queries.push([sql, params]);
+      const date = new Date('2015-03-01T12:00:00Z');
+      return [[{ id: 7, body: null, published_at: date, created_at: date, score: 12, total: 31, t_title: 'acueducto' }]];
+    }
+  });
+  const page = await mysql.search({ terms: ['acueducto', 'queretaro'], phrase: 'acueducto queretaro', filters: { author_id: 4 }, limit: 10, offset: 20 });
+  const [sql, params] = queries[0];
+  assert.equal((sql.match(/\?/g) || []).length, params.length);
+  assert.match(sql, /ORDER BY score DESC, d\.published_at IS NULL, d\.published_at DESC, d\.id DESC\s+LIMIT \? OFFSET \?$/);
+  assert.match(sql, /COUNT\(\*\) OVER \(\) AS total/);
+  assert.deepEqual(params.slice(-5), [4, 'acueducto', 'queretaro', 10, 20]);
+  assert.equal(page.total, 31);
+  assert.deepEqual(page.rows, [{
+    id: 7, body: '', published_at: '2015-03-01T12:00:00.000Z', created_at: '2015-03-01T12:00:00.000Z', score: 12, total: 31
+  }]);
+});
+
+test('driver en memoria: únicos, cascadas y orden de nulos como Postgres', async () => {
+  const driver = createMemoryDriver();
+
+  const [news] = await driver.insert('news', { title: 'Uno', canonical_slug: 'uno', published_at: null });
+  await driver.insert('news', { title: 'Dos', canonical_slug: 'dos', published_at: '2026-01-02T00:00:00.000Z' });
+  await driver.insert('news', { title: 'Tres', canonical_slug: 'tres', published_at: '2026-01-03T00:00:00.000Z' });
+
+  assert.equal(news.status, 'draft');
+  assert.deepEqual(Object.keys(news)[0], 'id');
+  await assert.rejects(driver.insert('news', { title: 'Copia', canonical_slug: 'uno' }), { code: '23505' });
+
+  const desc = await driver.select('news', { orderBy: [{ column: 'published_at', ascending: false }] });
+  assert.deepEqual(desc.map(n => n.title), ['Uno', 'Tres', 'Dos']);
+
+  const nullsLast = await driver.select('news', {
+    orderBy: [{ column: 'published_at', ascending: false, nullsFirst: false }]
+  });
+  assert.deepEqual(nullsLast.map(n => n.title), ['Tres', 'Dos', 'Uno']);
+
+  await driver.insert('news_blocks', { news_id: String(news.id), type: 'paragraph' });
+  assert.equal(await driver.remove('news', { id: news.id }), 1);
+  assert.equal(await driver.count('news_blocks'), 0);
+});
+
+test('driver MySQL: $has como subconsulta, countBy con GROUP BY y transacciones', async () => {
+  const queries = [];
+  const connection = {
+    async query(sql, params) {
+      queries.push([sql, params]);
+      if (sql.startsWith('DELETE')) throw new Error('boom');
+      return [sql.startsWith('SELECT `tag_id`') || sql.startsWith('SELECT COUNT') ? [{ tag_id: 3, total: 2 }] : []];
+    },
+    beginTransaction: async () => queries.push(['BEGIN']),
+    commit: async () => queries.push(['COMMIT']),
+    rollback: async () => queries.push(['ROLLBACK']),
+    release: () => queries.push(['RELEASE'])
+  };
+  const driver = createMysqlDriver({ query: connection.query, getConnection: async () => connection });
+
+  await driver.count('news', { where: { status: 'published', $has: { table: 'news_tags', foreignKey: 'news_id', where: { tag_id: 3 } } } });
+  assert.deepEqual(queries[0], [
+    'SELECT COUNT(*) AS total FROM `news` WHERE `status` = ? AND `id` IN (SELECT `news_id` FROM `news_tags` WHERE `tag_id` = ?)',
+    ['published', 3]
+  ]);
+
+  assert.deepEqual(await driver.countBy('news_tags', 'tag_id', { where: { tag_id: [3, 4] } }), [{ tag_id: 3, count: 2 }]);
+  assert.deepEqual(queries[1], ['SELECT `tag_id`, COUNT(*) AS total FROM `news_tags` WHERE `tag_id` IN (?, ?) GROUP BY `tag_id`', [3, 4]]);
+
+  await assert.rejects(driver.transaction(async tx => {
+    await tx.select('tags', { columns: 'id' });
+    await tx.remove('tags', { id: 3 });
+  }), /boom/);
+  assert.deepEqual(queries.slice(2).map(([sql]) => sql.split(' ')[0]), ['BEGIN', 'SELECT', 'DELETE', 'ROLLBACK', 'RELEASE']);
+});
+
+test('driver en memoria: $has, countBy y rollback de transacciones', async () => {
+  const driver = createMemoryDriver();
+  const [uno, dos] = await driver.insert('news', [{ title: 'Uno', status: 'published' }, { title: 'Dos' }]);
+  const [tag] = await driver.insert('tags', { name: 'Liga', slug: 'liga' });
+  await driver.insert('news_tags', [{ news_id: uno.id, tag_id: tag.id }, { news_id: dos.id, tag_id: tag.id }]);
+
+  const tagged = await driver.select('news', { columns: 'id', where: { $has: { table: 'news_tags', foreignKey: 'news_id', where: { tag_id: tag.id } } } });
+  assert.deepEqual(tagged.map(n => n.id), [uno.id, dos.id]);
+
+  const counts = await driver.countBy('news_tags', 'tag_id', {
+    where: { $has: { table: 'news', foreignKey: 'id', key: 'news_id', where: { status: 'published' } } }
+  });
+  assert.deepEqual(counts, [{ tag_id: tag.id, count: 1 }]);
+
+  await assert.rejects(driver.transaction(async tx => {
+    await tx.remove('news_tags', { tag_id: tag.id });
+    await tx.insert('tags', { name: 'Otra', slug: 'liga' });
+  }), { code: '23505' });
+  assert.equal(await driver.count('news_tags'), 2);
+  assert.equal(await driver.count('tags'), 1);
+});
+
+test('reordenar categorías es todo o nada', async () => {
+  const driver = createMemoryDriver();
+  const categories = createCategoryRepository(driver);
+  const [a, b, c] = await driver.insert('categories', [
+    { name: 'A', slug: 'a', position: 0 },
+    { name: 'B', slug: 'b', position: 1 },
+    { name: 'C', slug: 'c', position: 2 }
+  ]);
+
+  // La tercera escritura falla: las dos primeras se deshacen y el error llega a quien llama
+  const update = driver.update;
+  let writes = 0;
+  driver.update = (...args) => (++writes === 3 ? Promise.reject(new Error('escritura caída')) : update(...args));
+  await assert.rejects(categories.reorder([
+    { id: c.id, position: 0 },
+    { id: b.id, parent_id: a.id, position: 0 },
+    { id: a.id, position: 1 }
+  ]), /escritura caída/);
+  driver.update = update;
+
+  const rows = await driver.select('categories', { columns: 'slug, parent_id, position', orderBy: [{ column: 'id' }] });
+  assert.deepEqual(rows, [
+    { slug: 'a', parent_id: null, position: 0 },
+    { slug: 'b', parent_id: null, position: 1 },
+    { slug: 'c', parent_id: null, position: 2 }
+  ]);
+});
+
+test('portada y orden de imágenes en una transacción', async () => {
+  const driver = createMemoryDriver();
+  const images = createImageRepository(driver);
+  const [news] = await driver.insert('news', { title: 'Galería' });
+  const [uno, dos, tres] = await driver.insert('news_images', [
+    { news_id: news.id, url: 'uno.jpg', position: 0, is_cover: true },
+    { news_id: news.id, url: 'dos.jpg', position: 1 },
+    { news_id: news.id, url: 'tres.jpg', position: 2 }
+  ]);
+  const state = () => driver.select('news_images', { columns: 'url, position, is_cover', orderBy: [{ column: 'id' }] });
+  const initial = await state();
+
+  // Falla la segunda escritura: ni sin portada (setCover) ni a medio ordenar (reorder)
+  const update = driver.update;
+  let writes = 0;
+  driver.update = (...args) => (++writes % 2 === 0 ? Promise.reject(new Error('escritura caída')) : update(...args));
+  await assert.rejects(images.setCover(news.id, dos.id), /escritura caída/);
+  await assert.rejects(images.reorder(news.id, [tres.id, dos.id, uno.id]), /escritura caída/);
+  driver.update = update;
+
+  assert.deepEqual(await state(), initial);
+});
+
+test('repositorios: relaciones con la forma de los embeds de Supabase', async () => {
+  const repos = createRepositories({ backend: 'memory', seed: {} });
+
+  const author = await repos.authors.create({ name: 'Ana', slug: 'ana' });
+  const category = await repos.categories.create({ name: 'Deportes', slug: 'deportes' });
+  const tag = await repos.tags.create({ name: 'Liga', slug: 'liga' });
+  const news = await repos.news.create({
+    title: 'Nota',
+    canonical_slug: 'nota',
+    author_id: author.id,
+    main_category_id: category.id
+  });
+  await repos.news.replaceTags(news.id, [tag.id]);
+  await repos.news.replaceBlocks(news.id, [{ type: 'paragraph', content: 'a' }, { type: 'paragraph', content: 'b' }]);
+
+  const found = await repos.news.findBySlug('nota', {
+    include: { authors: 'name', categories: 'name, slug', news_tags: 'name', news_blocks: 'content, position' }
+  });
+  assert.deepEqual(found.authors, { name: 'Ana' });
+  assert.deepEqual(found.categories, { name: 'Deportes', slug: 'deportes' });
+  assert.deepEqual(found.news_tags, [{ tags: { name: 'Liga' } }]);
+  assert.deepEqual(found.news_blocks, [{ content: 'a', position: 0 }, { content: 'b', position: 1 }]);
+
+  await repos.news.recordSlugChange(news.id, 'nota', 'nota-nueva');
+  await repos.news.updateById(news.id, { canonical_slug: 'nota-nueva' });
+  assert.equal(await repos.news.findIdByOldSlug('nota'), news.id);
+  assert.equal(await repos.news.isSlugTaken('nota', null), true);
+  assert.equal(await repos.news.isSlugTaken('nota', news.id), false);
+
+  assert.equal(await repos.news.findById('abc'), null);
+});
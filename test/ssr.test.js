@@ -0,0 +1,586 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startServer } = require('./helpers/server');
+const { renderBlocks } = require('../lib/blocks');
+const { sanitizeHtml, htmlToText } = require('../lib/sanitize');
+
+const SITE = 'https://zonamicroondas.com';
+
+let ctx;
+let admin;
+let categoryId;
+let subcategoryId;
+let authorId;
+let tagId;
+
+before(async () => {
+  ctx = await startServer();
+  admin = await ctx.bootstrapAdmin();
+
+  const category = await ctx.request('POST', '/api/categories', {
+    token: admin.token,
+    body: { name: 'Deportes', slug: 'deportes' }
+  });
+  categoryId = category.body.data.id;
+
+  const subcategory = await ctx.request('POST', '/api/categories', {
+    token: admin.token,
+    body: { name: 'Fútbol', slug: 'futbol', parent_id: categoryId }
+  });
+  subcategoryId = subcategory.body.data.id;
+
+  const author = await ctx.request('POST', '/api/authors', { token: admin.token, body: { name: 'Ana Pérez' } });
+  authorId = author.body.data.id;
+
+  const tag = await ctx.request('POST', '/api/tags', { token: admin.token, body: { name: 'Liga MX', slug: 'liga-mx' } });
+  tagId = tag.body.data.id;
+});
+
+after(() => ctx.close());
+
+async function publish(body) {
+  const res = await ctx.request('POST', '/api/news', {
+    token: admin.token,
+    body: { status: 'published', author_id: authorId, main_category_id: categoryId, ...body }
+  });
+  assert.equal(res.status, 201);
+  return res.body.data;
+}
+
+function meta(html, property) {
+  const match = html.match(new RegExp(`<meta (?:property|name)="${property}" content="([^"]*)"`));
+  return match ? match[1] : null;
+}
+
+test('generateNewsHTML: meta tags escapados, canonical e imagen optimizada', async () => {
+  const news = await publish({
+    title: 'Gallos "ganan" <por fin>',
+    summary: 'Crónica & resumen'
+  });
+  await ctx.app.locals.repos.images.create({
+    news_id: news.id,
+    url: 'https://res.cloudinary.com/test-cloud/image/upload/v1700000000/news/portada.png',
+    position: 0
+  });
+
+  const res = await ctx.request('GET', `/deportes/articulos/${news.canonical_slug}`);
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-type'), /text\/html/);
+
+  const html = res.text;
+  assert.ok(html.includes('<title>Gallos &quot;ganan&quot; &lt;por fin&gt; | ZONA MICROONDAS</title>'));
+  assert.ok(!html.includes('<por fin>'));
+  assert.equal(meta(html, 'description'), 'Crónica &amp; resumen');
+  assert.equal(meta(html, 'author'), 'Ana Pérez');
+  assert.equal(meta(html, 'article:section'), 'Deportes');
+  assert.equal(meta(html, 'og:url'), `${SITE}/deportes/articulos/${news.canonical_slug}`);
+  assert.ok(html.includes(`<link rel="canonical" href="${SITE}/deportes/articulos/${news.canonical_slug}" />`));
+  assert.match(
+    meta(html, 'og:image'),
+    /^https:\/\/res\.cloudinary\.com\/test-cloud\/image\/upload\/w_1200,h_630,c_fill,f_jpg,q_auto\/news\/portada\.jpg\?_=\d+$/
+  );
+
+  const plain = await ctx.request('GET', `/news/${news.canonical_slug}`);
+  assert.equal(plain.status, 200);
+  assert.equal(meta(plain.text, 'og:url'), `${SITE}/news/${news.canonical_slug}`);
+});
+
+test('la imagen del cuerpo SSR va escapada', async () => {
+  const news = await publish({ title: 'Foto rara' });
+  await ctx.app.locals.repos.images.create({
+    news_id: news.id,
+    url: 'https://example.com/a.png?x="><script>alert(1)</script>',
+    position: 0
+  });
+
+  const res = await ctx.request('GET', `/news/${news.canonical_slug}`);
+  assert.ok(!res.text.includes('<script>alert(1)'));
+  assert.ok(res.text.includes('<img src="https://example.com/a.png?x=&quot;&gt;&lt;script&gt;'));
+});
+
+test('sin imágenes se usa la imagen por defecto', async () => {
+  const news = await publish({ title: 'Nota sin fotos' });
+  const res = await ctx.request('GET', `/deportes/articulos/${news.canonical_slug}`);
+  assert.equal(meta(res.text, 'og:image'), `${SITE}/LOGO_ZM.png`);
+});
+
+test('sanitizeHtml: perfiles, esquemas ofuscados e iframes de reproductores', () => {
+  assert.deepEqual(sanitizeHtml('<a href="java&#x09;script:alert(1)">x</a> 1 < 2', 'inline'), {
+    html: '<a>x</a> 1 &lt; 2',
+    removed: ['<a href>']
+  });
+  assert.equal(sanitizeHtml('<h2>Agenda</h2><em>hoy', 'inline').html, 'Agenda<em>hoy</em>');
+  assert.equal(sanitizeHtml('<h2>Agenda</h2>', 'rich').html, '<h2>Agenda</h2>');
+
+  const player = '<iframe src="https://www.youtube-nocookie.com/embed/dQw4w9WgXcQ" allowfullscreen></iframe>';
+  assert.equal(sanitizeHtml(player, 'rich').html, player);
+  assert.equal(sanitizeHtml(player, 'inline').html, '');
+  assert.equal(sanitizeHtml('<iframe src="https://evil.example.com">x</iframe>ok', 'rich').html, 'ok');
+
+  assert.equal(htmlToText('<p>Uno &amp; <b>dos</b></p><p>tres<br>cuatro</p><style>p{}</style>'), 'Uno & dos tres cuatro');
+});
+
+test('sanitizeHtml: etiquetas sin cerrar en tiempo lineal', () => {
+  assert.equal(sanitizeHtml('<a title="1 > 0">x</a> y <b', 'inline').html, '<a title="1 &gt; 0">x</a> y &lt;b');
+  assert.equal(sanitizeHtml('<a href="/x>hola', 'inline').html, '&lt;a href="/x&gt;hola');
+
+  // Comillas o etiquetas sin cerrar repetidas: antes 64 KB tardaban segundos
+  for (const unit of ['<a "', "<a x='", '<a ']) {
+    const input = unit.repeat(Math.ceil(64 * 1024 / unit.length));
+    const started = process.hrtime.bigint();
+    sanitizeHtml(input, 'rich');
+    const ms = Number(process.hrtime.bigint() - started) / 1e6;
+    assert.ok(ms < 200, `${JSON.stringify(unit)}: ${ms.toFixed(0)} ms`);
+  }
+});
+
+test('renderBlocks: HTML semántico por tipo, escapado y sin URLs peligrosas', () => {
+  const html = renderBlocks([
+    { type: 'heading', content: 'Lo que <script>alert(1)</script>sabemos', position: 1 },
+    { type: 'paragraph', content: 'Primera línea\nsegunda', position: 0 },
+    { type: 'image', media_url: '/img/foto.jpg', alt_text: 'Estadio "lleno"', content: 'Pie', position: 2 },
+    { type: 'quote', content: 'Ganamos', alt_text: 'El DT', position: 3 },
+    { type: 'list', content: '1. Uno\n2) Dos', position: 4 },
+    { type: 'list', content: '- Rojo\n* Verde', position: 5 },
+    { type: 'embed', media_url: 'https://twitter.com/zm/status/1', content: 'Tuit', position: 6 },
+    { type: 'gallery', media_url: 'https://cdn.example.com/a.jpg', content: 'https://cdn.example.com/b.jpg | Segunda\njavascript:alert(1)', position: 7 },
+    { type: 'video', media_url: 'https://cdn.example.com/clip.mp4', position: 8 },
+    { type: 'image', media_url: 'javascript:alert(1)', position: 9 },
+    { type: 'marquee', content: 'Tipo nuevo', position: 10 },
+    null
+  ]);
+
+  assert.deepEqual(html.split('\n'), [
+    '<p>Primera línea<br />segunda</p>',
+    '<h2>Lo que sabemos</h2>',
+    `<figure><img src="${SITE}/img/foto.jpg" alt="Estadio &quot;lleno&quot;" /><figcaption>Pie</figcaption></figure>`,
+    '<blockquote><p>Ganamos</p><cite>El DT</cite></blockquote>',
+    '<ol><li>Uno</li><li>Dos</li></ol>',
+    '<ul><li>Rojo</li><li>Verde</li></ul>',
+    '<figure class="embed embed-twitter"><blockquote class="twitter-tweet"><a href="https://twitter.com/zm/status/1" rel="noopener">https://twitter.com/zm/status/1</a></blockquote><figcaption>Tuit</figcaption></figure>',
+    '<ul class="gallery">'
+      + '<li><figure><img src="https://cdn.example.com/a.jpg" alt="" loading="lazy" /></figure></li>'
+      + '<li><figure><img src="https://cdn.example.com/b.jpg" alt="Segunda" loading="lazy" /><figcaption>Segunda</figcaption></figure></li>'
+      + '</ul>',
+    '<figure><video controls preload="metadata" src="https://cdn.example.com/clip.mp4"></video></figure>',
+    '<p>Tipo nuevo</p>'
+  ]);
+});
+
+test('la página del artículo incluye el cuerpo completo de news_blocks', async () => {
+  const news = await publish({
+    title: 'Crónica completa',
+    blocks: [
+      { type: 'paragraph', content: 'El partido empezó <b>tarde</b> <img src=x onerror=alert(1)>.' },
+      { type: 'list', content: '- Gol al 10\n- Gol al 90' }
+    ]
+  });
+  // Un tipo que la API ya no acepta (guardado antes) no rompe la página y el HTML guardado
+  // sin pasar por la API también se limpia al mostrarlo
+  const repos = ctx.app.locals.repos;
+  const blocks = await repos.news.getBlocks(news.id);
+  await repos.news.replaceBlocks(news.id, [
+    ...blocks.map(({ type, content, media_url, alt_text }) => ({ type, content, media_url, alt_text })),
+    { type: 'encuesta', content: '¿Quién ganó?' },
+    { type: 'quote', content: 'Sin miedo<script>alert(2)</script>', alt_text: 'El DT' }
+  ]);
+
+  const res = await ctx.request('GET', `/deportes/articulos/${news.canonical_slug}`);
+  assert.equal(res.status, 200);
+  assert.ok(res.text.includes('<p>El partido empezó <b>tarde</b> .</p>'));
+  assert.ok(res.text.includes('<ul><li>Gol al 10</li><li>Gol al 90</li></ul>'));
+  assert.ok(res.text.includes('<p>¿Quién ganó?</p>'));
+  assert.ok(res.text.includes('<blockquote><p>Sin miedo</p><cite>El DT</cite></blockquote>'));
+  assert.ok(!res.text.includes('alert('));
+});
+
+function jsonLdOf(html) {
+  return JSON.parse(html.match(/<script type="application\/ld\+json">([\s\S]*?)<\/script>/)[1]);
+}
+
+test('JSON-LD del artículo: texto con comillas y saltos, updated_at, imágenes, tags y breadcrumb', async () => {
+  const tag = await ctx.request('POST', '/api/tags', { token: admin.token, body: { name: 'Clásico' } });
+  const news = await publish({
+    title: 'Gallos "ganan" 2\\1\nen casa',
+    summary: 'Resumen con <b>HTML</b> y </script>',
+    main_category_id: subcategoryId,
+    tags: [tag.body.data.id],
+    blocks: [
+      { type: 'paragraph', content: 'Texto' },
+      { type: 'youtube', media_url: 'https://youtu.be/dQw4w9WgXcQ', content: 'Resumen en video' }
+    ]
+  });
+  const repos = ctx.app.locals.repos;
+  await repos.images.create({ news_id: news.id, url: 'https://cdn.example.com/2.jpg', position: 1 });
+  await repos.images.create({ news_id: news.id, url: '/img/1.jpg', position: 0 });
+  await repos.news.updateById(news.id, { updated_at: '2030-01-02T03:04:05.000Z' });
+
+  const res = await ctx.request('GET', `/futbol/articulos/${news.canonical_slug}`);
+  assert.equal(res.status, 200);
+  assert.ok(!res.text.includes('Resumen con <b>HTML</b> y </script>'));
+
+  const [article, breadcrumb] = jsonLdOf(res.text)['@graph'];
+  const url = `${SITE}/futbol/articulos/${news.canonical_slug}`;
+  assert.equal(article['@type'], 'NewsArticle');
+  assert.equal(article.headline, 'Gallos "ganan" 2\\1\nen casa');
+  assert.equal(article.description, 'Resumen con HTML y');
+  assert.equal(article.dateModified, '2030-01-02T03:04:05.000Z');
+  assert.notEqual(article.datePublished, article.dateModified);
+  assert.deepEqual(article.image, [`${SITE}/img/1.jpg`, 'https://cdn.example.com/2.jpg']);
+  assert.equal(article.keywords, 'Clásico');
+  assert.equal(article.articleSection, 'Fútbol');
+  assert.deepEqual(article.author, { '@type': 'Person', name: 'Ana Pérez', url: `${SITE}/autores/ana-perez` });
+  assert.deepEqual(article.video.map(v => [v['@type'], v.name, v.embedUrl]), [
+    ['VideoObject', 'Resumen en video', 'https://www.youtube.com/embed/dQw4w9WgXcQ']
+  ]);
+  assert.deepEqual(breadcrumb.itemListElement.map(item => [item.position, item.name, item.item]), [
+    [1, 'Deportes', `${SITE}/deportes`],
+    [2, 'Fútbol', `${SITE}/futbol`],
+    [3, 'Gallos "ganan" 2\\1\nen casa', url]
+  ]);
+  assert.equal(meta(res.text, 'article:modified_time'), '2030-01-02T03:04:05.000Z');
+});
+
+test('JSON-LD: LiveBlogPosting para coberturas en vivo y VideoObject para notas de video', async () => {
+  const live = await publish({
+    title: 'Minuto a minuto',
+    article_type: 'live',
+    blocks: [
+      { type: 'heading', content: 'Min 10: gol' },
+      { type: 'paragraph', content: 'Abre el <b>marcador</b>' },
+      { type: 'heading', content: 'Medio tiempo' }
+    ]
+  });
+  const liveRes = await ctx.request('GET', `/deportes/articulos/${live.canonical_slug}`);
+  const [posting] = jsonLdOf(liveRes.text)['@graph'];
+  assert.equal(posting['@type'], 'LiveBlogPosting');
+  assert.equal(posting.coverageStartTime, posting.datePublished);
+  assert.deepEqual(posting.liveBlogUpdate.map(u => [u.headline, u.articleBody]), [
+    ['Min 10: gol', 'Abre el marcador'],
+    ['Medio tiempo', undefined]
+  ]);
+
+  const video = await publish({
+    title: 'Los goles de la jornada',
+    article_type: 'video',
+    blocks: [{ type: 'video', media_url: 'https://cdn.example.com/goles.mp4' }]
+  });
+  const videoRes = await ctx.request('GET', `/deportes/articulos/${video.canonical_slug}`);
+  const [videoObject] = jsonLdOf(videoRes.text)['@graph'];
+  assert.equal(videoObject['@type'], 'VideoObject');
+  assert.equal(videoObject.name, 'Los goles de la jornada');
+  assert.equal(videoObject.contentUrl, 'https://cdn.example.com/goles.mp4');
+  assert.equal(videoObject.thumbnailUrl, `${SITE}/LOGO_ZM.png`);
+  assert.ok(videoObject.uploadDate);
+
+  const invalid = await ctx.request('POST', '/api/news', { token: admin.token, body: { title: 'x', article_type: 'podcast' } });
+  assert.equal(invalid.status, 422);
+});
+
+test('SSR: 404 para lo no publicado y 301 a la URL canónica', async () => {
+  const draft = await ctx.request('POST', '/api/news', { token: admin.token, body: { title: 'Borrador SSR' } });
+  assert.equal((await ctx.request('GET', `/news/${draft.body.data.canonical_slug}`)).status, 404);
+  assert.equal((await ctx.request('GET', '/deportes/articulos/no-existe')).status, 404);
+
+  const news = await publish({ title: 'Nota que cambia' });
+
+  const staleCategory = await ctx.request('GET', `/futbol/articulos/${news.canonical_slug}`);
+  assert.equal(staleCategory.status, 301);
+  assert.equal(staleCategory.headers.get('location'), `/deportes/articulos/${news.canonical_slug}`);
+
+  await ctx.request('PUT', `/api/news/${news.id}`, { token: admin.token, body: { canonical_slug: 'nota-cambiada' } });
+
+  const oldSlug = await ctx.request('GET', `/deportes/articulos/${news.canonical_slug}`);
+  assert.equal(oldSlug.status, 301);
+  assert.equal(oldSlug.headers.get('location'), '/deportes/articulos/nota-cambiada');
+
+  const oldPlain = await ctx.request('GET', `/news/${news.canonical_slug}`);
+  assert.equal(oldPlain.status, 301);
+  assert.equal(oldPlain.headers.get('location'), '/deportes/articulos/nota-cambiada');
+
+  const byId = await ctx.request('GET', `/news/by-id/${news.id}`);
+  assert.equal(byId.status, 301);
+  assert.equal(byId.headers.get('location'), '/deportes/articulos/nota-cambiada');
+  assert.equal((await ctx.request('GET', '/news/by-id/abc')).status, 404);
+});
+
+test('feeds RSS y Atom del sitio, categoría (con subcategorías), autor y tag', async () => {
+  const inSub = await publish({ title: 'Gol en el último minuto', main_category_id: subcategoryId, tags: [tagId] });
+
+  // Fila publicada de antes de los slugs: no entra al feed (no tiene URL de artículo)
+  await ctx.app.locals.repos.news.create({
+    title: 'Nota heredada sin slug',
+    status: 'published',
+    main_category_id: subcategoryId,
+    published_at: new Date(Date.now() - 60000).toISOString()
+  });
+
+  const rss = await ctx.request('GET', '/feed.xml');
+  assert.equal(rss.status, 200);
+  assert.doesNotMatch(rss.text, /Nota heredada sin slug|articulos\/null/);
+  assert.match(rss.headers.get('content-type'), /application\/rss\+xml/);
+  assert.ok(rss.text.includes('<title>Gol en el último minuto</title>'));
+
+  const atom = await ctx.request('GET', '/atom.xml');
+  assert.match(atom.headers.get('content-type'), /application\/atom\+xml/);
+  assert.ok(atom.text.includes('<feed'));
+
+  // fetch agrega "Cache-Control: no-cache" a las peticiones condicionales si no se indica otro
+  const cached = await ctx.request('GET', '/feed.xml', {
+    headers: { 'if-none-match': rss.headers.get('etag'), 'cache-control': 'max-age=0' }
+  });
+  assert.equal(cached.status, 304);
+
+  const category = await ctx.request('GET', '/deportes/feed.xml');
+  assert.ok(category.text.includes(`${SITE}/futbol/articulos/${inSub.canonical_slug}`));
+  assert.doesNotMatch(category.text, /Nota heredada sin slug|articulos\/null/);
+
+  const author = await ctx.request('GET', '/autores/ana-perez/feed.xml');
+  assert.ok(author.text.includes('Gol en el último minuto'));
+
+  const tag = await ctx.request('GET', '/tags/liga-mx/atom.xml');
+  assert.equal((tag.text.match(/<entry>/g) || []).length, 1);
+
+  assert.equal((await ctx.request('GET', '/autores/nadie/feed.xml')).status, 404);
+  assert.equal((await ctx.request('GET', '/tags/nada/feed.xml')).status, 404);
+});
+
+test('sitemaps, Google News y robots.txt', async () => {
+  const news = await publish({ title: 'Nota para el sitemap', tags: [tagId] });
+
+  const index = await ctx.request('GET', '/sitemap.xml');
+  assert.equal(index.status, 200);
+  assert.ok(index.text.includes(`<loc>${SITE}/sitemaps/articles-1.xml</loc>`));
+  assert.ok(index.text.includes(`<loc>${SITE}/sitemaps/categories.xml</loc>`));
+
+  const articles = await ctx.request('GET', '/sitemaps/articles-1.xml');
+  assert.ok(articles.text.includes(`<loc>${SITE}/deportes/articulos/${news.canonical_slug}</loc>`));
+  assert.equal((await ctx.request('GET', '/sitemaps/articles-2.xml')).status, 404);
+
+  const categories = await ctx.request('GET', '/sitemaps/categories.xml');
+  assert.ok(categories.text.includes(`<loc>${SITE}/futbol</loc>`));
+
+  const authors = await ctx.request('GET', '/sitemaps/authors.xml');
+  assert.ok(authors.text.includes(`<loc>${SITE}/autores/ana-perez</loc>`));
+
+  const googleNews = await ctx.request('GET', '/news-sitemap.xml');
+  assert.ok(googleNews.text.includes('<news:title>Nota para el sitemap</news:title>'));
+  assert.ok(googleNews.text.includes('<news:keywords>Liga MX</news:keywords>'));
+
+  const robots = await ctx.request('GET', '/robots.txt');
+  assert.ok(robots.text.includes('Disallow: /api/'));
+  assert.ok(robots.text.includes(`Sitemap: ${SITE}/sitemap.xml`));
+});
+
+test('perfil de autor: OpenGraph, JSON-LD ProfilePage y sin email', async () => {
+  const author = await ctx.request('POST', '/api/authors', {
+    token: admin.token,
+    body: {
+      name: 'Luis "Lucho" Gómez',
+      email: 'lucho@example.com',
+      bio: 'Cronista de </script> deportes',
+      avatar_url: 'https://res.cloudinary.com/test-cloud/image/upload/autores/lucho.jpg',
+      social_links: { twitter: 'https://twitter.com/lucho', instagram: '' }
+    }
+  });
+  const { id, slug } = author.body.data;
+  await publish({ title: 'Crónica del clásico', author_id: id });
+  await ctx.request('POST', '/api/news', { token: admin.token, body: { title: 'Borrador de Lucho', author_id: id } });
+
+  const res = await ctx.request('GET', `/autores/${slug}`);
+  assert.equal(res.status, 200);
+  const html = res.text;
+  assert.ok(html.includes('<title>Luis &quot;Lucho&quot; Gómez | ZONA MICROONDAS</title>'));
+  assert.equal(meta(html, 'og:type'), 'profile');
+  assert.equal(meta(html, 'og:url'), `${SITE}/autores/${slug}`);
+  assert.equal(meta(html, 'og:image'), 'https://res.cloudinary.com/test-cloud/image/upload/autores/lucho.jpg');
+  assert.ok(!html.includes('lucho@example.com'));
+  assert.ok(!html.includes('Borrador de Lucho'));
+
+  const jsonLd = JSON.parse(html.match(/<script type="application\/ld\+json">([\s\S]*?)<\/script>/)[1]);
+  assert.equal(jsonLd['@type'], 'ProfilePage');
+  assert.equal(jsonLd.mainEntity['@type'], 'Person');
+  assert.equal(jsonLd.mainEntity.name, 'Luis "Lucho" Gómez');
+  assert.equal(jsonLd.mainEntity.description, 'Cronista de </script> deportes');
+  assert.deepEqual(jsonLd.mainEntity.sameAs, ['https://twitter.com/lucho']);
+  assert.deepEqual(jsonLd.hasPart.map(a => a.headline), ['Crónica del clásico']);
+  assert.match(jsonLd.hasPart[0].url, new RegExp(`^${SITE}/deportes/articulos/`));
+
+  assert.equal((await ctx.request('GET', '/autores/no-existe')).status, 404);
+});
+
+test('portada de categoría: OpenGraph, CollectionPage con ItemList y paginación rel=prev/next', async () => {
+  const parent = await ctx.request('POST', '/api/categories', {
+    token: admin.token,
+    body: { name: 'Seguridad', slug: 'seguridad', description: 'Policía & justicia en Querétaro' }
+  });
+  const child = await ctx.request('POST', '/api/categories', {
+    token: admin.token,
+    body: { name: 'Policía', slug: 'policia', parent_id: parent.body.data.id }
+  });
+
+  // 21 noticias: una más que la página; la más antigua en la subcategoría
+  for (let i = 1; i <= 21; i++) {
+    await publish({
+      title: `Operativo ${i}`,
+      main_category_id: i === 1 ? child.body.data.id : parent.body.data.id,
+      published_at: `2026-02-${String(i).padStart(2, '0')}T12:00:00Z`
+    });
+  }
+
+  const first = await ctx.request('GET', '/seguridad');
+  assert.equal(first.status, 200);
+  assert.match(first.headers.get('content-type'), /text\/html/);
+  const html = first.text;
+  assert.ok(html.includes('<title>Seguridad | ZONA MICROONDAS</title>'));
+  assert.equal(meta(html, 'og:description'), 'Policía &amp; justicia en Querétaro');
+  assert.equal(meta(html, 'og:url'), `${SITE}/seguridad`);
+  assert.ok(html.includes(`<link rel="next" href="${SITE}/seguridad?page=2" />`));
+  assert.ok(!html.includes('rel="prev"'));
+  assert.ok(html.includes(`<a href="${SITE}/seguridad/articulos/operativo-21">Operativo 21</a>`));
+
+  const jsonLd = JSON.parse(html.match(/<script type="application\/ld\+json">([\s\S]*?)<\/script>/)[1]);
+  assert.equal(jsonLd['@type'], 'CollectionPage');
+  assert.equal(jsonLd.mainEntity['@type'], 'ItemList');
+  assert.equal(jsonLd.mainEntity.itemListElement.length, 20);
+  assert.deepEqual(jsonLd.mainEntity.itemListElement[0], {
+    '@type': 'ListItem',
+    position: 1,
+    url: `${SITE}/seguridad/articulos/operativo-21`,
+    name: 'Operativo 21'
+  });
+
+  const second = await ctx.request('GET', '/seguridad?page=2');
+  assert.ok(second.text.includes(`<link rel="prev" href="${SITE}/seguridad" />`));
+  assert.ok(!second.text.includes('rel="next"'));
+  assert.ok(second.text.includes(`<a href="${SITE}/policia/articulos/operativo-1">Operativo 1</a>`));
+  const secondLd = JSON.parse(second.text.match(/<script type="application\/ld\+json">([\s\S]*?)<\/script>/)[1]);
+  assert.equal(secondLd.mainEntity.itemListElement[0].position, 21);
+  assert.equal((await ctx.request('GET', '/seguridad?page=3')).status, 404);
+
+  // Subcategoría, sola o bajo su padre, con migas de pan
+  const nested = await ctx.request('GET', '/seguridad/policia');
+  assert.equal(nested.status, 200);
+  assert.ok(nested.text.includes(`<link rel="canonical" href="${SITE}/policia" />`));
+  const nestedLd = JSON.parse(nested.text.match(/<script type="application\/ld\+json">([\s\S]*?)<\/script>/)[1]);
+  assert.deepEqual(nestedLd.breadcrumb.itemListElement.map(b => b.item), [`${SITE}/seguridad`, `${SITE}/policia`]);
+  assert.equal((await ctx.request('GET', '/policia')).status, 200);
+
+  // Slug antiguo: 301; lo que no es categoría no recibe la portada
+  await ctx.request('PUT', `/api/categories/${child.body.data.id}`, { token: admin.token, body: { slug: 'policiaca' } });
+  const old = await ctx.request('GET', '/policia?page=1');
+  assert.equal(old.status, 301);
+  assert.equal(old.headers.get('location'), '/policiaca');
+
+  // El slug antiguo sigue reservado para la categoría que lo tuvo
+  const reused = await ctx.request('PUT', `/api/categories/${parent.body.data.id}`, { token: admin.token, body: { slug: 'policia' } });
+  assert.equal(reused.status, 409);
+  const created = await ctx.request('POST', '/api/categories', { token: admin.token, body: { name: 'Policía', slug: 'policia' } });
+  assert.equal(created.status, 409);
+  assert.equal((await ctx.request('GET', '/policia')).headers.get('location'), '/policiaca');
+
+  // Sin build/ de React el catch-all falla y lo registra en consola
+  const originalConsoleError = console.error;
+  console.error = () => {};
+  try {
+    for (const path of ['/deportes/policiaca', '/no-es-categoria', '/favicon.ico']) {
+      const res = await ctx.request('GET', path);
+      assert.doesNotMatch(res.text || '', /CollectionPage/, path);
+    }
+
+    // Rutas con extensión o bajo prefijos que no son categorías no consultan la base
+    const { categories } = ctx.app.locals.repos;
+    const findBySlug = categories.findBySlug;
+    const lookups = [];
+    categories.findBySlug = (slug, options) => {
+      lookups.push(slug);
+      return findBySlug(slug, options);
+    };
+    try {
+      for (const path of ['/favicon.ico', '/manifest.json', '/static/media', '/api', '/tags/seguridad']) {
+        await ctx.request('GET', path);
+      }
+      assert.deepEqual(lookups, []);
+    } finally {
+      categories.findBySlug = findBySlug;
+    }
+  } finally {
+    console.error = originalConsoleError;
+  }
+});
+
+test('index.html de React con los meta tags del artículo; modo crawler para bots', async () => {
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  const { createIndexTemplate } = require('../lib/spa');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zm-build-'));
+  const indexPath = path.join(dir, 'index.html');
+  fs.writeFileSync(indexPath, [
+    '<!doctype html><html lang="es"><head><meta charset="utf-8"/>',
+    '<title>React App</title><meta name="description" content="Web site created using create-react-app"/>',
+    '<meta property="og:title" content="Genérico"/><link rel="canonical" href="https://zonamicroondas.com/"/>',
+    '<script defer="defer" src="/static/js/main.abc123.js"></script></head>',
+    '<body><div id="root"></div></body></html>'
+  ].join('\n'));
+
+  const ssr = ctx.app.locals.ssr;
+  const original = { ...ssr };
+  ssr.template = createIndexTemplate(indexPath);
+
+  try {
+    const news = await publish({
+      title: 'Cuesta $1,000 el boleto',
+      summary: 'Precio $& final',
+      blocks: [{ type: 'quote', content: 'Se agotaron en una hora', alt_text: 'La taquilla' }]
+    });
+    const url = `/deportes/articulos/${news.canonical_slug}`;
+
+    const human = await ctx.request('GET', url, { headers: { 'user-agent': 'Mozilla/5.0 (iPhone)' } });
+    assert.equal(human.status, 200);
+    const html = human.text;
+    assert.ok(html.includes('<script defer="defer" src="/static/js/main.abc123.js"></script>'));
+    // El cuerpo del artículo (con sus bloques) queda dentro de #root para bots y previews
+    assert.match(html, /<div id="root"><article[\s\S]*<blockquote><p>Se agotaron en una hora<\/p><cite>La taquilla<\/cite><\/blockquote>[\s\S]*<\/article><\/div>/);
+    assert.ok(!html.includes('React App'));
+    assert.ok(!html.includes('Genérico'));
+    assert.equal(html.match(/<title>/g).length, 1);
+    assert.ok(html.includes('<title>Cuesta $1,000 el boleto | ZONA MICROONDAS</title>'));
+    assert.equal(meta(html, 'description'), 'Precio $&amp; final');
+    assert.equal(html.match(/rel="canonical"/g).length, 1);
+    assert.ok(html.includes(`<link rel="canonical" href="${SITE}${url}" />`));
+    assert.ok(html.includes('"@type": "NewsArticle"'));
+
+    const legacy = await ctx.request('GET', `/news/${news.canonical_slug}`);
+    assert.match(legacy.text, /<div id="root"><article[\s\S]*Se agotaron en una hora[\s\S]*<\/article><\/div>/);
+
+    // Sin modo crawler los bots también reciben la app
+    const bot = await ctx.request('GET', url, { headers: { 'user-agent': 'WhatsApp/2.23.20.0 A' } });
+    assert.ok(bot.text.includes('main.abc123.js'));
+
+    ssr.crawlerMode = true;
+    const crawler = await ctx.request('GET', url, { headers: { 'user-agent': 'facebookexternalhit/1.1' } });
+    assert.ok(!crawler.text.includes('main.abc123.js'));
+    assert.ok(crawler.text.includes('Leer artículo completo'));
+    const browser = await ctx.request('GET', url, { headers: { 'user-agent': 'Mozilla/5.0 (iPhone)' } });
+    assert.ok(browser.text.includes('main.abc123.js'));
+
+    // Las portadas de categoría dejan su lista de links dentro de #root
+    ssr.crawlerMode = false;
+    const landing = await ctx.request('GET', '/deportes');
+    assert.ok(landing.text.includes('main.abc123.js'));
+    assert.match(landing.text, /<div id="root"><section[\s\S]*Cuesta \$1,000 el boleto[\s\S]*<\/section><\/div>/);
+
+    // El template queda en caché hasta que cambia en disco
+    fs.writeFileSync(indexPath, fs.readFileSync(indexPath, 'utf8').replace('main.abc123.js', 'main.def456.js'));
+    const future = new Date(Date.now() + 5000);
+    fs.utimesSync(indexPath, future, future);
+    const rebuilt = await ctx.request('GET', url);
+    assert.ok(rebuilt.text.includes('main.def456.js'));
+  } finally {
+    Object.assign(ssr, original);
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,136 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startServer } = require('./helpers/server');
+const { validateRequest } = require('../lib/validation');
+
+let ctx;
+let admin;
+
+before(async () => {
+  ctx = await startServer();
+  admin = await ctx.bootstrapAdmin();
+});
+
+after(() => ctx.close());
+
+function fields(res) {
+  return res.body.error.details.map(e => `${e.location}:${e.field}`);
+}
+
+test('validateRequest convierte params y query y conserva los campos no declarados', () => {
+  const schema = {
+    params: { id: { type: 'integer', required: true, min: 1 } },
+    query: { featured: { type: 'boolean' }, limit: { type: 'integer', min: 1 } },
+    body: { name: { type: 'string', required: true }, parent_id: { type: 'integer', nullable: true } }
+  };
+
+  const { values, errors } = validateRequest(schema, {
+    params: { id: '7' },
+    query: { featured: 'true', limit: '10' },
+    body: { name: '  Deportes  ', parent_id: '', extra: 1 }
+  });
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(values.params, { id: 7 });
+  assert.deepEqual(values.query, { featured: true, limit: 10 });
+  assert.deepEqual(values.body, { name: 'Deportes', parent_id: null, extra: 1 });
+});
+
+test('POST /api/news exige título y valida bloques, tags y fechas por campo', async () => {
+  const res = await ctx.request('POST', '/api/news', {
+    token: admin.token,
+    body: {
+      status: 'borrador',
+      published_at: 'mañana',
+      tags: [1, 'dos'],
+      blocks: [{ type: 'paragraph', content: 'ok' }, { type: 'marquee', content: 'no' }, { content: 'sin tipo' }]
+    }
+  });
+
+  assert.equal(res.status, 422);
+  assert.equal(res.body.success, false);
+  assert.equal(res.body.error.code, 'VALIDATION_ERROR');
+  assert.deepEqual(fields(res), [
+    'body:title',
+    'body:status',
+    'body:published_at',
+    'body:tags[1]',
+    'body:blocks[1].type',
+    'body:blocks[2].type'
+  ]);
+  assert.equal(await ctx.app.locals.repos.news.count(), 0);
+});
+
+test('cada tipo de bloque exige sus campos y las URLs de embeds se guardan canónicas', async () => {
+  const invalid = await ctx.request('POST', '/api/news', {
+    token: admin.token,
+    body: {
+      title: 'Bloques',
+      blocks: [
+        { type: 'image', media_url: 'https://example.com/foto.jpg' },
+        { type: 'youtube', media_url: 'https://vimeo.com/123' },
+        { type: 'heading' },
+        { type: 'instagram', media_url: 'https://www.instagram.com/p/Cabc123xyz/' }
+      ]
+    }
+  });
+  assert.equal(invalid.status, 422);
+  assert.deepEqual(fields(invalid), ['body:blocks[0].alt_text', 'body:blocks[1].media_url', 'body:blocks[2].content']);
+  assert.match(invalid.body.error.details[1].message, /YouTube/);
+
+  const created = await ctx.request('POST', '/api/news', {
+    token: admin.token,
+    body: {
+      title: 'Bloques',
+      blocks: [
+        { type: 'youtube', media_url: 'https://youtu.be/dQw4w9WgXcQ?si=abc', content: 'Entrevista' },
+        { type: 'embed', media_url: 'https://x.com/zm/status/123?s=20' },
+        { type: 'quote', content: 'Ganamos', alt_text: 'El DT' }
+      ]
+    }
+  });
+  assert.equal(created.status, 201);
+
+  const read = await ctx.request('GET', `/api/news/${created.body.data.id}`, { token: admin.token });
+  assert.deepEqual(read.body.data.blocks.map(b => [b.type, b.media_url, b.embed && b.embed.id]), [
+    ['youtube', 'https://www.youtube.com/watch?v=dQw4w9WgXcQ', 'dQw4w9WgXcQ'],
+    ['embed', 'https://twitter.com/zm/status/123', '123'],
+    ['quote', null, undefined]
+  ]);
+});
+
+test('los ids de la ruta deben ser enteros positivos', async () => {
+  for (const path of ['/api/news/abc', '/api/news/0/images', '/api/authors/1.5']) {
+    const res = await ctx.request('GET', path);
+    assert.equal(res.status, 422, path);
+    assert.equal(res.body.error.details[0].location, 'params');
+  }
+
+  const badImage = await ctx.request('DELETE', '/api/news/1/images/x', { token: admin.token });
+  assert.equal(badImage.status, 422);
+  assert.deepEqual(fields(badImage), ['params:imageId']);
+});
+
+test('tags, categorías y búsqueda rechazan valores vacíos o con formato inválido', async () => {
+  const emptyTag = await ctx.request('POST', '/api/tags', { token: admin.token, body: { name: '   ', slug: 'Con Espacios' } });
+  assert.equal(emptyTag.status, 422);
+  assert.deepEqual(emptyTag.body.error.details, [
+    { field: 'name', location: 'body', message: 'Es obligatorio' },
+    { field: 'slug', location: 'body', message: 'Solo puede tener minúsculas sin acentos, números y guiones' }
+  ]);
+
+  const category = await ctx.request('POST', '/api/categories', { token: admin.token, body: { name: 'Cultura', slug: 'cultura' } });
+  const emptyUpdate = await ctx.request('PUT', `/api/categories/${category.body.data.id}`, { token: admin.token, body: {} });
+  assert.equal(emptyUpdate.status, 422);
+  assert.equal(emptyUpdate.body.error.details[0].message, 'No hay campos para actualizar');
+
+  const search = await ctx.request('GET', '/api/search?q=a&from=ayer&limit=0');
+  assert.equal(search.status, 422);
+  assert.deepEqual(fields(search), ['query:limit', 'query:q', 'query:from']);
+});
+
+test('la validación corre después de la autenticación', async () => {
+  const res = await ctx.request('POST', '/api/news', { body: {} });
+  assert.equal(res.status, 401);
+});